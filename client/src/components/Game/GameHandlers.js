@@ -257,6 +257,11 @@ export default {
               component.currentHandResult = result || {};
             }
 
+            // The board is complete, so the run-out equities are settled
+            if ("allInEquity" in component) {
+              component.allInEquity = null;
+            }
+
             if ("showWinnerDisplay" in component) {
               component.showWinnerDisplay = true;
             }
@@ -380,7 +385,7 @@ export default {
 
             // Start action timer if it exists
             if (typeof component.startActionTimer === "function") {
-              component.startActionTimer(data.timeLimit || 30);
+              component.startActionTimer(data.timeLimit || 30, data.deadline);
             }
 
             // Set processing flag to avoid duplicate handling
@@ -399,6 +404,61 @@ export default {
           console.error("Error handling your turn event:", error);
         }
       },
+      /**
+       * Handle the server acting for a player whose action clock expired
+       * @param {Object} data - { playerId, username, action }
+       */
+      handleSpectatorsUpdate(data) {
+        if (!data || !("spectators" in component)) return;
+
+        component.spectators = data.spectators || [];
+      },
+      handleTurnTimedOut(data) {
+        if (!data) return;
+
+        const verb = data.action === "check" ? "checked" : "folded";
+        component.addToLog(`${data.username} ran out of time and ${verb}`);
+
+        // Our clock ran out, so close the action panel
+        if (component.currentUser && data.playerId === component.currentUser.id) {
+          component.endTurn();
+        }
+      },
+      handleGameEnded(data) {
+        if (!data) return;
+
+        component.addToLog(data.message || "The game has ended");
+
+        // Leave the last hand on screen for a moment, then show the final standings
+        if (data.tournamentId) {
+          setTimeout(() => {
+            component.$router.push({
+              name: "Tournament",
+              params: { id: data.tournamentId },
+            });
+          }, 5000);
+        } else if (data.tournament) {
+          setTimeout(() => {
+            component.$router.push({
+              name: "TournamentResults",
+              params: { id: component.gameId },
+            });
+          }, 5000);
+        }
+      },
+      handleAllInEquity(data) {
+        if (!data || !data.players) return;
+
+        component.allInEquity = data;
+      },
+      handleTableChanged(data) {
+        if (!data || data.gameId === component.gameId) return;
+
+        component.addToLog("You are being moved to another table");
+
+        // The table view only loads its game on mount, so reload it for the new table
+        window.location.href = `/game/${data.gameId}`;
+      },
       handleDealCards(data) {
         if (!data || !data.hand) return;
 
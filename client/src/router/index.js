@@ -7,6 +7,12 @@ import Login from '../views/Login.vue'
 import Register from '../views/Register.vue'
 import Lobby from '../views/Lobby.vue'
 import Game from '../views/Game.vue'
+import VerifyHand from '../views/VerifyHand.vue'
+import HandHistory from '../views/HandHistory.vue'
+import Spectate from '../views/Spectate.vue'
+import TournamentResults from '../views/TournamentResults.vue'
+import Tournaments from '../views/Tournaments.vue'
+import Tournament from '../views/Tournament.vue'
 import store from '../store'
 
 Vue.use(VueRouter)
@@ -50,6 +56,42 @@ const routes = [
     name: 'Game',
     component: Game,
     meta: { requiresAuth: true }
+  },
+  {
+    path: '/game/:id/watch',
+    name: 'Spectate',
+    component: Spectate,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/verify/:gameId?/:handNumber?',
+    name: 'VerifyHand',
+    component: VerifyHand,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/game/:id/hands/:handNumber?',
+    name: 'HandHistory',
+    component: HandHistory,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/game/:id/results',
+    name: 'TournamentResults',
+    component: TournamentResults,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/tournaments',
+    name: 'Tournaments',
+    component: Tournaments,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/tournaments/:id',
+    name: 'Tournament',
+    component: Tournament,
+    meta: { requiresAuth: true }
   }
 ]
 
@@ -109,6 +151,8 @@ router.beforeEach(async (to, from, next) => {
   
   if (requiresAuth && !isAuthenticated) {
     console.log('Authentication required, redirecting to login');
+    // Come back here after logging in, so invite links still work
+    sessionStorage.setItem('redirectAfterLogin', to.fullPath);
     next('/login');
   } else if (to.path === '/login' && isAuthenticated) {
     // Optional: redirect already logged in users away from login page
@@ -150,6 +150,131 @@ class GameService {
     }
   }
   
+  /**
+   * Get the revealed seeds and re-derived deal for a finished hand
+   * @param {string} gameId - Game ID
+   * @param {number} handNumber - Hand number
+   * @returns {Promise} Verification result
+   */
+  async verifyHand(gameId, handNumber) {
+    try {
+      const response = await axios.get(`${API_URL}/api/games/${gameId}/hands/${handNumber}/verify`);
+      return response.data;
+    } catch (error) {
+      console.error('Verify hand error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the finished hands of a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Hand summaries, newest first
+   */
+  async getHands(gameId) {
+    try {
+      const response = await axios.get(`${API_URL}/api/games/${gameId}/hands`);
+      return response.data;
+    } catch (error) {
+      console.error('Get hands error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the event log of a finished hand
+   * @param {string} gameId - Game ID
+   * @param {number} handNumber - Hand number
+   * @returns {Promise<Object>} Seats and events of the hand
+   */
+  async getHandReplay(gameId, handNumber) {
+    try {
+      const response = await axios.get(`${API_URL}/api/games/${gameId}/hands/${handNumber}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get hand replay error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the blinds, prize pool and standings of a tournament
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Tournament summary
+   */
+  async getTournament(gameId) {
+    try {
+      const response = await axios.get(`${API_URL}/api/games/${gameId}/tournament`);
+      return response.data;
+    } catch (error) {
+      console.error('Get tournament error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the invites to a private table that can still be used (host only)
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Pending invites with their tokens
+   */
+  async getInvites(gameId) {
+    try {
+      const response = await axios.get(`${API_URL}/api/games/${gameId}/invites`);
+      return response.data;
+    } catch (error) {
+      console.error('Get invites error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new single-use invite link to a private table (host only)
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} The invite and its token
+   */
+  async createInvite(gameId) {
+    try {
+      const response = await axios.post(`${API_URL}/api/games/${gameId}/invites`);
+      return response.data;
+    } catch (error) {
+      console.error('Create invite error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an invite nobody has used yet (host only)
+   * @param {string} gameId - Game ID
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise} Response with success status
+   */
+  async revokeInvite(gameId, inviteId) {
+    try {
+      const response = await axios.delete(`${API_URL}/api/games/${gameId}/invites/${inviteId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Revoke invite error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download every finished hand of a game in PokerStars hand-history format
+   * @param {string} gameId - Game ID
+   * @returns {Promise<string>} Hand history text
+   */
+  async exportHandHistory(gameId) {
+    try {
+      const response = await axios.get(`${API_URL}/api/games/${gameId}/history`, {
+        responseType: 'text'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Export hand history error:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Connect to game socket
    * @param {string} gameId - Game ID
@@ -169,7 +294,9 @@ class GameService {
       this.disconnect();
       
       // Connect to game namespace
-      this.socket = io(`${SOCKET_URL}/game`);
+      this.socket = io(`${SOCKET_URL}/game`, {
+        auth: { token: localStorage.getItem('token') }
+      });
       this.gameId = gameId;
       
       // Set up connection event
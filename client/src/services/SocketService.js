@@ -87,6 +87,8 @@ class SocketService {
             autoConnect: true,
             withCredentials: true,
             forceNew: true,
+            // Send the JWT with every (re)connection handshake
+            auth: (cb) => cb({ token: localStorage.getItem("token") }),
           });
 
           // Add connection event listener
@@ -121,6 +123,18 @@ class SocketService {
           this.gameSocket.on("connect_error", (error) => {
             console.error("Socket connection error:", error);
 
+            // The server rejected our token - retrying won't help, log in again
+            if (error.data && error.data.code === "AUTH_FAILED") {
+              if (this.connectionTimeout) {
+                clearTimeout(this.connectionTimeout);
+                this.connectionTimeout = null;
+              }
+              this.connectionPromise = null;
+              this.handleAuthFailure(error.message);
+              reject(error);
+              return;
+            }
+
             // Increment connection attempts
             this.connectionAttempts++;
 
@@ -174,6 +188,36 @@ class SocketService {
     return this.connectionPromise;
   }
 
+  /**
+   * Handle a rejected socket token by sending the user back to log in.
+   * The current page is remembered so login can return to it.
+   * @param {string} reason - Error message from the server
+   */
+  handleAuthFailure(reason) {
+    console.warn("Socket authentication failed:", reason);
+
+    if (this.gameSocket) {
+      this.gameSocket.io.opts.reconnection = false;
+      this.gameSocket.disconnect();
+      this.gameSocket = null;
+    }
+    this.isConnected = false;
+
+    // Let components clean up before we navigate away
+    this.emit("authError", { message: reason });
+
+    const currentPath = window.location.pathname;
+    if (currentPath !== "/login") {
+      sessionStorage.setItem("redirectAfterLogin", currentPath);
+    }
+
+    store.dispatch("logout");
+    store.commit(
+      "SET_ERROR_MESSAGE",
+      "Your session has expired. Please log in again."
+    );
+  }
+
   /**
    * Register user with socket
    * @param {string} userId - User ID
@@ -510,6 +554,247 @@ class SocketService {
     });
   }
 
+  /**
+   * Choose the client seed mixed into the shuffle from the next hand on
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} seed - Client seed
+   */
+  setClientSeed(gameId, userId, seed) {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot set client seed - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("setClientSeed", { gameId, userId, seed });
+  }
+
+  /**
+   * Sit out from the next hand, or when the big blind next reaches you
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} mode - "nextHand" or "nextBigBlind"
+   */
+  sitOut(gameId, userId, mode = "nextHand") {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot sit out - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("sitOut", { gameId, userId, mode });
+  }
+
+  /**
+   * Sit back in, either waiting for the big blind or posting the missed blinds
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} mode - "waitForBigBlind" or "postBlinds"
+   */
+  sitIn(gameId, userId, mode = "waitForBigBlind") {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot sit in - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("sitIn", { gameId, userId, mode });
+  }
+
+  /**
+   * Rebuy or top up from the balance; chips asked for during a hand are
+   * added once it is over
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {number} [amount] - Chips to add, defaults to the table maximum
+   */
+  topUp(gameId, userId, amount) {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot add chips - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("topUp", { gameId, userId, amount });
+  }
+
+  /**
+   * Top up to a stack before every hand
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {number} amount - Stack to top up to, 0 to turn it off
+   */
+  setAutoTopUp(gameId, userId, amount) {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot set auto top-up - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("setAutoTopUp", { gameId, userId, amount });
+  }
+
+  /**
+   * Straddle, or stop straddling, whenever the straddle seat comes round
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {boolean} straddle - Whether to straddle
+   */
+  setStraddle(gameId, userId, straddle) {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot set straddle - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("setStraddle", { gameId, userId, straddle });
+  }
+
+  /**
+   * Make the next hand a bomb pot (host only)
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   */
+  callBombPot(gameId, userId) {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot call a bomb pot - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("callBombPot", { gameId, userId });
+  }
+
+  /**
+   * Ask for the odds of your own hand; the answer comes back as "handOdds"
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   */
+  requestOdds(gameId, userId) {
+    if (!this.gameSocket || !this.isConnected) return;
+
+    this.gameSocket.emit("requestOdds", { gameId, userId });
+  }
+
+  /**
+   * Answer the question of whether to run an all-in board twice
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {boolean} agree - True to run it twice
+   */
+  runItTwiceChoice(gameId, userId, agree) {
+    if (!this.gameSocket || !this.isConnected) return;
+
+    this.gameSocket.emit("runItTwiceChoice", { gameId, userId, agree });
+  }
+
+  /**
+   * Answer the question of whether to show a beaten hand at showdown
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {boolean} show - True to show, false to muck
+   */
+  showOrMuckChoice(gameId, userId, show) {
+    if (!this.gameSocket || !this.isConnected) return;
+
+    this.gameSocket.emit("showOrMuckChoice", { gameId, userId, show });
+  }
+
+  /**
+   * Show some or all of your hole cards once the hand is over
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Array} cards - Positions of the hole cards to show
+   */
+  showCards(gameId, userId, cards) {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot show cards - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("showCards", { gameId, userId, cards });
+  }
+
+  /**
+   * Watch a table without taking a seat
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} username - Username
+   */
+  async spectateGame(gameId, userId, username) {
+    await this.init();
+    this.gameSocket.emit("spectateGame", { gameId, userId, username });
+  }
+
+  /**
+   * Stop watching a table
+   * @param {string} gameId - Game ID
+   */
+  stopSpectating(gameId) {
+    if (!this.gameSocket || !this.isConnected) return;
+
+    this.gameSocket.emit("stopSpectating", { gameId });
+  }
+
+  /**
+   * Follow a multi-table tournament's level changes and table moves
+   * @param {string} tournamentId - Tournament ID
+   */
+  async watchTournament(tournamentId) {
+    await this.init();
+    this.gameSocket.emit("watchTournament", { tournamentId });
+  }
+
+  /**
+   * Stop following a multi-table tournament
+   * @param {string} tournamentId - Tournament ID
+   */
+  stopWatchingTournament(tournamentId) {
+    if (!this.gameSocket || !this.isConnected) return;
+
+    this.gameSocket.emit("stopWatchingTournament", { tournamentId });
+  }
+
+  /**
+   * Close registration and deal at every table (creator only)
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} userId - User ID
+   */
+  startTournament(tournamentId, userId) {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot start tournament - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("startTournament", { tournamentId, userId });
+  }
+
+  /**
+   * Send a message to the spectator chat
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} username - Username
+   * @param {string} message - Chat message
+   */
+  sendSpectatorMessage(gameId, userId, username, message) {
+    if (!this.gameSocket || !this.isConnected) {
+      console.warn("Cannot send spectator message - socket not connected");
+      return;
+    }
+
+    this.gameSocket.emit("sendSpectatorMessage", {
+      gameId,
+      userId,
+      username,
+      message,
+    });
+  }
+
+  /**
+   * Mute or unmute the spectator chat for a seated player
+   * @param {string} gameId - Game ID
+   * @param {boolean} muted - True to stop receiving spectator messages
+   */
+  muteSpectators(gameId, muted) {
+    if (!this.gameSocket || !this.isConnected) return;
+
+    this.gameSocket.emit("muteSpectators", { gameId, muted });
+  }
+
   /**
    * Setup game event listeners
    */
@@ -538,6 +823,20 @@ class SocketService {
       "gameEnded",
       "gameError",
       "playerConnectionChange",
+      "turnTimedOut",
+      "clientSeedSet",
+      "spectating",
+      "spectatorsUpdate",
+      "spectatorChatMessage",
+      "spectatorsMuted",
+      "tableChanged",
+      "tournamentUpdate",
+      "tournamentLevel",
+      "allInEquity",
+      "handOdds",
+      "runItTwicePrompt",
+      "showOrMuckPrompt",
+      "runItTwiceDecided",
     ];
 
     // Register listeners for each event
@@ -979,6 +1278,7 @@ class SocketService {
         reconnection: true,
         timeout: 10000,
         forceNew: true,
+        auth: (cb) => cb({ token: localStorage.getItem("token") }),
       });
 
       this.gameSocket = pollingSocket;
@@ -1017,6 +1317,7 @@ class SocketService {
             reconnection: true,
             timeout: 10000,
             forceNew: true,
+            auth: (cb) => cb({ token: localStorage.getItem("token") }),
           });
 
           this.gameSocket = websocketSocket;
@@ -0,0 +1,101 @@
+// client/src/services/TournamentService.js
+import axios from 'axios';
+
+const API_URL = process.env.VUE_APP_API_URL || '';
+
+/**
+ * Service for multi-table tournament API calls
+ */
+class TournamentService {
+  /**
+   * List tournaments that are registering or running
+   * @returns {Promise<Array>} Tournament summaries
+   */
+  async getTournaments() {
+    try {
+      const response = await axios.get(`${API_URL}/api/tournaments`);
+      return response.data;
+    } catch (error) {
+      console.error('Get tournaments error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a tournament; the creator is registered straight away
+   * @param {Object} settings - Name, buy-in, starting stack, table size, level length, payouts
+   * @returns {Promise<Object>} Tournament summary
+   */
+  async createTournament(settings) {
+    try {
+      const response = await axios.post(`${API_URL}/api/tournaments`, settings);
+      return response.data;
+    } catch (error) {
+      console.error('Create tournament error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a tournament's registrations, tables, level and standings
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object>} Tournament summary
+   */
+  async getTournament(tournamentId) {
+    try {
+      const response = await axios.get(`${API_URL}/api/tournaments/${tournamentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get tournament error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register for a tournament, paying the buy-in
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object>} Tournament summary
+   */
+  async register(tournamentId) {
+    try {
+      const response = await axios.post(`${API_URL}/api/tournaments/${tournamentId}/register`);
+      return response.data;
+    } catch (error) {
+      console.error('Tournament registration error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unregister before the start and get the buy-in back
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object>} Tournament summary
+   */
+  async unregister(tournamentId) {
+    try {
+      const response = await axios.post(`${API_URL}/api/tournaments/${tournamentId}/unregister`);
+      return response.data;
+    } catch (error) {
+      console.error('Tournament unregistration error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a tournament before it starts, refunding every buy-in
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object>} { success }
+   */
+  async cancel(tournamentId) {
+    try {
+      const response = await axios.post(`${API_URL}/api/tournaments/${tournamentId}/cancel`);
+      return response.data;
+    } catch (error) {
+      console.error('Cancel tournament error:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export a singleton instance
+export default new TournamentService();
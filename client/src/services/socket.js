@@ -34,7 +34,8 @@ export const connectGameSocket = async (gameId, onConnect, onError) => {
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
       timeout: 10000,
-      query: { gameId }
+      query: { gameId },
+      auth: { token: localStorage.getItem('token') }
     });
     
     // Set up event handlers
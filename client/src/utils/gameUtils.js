@@ -91,4 +91,18 @@ export const formatCard = (card) => {
       gameLog: updatedLog,
       lastLogMessages: logTracking
     };
-  };
\ No newline at end of file
+  };
+  /**
+   * Cards other players showed down, keyed by player id (for PlayerList)
+   * @param {Array} players - Players from the game state
+   * @returns {Object} Player id -> shown cards
+   */
+  export const getRevealedHands = (players) => {
+    const revealed = {};
+    (players || []).forEach(player => {
+      if (player.shownCards && player.shownCards.length > 0) {
+        revealed[player.id] = player.shownCards;
+      }
+    });
+    return revealed;
+  };
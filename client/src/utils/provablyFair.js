@@ -0,0 +1,113 @@
+// client/src/utils/provablyFair.js
+// Re-derives a hand's deck in the browser so players don't have to trust the
+// server's own verification. Mirrors server/utils/provablyFair.js.
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+// Short deck tables play with sixes and up
+const SHORT_DECK_RANKS = RANKS.slice(RANKS.indexOf('6'));
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+
+/**
+ * Check whether the browser can run the verification (needs a secure context)
+ * @returns {Boolean} True if WebCrypto is available
+ */
+export const canVerifyInBrowser = () =>
+  typeof window !== 'undefined' && !!(window.crypto && window.crypto.subtle);
+
+/**
+ * SHA-256 of a string as hex
+ * @param {String} text - Text to hash
+ * @returns {Promise<String>} Hex digest
+ */
+export const sha256Hex = async (text) =>
+  toHex(await window.crypto.subtle.digest('SHA-256', encoder.encode(text)));
+
+/**
+ * Re-create a hand's deck from its seeds
+ * @param {String} serverSeed - Revealed server seed
+ * @param {Array<String>} clientSeeds - Client seeds in deal order
+ * @param {Number} handNumber - Hand number
+ * @param {Array<String>} [ranks] - Ranks in the deck, all thirteen by default
+ * @returns {Promise<Array>} Cards in the order they were drawn
+ */
+export const deriveDeck = async (serverSeed, clientSeeds, handNumber, ranks = RANKS) => {
+  const key = await window.crypto.subtle.importKey(
+    'raw',
+    encoder.encode(serverSeed),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const message = `${clientSeeds.join(':')}:${handNumber}`;
+
+  let counter = 0;
+  let block = new DataView(new ArrayBuffer(0));
+  let offset = 0;
+
+  const nextUint32 = async () => {
+    if (offset + 4 > block.byteLength) {
+      const digest = await window.crypto.subtle.sign(
+        'HMAC',
+        key,
+        encoder.encode(`${message}:${counter}`)
+      );
+      block = new DataView(digest);
+      counter += 1;
+      offset = 0;
+    }
+    const value = block.getUint32(offset);
+    offset += 4;
+    return value;
+  };
+
+  // Rejection sampling keeps every index equally likely
+  const randomInt = async (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value = await nextUint32();
+    while (value >= limit) {
+      value = await nextUint32();
+    }
+    return value % max;
+  };
+
+  const deck = [];
+  SUITS.forEach(suit => ranks.forEach(rank => deck.push({ suit, rank })));
+
+  // Fisher-Yates, same as the server
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = await randomInt(i + 1);
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+
+  // The server draws from the end of the deck
+  return deck.reverse();
+};
+
+/**
+ * Check a server verification result independently
+ * @param {Object} result - Response from the verify endpoint
+ * @returns {Promise<Object>} { hashMatches, deckMatches }
+ */
+export const checkVerification = async (result) => {
+  const hash = await sha256Hex(result.serverSeed);
+  const deck = await deriveDeck(
+    result.serverSeed,
+    result.clientSeeds.map(s => s.seed),
+    result.handNumber,
+    result.shortDeck ? SHORT_DECK_RANKS : RANKS
+  );
+
+  return {
+    hashMatches: hash === result.serverSeedHash,
+    deckMatches: deck.every((card, i) =>
+      result.deck[i] && card.rank === result.deck[i].rank && card.suit === result.deck[i].suit
+    )
+  };
+};
@@ -3,6 +3,10 @@ const jwt = require('jsonwebtoken');
 const config = require('config');
 const User = require('../models/User');
 const Game = require('../models/Game');
+const ledger = require('../utils/ledger');
+
+// Chips every new player starts with (1000 chips = 500,000 rupiah)
+const SIGNUP_BONUS = 1000;
 
 // Register a new user
 exports.registerUser = async (req, res) => {
@@ -32,7 +36,7 @@ exports.registerUser = async (req, res) => {
     user = new User({
       username,
       password,
-      balance: 1000, // Start with 1000 chips (500,000 rupiah)
+      balance: 0, // Credited through the ledger below
       gamesPlayed: 0,
       gamesWon: 0
     });
@@ -40,6 +44,13 @@ exports.registerUser = async (req, res) => {
     // Save user to database
     await user.save();
 
+    // The house issues the starting chips
+    await ledger.creditWallet(user.id, SIGNUP_BONUS, {
+      type: 'signupBonus',
+      from: ledger.accounts.house
+    });
+    user.balance = SIGNUP_BONUS;
+
     // Create JWT payload
     const payload = {
       user: {
@@ -148,40 +159,6 @@ exports.getUser = async (req, res) => {
   }
 };
 
-// Update user balance
-exports.updateBalance = async (req, res) => {
-  try {
-    const { balance } = req.body;
-    
-    // Validate input
-    if (balance === undefined || typeof balance !== 'number') {
-      return res.status(400).json({ msg: 'Valid balance is required' });
-    }
-    
-    // Find and update user
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { balance },
-      { new: true }
-    ).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({ msg: 'User not found' });
-    }
-    
-    res.json({
-      id: user.id,
-      username: user.username,
-      balance: user.balance,
-      gamesPlayed: user.gamesPlayed,
-      gamesWon: user.gamesWon
-    });
-  } catch (err) {
-    console.error('Update balance error:', err.message);
-    res.status(500).json({ msg: 'Server error' });
-  }
-};
-
 // Update user profile
 exports.updateProfile = async (req, res) => {
   try {
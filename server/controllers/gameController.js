@@ -3,6 +3,14 @@ const crypto = require('crypto');
 const Game = require('../models/Game');
 const User = require('../models/User');
 const gameLogic = require('../utils/gameLogic');
+const { validateTableSettings, resolveBuyIn, getTableSettings } = require('../utils/tableSettings');
+const provablyFair = require('../utils/provablyFair');
+const handHistory = require('../utils/handHistory');
+const tournament = require('../utils/tournament');
+const topUp = require('../utils/topUp');
+const ledger = require('../utils/ledger');
+const bots = require('../utils/bots');
+const tableAccess = require('../utils/tableAccess');
 
 // Generate a random 6-character game ID
 const generateGameId = () => {
@@ -14,7 +22,16 @@ exports.createGame = async (req, res) => {
   try {
     console.log('Create game request received:', req.body);
     
-    const { creatorId, creatorName } = req.body;
+    const {
+      creatorId,
+      creatorName,
+      settings: requestedSettings,
+      buyIn,
+      gameType,
+      tournament: requestedTournament,
+      bots: requestedBots,
+      access: requestedAccess
+    } = req.body;
     
     // Validate required input
     if (!creatorId || !creatorName) {
@@ -22,6 +39,35 @@ exports.createGame = async (req, res) => {
       return res.status(400).json({ msg: 'Creator ID and name are required' });
     }
 
+    // Validate the table settings (blinds, ante, buy-in range, seats, turn time)
+    const { settings, errors } = validateTableSettings(requestedSettings);
+    if (errors.length > 0) {
+      return res.status(400).json({ msg: errors[0], errors });
+    }
+
+    // Sit-and-go tournaments have a fixed buy-in, starting stack and blind schedule
+    const isTournament = gameType === 'tournament';
+    let tournamentSettings = null;
+    if (isTournament) {
+      const result = tournament.validateTournamentSettings(requestedTournament, settings.maxSeats);
+      if (result.errors.length > 0) {
+        return res.status(400).json({ msg: result.errors[0], errors: result.errors });
+      }
+      tournamentSettings = result.settings;
+    }
+
+    // Bots fill seats at cash tables only
+    const botRequest = bots.validateBotRequest(requestedBots, { maxSeats: settings.maxSeats, isTournament });
+    if (botRequest.errors.length > 0) {
+      return res.status(400).json({ msg: botRequest.errors[0], errors: botRequest.errors });
+    }
+
+    // Private tables are hidden from the lobby and need a password or an invite
+    const access = tableAccess.validateTableAccess(requestedAccess);
+    if (access.errors.length > 0) {
+      return res.status(400).json({ msg: access.errors[0], errors: access.errors });
+    }
+
     // Ensure the creator ID matches the authenticated user
     if (creatorId !== req.user.id) {
       console.log('Create game error: Creator ID mismatch', { 
@@ -39,6 +85,17 @@ exports.createGame = async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
 
+    // The creator buys in like everyone else
+    const creatorBuyIn = isTournament
+      ? { amount: tournamentSettings.startingStack }
+      : resolveBuyIn(settings, user.balance, buyIn);
+    if (creatorBuyIn.error) {
+      return res.status(400).json({ msg: creatorBuyIn.error });
+    }
+    if (isTournament && user.balance < tournamentSettings.buyIn) {
+      return res.status(400).json({ msg: `The tournament buy-in is ${tournamentSettings.buyIn} chips` });
+    }
+
     // Generate a unique game ID
     let gameId;
     let isUnique = false;
@@ -68,12 +125,14 @@ exports.createGame = async (req, res) => {
         user: creatorId,
         username: creatorName
       },
+      visibility: access.visibility,
+      passwordHash: await tableAccess.hashPassword(access.password),
       players: [{
         user: creatorId,
         username: creatorName,
         position: 0,
         chips: 0,
-        totalChips: Math.min(user.balance, 1000),
+        totalChips: creatorBuyIn.amount,
         hand: [],
         isActive: true,
         hasFolded: false,
@@ -89,16 +148,53 @@ exports.createGame = async (req, res) => {
       smallBlindPosition: 0,
       bigBlindPosition: 1,
       currentBet: 0,
-      minBet: 1, // 1 chip = 500 rupiah
+      minBet: settings.bigBlind, // 1 chip = 500 rupiah
+      settings,
+      gameType: isTournament ? 'tournament' : 'cash',
+      tournament: isTournament
+        ? { ...tournamentSettings, payouts: tournamentSettings.payouts || [], standings: [] }
+        : undefined,
       bettingRound: 'preflop',
       handNumber: 0,
       actionHistory: [],
       handResults: []
     });
 
+    // Bots sit down with the same stack as the creator
+    for (let i = 0; i < botRequest.count; i++) {
+      newGame.players.push(bots.createBot(newGame, botRequest.level, creatorBuyIn.amount));
+    }
+
+    // Commit to the first hand's server seed before anyone can pick a client seed
+    provablyFair.commitNextSeed(newGame);
+
+    // Take the buy-in only once everything else is in place: into the prize
+    // pool for tournaments, onto the creator's seat for cash games
+    if (isTournament
+      ? !(await tournament.chargeBuyIn(creatorId, tournamentSettings.buyIn, tournament.prizePoolOf(newGame)))
+      : !(await ledger.buyIn(newGame, creatorId, creatorBuyIn.amount))) {
+      return res.status(400).json({
+        msg: isTournament ? `The tournament buy-in is ${tournamentSettings.buyIn} chips` : 'Insufficient balance for this buy-in'
+      });
+    }
+
     // Save the game
     console.log('Saving new game:', { gameId, creatorId, creatorName });
-    await newGame.save();
+    try {
+      await newGame.save();
+    } catch (saveError) {
+      if (isTournament) {
+        await tournament.refundBuyIn(creatorId, tournamentSettings.buyIn, tournament.prizePoolOf(newGame));
+      } else {
+        await ledger.cashOut(newGame, creatorId, creatorBuyIn.amount);
+      }
+      throw saveError;
+    }
+
+    // The house backs the bots' stacks
+    for (const player of newGame.players.filter(p => p.isBot)) {
+      await ledger.seatBot(newGame, player.user, player.totalChips);
+    }
 
     // Return the game ID
     console.log('Game created successfully:', gameId);
@@ -121,6 +217,10 @@ exports.getGame = async (req, res) => {
       return res.status(404).json({ msg: 'Game not found' });
     }
 
+    if (tableAccess.isPrivate(game) && !tableAccess.hasSeat(game, req.user.id)) {
+      return res.status(403).json({ msg: 'This table is private' });
+    }
+
     // Return a sanitized version of the game (without cards)
     const sanitizedGame = gameLogic.getSanitizedGameState(game);
     res.json(sanitizedGame);
@@ -134,7 +234,7 @@ exports.getGame = async (req, res) => {
 exports.joinGame = async (req, res) => {
   try {
     const gameId = req.params.id;
-    const { playerId, playerName } = req.body;
+    const { playerId, playerName, buyIn, password, invite } = req.body;
 
     // Ensure the player ID matches the authenticated user
     if (playerId !== req.user.id) {
@@ -144,7 +244,7 @@ exports.joinGame = async (req, res) => {
     // Find the game - with better projection to fetch only necessary fields
     const game = await Game.findOne(
       { gameId },
-      'gameId status players creator'
+      'gameId status players creator settings gameType tournament visibility passwordHash invites'
     );
     
     if (!game) {
@@ -161,7 +261,13 @@ exports.joinGame = async (req, res) => {
       return res.json({ success: true, alreadyJoined: true });
     }
 
-    if (game.players.length >= 8) {
+    const access = await tableAccess.checkAccess(game, playerId, { password, invite });
+    if (access.error) {
+      return res.status(403).json({ msg: access.error });
+    }
+
+    const settings = getTableSettings(game);
+    if (game.players.length >= settings.maxSeats) {
       return res.status(400).json({ msg: 'Game is full' });
     }
 
@@ -171,22 +277,47 @@ exports.joinGame = async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
 
+    const playerBuyIn = game.gameType === 'tournament'
+      ? await tournament.enterTournament(game, playerId)
+      : resolveBuyIn(settings, user.balance, buyIn);
+    if (playerBuyIn.error) {
+      return res.status(400).json({ msg: playerBuyIn.error });
+    }
+
+    // Cash game stacks are escrowed from the wallet while the player sits
+    const isCash = game.gameType !== 'tournament';
+    if (isCash && !(await ledger.buyIn(game, playerId, playerBuyIn.amount))) {
+      return res.status(400).json({ msg: 'Insufficient balance for this buy-in' });
+    }
+
     // Add player to the game
     game.players.push({
       user: playerId,
       username: playerName,
       position: game.players.length,
       chips: 0,
-      totalChips: Math.min(user.balance, 1000), // Cap at 1000 chips
+      totalChips: playerBuyIn.amount, // Within the table's buy-in range
       hand: [],
       isActive: true,
       hasFolded: false,
       hasActed: false,
       isAllIn: false
     });
+    if (access.invite) {
+      tableAccess.useInvite(access.invite, { user: playerId, username: playerName });
+    }
 
     // Save the updated game
-    await game.save();
+    try {
+      await game.save();
+    } catch (saveError) {
+      if (isCash) {
+        await ledger.cashOut(game, playerId, playerBuyIn.amount);
+      } else {
+        await tournament.refundBuyIn(playerId, game.tournament.buyIn, tournament.prizePoolOf(game));
+      }
+      throw saveError;
+    }
 
     res.json({ success: true });
   } catch (err) {
@@ -285,9 +416,9 @@ exports.startGame = async (req, res) => {
 // Get all active games
 exports.getActiveGames = async (req, res) => {
   try {
-    // Find all active games
-    const games = await Game.find({ status: { $in: ['waiting', 'active'] } })
-      .select('gameId creator players status createdAt')
+    // Find all active games, leaving out private tables
+    const games = await Game.find({ status: { $in: ['waiting', 'active'] }, visibility: { $ne: 'private' } })
+      .select('gameId creator players status createdAt settings gameType tournament handNumber')
       .sort({ createdAt: -1 });
       
     // Return a sanitized list
@@ -295,6 +426,9 @@ exports.getActiveGames = async (req, res) => {
       id: game.gameId,
       creator: game.creator.username,
       playerCount: game.players.length,
+      settings: getTableSettings(game),
+      gameType: game.gameType || 'cash',
+      tournament: tournament.getSummary(game),
       status: game.status,
       createdAt: game.createdAt
     }));
@@ -354,23 +488,35 @@ exports.endGame = async (req, res) => {
     if (game.creator.user.toString() !== req.user.id) {
       return res.status(403).json({ msg: 'Only the creator can end the game' });
     }
+
+    if (game.tournamentId) {
+      return res.status(400).json({ msg: 'Tournament tables close when the tournament ends' });
+    }
+
+    if (game.status === 'completed') {
+      return res.status(400).json({ msg: 'Game has already ended' });
+    }
     
-    // Update game status
-    game.status = 'completed';
-    
-    // Update player balances based on current chips
-    for (const player of game.players) {
-      // Skip inactive players
-      if (!player.isActive) continue;
-      
-      try {
-        await User.findByIdAndUpdate(player.user, {
-          $inc: { balance: player.totalChips }
-        });
-      } catch (error) {
-        console.error(`Error updating balance for player ${player.username}:`, error);
+    // Tournaments either give the buy-ins back or pay out on the current chip counts
+    if (game.gameType === 'tournament') {
+      if (game.status === 'waiting') {
+        for (const player of game.players) {
+          await tournament.refundBuyIn(player.user, game.tournament.buyIn, tournament.prizePoolOf(game));
+        }
+        game.status = 'completed';
+      } else if (game.status === 'active') {
+        await tournament.finishTournament(game);
       }
+
+      await game.save();
+      return res.json({ success: true });
     }
+
+    // Update game status
+    game.status = 'completed';
+
+    // Stacks still at the table go back to the players' wallets
+    await gameLogic.cashOutPlayers(game);
     
     // Save the updated game
     await game.save();
@@ -417,4 +563,292 @@ exports.getGameResults = async (req, res) => {
     console.error('Get game results error:', err.message);
     res.status(500).send('Server error');
   }
-};
\ No newline at end of file
+};
+
+// Get the blind level, prize pool and standings of a tournament
+exports.getTournament = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    if (game.gameType !== 'tournament') {
+      return res.status(404).json({ msg: 'This game is not a tournament' });
+    }
+
+    res.json({
+      gameId: game.gameId,
+      status: game.status,
+      ...tournament.getSummary(game)
+    });
+  } catch (err) {
+    console.error('Get tournament error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Rebuy or top up from the player's balance
+exports.topUp = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+    if (game.status === 'completed') {
+      return res.status(400).json({ msg: 'Game has ended' });
+    }
+
+    const result = await topUp.requestTopUp(game, req.user.id, req.body.amount);
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    try {
+      await game.save();
+    } catch (saveError) {
+      if (!result.pending) {
+        await topUp.undoTopUp(game, req.user.id, result.amount);
+      }
+      throw saveError;
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Top up error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Set the stack to top up to before every hand, 0 to turn it off
+exports.setAutoTopUp = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    const result = topUp.setAutoTopUp(game, req.user.id, req.body.amount);
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    await game.save();
+    res.json(result);
+  } catch (err) {
+    console.error('Auto top-up error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// List the invites to a private table that can still be used
+exports.getInvites = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id }).select('gameId creator visibility invites');
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    if (!tableAccess.isHost(game, req.user.id)) {
+      return res.status(403).json({ msg: 'Only the host can see invites' });
+    }
+
+    res.json(tableAccess.getPendingInvites(game));
+  } catch (err) {
+    console.error('Get invites error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Issue a new invite link to a private table
+exports.createInvite = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id }).select('gameId creator status visibility invites');
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    const result = tableAccess.createInvite(game, req.user.id);
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    await game.save();
+    res.json({
+      inviteId: result.invite.inviteId,
+      createdAt: result.invite.createdAt,
+      expiresAt: result.invite.expiresAt,
+      token: result.token
+    });
+  } catch (err) {
+    console.error('Create invite error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Revoke an invite link nobody has used yet
+exports.revokeInvite = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id }).select('gameId creator visibility invites');
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    const result = tableAccess.revokeInvite(game, req.user.id, req.params.inviteId);
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    await game.save();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke invite error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Verify the shuffle of a finished hand from its revealed seeds
+exports.verifyHand = async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const handNumber = parseInt(req.params.handNumber, 10);
+
+    if (!Number.isInteger(handNumber) || handNumber < 1) {
+      return res.status(400).json({ msg: 'Invalid hand number' });
+    }
+
+    const game = await Game.findOne({ gameId }).select('gameId handNumber revealedSeeds');
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    const record = game.revealedSeeds.find(r => r.handNumber === handNumber);
+    if (!record) {
+      return res.status(404).json({
+        msg: handNumber >= game.handNumber
+          ? 'The server seed for this hand has not been revealed yet'
+          : 'No fairness record for this hand'
+      });
+    }
+
+    res.json({
+      gameId: game.gameId,
+      ...provablyFair.verifyHand(record)
+    });
+  } catch (err) {
+    console.error('Verify hand error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Players who sat in any hand can export it, even after busting out
+const wasSeated = (game, userId) =>
+  game.players.some(p => p.user.toString() === userId) ||
+  (game.handRecords || []).some(r => r.seats.some(s => s.player && s.player.toString() === userId));
+
+// List the finished hands of a game
+exports.getHands = async (req, res) => {
+  try {
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    if (!wasSeated(game, req.user.id)) {
+      return res.status(403).json({ msg: 'You are not a player in this game' });
+    }
+
+    res.json(handHistory.listHands(game));
+  } catch (err) {
+    console.error('Get hands error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Get the event log of a finished hand for the replay viewer
+exports.getHandReplay = async (req, res) => {
+  try {
+    const handNumber = parseInt(req.params.handNumber, 10);
+
+    if (!Number.isInteger(handNumber) || handNumber < 1) {
+      return res.status(400).json({ msg: 'Invalid hand number' });
+    }
+
+    const game = await Game.findOne({ gameId: req.params.id });
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    if (!wasSeated(game, req.user.id)) {
+      return res.status(403).json({ msg: 'You are not a player in this game' });
+    }
+
+    const replay = handHistory.getReplay(game, handNumber, req.user.id);
+    if (!replay) {
+      return res.status(404).json({ msg: 'Hand not found or not finished yet' });
+    }
+
+    res.json(replay);
+  } catch (err) {
+    console.error('Get hand replay error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Get one hand in PokerStars hand-history format
+exports.getHandHistory = async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const handNumber = parseInt(req.params.handNumber, 10);
+
+    if (!Number.isInteger(handNumber) || handNumber < 1) {
+      return res.status(400).json({ msg: 'Invalid hand number' });
+    }
+
+    const game = await Game.findOne({ gameId });
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    if (!wasSeated(game, req.user.id)) {
+      return res.status(403).json({ msg: 'You are not a player in this game' });
+    }
+
+    const text = handHistory.formatHand(game, handNumber, req.user.id);
+    if (!text) {
+      return res.status(404).json({ msg: 'Hand not found or not finished yet' });
+    }
+
+    res.type('text/plain').send(`${text}\n`);
+  } catch (err) {
+    console.error('Get hand history error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Export every finished hand of a game in PokerStars hand-history format
+exports.exportHandHistory = async (req, res) => {
+  try {
+    const gameId = req.params.id;
+
+    const game = await Game.findOne({ gameId });
+    if (!game) {
+      return res.status(404).json({ msg: 'Game not found' });
+    }
+
+    if (!wasSeated(game, req.user.id)) {
+      return res.status(403).json({ msg: 'You are not a player in this game' });
+    }
+
+    const text = handHistory.formatGame(game, req.user.id);
+    if (!text) {
+      return res.status(404).json({ msg: 'No finished hands to export' });
+    }
+
+    res.attachment(`nyanguni-${game.gameId}.txt`);
+    res.type('text/plain').send(`${text}\n`);
+  } catch (err) {
+    console.error('Export hand history error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
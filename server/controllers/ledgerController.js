@@ -0,0 +1,75 @@
+// server/controllers/ledgerController.js
+const Game = require('../models/Game');
+const LedgerEntry = require('../models/LedgerEntry');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const ledger = require('../utils/ledger');
+
+// Get the chip movements in and out of the user's own wallet, newest first
+exports.getEntries = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const entries = await LedgerEntry.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(entries);
+  } catch (err) {
+    console.error('Get ledger entries error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Add chips to or take chips from a player's wallet, with a reason
+exports.createAdjustment = async (req, res) => {
+  try {
+    const { userId, note } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ msg: 'Amount must be a whole number of chips other than 0' });
+    }
+    if (!note || !note.trim()) {
+      return res.status(400).json({ msg: 'A note explaining the adjustment is required' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const entry = { type: 'adjustment', note: note.trim(), createdBy: req.user.id };
+    if (amount > 0) {
+      await ledger.creditWallet(userId, amount, { ...entry, from: ledger.accounts.house });
+    } else if (!(await ledger.debitWallet(userId, -amount, { ...entry, to: ledger.accounts.house }))) {
+      return res.status(400).json({ msg: `${user.username} only has ${user.balance} chips` });
+    }
+
+    const updated = await User.findById(userId).select('username balance');
+    res.json({ id: updated.id, username: updated.username, balance: updated.balance });
+  } catch (err) {
+    console.error('Ledger adjustment error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Check every wallet, table and prize pool against the ledger
+exports.reconcile = async (req, res) => {
+  try {
+    const [users, games, tournaments, balances] = await Promise.all([
+      User.find({}, 'balance'),
+      Game.find({}, 'gameId status gameType tournamentId tournament pot players.isActive players.totalChips'),
+      Tournament.find({}, 'tournamentId status buyIn prizePool registrations'),
+      ledger.getAccountBalances()
+    ]);
+
+    // Multi-table tournament tables hold chips that belong to the tournament's pool
+    const cashGames = games.filter(g => g.gameType !== 'tournament' && !g.tournamentId);
+    const sitAndGos = games.filter(g => g.gameType === 'tournament' && !g.tournamentId);
+
+    res.json(ledger.reconcile({ users, cashGames, sitAndGos, tournaments }, balances));
+  } catch (err) {
+    console.error('Reconcile error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
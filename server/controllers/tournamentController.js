@@ -0,0 +1,137 @@
+// server/controllers/tournamentController.js
+const Game = require('../models/Game');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const multiTable = require('../utils/multiTable');
+
+// Load a tournament with its tables for the summary
+const summarize = async (mtt) => {
+  const games = await Game.find({ gameId: { $in: mtt.tables.map(t => t.gameId) } })
+    .select('gameId players');
+  return multiTable.getSummary(mtt, games);
+};
+
+// Create a multi-table tournament; the creator is registered straight away
+exports.createTournament = async (req, res) => {
+  try {
+    const { settings, errors } = multiTable.validateMultiTableSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ msg: errors[0], errors });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const result = await multiTable.createTournament(settings, { id: req.user.id, username: user.username });
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    res.json(await summarize(result.tournament));
+  } catch (err) {
+    console.error('Create tournament error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// List tournaments that are registering or running
+exports.getTournaments = async (req, res) => {
+  try {
+    const tournaments = await Tournament.find({ status: { $in: ['registering', 'running'] } })
+      .sort({ createdAt: -1 });
+
+    res.json(tournaments.map(mtt => multiTable.getSummary(mtt)));
+  } catch (err) {
+    console.error('Get tournaments error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Get a tournament's registrations, tables, level and standings
+exports.getTournament = async (req, res) => {
+  try {
+    const mtt = await Tournament.findOne({ tournamentId: req.params.id });
+    if (!mtt) {
+      return res.status(404).json({ msg: 'Tournament not found' });
+    }
+
+    res.json(await summarize(mtt));
+  } catch (err) {
+    console.error('Get tournament error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Register for a tournament, paying the buy-in
+exports.register = async (req, res) => {
+  try {
+    const mtt = await Tournament.findOne({ tournamentId: req.params.id });
+    if (!mtt) {
+      return res.status(404).json({ msg: 'Tournament not found' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const result = await multiTable.register(mtt, { id: req.user.id, username: user.username });
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    await mtt.save();
+    res.json(await summarize(mtt));
+  } catch (err) {
+    console.error('Tournament registration error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Unregister before the start and get the buy-in back
+exports.unregister = async (req, res) => {
+  try {
+    const mtt = await Tournament.findOne({ tournamentId: req.params.id });
+    if (!mtt) {
+      return res.status(404).json({ msg: 'Tournament not found' });
+    }
+
+    const result = await multiTable.unregister(mtt, req.user.id);
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    await mtt.save();
+    res.json(await summarize(mtt));
+  } catch (err) {
+    console.error('Tournament unregistration error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
+// Call off a tournament before it starts (creator only)
+exports.cancelTournament = async (req, res) => {
+  try {
+    const mtt = await Tournament.findOne({ tournamentId: req.params.id });
+    if (!mtt) {
+      return res.status(404).json({ msg: 'Tournament not found' });
+    }
+
+    if (mtt.creator.user.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Only the creator can cancel the tournament' });
+    }
+
+    if (mtt.status !== 'registering') {
+      return res.status(400).json({ msg: 'The tournament has already started' });
+    }
+
+    await multiTable.cancelTournament(mtt);
+    await mtt.save();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Cancel tournament error:', err.message);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
@@ -20,10 +20,6 @@ if (duplicates.length > 0) {
   console.log('Duplicates found:', duplicates);
 }
 
-// Test is deck well shuffled
-const isShuffled = cardDeck.isWellShuffled(deck);
-console.log('Is deck well shuffled?', isShuffled ? 'YES' : 'NO');
-
 // Test drawing cards
 console.log('\nDrawing 10 cards:');
 const drawnCards = [];
@@ -36,7 +32,7 @@ for (let i = 0; i < 10; i++) {
 console.log(`\nDeck now has ${deck.length} cards left`);
 
 // Create a completely fresh deck
-console.log('\nCreating a fresh shuffled deck with enhanced algorithm:');
+console.log('\nCreating a fresh shuffled deck:');
 const freshDeck = cardDeck.getFreshShuffledDeck();
 const freshStats = cardDeck.getDeckStats(freshDeck);
 console.log('Fresh deck stats:', freshStats);
@@ -0,0 +1,17 @@
+// server/middleware/admin.js
+const User = require('../models/User');
+
+// Runs after the auth middleware; only admins get through
+module.exports = async function(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('isAdmin');
+    if (!user || !user.isAdmin) {
+      return res.status(403).json({ msg: 'Admin access required' });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Admin check error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
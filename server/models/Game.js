@@ -37,7 +37,11 @@ const PlayerSchema = new Schema({
   },
   chips: {
     type: Number,
-    default: 0, // Chips committed to the pot in current hand
+    default: 0, // Chips committed to the pot in the current betting round
+  },
+  handContribution: {
+    type: Number,
+    default: 0, // Chips committed across every betting round of the hand (used for side pots)
   },
   totalChips: {
     type: Number,
@@ -60,9 +64,86 @@ const PlayerSchema = new Schema({
     type: Boolean,
     default: false,
   },
+  canRaise: {
+    type: Boolean,
+    default: true, // False after a short all-in that didn't reopen the betting for this player
+  },
+  clientSeed: {
+    type: String, // Player's contribution to the provably fair shuffle
+  },
   position: {
     type: Number, // Player's position at the table
   },
+  seatStatus: {
+    type: String,
+    enum: ["sittingIn", "sittingOut", "away"], // Away: sat out by the server after a timed-out turn
+    default: "sittingIn",
+  },
+  sitOutNextHand: {
+    type: Boolean,
+    default: false,
+  },
+  sitOutNextBigBlind: {
+    type: Boolean,
+    default: false,
+  },
+  waitingForBigBlind: {
+    type: Boolean,
+    default: false, // Sat back in and will be dealt in once the big blind reaches them
+  },
+  missedBigBlind: {
+    type: Boolean,
+    default: false, // The big blind passed while sitting out, owes dead blinds to come back early
+  },
+  handsSatOut: {
+    type: Number,
+    default: 0, // Consecutive hands not dealt in, for removing long-absent players
+  },
+  pendingTopUp: {
+    type: Number,
+    default: 0, // Chips asked for during a hand, added once it is over
+  },
+  autoTopUp: {
+    type: Number,
+    default: 0, // Stack to top up to before every hand, 0 when off
+  },
+  wantsStraddle: {
+    type: Boolean,
+    default: false, // Straddles whenever the table's straddle seat comes round
+  },
+  isBot: {
+    type: Boolean,
+    default: false, // Played by the server; the user ID names no account
+  },
+  botLevel: {
+    type: String,
+    enum: ["easy", "medium", "hard"],
+  },
+});
+
+// Chips moved from a player's balance onto their stack at a cash table
+const ChipMovementSchema = new Schema({
+  player: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  username: String,
+  type: {
+    type: String,
+    enum: ["rebuy", "topUp", "autoTopUp"],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  stack: Number, // Stack after the chips were added
+  handNumber: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
 // Game history action schema
@@ -80,14 +161,23 @@ const ActionSchema = new Schema({
       "bet",
       "raise",
       "allIn",
+      "ante",
       "smallBlind",
       "bigBlind",
+      "deadBlind",
+      "straddle",
       "dealFlop",
       "dealTurn",
       "dealRiver",
+      "dealSecondBoard",
       "gameStarted",
       "gameCompleted",
       "nextHand",
+      "leftTable",
+      "bustedOut",
+      "rebuy",
+      "topUp",
+      "autoTopUp",
     ],
     required: true,
   },
@@ -95,14 +185,44 @@ const ActionSchema = new Schema({
     type: Number,
     default: 0,
   },
+  handNumber: {
+    type: Number, // Hand the action belongs to
+  },
   timestamp: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Pot result schema (main pot followed by any side pots)
+const PotResultSchema = new Schema({
+  amount: {
+    type: Number,
+    required: true,
+  },
+  eligiblePlayers: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+  winners: [
+    {
+      player: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      username: String,
+      amount: Number,
+      run: Number, // Board the chips were won on when the board was run twice
+      half: String, // "high" or "low" when a hi-lo pot was split
+    },
+  ],
+});
+
 // Hand result schema
 const HandResultSchema = new Schema({
+  handNumber: Number,
   winners: [
     {
       type: Schema.Types.ObjectId,
@@ -119,17 +239,306 @@ const HandResultSchema = new Schema({
         type: String,
         required: true,
       },
-      cards: [CardSchema],
-      handName: String,
+      cards: [CardSchema], // Best five when shown down, else the hole cards shown by choice
+      handName: String, // Set for hands shown down, not for cards shown by choice
+      lowHandName: String, // Hi-lo games, when the hand made a low
     },
   ],
+  pots: [PotResultSchema],
+  mucked: [String], // Players who gave up at showdown without showing
   communityCards: [CardSchema],
+  secondBoard: [CardSchema], // Second run-out when the board was run twice
   timestamp: {
     type: Date,
     default: Date.now,
   },
 });
 
+// One step of a hand, in the order it happened
+const HandEventSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "deal",
+        "ante",
+        "smallBlind",
+        "bigBlind",
+        "deadBlind",
+        "straddle",
+        "fold",
+        "check",
+        "call",
+        "bet",
+        "raise",
+        "allIn",
+        "board",
+        "show",
+        "muck",
+        "award",
+      ],
+      required: true,
+    },
+    street: String,
+    player: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    username: String,
+    amount: Number, // Chips put in (bets and raises: street total), or won
+    stack: Number, // Player's chips behind after the event
+    pot: Number, // Pot after the event
+    cards: [CardSchema], // Board cards dealt, or hole cards shown
+    handName: String,
+    lowHandName: String,
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Seats and cards of one hand, captured when it is dealt, and everything that
+// happened in it (used for hand histories and replays)
+const HandRecordSchema = new Schema(
+  {
+    handNumber: {
+      type: Number,
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    buttonSeat: Number,
+    smallBlindSeat: Number,
+    bigBlindSeat: Number,
+    smallBlind: Number,
+    bigBlind: Number,
+    ante: Number,
+    variant: String,
+    bettingLimit: String,
+    bombPot: Boolean,
+    seats: [
+      {
+        _id: false,
+        seat: Number, // 1-based
+        player: {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+        },
+        username: String,
+        stack: Number, // Chips before antes and blinds
+        holeCards: [CardSchema],
+      },
+    ],
+    events: [HandEventSchema],
+  },
+  { _id: false }
+);
+
+// Provably fair record for one hand. The server seed stays secret until the
+// hand is over; its hash is published before any client seeds are locked in.
+const FairnessSchema = new Schema(
+  {
+    handNumber: Number,
+    variant: String, // Decides the deck and how many hole cards each player got
+    serverSeed: String,
+    serverSeedHash: String,
+    clientSeeds: [
+      {
+        _id: false,
+        player: String,
+        seed: String,
+      },
+    ], // In deal order
+    communityCards: [CardSchema], // Board as dealt, filled in when the seed is revealed
+    revealed: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// Table settings schema (chosen by the creator, validated in utils/tableSettings.js)
+const TableSettingsSchema = new Schema(
+  {
+    smallBlind: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    bigBlind: {
+      type: Number,
+      default: 2,
+      min: 1,
+    },
+    ante: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    minBuyIn: {
+      type: Number,
+      default: 40,
+    },
+    maxBuyIn: {
+      type: Number,
+      default: 1000,
+    },
+    maxSeats: {
+      type: Number,
+      default: 8,
+      min: 2,
+      max: 10,
+    },
+    turnTimeLimit: {
+      type: Number,
+      default: 30, // Seconds a player has to act before the server acts for them
+      min: 5,
+      max: 300,
+    },
+    spectatorDelay: {
+      type: Number,
+      default: 0, // Seconds spectators lag behind the table
+      min: 0,
+      max: 300,
+    },
+    maxSitOutOrbits: {
+      type: Number,
+      default: 3, // Orbits a player can sit out before losing their seat
+      min: 1,
+      max: 20,
+    },
+    runItTwice: {
+      type: Boolean,
+      default: false, // Offer all-in players a second run-out
+    },
+    variant: {
+      type: String,
+      enum: ["holdem", "shortdeck", "plo", "plo8"],
+      default: "holdem", // Which poker game the table plays
+    },
+    forcedBets: {
+      type: String,
+      enum: ["blinds", "antes", "buttonBlind"],
+      default: "blinds", // Antes only, or antes plus a blind from the button
+    },
+    bettingLimit: {
+      type: String,
+      enum: ["noLimit", "potLimit", "fixedLimit"], // Unset plays the variant's own
+    },
+    straddle: {
+      type: String,
+      enum: ["off", "utg", "button"],
+      default: "off", // Seat that may post a voluntary straddle of two big blinds
+    },
+    bombPotAnte: {
+      type: Number,
+      default: 0, // Chips everyone puts in for a bomb pot, 0 when off
+      min: 0,
+    },
+    bombPotEvery: {
+      type: Number,
+      default: 0, // Hands between bomb pots, 0 when only the host calls them
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
+// One level of a tournament's blind schedule
+const BlindLevelSchema = new Schema(
+  {
+    smallBlind: { type: Number, required: true },
+    bigBlind: { type: Number, required: true },
+    ante: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Where a tournament player finished and what they won
+const StandingSchema = new Schema(
+  {
+    player: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: String,
+    place: Number,
+    prize: {
+      type: Number,
+      default: 0,
+    },
+    handNumber: Number, // Hand the player was knocked out on
+    eliminatedAt: Date,
+  },
+  { _id: false }
+);
+
+// Sit-and-go settings and progress (validated in utils/tournament.js)
+const TournamentSchema = new Schema(
+  {
+    buyIn: Number,
+    startingStack: Number,
+    levelBy: {
+      type: String,
+      enum: ["time", "hands"],
+      default: "time",
+    },
+    levelLength: Number, // Minutes or hands per level
+    levels: [BlindLevelSchema],
+    payouts: [Number], // Percentage of the prize pool for each paid place
+    prizePool: {
+      type: Number,
+      default: 0,
+    },
+    entrants: Number,
+    currentLevel: {
+      type: Number,
+      default: 0,
+    },
+    levelStartedAt: Date,
+    levelStartHand: Number,
+    startedAt: Date,
+    finishedAt: Date,
+    standings: [StandingSchema],
+  },
+  { _id: false }
+);
+
+// Single-use invite link to a private table (signed in utils/tableAccess.js)
+const InviteSchema = new Schema(
+  {
+    inviteId: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: Date,
+    revoked: {
+      type: Boolean,
+      default: false,
+    },
+    usedBy: {
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      username: String,
+    },
+    usedAt: Date,
+  },
+  { _id: false }
+);
+
 // Main Game schema
 const GameSchema = new Schema({
   gameId: {
@@ -152,6 +561,13 @@ const GameSchema = new Schema({
     },
   },
   players: [PlayerSchema],
+  visibility: {
+    type: String,
+    enum: ["public", "private"],
+    default: "public", // Private tables are hidden from the lobby
+  },
+  passwordHash: String, // Private tables only, never sent to clients
+  invites: [InviteSchema],
   status: {
     type: String,
     enum: ["waiting", "active", "completed"],
@@ -171,6 +587,7 @@ const GameSchema = new Schema({
   },
   deck: [CardSchema],
   communityCards: [CardSchema],
+  secondBoard: [CardSchema], // Filled in when an all-in board is run twice
   currentTurn: {
     type: Schema.Types.ObjectId,
     ref: "User",
@@ -191,9 +608,47 @@ const GameSchema = new Schema({
     type: Number,
     default: 0,
   },
+  lastRaiseSize: {
+    type: Number,
+    default: 0, // Size of the last full bet or raise in the current betting round
+  },
+  betsThisRound: {
+    type: Number,
+    default: 0, // Bet and full raises so far this round, capped in fixed limit
+  },
+  lastAggressor: {
+    type: Schema.Types.ObjectId,
+    ref: "User", // Made the last bet or raise this street, shows first at showdown
+  },
+  straddlePosition: {
+    type: Number,
+    default: -1, // Seat that straddled this hand, -1 for none
+  },
+  isBombPot: {
+    type: Boolean,
+    default: false, // This hand started on the flop after everyone anted
+  },
+  bombPotNext: {
+    type: Boolean,
+    default: false, // The host called a bomb pot for the next hand
+  },
   minBet: {
     type: Number,
-    default: 1, // 1 chip = 500 rupiah
+    default: 1, // Minimum bet, kept equal to the big blind (1 chip = 500 rupiah)
+  },
+  settings: {
+    type: TableSettingsSchema,
+    default: () => ({}),
+  },
+  gameType: {
+    type: String,
+    enum: ["cash", "tournament"],
+    default: "cash",
+  },
+  tournament: TournamentSchema, // Only set for tournaments
+  tournamentId: {
+    type: String,
+    index: true, // Multi-table tournament this table belongs to
   },
   bettingRound: {
     type: String,
@@ -205,7 +660,13 @@ const GameSchema = new Schema({
     default: 0,
   },
   actionHistory: [ActionSchema],
+  chipMovements: [ChipMovementSchema],
   handResults: [HandResultSchema],
+  handRecords: [HandRecordSchema],
+  fairness: FairnessSchema, // Current hand
+  nextServerSeed: String, // Seed for the next hand, never sent to clients
+  nextServerSeedHash: String,
+  revealedSeeds: [FairnessSchema], // Finished hands, for verification
 });
 
 // Update the updatedAt field on save
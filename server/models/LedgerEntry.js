@@ -0,0 +1,88 @@
+// server/models/LedgerEntry.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One movement of chips between two accounts. Accounts are named
+// "wallet:<userId>", "seat:<gameId>:<userId>", "pot:<gameId>",
+// "sitAndGo:<gameId>", "tournament:<tournamentId>" and "house", so every
+// entry takes chips out of one account and puts them in another.
+const LedgerEntrySchema = new Schema({
+  type: {
+    type: String,
+    enum: [
+      "signupBonus",
+      "openingBalance",
+      "adjustment",
+      "buyIn",
+      "cashOut",
+      "botBuyIn",
+      "botCashOut",
+      "bet",
+      "potWin",
+      "rake",
+      "tournamentBuyIn",
+      "tournamentRefund",
+      "tournamentPrize",
+    ],
+    required: true,
+  },
+  from: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  to: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    index: true, // Player the chips belong to
+  },
+  gameId: String,
+  tournamentId: String,
+  handNumber: Number,
+  note: String,
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User", // Admin behind an adjustment
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Entries are never changed or removed, corrections are new entries
+const immutable = function (next) {
+  next(new Error("Ledger entries cannot be changed"));
+};
+
+LedgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return immutable(next);
+  }
+  next();
+});
+
+[
+  "update",
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "findOneAndRemove",
+  "remove",
+].forEach((operation) => LedgerEntrySchema.pre(operation, immutable));
+
+module.exports = mongoose.model("LedgerEntry", LedgerEntrySchema);
@@ -0,0 +1,151 @@
+// server/models/Tournament.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One level of the blind schedule, shared by every table
+const BlindLevelSchema = new Schema(
+  {
+    smallBlind: { type: Number, required: true },
+    bigBlind: { type: Number, required: true },
+    ante: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// A registered player
+const RegistrationSchema = new Schema(
+  {
+    player: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A player on the way to another table, seated there between its hands
+const ArrivalSchema = new Schema(
+  {
+    player: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: String,
+    chips: Number,
+  },
+  { _id: false }
+);
+
+// One of the tournament's tables, a Game of its own
+const TableSchema = new Schema(
+  {
+    gameId: {
+      type: String,
+      required: true,
+    },
+    number: Number, // Table 1, 2, ... as shown to players
+    broken: {
+      type: Boolean,
+      default: false, // Broken tables have had their players moved elsewhere
+    },
+    arrivals: [ArrivalSchema],
+  },
+  { _id: false }
+);
+
+// Where a player finished and what they won
+const StandingSchema = new Schema(
+  {
+    player: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: String,
+    place: Number,
+    prize: {
+      type: Number,
+      default: 0,
+    },
+    gameId: String, // Table the player went out at
+    handNumber: Number, // Hand at that table they were knocked out on
+    eliminatedAt: Date,
+  },
+  { _id: false }
+);
+
+// Multi-table tournament: registers players, then runs them over several
+// tables that are balanced and broken as players go out
+const TournamentSchema = new Schema({
+  tournamentId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    minlength: 6,
+    maxlength: 6,
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  creator: {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+  },
+  status: {
+    type: String,
+    enum: ["registering", "running", "completed"],
+    default: "registering",
+  },
+  buyIn: Number,
+  startingStack: Number,
+  tableSize: {
+    type: Number,
+    default: 9,
+    min: 2,
+    max: 10,
+  },
+  levelLength: Number, // Minutes per level; every table follows the same clock
+  levels: [BlindLevelSchema],
+  payouts: [Number], // Percentage of the prize pool for each paid place
+  prizePool: {
+    type: Number,
+    default: 0,
+  },
+  entrants: Number,
+  currentLevel: {
+    type: Number,
+    default: 0,
+  },
+  levelStartedAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  registrations: [RegistrationSchema],
+  tables: [TableSchema],
+  standings: [StandingSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("Tournament", TournamentSchema);
@@ -18,7 +18,7 @@ const UserSchema = new mongoose.Schema({
   },
   balance: {
     type: Number,
-    default: 1000 // Initial balance (1000 chips = 500,000 rupiah)
+    default: 0 // Only ever changed alongside a ledger entry
   },
   gamesPlayed: {
     type: Number,
@@ -28,6 +28,10 @@ const UserSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
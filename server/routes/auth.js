@@ -19,11 +19,6 @@ router.post('/login', authController.loginUser);
 // @access  Private
 router.get('/user', auth, authController.getUser);
 
-// @route   PUT api/auth/balance
-// @desc    Update user balance
-// @access  Private
-router.put('/balance', auth, authController.updateBalance);
-
 // @route   PUT api/auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -4,6 +4,7 @@ const router = express.Router();
 const config = require('config');
 const path = require('path');
 const fs = require('fs');
+const { DEFAULT_TABLE_SETTINGS } = require('../utils/tableSettings');
 
 /**
  * @route   GET api/config
@@ -21,10 +22,13 @@ router.get('/', (req, res) => {
   // Game rules
   const rules = {
     minPlayers: 2,
-    maxPlayers: 8,
+    maxPlayers: 10,
     startingChips: 1000,
     chipValue: 500, // rupiah per chip
-    minBet: 1
+    minBet: DEFAULT_TABLE_SETTINGS.bigBlind,
+    minTurnTimeLimit: 5,
+    maxTurnTimeLimit: 300,
+    defaultTableSettings: DEFAULT_TABLE_SETTINGS
   };
   
   // Log the source of the request
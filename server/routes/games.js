@@ -39,6 +39,61 @@ router.post('/start/:id', auth, gameController.startGame);
 // @access  Private
 router.put('/end/:id', auth, gameController.endGame);
 
+// @route   GET api/games/:id/hands/:handNumber/verify
+// @desc    Re-derive a finished hand's deck from its revealed seeds
+// @access  Private
+router.get('/:id/hands/:handNumber/verify', auth, gameController.verifyHand);
+
+// @route   GET api/games/:id/hands
+// @desc    List the finished hands of a game
+// @access  Private
+router.get('/:id/hands', auth, gameController.getHands);
+
+// @route   GET api/games/:id/hands/:handNumber
+// @desc    Get the event log of a finished hand for replay
+// @access  Private
+router.get('/:id/hands/:handNumber', auth, gameController.getHandReplay);
+
+// @route   GET api/games/:id/hands/:handNumber/history
+// @desc    Get a finished hand in PokerStars hand-history format
+// @access  Private
+router.get('/:id/hands/:handNumber/history', auth, gameController.getHandHistory);
+
+// @route   GET api/games/:id/history
+// @desc    Download every finished hand of a game in PokerStars format
+// @access  Private
+router.get('/:id/history', auth, gameController.exportHandHistory);
+
+// @route   GET api/games/:id/tournament
+// @desc    Get tournament blinds, prize pool and standings
+// @access  Private
+router.get('/:id/tournament', auth, gameController.getTournament);
+
+// @route   POST api/games/:id/top-up
+// @desc    Rebuy or top up from the player's balance
+// @access  Private
+router.post('/:id/top-up', auth, gameController.topUp);
+
+// @route   PUT api/games/:id/auto-top-up
+// @desc    Set the stack to top up to before every hand
+// @access  Private
+router.put('/:id/auto-top-up', auth, gameController.setAutoTopUp);
+
+// @route   GET api/games/:id/invites
+// @desc    List the pending invites to a private table
+// @access  Private
+router.get('/:id/invites', auth, gameController.getInvites);
+
+// @route   POST api/games/:id/invites
+// @desc    Issue a new invite link to a private table
+// @access  Private
+router.post('/:id/invites', auth, gameController.createInvite);
+
+// @route   DELETE api/games/:id/invites/:inviteId
+// @desc    Revoke a pending invite
+// @access  Private
+router.delete('/:id/invites/:inviteId', auth, gameController.revokeInvite);
+
 // @route   GET api/games/results/:id
 // @desc    Get game results
 // @access  Private
@@ -0,0 +1,23 @@
+// server/routes/ledger.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const ledgerController = require('../controllers/ledgerController');
+
+// @route   GET api/ledger
+// @desc    Get the chip movements of the user's wallet
+// @access  Private
+router.get('/', auth, ledgerController.getEntries);
+
+// @route   POST api/ledger/adjustments
+// @desc    Credit or debit a player's wallet
+// @access  Admin
+router.post('/adjustments', auth, admin, ledgerController.createAdjustment);
+
+// @route   GET api/ledger/reconcile
+// @desc    Check balances, tables and prize pools against the ledger
+// @access  Admin
+router.get('/reconcile', auth, admin, ledgerController.reconcile);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// server/routes/tournaments.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const tournamentController = require('../controllers/tournamentController');
+
+// @route   GET api/tournaments
+// @desc    Get tournaments that are registering or running
+// @access  Private
+router.get('/', auth, tournamentController.getTournaments);
+
+// @route   POST api/tournaments
+// @desc    Create a multi-table tournament
+// @access  Private
+router.post('/', auth, tournamentController.createTournament);
+
+// @route   GET api/tournaments/:id
+// @desc    Get tournament registrations, tables, level and standings
+// @access  Private
+router.get('/:id', auth, tournamentController.getTournament);
+
+// @route   POST api/tournaments/:id/register
+// @desc    Register for a tournament
+// @access  Private
+router.post('/:id/register', auth, tournamentController.register);
+
+// @route   POST api/tournaments/:id/unregister
+// @desc    Unregister from a tournament before it starts
+// @access  Private
+router.post('/:id/unregister', auth, tournamentController.unregister);
+
+// @route   POST api/tournaments/:id/cancel
+// @desc    Cancel a tournament before it starts
+// @access  Private
+router.post('/:id/cancel', auth, tournamentController.cancelTournament);
+
+module.exports = router;
@@ -9,14 +9,19 @@ const config = require('config');
 const dotenv = require('dotenv');
 const path = require('path');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const errorHandler = require('./middleware/error');
 const connectDB = require('./utils/db');
+const User = require('./models/User');
 
 // Load environment variables
 dotenv.config();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then give balances from before the ledger an opening entry
+connectDB()
+  .then(() => require('./utils/ledger').openWallets())
+  .then(count => count > 0 && console.log(`Opened ${count} ledger wallets`))
+  .catch(err => console.error('Error opening ledger wallets:', err.message));
 
 // Create Express app
 const app = express();
@@ -75,6 +80,8 @@ app.use(express.urlencoded({ extended: false }));
 // API routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/games', require('./routes/games'));
+app.use('/api/tournaments', require('./routes/tournaments'));
+app.use('/api/ledger', require('./routes/ledger'));
 app.use('/api/config', require('./routes/config'));
 
 app.use((req, res, next) => {
@@ -131,8 +138,8 @@ io.on('connection', (socket) => {
   });
 });
 
-// Add a middleware logger for the game namespace
-io.of('/game').use((socket, next) => {
+// Add a middleware logger and JWT authentication for the game namespace
+io.of('/game').use(async (socket, next) => {
   console.log('New game namespace connection:', socket.id);
   
   // Log disconnection
@@ -140,7 +147,40 @@ io.of('/game').use((socket, next) => {
     console.log(`Game socket ${socket.id} disconnected. Reason: ${reason}`);
   });
   console.log(`Game namespace connection attempt: ${socket.id} from ${socket.handshake.address}`);
-  next();
+
+  // Same token as the REST API (middleware/auth.js), sent in the handshake
+  const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+    socket.handshake.headers['x-auth-token'];
+
+  // Errors carry a code so the client can tell auth failures from network trouble
+  const authError = (msg) => {
+    const err = new Error(msg);
+    err.data = { code: 'AUTH_FAILED' };
+    return err;
+  };
+
+  if (!token) {
+    return next(authError('No token, authorization denied'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || config.get('jwtSecret'));
+
+    const user = await User.findById(decoded.user.id).select('username');
+    if (!user) {
+      return next(authError('User not found'));
+    }
+
+    // Handlers act as this user, whatever userId a payload claims
+    socket.data.user = { id: user.id, username: user.username };
+    next();
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return next(authError('Token has expired'));
+    }
+
+    next(authError('Token is not valid'));
+  }
 });
 
 try {
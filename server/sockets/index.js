@@ -1,6 +1,17 @@
 // server/sockets/index.js
 const gameLogic = require("../utils/gameLogic");
+const { resolveBuyIn, getTableSettings } = require("../utils/tableSettings");
+const provablyFair = require("../utils/provablyFair");
+const tournament = require("../utils/tournament");
+const multiTable = require("../utils/multiTable");
+const topUp = require("../utils/topUp");
+const ledger = require("../utils/ledger");
+const equity = require("../utils/equity");
+const bots = require("../utils/bots");
+const tableAccess = require("../utils/tableAccess");
+const { formatCard } = require("../utils/handHistory");
 const Game = require("../models/Game");
+const Tournament = require("../models/Tournament");
 const User = require("../models/User");
 const mongoose = require("mongoose");
 const joiningPlayers = new Map(); // gameId-userId -> timestamp
@@ -9,6 +20,41 @@ const joiningPlayers = new Map(); // gameId-userId -> timestamp
 const userSockets = new Map();
 // Map game IDs to sets of connected sockets
 const gameRooms = new Map();
+// Map game IDs to the running action clock: { playerId, timeLimit, deadline, timer }
+const actionClocks = new Map();
+// Map game IDs to their spectators: userId -> { username, socketIds }
+const spectators = new Map();
+// Map game IDs to the seconds spectators lag behind the table
+const spectatorDelays = new Map();
+// Tables paused between hands until they have enough players
+const idleTables = new Set();
+// Map tournament IDs to the settling work queued for their tables, run one at a time
+const tournamentQueues = new Map();
+// Map tournament IDs to the timer for their next blind level
+const levelTimers = new Map();
+// Map game IDs to the open run it twice question: { players, agreed, finish, timer }
+const runItTwiceVotes = new Map();
+// Map game IDs to the bot decision waiting to be made: { playerId, timer }
+const botTurns = new Map();
+// Map game IDs to the player deciding whether to show or muck: { playerId, finish, timer }
+const showdownChoices = new Map();
+
+// Rooms alongside the game room: spectators, and seated players who haven't
+// muted the spectator chat
+const spectatorRoom = (gameId) => `${gameId}:spectators`;
+const spectatorChatRoom = (gameId) => `${gameId}:spectatorChat`;
+// Players and spectators following a multi-table tournament
+const tournamentRoom = (tournamentId) => `tournament:${tournamentId}`;
+
+// Seconds on the clock for tournament players who are sitting out
+const SITTING_OUT_TIME_LIMIT = 1;
+// Pause between streets when an all-in board is run out, so equities can be read
+const RUNOUT_STREET_DELAY = 3000;
+// Seconds all-in players have to agree to run it twice before it is run once
+const RUN_IT_TWICE_TIME_LIMIT = 10;
+// Seconds a beaten player has to show their hand before it is mucked
+const SHOW_OR_MUCK_TIME_LIMIT = 10;
+
 module.exports = (io) => {
   // Game namespace
   const gameIo = io.of("/game");
@@ -26,1411 +72,2583 @@ module.exports = (io) => {
     return str1 === str2;
   }
 
-  gameIo.on("connection", (socket) => {
-    console.log("New client connected to game namespace", socket.id);
-    console.log("Client handshake query:", socket.handshake.query);
-    console.log("Client handshake headers:", socket.handshake.headers);
-
-    // Store user socket
-    socket.on("register", ({ userId }) => {
-      if (!userId) {
-        return socket.emit("gameError", {
-          message: "userId is required for registration",
-        });
-      }
+  /**
+   * Send a table event to the seated players and, after the table's delay,
+   * to its spectators
+   * @param {string} gameId - Game ID
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   */
+  function broadcast(gameId, event, data) {
+    gameIo.to(gameId).emit(event, data);
 
-      // Store the mapping
-      userSockets.set(userId, socket.id);
-      socket.userId = userId;
-      console.log(`User ${userId} registered with socket ${socket.id}`);
-    });
+    if (!spectators.has(gameId)) {
+      return;
+    }
 
-    // Join game room
-    socket.on("joinGame", async ({ gameId, userId, username }) => {
-      try {
-        if (!gameId || !userId || !username) {
-          return socket.emit("gameError", {
-            message: "Missing required fields",
-          });
-        }
+    const delay = spectatorDelays.get(gameId) || 0;
+    if (delay > 0) {
+      setTimeout(() => gameIo.to(spectatorRoom(gameId)).emit(event, data), delay * 1000);
+    } else {
+      gameIo.to(spectatorRoom(gameId)).emit(event, data);
+    }
+  }
 
-        // Create a unique key for this join operation
-        const joinKey = `${gameId}-${userId}`;
+  /**
+   * Give back a buy-in taken for a seat that was never saved
+   * @param {Object} game - Game being joined
+   * @param {string} userId - Player
+   * @param {number} amount - Chips taken, 0 if nothing was
+   */
+  async function returnBuyIn(game, userId, amount) {
+    if (!amount) return;
 
-        // Check if this player is already in the process of joining
-        const existingJoin = joiningPlayers.get(joinKey);
-        if (existingJoin) {
-          const now = Date.now();
-          // If the existing join is less than 5 seconds old, skip this request
-          if (now - existingJoin < 5000) {
-            console.log(
-              `Ignoring duplicate join request for ${username} (${userId}) to game ${gameId} - already processing`
-            );
-            return;
-          } else {
-            // If it's an old join (>5 seconds), clear it and continue
-            joiningPlayers.delete(joinKey);
-          }
-        }
+    if (game.gameType === "tournament") {
+      await tournament.refundBuyIn(
+        userId,
+        game.tournament.buyIn,
+        tournament.prizePoolOf(game)
+      );
+    } else {
+      await ledger.cashOut(game, userId, amount);
+    }
+  }
 
-        // Set joining status to prevent duplicate processing
-        joiningPlayers.set(joinKey, Date.now());
+  /**
+   * Chat line for chips added to a stack
+   * @param {string} username - Player
+   * @param {string} type - "rebuy", "topUp" or "autoTopUp"
+   * @param {number} amount - Chips added
+   * @returns {string} Message for the table
+   */
+  function topUpMessage(username, type, amount) {
+    return type === "rebuy"
+      ? `${username} rebought for ${amount} chips`
+      : `${username} topped up ${amount} chips`;
+  }
 
-        // Join the socket room for this game
-        socket.join(gameId);
-        socket.gameId = gameId;
-        console.log(`User ${username} (${userId}) joined game ${gameId}`);
+  /**
+   * What to tell the table when a game ends: tournaments name the winner
+   * and carry the final standings
+   * @param {Object} game - Completed game
+   * @returns {Object} gameEnded payload
+   */
+  function gameEndedPayload(game) {
+    if (game.gameType !== "tournament") {
+      return { message: "Game ended - not enough active players" };
+    }
 
-        // Track connections for this game
-        if (!gameRooms.has(gameId)) {
-          gameRooms.set(gameId, new Set());
-        }
-        gameRooms.get(gameId).add(socket.id);
+    const summary = tournament.getSummary(game);
+    const winner = summary.standings.find((s) => s.place === 1);
+    return {
+      message: winner
+        ? `${winner.username} wins the tournament`
+        : "The tournament is over",
+      tournament: summary,
+    };
+  }
 
-        // Find the game with findOne to get a fresh document
-        const game = await Game.findOne({ gameId });
-        if (!game) {
-          joiningPlayers.delete(joinKey); // Clear join status
-          socket.emit("gameError", { message: "Game not found" });
-          return;
-        }
+  /**
+   * Current spectators of a game
+   * @param {string} gameId - Game ID
+   * @returns {Array} { id, username }
+   */
+  function getSpectatorList(gameId) {
+    return Array.from((spectators.get(gameId) || new Map()).entries()).map(
+      ([id, { username }]) => ({ id, username })
+    );
+  }
 
-        // Check if player is already in the game
-        const existingPlayerIndex = game.players.findIndex(
-          (player) => String(player.user) === String(userId)
-        );
+  /**
+   * Tell the table and its spectators who is watching. Not delayed, since it
+   * says nothing about the cards.
+   * @param {string} gameId - Game ID
+   */
+  function emitSpectators(gameId) {
+    gameIo
+      .to(gameId)
+      .to(spectatorRoom(gameId))
+      .emit("spectatorsUpdate", { gameId, spectators: getSpectatorList(gameId) });
+  }
 
-        let playerAdded = false;
-        let playerReactivated = false;
+  /**
+   * Remove a spectator socket from a game, dropping the spectator once their
+   * last socket is gone
+   * @param {Object} socket - Spectator socket
+   * @param {string} gameId - Game ID
+   */
+  function removeSpectator(socket, gameId) {
+    const watchers = spectators.get(gameId);
+    const watcher = watchers && watchers.get(socket.userId);
+    socket.leave(spectatorRoom(gameId));
+    if (socket.spectating === gameId) {
+      socket.spectating = null;
+    }
+    if (!watcher) {
+      return;
+    }
 
-        if (existingPlayerIndex === -1) {
-          // Player is not in the game yet, add them
-          if (game.status === "waiting") {
-            try {
-              const user = await User.findById(userId);
-              if (!user) {
-                joiningPlayers.delete(joinKey); // Clear join status
-                socket.emit("gameError", { message: "User not found" });
-                return;
-              }
+    watcher.socketIds.delete(socket.id);
+    if (watcher.socketIds.size === 0) {
+      watchers.delete(socket.userId);
+    }
+    if (watchers.size === 0) {
+      spectators.delete(gameId);
+      spectatorDelays.delete(gameId);
+    }
 
-              // IMPORTANT FIX: Make sure user ID is a proper ObjectId or string
-              const userIdToAdd = mongoose.Types.ObjectId.isValid(userId)
-                ? mongoose.Types.ObjectId(userId)
-                : userId;
+    emitSpectators(gameId);
+  }
 
-              // Add the new player with proper ID format
-              game.players.push({
-                user: userIdToAdd,
-                username,
-                position: game.players.length,
-                chips: 0,
-                totalChips: user.balance > 1000 ? 1000 : user.balance,
-                hand: [],
-                isActive: true,
-                hasFolded: false,
-                hasActed: false,
-                isAllIn: false,
-              });
+  /**
+   * Start the server-side action clock for the player to act. Re-announcing
+   * the same pending turn keeps the original deadline.
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player whose turn it is
+   * @param {number} timeLimit - Seconds allowed for the decision
+   * @returns {Object} The running clock
+   */
+  function startActionClock(gameId, playerId, timeLimit) {
+    const existing = actionClocks.get(gameId);
+    if (existing && existing.playerId === playerId) {
+      return existing;
+    }
 
-              // FIX: Use a more robust approach with findOneAndUpdate
-              // instead of save() to avoid version conflicts
-              const mongooseHelpers = require("../utils/mongoose-helpers");
+    stopActionClock(gameId);
 
-              try {
-                // Use atomic update to add player without version conflicts
-                await mongooseHelpers.atomicGameUpdate(Game, gameId, {
-                  $push: {
-                    players: {
-                      user: userIdToAdd,
-                      username,
-                      position: game.players.length - 1,
-                      chips: 0,
-                      totalChips: user.balance > 1000 ? 1000 : user.balance,
-                      hand: [],
-                      isActive: true,
-                      hasFolded: false,
-                      hasActed: false,
-                      isAllIn: false,
-                    },
-                  },
-                });
+    const clock = {
+      playerId,
+      timeLimit,
+      deadline: Date.now() + timeLimit * 1000,
+      timer: setTimeout(() => {
+        handleTurnTimeout(gameId, playerId).catch((error) => {
+          console.error(`Turn timeout error in game ${gameId}:`, error);
+        });
+      }, timeLimit * 1000),
+    };
 
-                playerAdded = true;
-                console.log(
-                  `New player ${username} added to game ${gameId} using atomic update`
-                );
-              } catch (atomicError) {
-                console.error(`Atomic update failed: ${atomicError.message}`);
+    actionClocks.set(gameId, clock);
+    return clock;
+  }
 
-                // Fallback to traditional save with retry logic if atomic update fails
-                let saved = false;
-                let attempts = 0;
-                const maxAttempts = 3;
+  /**
+   * Stop the action clock for a game, if one is running
+   * @param {string} gameId - Game ID
+   */
+  function stopActionClock(gameId) {
+    const clock = actionClocks.get(gameId);
+    if (clock) {
+      clearTimeout(clock.timer);
+      actionClocks.delete(gameId);
+    }
+  }
 
-                while (!saved && attempts < maxAttempts) {
-                  try {
-                    await game.save();
-                    saved = true;
-                    playerAdded = true;
-                    console.log(
-                      `New player ${username} added to game ${gameId} using save()`
-                    );
-                  } catch (saveError) {
-                    if (saveError.name === "VersionError") {
-                      attempts++;
-                      console.log(
-                        `Version conflict on join (attempt ${attempts}), retrying...`
-                      );
+  /**
+   * Tell the player whose turn it is, broadcast the turn and its deadline to
+   * the table and start the action clock. The clock runs even if the player
+   * has no connected socket, so an absent player can't stall the table.
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game document
+   */
+  async function notifyTurn(gameId, game) {
+    if (!game || !game.currentTurn) {
+      return;
+    }
 
-                      // Get a fresh copy
-                      const freshGame = await Game.findOne({ gameId });
-                      if (!freshGame) {
-                        throw new Error("Game no longer exists");
-                      }
+    const currentPlayer = game.players.find((p) =>
+      compareIds(p.user, game.currentTurn)
+    );
+    if (!currentPlayer) {
+      console.error(`Current turn player not found in game ${gameId}`);
+      return;
+    }
 
-                      // Check if player was added by another process
-                      const playerExists = freshGame.players.some(
-                        (p) => String(p.user) === String(userId)
-                      );
+    const playerId = currentPlayer.user.toString();
+    // Tournament players who sit out are still dealt in, so blind them off quickly
+    const blindedOff =
+      game.gameType === "tournament" &&
+      (currentPlayer.seatStatus || "sittingIn") !== "sittingIn";
+    const clock = startActionClock(
+      gameId,
+      playerId,
+      blindedOff ? SITTING_OUT_TIME_LIMIT : getTableSettings(game).turnTimeLimit
+    );
 
-                      if (playerExists) {
-                        console.log(
-                          `Player ${username} was already added by another process`
-                        );
-                        saved = true; // Consider it saved
-                        playerAdded = true;
-                      } else {
-                        // Player still needs to be added
-                        freshGame.players.push({
-                          user: userIdToAdd,
-                          username,
-                          position: freshGame.players.length,
-                          chips: 0,
-                          totalChips: user.balance > 1000 ? 1000 : user.balance,
-                          hand: [],
-                          isActive: true,
-                          hasFolded: false,
-                          hasActed: false,
-                          isAllIn: false,
-                        });
+    const socketId = userSockets.get(playerId);
+    if (currentPlayer.isBot) {
+      scheduleBotTurn(gameId, currentPlayer);
+    } else if (socketId) {
+      // Make sure we have valid options
+      let playerOptions = { actions: [] };
+      try {
+        playerOptions = gameLogic.getPlayerOptions(game, currentPlayer.user);
+      } catch (optionsError) {
+        console.error(`Error getting player options: ${optionsError.message}`);
+        playerOptions = { actions: ["fold", "check", "call"] };
+      }
 
-                        // Try to save the fresh document
-                        try {
-                          await freshGame.save();
-                          saved = true;
-                          playerAdded = true;
-                        } catch (retryError) {
-                          if (attempts >= maxAttempts - 1) {
-                            throw retryError;
-                          }
-                          // Otherwise continue to next iteration
-                        }
-                      }
+      gameIo.to(socketId).emit("yourTurn", {
+        options: playerOptions.actions,
+        callAmount: playerOptions.callAmount,
+        minRaiseTo: playerOptions.minRaiseTo,
+        maxRaiseTo: playerOptions.maxRaiseTo,
+        timeLimit: clock.timeLimit,
+        deadline: clock.deadline,
+        timestamp: Date.now(),
+      });
+    } else {
+      console.error(
+        `Could not find socket for current player ${currentPlayer.username}`
+      );
+    }
 
-                      // Short delay before retry
-                      await new Promise((resolve) =>
-                        setTimeout(resolve, 100 * attempts)
-                      );
-                    } else {
-                      // Not a version error, rethrow
-                      throw saveError;
-                    }
-                  }
-                }
-              }
-            } catch (error) {
-              console.error(`Error adding player to game: ${error.message}`);
-              joiningPlayers.delete(joinKey); // Clear join status
-              socket.emit("gameError", {
-                message: `Failed to join game: ${error.message}`,
-              });
-              return;
-            }
-          } else {
-            joiningPlayers.delete(joinKey); // Clear join status
-            socket.emit("gameError", { message: "Game already started" });
-            return;
-          }
-        }
+    // Broadcast whose turn it is and when the clock runs out
+    broadcast(gameId, "turnChanged", {
+      playerId,
+      username: currentPlayer.username,
+      timeLimit: clock.timeLimit,
+      deadline: clock.deadline,
+      timestamp: Date.now(),
+    });
+  }
 
-        // Always send updated game state to all players in the room
-        // Use findOne to get the latest state
-        const latestGame = await Game.findOne({ gameId });
-        const sanitizedGame = gameLogic.getSanitizedGameState(latestGame);
+  /**
+   * Have a bot act once it has "thought" for a moment. Re-announcing the same
+   * turn keeps the decision already scheduled.
+   * @param {string} gameId - Game ID
+   * @param {Object} bot - Bot's seat
+   */
+  function scheduleBotTurn(gameId, bot) {
+    const playerId = bot.user.toString();
+    const pending = botTurns.get(gameId);
+    if (pending && pending.playerId === playerId) {
+      return;
+    }
+    if (pending) {
+      clearTimeout(pending.timer);
+    }
 
-        console.log(`Game update for ${gameId}:`, {
-          status: sanitizedGame.status,
-          playerCount: sanitizedGame.players.length,
-          players: sanitizedGame.players.map((p) => ({
-            id: p.id,
-            username: p.username,
-          })),
+    botTurns.set(gameId, {
+      playerId,
+      timer: setTimeout(() => {
+        botTurns.delete(gameId);
+        playBotTurn(gameId, playerId).catch((error) => {
+          console.error(`Bot turn error in game ${gameId}:`, error);
         });
+      }, bots.getThinkingTime(bot.botLevel)),
+    });
+  }
 
-        // Ensure creator property is explicitly set for everyone
-        if (!sanitizedGame.creator && latestGame.creator) {
-          console.log(`Adding missing creator info to game ${gameId}`);
-          sanitizedGame.creator = {
-            user: latestGame.creator.user.toString(),
-            username: latestGame.creator.username,
-          };
-        }
+  /**
+   * Pick and play a bot's action, the same way a player's action is played
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Bot whose turn it is
+   */
+  async function playBotTurn(gameId, playerId) {
+    const game = await Game.findOne({ gameId });
+    if (
+      !game ||
+      game.status !== "active" ||
+      !game.currentTurn ||
+      !compareIds(game.currentTurn, playerId)
+    ) {
+      return;
+    }
 
-        // Important - make sure this is visible to all clients including the host
-        sanitizedGame.allPlayers = latestGame.players.map((p) => ({
-          id: p.user.toString(),
-          username: p.username,
-          isActive: p.isActive,
-          totalChips: p.totalChips || 0,
-          hasCards: p.hand && p.hand.length > 0,
-          position: p.position || 0,
-        }));
+    const bot = game.players.find((p) => compareIds(p.user, playerId));
+    const { action, amount } = bots.chooseAction(
+      game,
+      bot,
+      gameLogic.getPlayerOptions(game, playerId),
+      { variant: gameLogic.getVariant(game) }
+    );
 
-        // Emit game update to everyone
-        gameIo.to(gameId).emit("gameUpdate", sanitizedGame);
+    await handlePlayerAction(null, { gameId, userId: playerId, action, amount });
+  }
 
-        // Send creator info to the new player
-        socket.emit("creatorInfo", {
-          creator: latestGame.creator,
-          currentUserId: userId,
-          isCreator:
-            latestGame.creator && latestGame.creator.user.toString() === userId,
-        });
+  /**
+   * Act for a player whose clock ran out: check when legal, otherwise fold
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player whose clock expired
+   */
+  async function handleTurnTimeout(gameId, playerId) {
+    const clock = actionClocks.get(gameId);
+    if (!clock || clock.playerId !== playerId) {
+      return;
+    }
+    actionClocks.delete(gameId);
+
+    const game = await Game.findOne({ gameId });
+    if (
+      !game ||
+      game.status !== "active" ||
+      !game.currentTurn ||
+      !compareIds(game.currentTurn, playerId)
+    ) {
+      return;
+    }
 
-        // Only send join notifications for newly added players
-        if (playerAdded) {
-          // Emit a specific event when a new player joins
-          gameIo.to(gameId).emit("playerJoined", {
-            userId,
-            username,
-            position: latestGame.players.length - 1,
-          });
+    const player = game.players.find((p) => compareIds(p.user, playerId));
+    const { actions } = gameLogic.getPlayerOptions(game, playerId);
+    const action = actions.includes("check") ? "check" : "fold";
 
-          // Send a chat message about the new player joining
-          gameIo.to(gameId).emit("chatMessage", {
-            type: "system",
-            message: `${username} has joined the game`,
-            timestamp: new Date(),
-          });
-        } else if (playerReactivated) {
-          // Send a chat message about the player rejoining
-          gameIo.to(gameId).emit("chatMessage", {
-            type: "system",
-            message: `${username} has rejoined the game`,
-            timestamp: new Date(),
-          });
-        }
+    console.log(
+      `Action clock expired for ${player ? player.username : playerId} in game ${gameId}, auto-${action}`
+    );
 
-        // Clear the joining status now that we're done
-        joiningPlayers.delete(joinKey);
-      } catch (error) {
-        // Clear joining status on error
-        if (gameId && userId) {
-          joiningPlayers.delete(`${gameId}-${userId}`);
-        }
+    broadcast(gameId, "turnTimedOut", {
+      playerId,
+      username: player ? player.username : "Unknown",
+      action,
+      timestamp: Date.now(),
+    });
 
-        console.error("Join game socket error:", error);
-        socket.emit("gameError", {
-          message: "Server error",
-          details: error.message,
-        });
+    // The player is marked away and sits out from the next hand
+    await Game.findOneAndUpdate(
+      { gameId, "players.user": playerId },
+      { $set: { "players.$.seatStatus": "away" } }
+    );
+
+    await handlePlayerAction(null, { gameId, userId: playerId, action });
+  }
+
+  /**
+   * Deal a new hand and start its betting: validate the cards, send everyone
+   * their hole cards and notify the first player to act
+   * @param {string} gameId - Game ID
+   */
+  async function startHand(gameId) {
+    const mongooseHelpers = require("../utils/mongoose-helpers");
+
+    const newHand = await mongooseHelpers.withFreshGame(
+      gameId,
+      async (freshGame) => {
+        return await gameLogic.startNewHand(freshGame);
       }
-    });
+    );
 
-    // Chat messages
-    socket.on("sendMessage", ({ gameId, userId, username, message }) => {
-      if (!gameId || !userId || !username || !message) {
-        return socket.emit("gameError", {
-          message: "Missing required fields for chat message",
+    // VALIDATION: Check for duplicate cards
+    try {
+      gameLogic.validateGameCards(newHand);
+      console.log("Card validation passed for new hand");
+    } catch (validationError) {
+      console.error(
+        `Card validation failed: ${validationError.message}`
+      );
+
+      // Try to fix the issue
+      const debugging = require("../utils/debugging");
+      try {
+        await mongooseHelpers.withFreshGame(
+          gameId,
+          async (freshGame) => {
+            await debugging.fixDuplicateCards(freshGame);
+            return freshGame;
+          }
+        );
+
+        console.log("Fixed duplicate cards issue");
+      } catch (fixError) {
+        console.error(
+          `Failed to fix duplicate cards: ${fixError.message}`
+        );
+        broadcast(gameId, "gameError", {
+          message:
+            "Error in card distribution. Game will restart.",
+          details: validationError.message,
         });
+        return;
       }
+    }
 
-      const chatMessage = {
-        type: "user",
-        userId,
-        username,
-        message,
-        timestamp: new Date(),
-      };
+    // Get a fresh copy after all the updates
+    const refreshedNewHand = await Game.findOne({ gameId });
 
-      gameIo.to(gameId).emit("chatMessage", chatMessage);
-    });
+    // Emit new game state
+    broadcast(
+      gameId,
+      "newHand",
+      gameLogic.getSanitizedGameState(refreshedNewHand)
+    );
 
-    // Request for game state update - useful for reconnection
-    socket.on("requestGameUpdate", async ({ gameId, userId }) => {
-      try {
-        if (!gameId) {
-          return socket.emit("gameError", { message: "Game ID is required" });
-        }
+    // Tell the table when the tournament blinds have gone up (multi-table
+    // tournaments announce their levels to every table at once)
+    const level = tournament.getCurrentLevel(refreshedNewHand);
+    if (
+      level &&
+      !refreshedNewHand.tournamentId &&
+      refreshedNewHand.tournament.currentLevel > 0 &&
+      refreshedNewHand.tournament.levelStartHand ===
+        refreshedNewHand.handNumber
+    ) {
+      broadcast(gameId, "chatMessage", {
+        type: "system",
+        message: `Blinds are now ${level.smallBlind}/${level.bigBlind}${
+          level.ante ? ` with a ${level.ante} ante` : ""
+        }`,
+        timestamp: new Date(),
+      });
+    }
 
+    // Log card distribution for verification
+    console.log("Card distribution for new hand:");
+    refreshedNewHand.players.forEach((player) => {
+      if (player.hand && player.hand.length) {
         console.log(
-          `Game update requested for ${gameId} by ${userId || "unknown user"}`
+          `Player ${player.username} cards: ${player.hand
+            .map((c) => `${c.rank}${c.suit[0]}`)
+            .join(", ")}`
         );
+      }
+    });
 
-        const game = await Game.findOne({ gameId });
-        if (!game) {
-          return socket.emit("gameError", { message: "Game not found" });
-        }
+    // Emit private cards to each player
+    refreshedNewHand.players.forEach((player) => {
+      const socketId = userSockets.get(player.user.toString());
+      if (socketId) {
+        // Ensure we're sending a properly formatted hand object
+        // IMPORTANT: Force a clean hand array to avoid reference issues
+        const cleanHand = player.hand.map((card) => ({
+          suit: card.suit,
+          rank: card.rank,
+          value: card.value,
+          code: card.code,
+        }));
 
-        // Send game state to ALL clients in the room to ensure everyone is in sync
-        const sanitizedGame = gameLogic.getSanitizedGameState(game);
+        console.log(
+          `EXPLICITLY sending new cards to ${player.username}:`,
+          cleanHand
+            .map((c) => `${c.rank} of ${c.suit}`)
+            .join(", ")
+        );
 
-        // Log which players are being sent
-        console.log(`Game update for ${gameId}:`, {
-          status: sanitizedGame.status,
-          playerCount: sanitizedGame.players.length,
-          players: sanitizedGame.players.map((p) => ({
-            id: p.id,
-            username: p.username,
-          })),
+        // Send with a distinct event name to ensure client processing
+        gameIo.to(socketId).emit("dealCards", {
+          hand: cleanHand,
+          newHand: true, // Add a flag to indicate this is from a new hand
+          timestamp: Date.now(), // Add timestamp to prevent caching
         });
 
-        // IMPORTANT: Always include all players in the update
-        if (!sanitizedGame.allPlayers) {
-          sanitizedGame.allPlayers = sanitizedGame.players.map((p) => ({
-            id: p.id,
-            username: p.username,
-            isActive: p.isActive,
-            position: p.position || 0,
-            hasCards: p.hasCards || false,
-          }));
-        }
-
-        // Always add this for debugging
-        sanitizedGame.updateTime = Date.now();
-
-        // Send to entire room
-        gameIo.to(gameId).emit("gameUpdate", sanitizedGame);
-
-        // If userId is provided, send their personal cards too
-        if (userId) {
-          const player = game.players.find((p) => p.user.toString() === userId);
-          if (player && player.hand && player.hand.length > 0) {
-            // Log for debugging
-            console.log(
-              `Sending cards to ${player.username}:`,
-              player.hand.map((c) => `${c.rank} of ${c.suit}`).join(", ")
-            );
+        // Also send a direct message to ensure the client updates
+        gameIo.to(socketId).emit("forceCardUpdate", {
+          hand: cleanHand,
+          message:
+            "Your cards have been updated for the new hand",
+        });
+      }
+    });
 
-            // Create a clean copy of the cards to avoid reference issues
-            const cleanHand = player.hand.map((card) => ({
-              suit: card.suit,
-              rank: card.rank,
-              value: card.value,
-              code: card.code,
-              _timestamp: Date.now(), // Add timestamp to force client refresh
-            }));
+    // Start the betting round
+    const bettingGame = await mongooseHelpers.withFreshGame(
+      gameId,
+      async (freshGame) => {
+        return await gameLogic.startBettingRound(freshGame);
+      }
+    );
 
-            socket.emit("dealCards", {
-              hand: cleanHand,
-              timestamp: Date.now(),
-            });
-          }
+    // Get a fresh copy after updating
+    const refreshedBettingGame = await Game.findOne({ gameId });
 
-          // If it's this player's turn, make sure they know
-          if (game.currentTurn && game.currentTurn.toString() === userId) {
-            // Get the current player
-            const currentPlayer = game.players.find(
-              (p) => p.user.toString() === userId
-            );
+    // Notify the current player it's their turn and start the action clock
+    await notifyTurn(gameId, refreshedBettingGame);
 
-            if (currentPlayer) {
-              // Tell this player it's their turn
-              socket.emit("yourTurn", {
-                options: gameLogic.getPlayerOptions(game, userId),
-                timeLimit: 30, // 30 seconds to make a decision
-                timestamp: Date.now(), // Add timestamp for uniqueness
-              });
+    // Update game state
+    broadcast(
+      gameId,
+      "gameUpdate",
+      gameLogic.getSanitizedGameState(refreshedBettingGame)
+    );
 
-              // Also broadcast to everyone whose turn it is
-              gameIo.to(gameId).emit("turnChanged", {
-                playerId: userId,
-                username: currentPlayer.username,
-                timestamp: Date.now(),
-              });
+    // The forced bets put all but one player all-in: nobody bets, the board runs out
+    if (gameLogic.isAllInRunout(refreshedBettingGame)) {
+      await runOutBoard(gameId);
+    }
+  }
 
-              console.log(
-                `Notified ${currentPlayer.username} that it's their turn`
-              );
-            }
-          }
+  /**
+   * Move on to the next hand once the last one has been shown: end the game
+   * when fewer than two players have chips, wait while fewer than two are
+   * sitting in, otherwise deal
+   * @param {string} gameId - Game ID
+   */
+  async function dealNextHand(gameId) {
+    const mongooseHelpers = require("../utils/mongoose-helpers");
+
+    try {
+      // Use the safe operation wrapper for handling next hand preparation
+      let nextHandGame = await mongooseHelpers.withFreshGame(
+        gameId,
+        async (freshGame) => {
+          // Use our utility from gameLogic but with the fresh game object
+          return await gameLogic.prepareNextHand(freshGame);
         }
-      } catch (error) {
-        console.error("Request game update error:", error);
-        socket.emit("gameError", { message: "Error fetching game update" });
-      }
-    });
-
-    // Start game
-    socket.on("startGame", async ({ gameId, userId }) => {
-      console.log(
-        `Received startGame event for game ${gameId} from user ${userId}`
       );
 
-      try {
-        // Find the game with lean() for better performance
-        const game = await Game.findOne({ gameId });
-        if (!game) {
-          console.log(`Game not found: ${gameId}`);
-          return socket.emit("gameError", { message: "Game not found" });
-        }
+      // Announce players who lost their seat for sitting out too long
+      nextHandGame.actionHistory
+        .filter(
+          (a) =>
+            a.action === "leftTable" &&
+            a.handNumber === nextHandGame.handNumber
+        )
+        .forEach((a) => {
+          broadcast(gameId, "chatMessage", {
+            type: "system",
+            message: `${a.player} sat out too long and left the table`,
+            timestamp: new Date(),
+          });
+        });
 
-        // Check if player is the creator
-        const creatorId = game.creator.user.toString();
-        const requestUserId = userId.toString();
+      // Announce bots that ran out of chips
+      nextHandGame.actionHistory
+        .filter(
+          (a) =>
+            a.action === "bustedOut" &&
+            a.handNumber === nextHandGame.handNumber
+        )
+        .forEach((a) => {
+          broadcast(gameId, "chatMessage", {
+            type: "system",
+            message: `${a.player} is out of chips and left the table`,
+            timestamp: new Date(),
+          });
+        });
 
-        if (creatorId !== requestUserId) {
-          console.log(
-            `User ${userId} is not the creator (${creatorId}) of game ${gameId}`
-          );
-          return socket.emit("gameError", {
-            message: "Only the creator can start the game",
+      // Announce chips added between hands
+      nextHandGame.actionHistory
+        .filter(
+          (a) =>
+            ["rebuy", "topUp", "autoTopUp"].includes(a.action) &&
+            a.handNumber === nextHandGame.handNumber
+        )
+        .forEach((a) => {
+          broadcast(gameId, "chatMessage", {
+            type: "system",
+            message: topUpMessage(a.player, a.action, a.amount),
+            timestamp: new Date(),
           });
-        }
+        });
 
-        // Check if enough players
-        if (game.players.length < 2) {
-          console.log(
-            `Not enough players in game ${gameId}: ${game.players.length}`
-          );
-          return socket.emit("gameError", {
-            message: "Need at least 2 players to start",
+      // Announce tournament players who busted out last hand
+      if (nextHandGame.gameType === "tournament") {
+        nextHandGame.tournament.standings
+          .filter(
+            (s) =>
+              s.handNumber === nextHandGame.handNumber &&
+              s.eliminatedAt
+          )
+          .forEach((s) => {
+            broadcast(gameId, "chatMessage", {
+              type: "system",
+              message: `${s.username} finished in place ${s.place}`,
+              timestamp: new Date(),
+            });
           });
+      }
+
+      // Multi-table tournament tables place their busted players and take
+      // part in balancing before the next hand
+      if (nextHandGame.tournamentId) {
+        idleTables.delete(gameId);
+        await settleTournamentTable(nextHandGame.tournamentId, gameId);
+        nextHandGame = await Game.findOne({ gameId });
+      }
+
+      if (nextHandGame.status === "completed") {
+        // Game has ended (the tournament has told its tables already)
+        if (!nextHandGame.tournamentId) {
+          broadcast(gameId, "gameEnded", gameEndedPayload(nextHandGame));
         }
+        return;
+      }
 
-        // Check if game already started
-        if (game.status !== "waiting") {
-          console.log(
-            `Game ${gameId} already started (status: ${game.status})`
-          );
-          return socket.emit("gameError", {
-            message: "Game has already been started",
-          });
+      if (!gameLogic.canStartHand(nextHandGame)) {
+        if (nextHandGame.tournamentId) {
+          idleTables.add(gameId);
         }
 
-        console.log(
-          `Starting game ${gameId} with ${game.players.length} players`
+        // Wait for players to sit back in; sitIn deals when there are enough
+        broadcast(gameId, "chatMessage", {
+          type: "system",
+          message: "Waiting for players to sit in",
+          timestamp: new Date(),
+        });
+        broadcast(
+          gameId,
+          "gameUpdate",
+          gameLogic.getSanitizedGameState(nextHandGame)
         );
+        return;
+      }
 
-        // IMPORTANT FIX: Create a completely fresh deck with enhanced shuffling
-        game.deck = require("../utils/cardDeck").getFreshShuffledDeck();
-        console.log(
-          `Game ${gameId} initialized with a fresh deck of ${game.deck.length} cards`
+      await startHand(gameId);
+    } catch (error) {
+      console.error(
+        `Error handling next hand for game ${gameId}:`,
+        error
+      );
+
+      // Notify clients about the error but don't crash the game
+      broadcast(gameId, "gameError", {
+        message: "Error preparing next hand, please refresh the page",
+        details: error.message,
+      });
+
+      // Try to recover by sending a game update
+      try {
+        const currentGame = await Game.findOne({
+          gameId: gameId,
+        });
+        if (currentGame) {
+          broadcast(
+            gameId,
+            "gameUpdate",
+            gameLogic.getSanitizedGameState(currentGame)
+          );
+        }
+      } catch (updateError) {
+        console.error(
+          "Error sending recovery game update:",
+          updateError
+        );
+      }
+    }
+  }
+
+  /**
+   * Run work for a multi-table tournament after the work already queued for
+   * it, so two tables never rebalance the tournament at the same time
+   * @param {string} tournamentId - Tournament ID
+   * @param {Function} task - Async work
+   * @returns {Promise} Result of the task
+   */
+  function queueTournament(tournamentId, task) {
+    const previous = tournamentQueues.get(tournamentId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    tournamentQueues.set(tournamentId, run);
+    return run;
+  }
+
+  /**
+   * Tell a player which table to go to
+   * @param {string} playerId - Player
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} gameId - Their table
+   */
+  function sendToTable(playerId, tournamentId, gameId) {
+    const socketId = userSockets.get(playerId);
+    if (socketId) {
+      gameIo.to(socketId).emit("tableChanged", { tournamentId, gameId });
+    }
+  }
+
+  /**
+   * Settle a multi-table tournament table between hands: announce who went
+   * out and who moved, start tables that were waiting for players, and close
+   * out the tournament when one player is left
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} gameId - Table that just finished a hand
+   */
+  async function settleTournamentTable(tournamentId, gameId) {
+    const result = await queueTournament(tournamentId, () =>
+      multiTable.settleTable(tournamentId, gameId, [...idleTables])
+    );
+    if (!result) {
+      return;
+    }
+
+    const tableNumber = (id) =>
+      (result.summary.tables.find((t) => t.gameId === id) || {}).number;
+
+    result.eliminated.forEach((standing) => {
+      broadcast(standing.gameId, "chatMessage", {
+        type: "system",
+        message: `${standing.username} finished in place ${standing.place}`,
+        timestamp: new Date(),
+      });
+    });
+
+    result.moves.forEach((move) => {
+      broadcast(move.from, "chatMessage", {
+        type: "system",
+        message: `${move.username} moves to table ${tableNumber(move.to)}`,
+        timestamp: new Date(),
+      });
+      sendToTable(move.playerId, tournamentId, move.to);
+    });
+
+    result.broken.forEach((id) => {
+      idleTables.delete(id);
+      broadcast(id, "chatMessage", {
+        type: "system",
+        message: "This table has been broken",
+        timestamp: new Date(),
+      });
+    });
+
+    if (result.finalTable) {
+      broadcast(result.finalTable, "chatMessage", {
+        type: "system",
+        message: "This is the final table",
+        timestamp: new Date(),
+      });
+    }
+
+    if (result.finished) {
+      clearTimeout(levelTimers.get(tournamentId));
+      levelTimers.delete(tournamentId);
+
+      const winner = result.standings.find((s) => s.place === 1);
+      result.summary.tables.forEach((table) => {
+        broadcast(table.gameId, "gameEnded", {
+          message: winner
+            ? `${winner.username} wins the tournament`
+            : "The tournament is over",
+          tournamentId,
+        });
+      });
+    } else if (!levelTimers.has(tournamentId)) {
+      // The server restarted since the last level change
+      scheduleLevelChange(tournamentId, result.summary.levelEndsAt);
+    }
+
+    gameIo.to(tournamentRoom(tournamentId)).emit("tournamentUpdate", result.summary);
+
+    // Tables that were waiting for players deal once they have enough
+    for (const table of result.summary.tables) {
+      if (table.gameId === gameId || !idleTables.has(table.gameId)) continue;
+
+      const game = await Game.findOne({ gameId: table.gameId });
+      if (game && game.status === "active" && gameLogic.canStartHand(game)) {
+        idleTables.delete(table.gameId);
+        await startHand(table.gameId);
+      }
+    }
+  }
+
+  /**
+   * Start the timer for a multi-table tournament's next blind level
+   * @param {string} tournamentId - Tournament ID
+   * @param {Date|null} levelEndsAt - When the current level ends, null on the last level
+   */
+  function scheduleLevelChange(tournamentId, levelEndsAt) {
+    clearTimeout(levelTimers.get(tournamentId));
+    levelTimers.delete(tournamentId);
+    if (!levelEndsAt) {
+      return;
+    }
+
+    const delay = Math.max(0, new Date(levelEndsAt).getTime() - Date.now());
+    levelTimers.set(
+      tournamentId,
+      setTimeout(() => changeTournamentLevel(tournamentId), delay)
+    );
+  }
+
+  /**
+   * Move a multi-table tournament on to its next level and announce it at
+   * every table at once. Each table deals its next hand at the new blinds.
+   * @param {string} tournamentId - Tournament ID
+   */
+  async function changeTournamentLevel(tournamentId) {
+    levelTimers.delete(tournamentId);
+
+    try {
+      const summary = await queueTournament(tournamentId, async () => {
+        const mtt = await Tournament.findOne({ tournamentId });
+        if (!mtt || mtt.status !== "running") {
+          return null;
+        }
+
+        if (multiTable.updateLevel(mtt)) {
+          await mtt.save();
+        }
+        return multiTable.getSummary(mtt);
+      });
+      if (!summary) {
+        return;
+      }
+
+      const { smallBlind, bigBlind, ante } = summary.blinds;
+      summary.tables.forEach((table) => {
+        broadcast(table.gameId, "chatMessage", {
+          type: "system",
+          message: `Level ${summary.level}: blinds ${smallBlind}/${bigBlind}${
+            ante ? ` with a ${ante} ante` : ""
+          } from the next hand`,
+          timestamp: new Date(),
+        });
+      });
+      gameIo.to(tournamentRoom(tournamentId)).emit("tournamentLevel", {
+        tournamentId,
+        level: summary.level,
+        blinds: summary.blinds,
+        nextBlinds: summary.nextBlinds,
+        levelEndsAt: summary.levelEndsAt,
+      });
+
+      scheduleLevelChange(tournamentId, summary.levelEndsAt);
+    } catch (error) {
+      console.error(`Error changing level of tournament ${tournamentId}:`, error);
+    }
+  }
+
+  /**
+   * Report an action error to the acting socket. Server-driven actions
+   * have no socket, so the error is only logged.
+   * @param {Object|null} socket - Acting socket
+   * @param {Object} payload - { message, details }
+   */
+  function emitActionError(socket, payload) {
+    if (socket) {
+      socket.emit("gameError", payload);
+    } else {
+      console.error(`Server action failed: ${payload.message}`, payload.details || "");
+    }
+  }
+
+  /**
+   * Show everyone the all-in hands and their equity on the current board
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game in an all-in run-out
+   */
+  function broadcastEquity(gameId, game) {
+    try {
+      broadcast(gameId, "allInEquity", gameLogic.getAllInEquity(game));
+    } catch (error) {
+      console.error(`Error calculating equity for ${gameId}:`, error.message);
+    }
+  }
+
+  /**
+   * Ask everyone left in the hand whether to run the board twice. It is only
+   * run twice if they all agree before the time runs out.
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game in an all-in run-out
+   * @returns {Promise<boolean>} True if everyone agreed
+   */
+  function askRunItTwice(gameId, game) {
+    const players = game.players
+      .filter((p) => p.isActive && !p.hasFolded && p.hand && p.hand.length > 0)
+      .map((p) => p.user.toString());
+
+    return new Promise((resolve) => {
+      const vote = {
+        players: new Set(players),
+        agreed: new Set(),
+        finish: (agreed) => {
+          clearTimeout(vote.timer);
+          runItTwiceVotes.delete(gameId);
+          broadcast(gameId, "runItTwiceDecided", { agreed });
+          broadcast(gameId, "chatMessage", {
+            type: "system",
+            message: agreed ? "Running it twice" : "Running it once",
+            timestamp: new Date(),
+          });
+          resolve(agreed);
+        },
+      };
+      vote.timer = setTimeout(
+        () => vote.finish(false),
+        RUN_IT_TWICE_TIME_LIMIT * 1000
+      );
+      runItTwiceVotes.set(gameId, vote);
+
+      // Bots always agree
+      game.players
+        .filter((p) => p.isBot && vote.players.has(p.user.toString()))
+        .forEach((p) => vote.agreed.add(p.user.toString()));
+      if (vote.agreed.size === vote.players.size) {
+        vote.finish(true);
+        return;
+      }
+
+      players.forEach((playerId) => {
+        const socketId = userSockets.get(playerId);
+        if (socketId) {
+          gameIo.to(socketId).emit("runItTwicePrompt", {
+            gameId,
+            handNumber: game.handNumber,
+            timeLimit: RUN_IT_TWICE_TIME_LIMIT,
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Nobody can bet any more: turn the hands up, deal the rest of the board a
+   * street at a time with the equities after each, then go to showdown. Tables
+   * that offer it run the board twice if the players all agree.
+   * @param {string} gameId - Game ID
+   */
+  async function runOutBoard(gameId) {
+    const mongooseHelpers = require("../utils/mongoose-helpers");
+    const streets = { 0: "dealFlop", 3: "dealTurn", 4: "dealRiver" };
+
+    let game = await Game.findOne({ gameId });
+    broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(game));
+    broadcastEquity(gameId, game);
+
+    const shared = game.communityCards.length;
+    const twice =
+      getTableSettings(game).runItTwice &&
+      gameLogic.canRunItTwice(game) &&
+      (await askRunItTwice(gameId, game));
+
+    while (game.communityCards.length < 5) {
+      await new Promise((resolve) => setTimeout(resolve, RUNOUT_STREET_DELAY));
+
+      const deal = streets[game.communityCards.length];
+      await mongooseHelpers.withFreshGame(gameId, (freshGame) =>
+        gameLogic[deal](freshGame)
+      );
+      game = await Game.findOne({ gameId });
+
+      broadcast(gameId, deal, { communityCards: game.communityCards });
+      broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(game));
+      if (game.communityCards.length < 5) {
+        broadcastEquity(gameId, game);
+      }
+    }
+
+    if (twice) {
+      await new Promise((resolve) => setTimeout(resolve, RUNOUT_STREET_DELAY));
+      await mongooseHelpers.withFreshGame(gameId, (freshGame) =>
+        gameLogic.dealSecondBoard(freshGame, shared)
+      );
+      game = await Game.findOne({ gameId });
+
+      broadcast(gameId, "dealSecondBoard", { secondBoard: game.secondBoard });
+      broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(game));
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, RUNOUT_STREET_DELAY));
+
+    // The hands have been face up since the betting ended
+    await runShowdown(gameId, { showAll: true });
+  }
+
+  /**
+   * Ask a beaten player whether to show their hand or muck it
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game at showdown
+   * @param {string} playerId - Player deciding
+   * @param {Array} shownIds - Players who have shown so far
+   * @returns {Promise<boolean>} True to show
+   */
+  function askShowOrMuck(gameId, game, playerId, shownIds) {
+    const player = game.players.find((p) => p.user.toString() === playerId);
+    const socketId = userSockets.get(playerId);
+
+    // Bots, and players who aren't here to choose, muck
+    if (player.isBot || !socketId) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const choice = {
+        playerId,
+        finish: (show) => {
+          clearTimeout(choice.timer);
+          showdownChoices.delete(gameId);
+          resolve(show);
+        },
+      };
+      choice.timer = setTimeout(
+        () => choice.finish(false),
+        SHOW_OR_MUCK_TIME_LIMIT * 1000
+      );
+      showdownChoices.set(gameId, choice);
+
+      gameIo.to(socketId).emit("showOrMuckPrompt", {
+        gameId,
+        handNumber: game.handNumber,
+        timeLimit: SHOW_OR_MUCK_TIME_LIMIT,
+        shown: game.players
+          .filter((p) => shownIds.includes(p.user.toString()))
+          .map((p) => ({ username: p.username, cards: p.hand })),
+      });
+    });
+  }
+
+  /**
+   * Show the hands down in turn, starting with the last aggressor. A hand
+   * that could still win or tie something is shown; a beaten one may be
+   * mucked. Then award the pots and move on to the next hand.
+   * @param {string} gameId - Game ID
+   * @param {Object} [options] - { showAll } when every hand is already face up
+   */
+  async function runShowdown(gameId, { showAll = false } = {}) {
+    const mongooseHelpers = require("../utils/mongoose-helpers");
+    const game = await Game.findOne({ gameId });
+
+    const shownIds = [];
+    for (const player of gameLogic.getShowdownOrder(game)) {
+      const playerId = player.user.toString();
+      const show =
+        showAll ||
+        !gameLogic.canMuck(game, playerId, shownIds) ||
+        (await askShowOrMuck(gameId, game, playerId, shownIds));
+
+      if (show) {
+        shownIds.push(playerId);
+      }
+      if (!showAll) {
+        broadcast(gameId, "chatMessage", {
+          type: "system",
+          message: show
+            ? `${player.username} shows ${player.hand.map(formatCard).join(" ")}`
+            : `${player.username} mucks`,
+          timestamp: new Date(),
+        });
+      }
+    }
+
+    const showdownResult = await mongooseHelpers.withFreshGame(
+      gameId,
+      (freshGame) => gameLogic.processShowdown(freshGame, shownIds)
+    );
+
+    // Include community cards in the result (pot and pots come from the showdown itself)
+    const refreshedGame = await Game.findOne({ gameId });
+    showdownResult.communityCards = refreshedGame.communityCards;
+    broadcast(gameId, "handResult", showdownResult);
+    broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(refreshedGame));
+
+    // Prepare for next hand after a delay
+    setTimeout(() => dealNextHand(gameId), 15000); // 15 second delay before next hand
+  }
+
+  /**
+   * Process a player action and drive the hand forward (next turn, next street,
+   * showdown or next hand). Used for socket actions and for timed-out turns.
+   * @param {Object|null} socket - Acting socket, or null for server actions
+   * @param {Object} payload - { gameId, userId, action, amount }
+   */
+  async function handlePlayerAction(
+    socket,
+    { gameId, userId, action, amount = 0 }
+  ) {
+    try {
+      // Use mongoose helpers for working with fresh game objects
+      const mongooseHelpers = require("../utils/mongoose-helpers");
+      const Game = require("../models/Game");
+
+      // Get a fresh copy of the game
+      const game = await Game.findOne({ gameId });
+      if (!game) {
+        emitActionError(socket, { message: "Game not found" });
+        return;
+      }
+
+      // Check if it's player's turn
+      if (game.currentTurn.toString() !== userId) {
+        emitActionError(socket, { message: "Not your turn" });
+        return;
+      }
+
+      // Use our helper to process the action on a fresh game document
+      const result = await mongooseHelpers.withFreshGame(
+        gameId,
+        async (freshGame) => {
+          return await gameLogic.processPlayerAction(
+            freshGame,
+            userId,
+            action,
+            amount
+          );
+        }
+      );
+
+      // The player has acted, so their clock is done
+      stopActionClock(gameId);
+
+      // Notify all players about the action
+      broadcast(gameId, "actionTaken", {
+        playerId: userId,
+        action,
+        amount,
+        pot: game.pot,
+      });
+
+      // Get a fresh copy of the game after the action
+      const updatedGame = await Game.findOne({ gameId });
+
+      // Update game state for all players
+      broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updatedGame));
+
+      // Process the result of the action
+      if (result.handEnded) {
+        // Hand has ended (e.g., everyone folded except one player)
+        const winnerPlayer = updatedGame.players.find(
+          (p) => p.user.toString() === result.winners[0]
         );
 
-        // Log deck statistics to verify proper shuffling
-        const deckStats = cardDeck.getDeckStats(game.deck);
-        console.log(`New game deck statistics:`, deckStats);
+        broadcast(gameId, "handResult", {
+          winners: [
+            {
+              playerId: winnerPlayer.user.toString(),
+              username: winnerPlayer.username,
+              handName: "Winner by fold",
+            },
+          ],
+          pot: (result.pots || []).reduce((sum, p) => sum + p.amount, 0),
+          pots: result.pots || [],
+          fairness: result.fairness,
+          message: result.message,
+        });
+
+        // Prepare for next hand after a delay
+        setTimeout(() => dealNextHand(gameId), 15000); // 15 second delay before next hand
+
+        return;
+      }
+
+      if (result.roundEnded) {
+        // Betting round has ended, move to next phase
+        try {
+          if (
+            result.nextPhase !== "showdown" &&
+            gameLogic.isAllInRunout(updatedGame)
+          ) {
+            await runOutBoard(gameId);
+          } else if (result.nextPhase === "flop") {
+            // Deal the flop with the fresh game - avoids version conflicts
+            const nextGame = await mongooseHelpers.withFreshGame(
+              gameId,
+              async (freshGame) => {
+                return await gameLogic.dealFlop(freshGame);
+              }
+            );
+
+            // Get a fresh copy
+            const refreshedGame = await Game.findOne({ gameId });
+
+            broadcast(gameId, "dealFlop", {
+              communityCards: refreshedGame.communityCards,
+            });
+
+            // Start next betting round
+            const bettingGame = await mongooseHelpers.withFreshGame(
+              gameId,
+              async (freshGame) => {
+                return await gameLogic.startBettingRound(freshGame);
+              }
+            );
+
+            // Get a fresh copy
+            const refreshedBettingGame = await Game.findOne({ gameId });
+
+            // Notify the current player it's their turn and start the action clock
+            await notifyTurn(gameId, refreshedBettingGame);
+
+            // Update game state
+            broadcast(
+              gameId,
+              "gameUpdate",
+              gameLogic.getSanitizedGameState(refreshedBettingGame)
+            );
+          } else if (result.nextPhase === "turn") {
+            // Deal the turn
+            const nextGame = await mongooseHelpers.withFreshGame(
+              gameId,
+              async (freshGame) => {
+                return await gameLogic.dealTurn(freshGame);
+              }
+            );
+
+            // Get a fresh copy
+            const refreshedGame = await Game.findOne({ gameId });
+
+            broadcast(gameId, "dealTurn", {
+              communityCards: refreshedGame.communityCards,
+            });
+
+            // Start next betting round
+            const bettingGame = await mongooseHelpers.withFreshGame(
+              gameId,
+              async (freshGame) => {
+                return await gameLogic.startBettingRound(freshGame);
+              }
+            );
+
+            // Get a fresh copy
+            const refreshedBettingGame = await Game.findOne({ gameId });
+
+            // Notify the current player it's their turn and start the action clock
+            await notifyTurn(gameId, refreshedBettingGame);
+
+            // Update game state
+            broadcast(
+              gameId,
+              "gameUpdate",
+              gameLogic.getSanitizedGameState(refreshedBettingGame)
+            );
+          } else if (result.nextPhase === "river") {
+            // Deal the river
+            const nextGame = await mongooseHelpers.withFreshGame(
+              gameId,
+              async (freshGame) => {
+                return await gameLogic.dealRiver(freshGame);
+              }
+            );
+
+            // Get a fresh copy
+            const refreshedGame = await Game.findOne({ gameId });
+
+            broadcast(gameId, "dealRiver", {
+              communityCards: refreshedGame.communityCards,
+            });
+
+            // Start next betting round
+            const bettingGame = await mongooseHelpers.withFreshGame(
+              gameId,
+              async (freshGame) => {
+                return await gameLogic.startBettingRound(freshGame);
+              }
+            );
+
+            // Get a fresh copy
+            const refreshedBettingGame = await Game.findOne({ gameId });
+
+            // Notify the current player it's their turn and start the action clock
+            await notifyTurn(gameId, refreshedBettingGame);
+
+            // Update game state
+            broadcast(
+              gameId,
+              "gameUpdate",
+              gameLogic.getSanitizedGameState(refreshedBettingGame)
+            );
+          } else if (result.nextPhase === "showdown") {
+            await runShowdown(gameId);
+            return;
+          }
+        } catch (roundError) {
+          console.error(
+            `Error processing round end: ${roundError.message}`
+          );
+          broadcast(gameId, "gameError", {
+            message: "Error processing betting round",
+            details: roundError.message,
+          });
+
+          // Try to recover with a game update
+          try {
+            const currentGame = await Game.findOne({ gameId });
+            if (currentGame) {
+              broadcast(
+                gameId,
+                "gameUpdate",
+                gameLogic.getSanitizedGameState(currentGame)
+              );
+            }
+          } catch (updateError) {
+            console.error(
+              "Error sending recovery game update:",
+              updateError
+            );
+          }
+        }
+      } else {
+        // Round continues, notify next player and start their action clock
+        await notifyTurn(gameId, updatedGame);
+      }
+    } catch (error) {
+      console.error("Player action error:", error);
+      emitActionError(socket, {
+        message: "Error processing action",
+        details: error.message,
+      });
+    }
+  }
+
+  gameIo.on("connection", (socket) => {
+    console.log("New client connected to game namespace", socket.id);
+    console.log("Client handshake query:", socket.handshake.query);
+    console.log("Client handshake headers:", socket.handshake.headers);
+
+    // The /game middleware in server.js verified the JWT and bound the user
+    const authUser = socket.data.user;
+    if (!authUser) {
+      socket.emit("gameError", { message: "Authentication required" });
+      socket.disconnect(true);
+      return;
+    }
+
+    // Store user socket
+    userSockets.set(authUser.id, socket.id);
+    socket.userId = authUser.id;
+
+    // Every event acts as the authenticated user: a payload claiming another
+    // userId is rejected, and a missing one is filled in
+    socket.use(([event, payload], next) => {
+      if (payload && typeof payload === "object") {
+        if (payload.userId && !compareIds(payload.userId, authUser.id)) {
+          console.warn(
+            `Rejected ${event} from ${authUser.username}: payload userId ${payload.userId} does not match`
+          );
+          return socket.emit("gameError", {
+            message: "User ID does not match authenticated user",
+            details: event,
+          });
+        }
+
+        payload.userId = authUser.id;
+        if ("username" in payload) {
+          payload.username = authUser.username;
+        }
+      }
+      next();
+    });
+
+    // Store user socket (kept for clients that still register explicitly)
+    socket.on("register", () => {
+      userSockets.set(authUser.id, socket.id);
+      console.log(`User ${authUser.id} registered with socket ${socket.id}`);
+    });
+
+    // Join game room
+    socket.on("joinGame", async ({ gameId, userId, username, buyIn }) => {
+      try {
+        if (!gameId || !userId || !username) {
+          return socket.emit("gameError", {
+            message: "Missing required fields",
+          });
+        }
+
+        // Create a unique key for this join operation
+        const joinKey = `${gameId}-${userId}`;
+
+        // Check if this player is already in the process of joining
+        const existingJoin = joiningPlayers.get(joinKey);
+        if (existingJoin) {
+          const now = Date.now();
+          // If the existing join is less than 5 seconds old, skip this request
+          if (now - existingJoin < 5000) {
+            console.log(
+              `Ignoring duplicate join request for ${username} (${userId}) to game ${gameId} - already processing`
+            );
+            return;
+          } else {
+            // If it's an old join (>5 seconds), clear it and continue
+            joiningPlayers.delete(joinKey);
+          }
+        }
+
+        // Set joining status to prevent duplicate processing
+        joiningPlayers.set(joinKey, Date.now());
+
+        // Find the game with findOne to get a fresh document
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          joiningPlayers.delete(joinKey); // Clear join status
+          socket.emit("gameError", { message: "Game not found" });
+          return;
+        }
+
+        // Check if player is already in the game
+        const existingPlayerIndex = game.players.findIndex(
+          (player) => String(player.user) === String(userId)
+        );
+
+        // Seats at private tables are only taken through the lobby, with
+        // the table's password or an invite, and nobody else may listen in
+        if (existingPlayerIndex === -1 && tableAccess.isPrivate(game)) {
+          joiningPlayers.delete(joinKey); // Clear join status
+          socket.emit("gameError", {
+            message: "This table is private, join it from the lobby with its password or an invite",
+          });
+          return;
+        }
+
+        // Join the socket room for this game
+        socket.join(gameId);
+        socket.join(spectatorChatRoom(gameId));
+        socket.gameId = gameId;
+        console.log(`User ${username} (${userId}) joined game ${gameId}`);
+
+        // Track connections for this game
+        if (!gameRooms.has(gameId)) {
+          gameRooms.set(gameId, new Set());
+        }
+        gameRooms.get(gameId).add(socket.id);
+
+        let playerAdded = false;
+        let playerReactivated = false;
+        let escrowed = 0; // Buy-in taken for the new seat
+
+        if (existingPlayerIndex === -1) {
+          // Player is not in the game yet, add them
+          if (game.status === "waiting") {
+            try {
+              const user = await User.findById(userId);
+              if (!user) {
+                joiningPlayers.delete(joinKey); // Clear join status
+                socket.emit("gameError", { message: "User not found" });
+                return;
+              }
+
+              // Enforce the table's seat count and buy-in range
+              const settings = getTableSettings(game);
+              if (game.players.length >= settings.maxSeats) {
+                joiningPlayers.delete(joinKey); // Clear join status
+                socket.emit("gameError", { message: "Game is full" });
+                return;
+              }
+
+              const playerBuyIn =
+                game.gameType === "tournament"
+                  ? await tournament.enterTournament(game, userId)
+                  : resolveBuyIn(settings, user.balance, buyIn);
+              if (playerBuyIn.error) {
+                joiningPlayers.delete(joinKey); // Clear join status
+                socket.emit("gameError", { message: playerBuyIn.error });
+                return;
+              }
+
+              // Cash game stacks are escrowed from the wallet while seated
+              if (
+                game.gameType !== "tournament" &&
+                !(await ledger.buyIn(game, userId, playerBuyIn.amount))
+              ) {
+                joiningPlayers.delete(joinKey); // Clear join status
+                socket.emit("gameError", {
+                  message: "Insufficient balance for this buy-in",
+                });
+                return;
+              }
+              escrowed = playerBuyIn.amount;
+
+              // IMPORTANT FIX: Make sure user ID is a proper ObjectId or string
+              const userIdToAdd = mongoose.Types.ObjectId.isValid(userId)
+                ? mongoose.Types.ObjectId(userId)
+                : userId;
+
+              // Add the new player with proper ID format
+              game.players.push({
+                user: userIdToAdd,
+                username,
+                position: game.players.length,
+                chips: 0,
+                totalChips: playerBuyIn.amount,
+                hand: [],
+                isActive: true,
+                hasFolded: false,
+                hasActed: false,
+                isAllIn: false,
+              });
+
+              // FIX: Use a more robust approach with findOneAndUpdate
+              // instead of save() to avoid version conflicts
+              const mongooseHelpers = require("../utils/mongoose-helpers");
+
+              try {
+                // Use atomic update to add player without version conflicts
+                await mongooseHelpers.atomicGameUpdate(Game, gameId, {
+                  $push: {
+                    players: {
+                      user: userIdToAdd,
+                      username,
+                      position: game.players.length - 1,
+                      chips: 0,
+                      totalChips: playerBuyIn.amount,
+                      hand: [],
+                      isActive: true,
+                      hasFolded: false,
+                      hasActed: false,
+                      isAllIn: false,
+                    },
+                  },
+                });
+
+                playerAdded = true;
+                console.log(
+                  `New player ${username} added to game ${gameId} using atomic update`
+                );
+              } catch (atomicError) {
+                console.error(`Atomic update failed: ${atomicError.message}`);
+
+                // Fallback to traditional save with retry logic if atomic update fails
+                let saved = false;
+                let attempts = 0;
+                const maxAttempts = 3;
+
+                while (!saved && attempts < maxAttempts) {
+                  try {
+                    await game.save();
+                    saved = true;
+                    playerAdded = true;
+                    console.log(
+                      `New player ${username} added to game ${gameId} using save()`
+                    );
+                  } catch (saveError) {
+                    if (saveError.name === "VersionError") {
+                      attempts++;
+                      console.log(
+                        `Version conflict on join (attempt ${attempts}), retrying...`
+                      );
+
+                      // Get a fresh copy
+                      const freshGame = await Game.findOne({ gameId });
+                      if (!freshGame) {
+                        throw new Error("Game no longer exists");
+                      }
+
+                      // Check if player was added by another process
+                      const playerExists = freshGame.players.some(
+                        (p) => String(p.user) === String(userId)
+                      );
+
+                      if (playerExists) {
+                        console.log(
+                          `Player ${username} was already added by another process`
+                        );
+                        // That seat was paid for when it was taken
+                        await returnBuyIn(game, userId, escrowed);
+                        escrowed = 0;
+                        saved = true; // Consider it saved
+                        playerAdded = true;
+                      } else {
+                        // Player still needs to be added
+                        freshGame.players.push({
+                          user: userIdToAdd,
+                          username,
+                          position: freshGame.players.length,
+                          chips: 0,
+                          totalChips: playerBuyIn.amount,
+                          hand: [],
+                          isActive: true,
+                          hasFolded: false,
+                          hasActed: false,
+                          isAllIn: false,
+                        });
+
+                        // Try to save the fresh document
+                        try {
+                          await freshGame.save();
+                          saved = true;
+                          playerAdded = true;
+                        } catch (retryError) {
+                          if (attempts >= maxAttempts - 1) {
+                            throw retryError;
+                          }
+                          // Otherwise continue to next iteration
+                        }
+                      }
+
+                      // Short delay before retry
+                      await new Promise((resolve) =>
+                        setTimeout(resolve, 100 * attempts)
+                      );
+                    } else {
+                      // Not a version error, rethrow
+                      throw saveError;
+                    }
+                  }
+                }
+              }
+            } catch (error) {
+              console.error(`Error adding player to game: ${error.message}`);
+              await returnBuyIn(game, userId, escrowed);
+              joiningPlayers.delete(joinKey); // Clear join status
+              socket.emit("gameError", {
+                message: `Failed to join game: ${error.message}`,
+              });
+              return;
+            }
+          } else {
+            joiningPlayers.delete(joinKey); // Clear join status
+            socket.emit("gameError", { message: "Game already started" });
+            return;
+          }
+        }
+
+        // Always send updated game state to all players in the room
+        // Use findOne to get the latest state
+        const latestGame = await Game.findOne({ gameId });
+        const sanitizedGame = gameLogic.getSanitizedGameState(latestGame);
+
+        console.log(`Game update for ${gameId}:`, {
+          status: sanitizedGame.status,
+          playerCount: sanitizedGame.players.length,
+          players: sanitizedGame.players.map((p) => ({
+            id: p.id,
+            username: p.username,
+          })),
+        });
+
+        // Ensure creator property is explicitly set for everyone
+        if (!sanitizedGame.creator && latestGame.creator) {
+          console.log(`Adding missing creator info to game ${gameId}`);
+          sanitizedGame.creator = {
+            user: latestGame.creator.user.toString(),
+            username: latestGame.creator.username,
+          };
+        }
+
+        // Important - make sure this is visible to all clients including the host
+        sanitizedGame.allPlayers = latestGame.players.map((p) => ({
+          id: p.user.toString(),
+          username: p.username,
+          isActive: p.isActive,
+          totalChips: p.totalChips || 0,
+          hasCards: p.hand && p.hand.length > 0,
+          position: p.position || 0,
+        }));
+
+        // Emit game update to everyone
+        broadcast(gameId, "gameUpdate", sanitizedGame);
+
+        socket.emit("spectatorsUpdate", {
+          gameId,
+          spectators: getSpectatorList(gameId),
+        });
+
+        // Send creator info to the new player
+        socket.emit("creatorInfo", {
+          creator: latestGame.creator,
+          currentUserId: userId,
+          isCreator:
+            latestGame.creator && latestGame.creator.user.toString() === userId,
+        });
+
+        // Only send join notifications for newly added players
+        if (playerAdded) {
+          // Emit a specific event when a new player joins
+          broadcast(gameId, "playerJoined", {
+            userId,
+            username,
+            position: latestGame.players.length - 1,
+          });
+
+          // Send a chat message about the new player joining
+          broadcast(gameId, "chatMessage", {
+            type: "system",
+            message: `${username} has joined the game`,
+            timestamp: new Date(),
+          });
+        } else if (playerReactivated) {
+          // Send a chat message about the player rejoining
+          broadcast(gameId, "chatMessage", {
+            type: "system",
+            message: `${username} has rejoined the game`,
+            timestamp: new Date(),
+          });
+        }
+
+        // Clear the joining status now that we're done
+        joiningPlayers.delete(joinKey);
+      } catch (error) {
+        // Clear joining status on error
+        if (gameId && userId) {
+          joiningPlayers.delete(`${gameId}-${userId}`);
+        }
+
+        console.error("Join game socket error:", error);
+        socket.emit("gameError", {
+          message: "Server error",
+          details: error.message,
+        });
+      }
+    });
+
+    // Chat messages
+    socket.on("sendMessage", async ({ gameId, userId, username, message }) => {
+      try {
+        if (!gameId || !userId || !username || !message) {
+          return socket.emit("gameError", {
+            message: "Missing required fields for chat message",
+          });
+        }
+
+        if (socket.spectating === gameId) {
+          return socket.emit("gameError", {
+            message: "Spectators can only use the spectator chat",
+          });
+        }
+
+        // Only the players at a private table may talk at it
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
+        if (tableAccess.isPrivate(game) && !tableAccess.hasSeat(game, userId)) {
+          return socket.emit("gameError", { message: "This table is private" });
+        }
+
+        const chatMessage = {
+          type: "user",
+          userId,
+          username,
+          message,
+          timestamp: new Date(),
+        };
+
+        broadcast(gameId, "chatMessage", chatMessage);
+      } catch (error) {
+        console.error("Send message error:", error);
+        socket.emit("gameError", {
+          message: "Error sending message",
+          details: error.message,
+        });
+      }
+    });
+
+    // Watch a table without taking a seat
+    socket.on("spectateGame", async ({ gameId, userId, username }) => {
+      try {
+        if (!gameId) {
+          return socket.emit("gameError", { message: "Game ID is required" });
+        }
+
+        const game = await Game.findOne({ gameId });
+        if (!game || !["waiting", "active"].includes(game.status)) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
+
+        if (game.players.some((p) => compareIds(p.user, userId))) {
+          return socket.emit("gameError", {
+            message: "You are seated at this table, join it instead",
+          });
+        }
+
+        if (tableAccess.isPrivate(game)) {
+          return socket.emit("gameError", { message: "This table is private" });
+        }
+
+        const { spectatorDelay } = getTableSettings(game);
+        spectatorDelays.set(gameId, spectatorDelay);
+
+        if (!spectators.has(gameId)) {
+          spectators.set(gameId, new Map());
+        }
+        const watchers = spectators.get(gameId);
+        if (!watchers.has(userId)) {
+          watchers.set(userId, { username, socketIds: new Set() });
+        }
+        watchers.get(userId).socketIds.add(socket.id);
+
+        socket.join(spectatorRoom(gameId));
+        socket.spectating = gameId;
+        console.log(`User ${username} (${userId}) is spectating game ${gameId}`);
+
+        socket.emit("spectating", { gameId, delay: spectatorDelay });
+        emitSpectators(gameId);
+
+        // The first state is delayed like everything after it
+        const state = gameLogic.getSanitizedGameState(game);
+        setTimeout(() => socket.emit("gameUpdate", state), spectatorDelay * 1000);
+      } catch (error) {
+        console.error("Spectate game error:", error);
+        socket.emit("gameError", {
+          message: "Error spectating game",
+          details: error.message,
+        });
+      }
+    });
+
+    socket.on("stopSpectating", ({ gameId }) => {
+      if (gameId) {
+        removeSpectator(socket, gameId);
+      }
+    });
 
-        // Update game status
-        game.status = "active";
-        game.bettingRound = "preflop";
-        game.dealerPosition = 0; // First player is dealer for first hand
-        await game.save();
+    // Follow a multi-table tournament's level changes and table moves
+    socket.on("watchTournament", ({ tournamentId }) => {
+      if (tournamentId) {
+        socket.join(tournamentRoom(tournamentId));
+      }
+    });
 
-        // Send system message about game starting
-        gameIo.to(gameId).emit("chatMessage", {
-          type: "system",
-          message: "The game has started",
-          timestamp: new Date(),
+    socket.on("stopWatchingTournament", ({ tournamentId }) => {
+      if (tournamentId) {
+        socket.leave(tournamentRoom(tournamentId));
+      }
+    });
+
+    // Close registration, seat everyone and deal at every table
+    socket.on("startTournament", async ({ tournamentId, userId }) => {
+      try {
+        const tables = await queueTournament(tournamentId, async () => {
+          const mtt = await Tournament.findOne({ tournamentId });
+          if (!mtt) {
+            throw new Error("Tournament not found");
+          }
+          if (mtt.creator.user.toString() !== userId) {
+            throw new Error("Only the creator can start the tournament");
+          }
+          if (mtt.status !== "registering") {
+            throw new Error("The tournament has already started");
+          }
+          if (mtt.registrations.length < 2) {
+            throw new Error("Need at least 2 players to start");
+          }
+
+          const games = await multiTable.startTournament(mtt);
+          scheduleLevelChange(tournamentId, multiTable.getLevelEndsAt(mtt));
+          gameIo
+            .to(tournamentRoom(tournamentId))
+            .emit("tournamentUpdate", multiTable.getSummary(mtt, games));
+          return games;
         });
 
-        console.log(`Game ${gameId} status updated to active`);
+        tables.forEach((game) => {
+          game.players.forEach((player) =>
+            sendToTable(player.user.toString(), tournamentId, game.gameId)
+          );
+        });
 
-        // Initialize game with first hand - WRAPPED IN TRY/CATCH WITH BETTER ERROR HANDLING
-        try {
-          // Start a new hand with our enhanced shuffled deck
-          const updatedGame = await gameLogic.startNewHand(game);
-          console.log(`First hand started for game ${gameId}`);
+        // Give everyone a moment to reach their table before the first deal
+        setTimeout(() => {
+          tables.forEach((game) =>
+            startHand(game.gameId).catch((error) =>
+              console.error(`Error dealing at table ${game.gameId}:`, error)
+            )
+          );
+        }, 5000);
+      } catch (error) {
+        console.error("Start tournament error:", error);
+        socket.emit("gameError", {
+          message: error.message || "Error starting tournament",
+        });
+      }
+    });
 
-          // Emit private cards to each player
-          game.players.forEach((player) => {
-            if (!player.hand || player.hand.length === 0) {
-              console.error(`Player ${player.username} has no cards!`);
-              return;
-            }
+    // Spectator chat: goes to the other spectators and to seated players
+    // who haven't muted it
+    socket.on("sendSpectatorMessage", ({ gameId, userId, username, message }) => {
+      if (!gameId || !message) {
+        return socket.emit("gameError", {
+          message: "Missing required fields for chat message",
+        });
+      }
 
-            const socketId = userSockets.get(player.user.toString());
-            if (socketId) {
-              // Create a clean copy of the hand to prevent references
-              const cleanHand = player.hand.map((card) => ({
-                suit: card.suit,
-                rank: card.rank,
-                value: card.value,
-                code: card.code,
-                _timestamp: Date.now(), // Add timestamp to force client reactivity
-              }));
+      if (socket.spectating !== gameId) {
+        return socket.emit("gameError", {
+          message: "Only spectators can use the spectator chat",
+        });
+      }
 
-              console.log(
-                `EXPLICITLY sending cards to ${player.username}:`,
-                cleanHand.map((c) => `${c.rank} of ${c.suit}`).join(", ")
-              );
+      gameIo
+        .to(spectatorRoom(gameId))
+        .to(spectatorChatRoom(gameId))
+        .emit("spectatorChatMessage", {
+          type: "spectator",
+          userId,
+          username,
+          message,
+          timestamp: new Date(),
+        });
+    });
 
-              // Send with a distinct event name and timestamp to ensure processing
-              gameIo.to(socketId).emit("dealCards", {
-                hand: cleanHand,
-                newHand: true, // Add a flag to indicate this is from a new hand
-                timestamp: Date.now(), // Add timestamp to force client to process as new
-              });
-            } else {
-              console.error(
-                `Could not find socket for player ${player.username}`
-              );
-            }
-          });
+    // Seated players can mute or unmute the spectator chat
+    socket.on("muteSpectators", ({ gameId, muted }) => {
+      if (!gameId || socket.gameId !== gameId) {
+        return socket.emit("gameError", {
+          message: "Only seated players can mute spectators",
+        });
+      }
 
-          // VALIDATION: Check for duplicate cards
-          try {
-            gameLogic.validateGameCards(updatedGame);
-          } catch (validationError) {
-            console.error(`Card validation failed: ${validationError.message}`);
+      if (muted) {
+        socket.leave(spectatorChatRoom(gameId));
+      } else {
+        socket.join(spectatorChatRoom(gameId));
+      }
+      socket.emit("spectatorsMuted", { gameId, muted: !!muted });
+    });
 
-            // Try to fix the issue
-            const debugging = require("../utils/debugging");
-            try {
-              await debugging.fixDuplicateCards(updatedGame);
-              // Re-validate after fixing
-              gameLogic.validateGameCards(updatedGame);
-            } catch (fixError) {
-              socket.emit("gameError", {
-                message: "Card validation failed. Please restart the game.",
-                details: validationError.message,
-              });
-              return;
-            }
-          }
+    // Client seed for the provably fair shuffle, used from the next hand dealt
+    socket.on("setClientSeed", async ({ gameId, userId, seed }) => {
+      try {
+        if (!gameId || !userId) {
+          return socket.emit("gameError", {
+            message: "Missing required fields for client seed",
+          });
+        }
 
-          // Emit game state to all players
-          gameIo
-            .to(gameId)
-            .emit("gameStarted", gameLogic.getSanitizedGameState(updatedGame));
-          console.log(`Game started event emitted for game ${gameId}`);
+        if (!provablyFair.isValidClientSeed(seed)) {
+          return socket.emit("gameError", {
+            message:
+              "Client seed must be 1-64 letters, numbers, dashes or underscores",
+          });
+        }
 
-          // Emit private cards to each player
-          for (const player of updatedGame.players) {
-            const socketId = userSockets.get(player.user.toString());
-            if (socketId) {
-              // Log card sending for debugging
-              console.log(
-                `Sending cards to player ${player.username}:`,
-                player.hand.map((c) => `${c.rank} of ${c.suit}`).join(", ")
-              );
+        const updated = await Game.findOneAndUpdate(
+          { gameId, "players.user": userId },
+          { $set: { "players.$.clientSeed": seed } },
+          { new: true }
+        );
+        if (!updated) {
+          return socket.emit("gameError", {
+            message: "You are not seated in this game",
+          });
+        }
 
-              // Include a timestamp to ensure client treats this as a new event
-              gameIo.to(socketId).emit("dealCards", {
-                hand: player.hand,
-                timestamp: Date.now(),
-              });
-            } else {
-              console.log(
-                `Could not find socket for player ${player.username}`
-              );
-            }
-          }
+        socket.emit("clientSeedSet", { gameId, seed, timestamp: Date.now() });
+        broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updated));
+      } catch (error) {
+        console.error("Set client seed error:", error);
+        socket.emit("gameError", { message: "Error setting client seed" });
+      }
+    });
 
-          // Start the first betting round
-          const gameWithBetting = await gameLogic.startBettingRound(
-            updatedGame
-          );
+    /**
+     * Save a player's changed seat fields without touching the rest of the game
+     * @param {string} gameId - Game ID
+     * @param {string} userId - Player
+     * @param {Object} changes - Player fields to set
+     * @returns {Promise<Object>} Updated game
+     */
+    const saveSeatChanges = (gameId, userId, changes) => {
+      const update = {};
+      Object.entries(changes).forEach(([field, value]) => {
+        update[`players.$.${field}`] = value;
+      });
+      return Game.findOneAndUpdate(
+        { gameId, "players.user": userId },
+        { $set: update },
+        { new: true }
+      );
+    };
 
-          // Notify the current player it's their turn
-          if (gameWithBetting.currentTurn) {
-            const currentPlayer = gameWithBetting.players.find(
-              (p) =>
-                p.user.toString() === gameWithBetting.currentTurn.toString()
-            );
+    // Sit out from the next hand or at the next big blind
+    socket.on("sitOut", async ({ gameId, userId, mode = "nextHand" }) => {
+      try {
+        if (!gameId || !userId) {
+          return socket.emit("gameError", {
+            message: "Missing required fields to sit out",
+          });
+        }
+        if (!["nextHand", "nextBigBlind"].includes(mode)) {
+          return socket.emit("gameError", { message: "Unknown sit-out option" });
+        }
 
-            if (currentPlayer) {
-              const socketId = userSockets.get(currentPlayer.user.toString());
-              if (socketId) {
-                console.log(
-                  `Notifying ${currentPlayer.username} that it's their turn`
-                );
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-                // Make sure we have valid options
-                let playerOptions = [];
-                try {
-                  playerOptions = gameLogic.getPlayerOptions(
-                    gameWithBetting,
-                    currentPlayer.user
-                  );
-                  console.log(
-                    `Available options for ${currentPlayer.username}:`,
-                    playerOptions
-                  );
-                } catch (optionsError) {
-                  console.error(
-                    `Error getting player options: ${optionsError.message}`
-                  );
-                  // Provide fallback options
-                  playerOptions = ["fold", "check", "call"];
-                }
+        const changes = gameLogic.sitOut(game, userId, mode);
+        const updated = await saveSeatChanges(gameId, userId, changes);
 
-                // Send the yourTurn event with timestamp to ensure it's processed as new
-                gameIo.to(socketId).emit("yourTurn", {
-                  options: playerOptions,
-                  timeLimit: 30,
-                  timestamp: Date.now(),
-                });
+        broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updated));
+      } catch (error) {
+        console.error("Sit out error:", error);
+        socket.emit("gameError", { message: error.message || "Error sitting out" });
+      }
+    });
 
-                // Also broadcast to everyone whose turn it is
-                gameIo.to(gameId).emit("turnChanged", {
-                  playerId: currentPlayer.user.toString(),
-                  username: currentPlayer.username,
-                  timestamp: Date.now(),
-                });
-              } else {
-                console.error(
-                  `Could not find socket for current player ${currentPlayer.username}`
-                );
-              }
-            } else {
-              console.error(`Current turn player not found in players array`);
-            }
-          } else {
-            console.error(`No current turn set for game ${gameId}`);
-          }
+    // Sit back in, waiting for the big blind or posting the missed blinds
+    socket.on("sitIn", async ({ gameId, userId, mode = "waitForBigBlind" }) => {
+      try {
+        if (!gameId || !userId) {
+          return socket.emit("gameError", {
+            message: "Missing required fields to sit in",
+          });
+        }
+        if (!["waitForBigBlind", "postBlinds"].includes(mode)) {
+          return socket.emit("gameError", { message: "Unknown sit-in option" });
+        }
 
-          // Update game state for all players
-          gameIo
-            .to(gameId)
-            .emit(
-              "gameUpdate",
-              gameLogic.getSanitizedGameState(gameWithBetting)
-            );
-          console.log(`Game state updated for all players in game ${gameId}`);
-        } catch (gameInitError) {
-          console.error(`Error initializing game: ${gameInitError.message}`);
-          console.error(gameInitError.stack);
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-          // Try to recover
-          try {
-            // Reset the game status
-            game.status = "waiting";
-            await game.save();
+        const changes = gameLogic.sitIn(game, userId, mode);
+        const updated = await saveSeatChanges(gameId, userId, changes);
 
-            // Notify clients about the error
-            socket.emit("gameError", {
-              message: "Failed to initialize game. Please try again.",
-              details: gameInitError.message,
-            });
-          } catch (recoveryError) {
-            console.error(`Recovery error: ${recoveryError.message}`);
-            socket.emit("gameError", {
-              message: "Critical error starting game.",
-            });
-          }
+        broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updated));
+
+        // A table waiting for players deals as soon as there are enough
+        if (
+          updated.status === "active" &&
+          !gameLogic.isHandInProgress(updated) &&
+          gameLogic.canStartHand(updated)
+        ) {
+          idleTables.delete(gameId);
+          await startHand(gameId);
         }
       } catch (error) {
-        console.error(`Start game socket error for game ${gameId}:`, error);
-        console.error(error.stack);
-        socket.emit("gameError", {
-          message: "Server error",
-          details: error.message,
-        });
+        console.error("Sit in error:", error);
+        socket.emit("gameError", { message: error.message || "Error sitting in" });
       }
     });
 
-    // Player action (fold, check, call, bet, raise, all-in)
-    socket.on(
-      "playerAction",
-      async ({ gameId, userId, action, amount = 0 }) => {
-        try {
-          // Use mongoose helpers for working with fresh game objects
-          const mongooseHelpers = require("../utils/mongoose-helpers");
-          const Game = require("../models/Game");
+    // Rebuy or top up from the balance, now or once the hand is over
+    socket.on("topUp", async ({ gameId, userId, amount }) => {
+      try {
+        if (!gameId || !userId) {
+          return socket.emit("gameError", {
+            message: "Missing required fields to add chips",
+          });
+        }
 
-          // Get a fresh copy of the game
-          const game = await Game.findOne({ gameId });
-          if (!game) {
-            socket.emit("gameError", { message: "Game not found" });
-            return;
-          }
+        const game = await Game.findOne({ gameId });
+        if (!game || game.status === "completed") {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-          // Check if it's player's turn
-          if (game.currentTurn.toString() !== userId) {
-            socket.emit("gameError", { message: "Not your turn" });
-            return;
-          }
+        const result = await topUp.requestTopUp(game, userId, amount);
+        if (result.error) {
+          return socket.emit("gameError", { message: result.error });
+        }
 
-          // Use our helper to process the action on a fresh game document
-          const result = await mongooseHelpers.withFreshGame(
-            gameId,
-            async (freshGame) => {
-              return await gameLogic.processPlayerAction(
-                freshGame,
-                userId,
-                action,
-                amount
-              );
-            }
-          );
+        // Only this player's seat changes, the hand carries on around it
+        const player = game.players.find((p) => p.user.toString() === userId);
+        let updated;
+        if (result.pending) {
+          updated = await saveSeatChanges(gameId, userId, {
+            pendingTopUp: result.amount,
+          });
+        } else {
+          try {
+            updated = await Game.findOneAndUpdate(
+              { gameId, "players.user": userId },
+              {
+                $set: { "players.$.totalChips": player.totalChips },
+                $push: {
+                  chipMovements: game.chipMovements[game.chipMovements.length - 1],
+                  actionHistory: game.actionHistory[game.actionHistory.length - 1],
+                },
+              },
+              { new: true }
+            );
+          } catch (saveError) {
+            await topUp.undoTopUp(game, userId, result.amount);
+            throw saveError;
+          }
+        }
 
-          // Notify all players about the action
-          gameIo.to(gameId).emit("actionTaken", {
-            playerId: userId,
-            action,
-            amount,
-            pot: game.pot,
+        broadcast(gameId, "chatMessage", {
+          type: "system",
+          message: result.pending
+            ? `${player.username} will add ${result.amount} chips after this hand`
+            : topUpMessage(player.username, result.type, result.amount),
+          timestamp: new Date(),
+        });
+        broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updated));
+
+        // A table waiting for players deals as soon as there are enough
+        if (
+          updated.status === "active" &&
+          !gameLogic.isHandInProgress(updated) &&
+          gameLogic.canStartHand(updated)
+        ) {
+          await startHand(gameId);
+        }
+      } catch (error) {
+        console.error("Top up error:", error);
+        socket.emit("gameError", { message: error.message || "Error adding chips" });
+      }
+    });
+
+    // Top up to a stack before every hand, 0 to turn it off
+    socket.on("setAutoTopUp", async ({ gameId, userId, amount }) => {
+      try {
+        if (!gameId || !userId) {
+          return socket.emit("gameError", {
+            message: "Missing required fields for auto top-up",
           });
+        }
 
-          // Get a fresh copy of the game after the action
-          const updatedGame = await Game.findOne({ gameId });
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-          // Update game state for all players
-          gameIo
-            .to(gameId)
-            .emit("gameUpdate", gameLogic.getSanitizedGameState(updatedGame));
-
-          // Process the result of the action
-          if (result.handEnded) {
-            // Hand has ended (e.g., everyone folded except one player)
-            const winnerPlayer = updatedGame.players.find(
-              (p) => p.user.toString() === result.winners[0]
-            );
+        const result = topUp.setAutoTopUp(game, userId, amount);
+        if (result.error) {
+          return socket.emit("gameError", { message: result.error });
+        }
 
-            gameIo.to(gameId).emit("handResult", {
-              winners: [
-                {
-                  playerId: winnerPlayer.user.toString(),
-                  username: winnerPlayer.username,
-                  handName: "Winner by fold",
-                },
-              ],
-              pot: updatedGame.pot,
-              message: result.message,
-            });
+        const updated = await saveSeatChanges(gameId, userId, result);
+        broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updated));
+      } catch (error) {
+        console.error("Auto top-up error:", error);
+        socket.emit("gameError", { message: error.message || "Error setting auto top-up" });
+      }
+    });
 
-            // Prepare for next hand after a delay - USING ATOMIC UPDATES TO AVOID VERSION CONFLICTS
-            setTimeout(async () => {
-              try {
-                // Use the safe operation wrapper for handling next hand preparation
-                const nextHandGame = await mongooseHelpers.withFreshGame(
-                  gameId,
-                  async (freshGame) => {
-                    // Use our utility from gameLogic but with the fresh game object
-                    return await gameLogic.prepareNextHand(freshGame);
-                  }
-                );
+    // Opt in or out of straddling when the straddle seat comes round
+    socket.on("setStraddle", async ({ gameId, userId, straddle }) => {
+      try {
+        if (!gameId || !userId) {
+          return socket.emit("gameError", {
+            message: "Missing required fields to set a straddle",
+          });
+        }
 
-                if (nextHandGame.status === "completed") {
-                  // Game has ended
-                  gameIo.to(gameId).emit("gameEnded", {
-                    message: "Game ended - not enough active players",
-                  });
-                } else {
-                  // Start next hand with the fresh deck
-                  const newHand = await mongooseHelpers.withFreshGame(
-                    gameId,
-                    async (freshGame) => {
-                      return await gameLogic.startNewHand(freshGame);
-                    }
-                  );
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-                  // VALIDATION: Check for duplicate cards
-                  try {
-                    gameLogic.validateGameCards(newHand);
-                    console.log("Card validation passed for new hand");
-                  } catch (validationError) {
-                    console.error(
-                      `Card validation failed: ${validationError.message}`
-                    );
+        const changes = gameLogic.setStraddle(game, userId, straddle);
+        const updated = await saveSeatChanges(gameId, userId, changes);
+        broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updated));
+      } catch (error) {
+        console.error("Straddle error:", error);
+        socket.emit("gameError", { message: error.message || "Error setting straddle" });
+      }
+    });
 
-                    // Try to fix the issue
-                    const debugging = require("../utils/debugging");
-                    try {
-                      await mongooseHelpers.withFreshGame(
-                        gameId,
-                        async (freshGame) => {
-                          await debugging.fixDuplicateCards(freshGame);
-                          return freshGame;
-                        }
-                      );
+    // The host makes the next hand a bomb pot
+    socket.on("callBombPot", async ({ gameId, userId }) => {
+      try {
+        if (!gameId || !userId) {
+          return socket.emit("gameError", {
+            message: "Missing required fields to call a bomb pot",
+          });
+        }
 
-                      console.log("Fixed duplicate cards issue");
-                    } catch (fixError) {
-                      console.error(
-                        `Failed to fix duplicate cards: ${fixError.message}`
-                      );
-                      gameIo.to(gameId).emit("gameError", {
-                        message:
-                          "Error in card distribution. Game will restart.",
-                        details: validationError.message,
-                      });
-                      return;
-                    }
-                  }
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-                  // Get a fresh copy after all the updates
-                  const refreshedNewHand = await Game.findOne({ gameId });
+        gameLogic.callBombPot(game, userId);
+        const updated = await Game.findOneAndUpdate(
+          { gameId },
+          { $set: { bombPotNext: true } },
+          { new: true }
+        );
 
-                  // Emit new game state
-                  gameIo
-                    .to(gameId)
-                    .emit(
-                      "newHand",
-                      gameLogic.getSanitizedGameState(refreshedNewHand)
-                    );
+        broadcast(gameId, "chatMessage", {
+          type: "system",
+          message: `The next hand is a bomb pot: everyone antes ${
+            getTableSettings(updated).bombPotAnte
+          } and the hand starts on the flop`,
+          timestamp: new Date(),
+        });
+        broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updated));
+      } catch (error) {
+        console.error("Bomb pot error:", error);
+        socket.emit("gameError", { message: error.message || "Error calling a bomb pot" });
+      }
+    });
 
-                  // Log card distribution for verification
-                  console.log("Card distribution for new hand:");
-                  refreshedNewHand.players.forEach((player) => {
-                    if (player.hand && player.hand.length) {
-                      console.log(
-                        `Player ${player.username} cards: ${player.hand
-                          .map((c) => `${c.rank}${c.suit[0]}`)
-                          .join(", ")}`
-                      );
-                    }
-                  });
+    // An all-in player's answer to running the board twice
+    socket.on("runItTwiceChoice", ({ gameId, userId, agree }) => {
+      const vote = runItTwiceVotes.get(gameId);
+      if (!vote || !vote.players.has(userId)) {
+        return socket.emit("gameError", {
+          message: "There is nothing to run twice right now",
+        });
+      }
 
-                  // Emit private cards to each player
-                  refreshedNewHand.players.forEach((player) => {
-                    const socketId = userSockets.get(player.user.toString());
-                    if (socketId) {
-                      // Ensure we're sending a properly formatted hand object
-                      // IMPORTANT: Force a clean hand array to avoid reference issues
-                      const cleanHand = player.hand.map((card) => ({
-                        suit: card.suit,
-                        rank: card.rank,
-                        value: card.value,
-                        code: card.code,
-                      }));
+      if (!agree) {
+        vote.finish(false);
+        return;
+      }
 
-                      console.log(
-                        `EXPLICITLY sending new cards to ${player.username}:`,
-                        cleanHand
-                          .map((c) => `${c.rank} of ${c.suit}`)
-                          .join(", ")
-                      );
+      vote.agreed.add(userId);
+      if (vote.agreed.size === vote.players.size) {
+        vote.finish(true);
+      }
+    });
 
-                      // Send with a distinct event name to ensure client processing
-                      gameIo.to(socketId).emit("dealCards", {
-                        hand: cleanHand,
-                        newHand: true, // Add a flag to indicate this is from a new hand
-                        timestamp: Date.now(), // Add timestamp to prevent caching
-                      });
-
-                      // Also send a direct message to ensure the client updates
-                      gameIo.to(socketId).emit("forceCardUpdate", {
-                        hand: cleanHand,
-                        message:
-                          "Your cards have been updated for the new hand",
-                      });
-                    }
-                  });
+    // A beaten player's answer at showdown
+    socket.on("showOrMuckChoice", ({ gameId, userId, show }) => {
+      const choice = showdownChoices.get(gameId);
+      if (!choice || choice.playerId !== userId) {
+        return socket.emit("gameError", {
+          message: "It isn't your turn to show",
+        });
+      }
 
-                  // Start the betting round
-                  const bettingGame = await mongooseHelpers.withFreshGame(
-                    gameId,
-                    async (freshGame) => {
-                      return await gameLogic.startBettingRound(freshGame);
-                    }
-                  );
+      choice.finish(!!show);
+    });
 
-                  // Get a fresh copy after updating
-                  const refreshedBettingGame = await Game.findOne({ gameId });
+    // Turn up some or all hole cards once the hand is over
+    socket.on("showCards", async ({ gameId, userId, cards }) => {
+      try {
+        if (!gameId || !userId) {
+          return socket.emit("gameError", {
+            message: "Missing required fields to show cards",
+          });
+        }
 
-                  // Notify the current player it's their turn
-                  if (refreshedBettingGame.currentTurn) {
-                    const currentPlayer = refreshedBettingGame.players.find(
-                      (p) =>
-                        p.user.toString() ===
-                        refreshedBettingGame.currentTurn.toString()
-                    );
+        const mongooseHelpers = require("../utils/mongoose-helpers");
+        let username;
+        let shown;
+        const updated = await mongooseHelpers.withFreshGame(
+          gameId,
+          async (freshGame) => {
+            shown = gameLogic.showCards(freshGame, userId, cards);
+            username = gameLogic.getPlayerById(freshGame, userId).username;
+            await freshGame.save();
+            return freshGame;
+          }
+        );
 
-                    if (currentPlayer) {
-                      const socketId = userSockets.get(
-                        currentPlayer.user.toString()
-                      );
-                      if (socketId) {
-                        gameIo.to(socketId).emit("yourTurn", {
-                          options: gameLogic.getPlayerOptions(
-                            refreshedBettingGame,
-                            currentPlayer.user
-                          ),
-                          timeLimit: 30,
-                        });
+        broadcast(gameId, "chatMessage", {
+          type: "system",
+          message: `${username} shows ${shown.cards.map(formatCard).join(" ")}`,
+          timestamp: new Date(),
+        });
+        broadcast(gameId, "gameUpdate", gameLogic.getSanitizedGameState(updated));
+      } catch (error) {
+        console.error("Show cards error:", error);
+        socket.emit("gameError", { message: error.message || "Error showing cards" });
+      }
+    });
 
-                        gameIo.to(gameId).emit("turnChanged", {
-                          playerId: currentPlayer.user.toString(),
-                          username: currentPlayer.username,
-                        });
-                      }
-                    }
-                  }
+    // A player's own outs and odds; opponents' cards stay unknown
+    socket.on("requestOdds", async ({ gameId, userId }) => {
+      try {
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-                  // Update game state
-                  gameIo
-                    .to(gameId)
-                    .emit(
-                      "gameUpdate",
-                      gameLogic.getSanitizedGameState(refreshedBettingGame)
-                    );
-                }
-              } catch (error) {
-                console.error(
-                  `Error handling next hand for game ${gameId}:`,
-                  error
-                );
+        const player = game.players.find((p) => compareIds(p.user, userId));
+        if (!player || !player.hand || player.hand.length === 0 || player.hasFolded) {
+          return socket.emit("handOdds", { handNumber: game.handNumber, odds: null });
+        }
 
-                // Notify clients about the error but don't crash the game
-                gameIo.to(gameId).emit("gameError", {
-                  message: "Error preparing next hand, please refresh the page",
-                  details: error.message,
-                });
+        const opponents = game.players.filter(
+          (p) =>
+            p !== player &&
+            p.isActive &&
+            !p.hasFolded &&
+            p.hand &&
+            p.hand.length > 0
+        ).length;
+
+        socket.emit("handOdds", {
+          handNumber: game.handNumber,
+          board: game.communityCards.length,
+          opponents,
+          odds: equity.calculateHandOdds(player.hand, game.communityCards, opponents, {
+            variant: gameLogic.getVariant(game),
+          }),
+        });
+      } catch (error) {
+        console.error("Hand odds error:", error);
+        socket.emit("gameError", { message: "Error calculating your odds" });
+      }
+    });
 
-                // Try to recover by sending a game update
-                try {
-                  const currentGame = await Game.findOne({
-                    gameId: gameId,
-                  });
-                  if (currentGame) {
-                    gameIo
-                      .to(gameId)
-                      .emit(
-                        "gameUpdate",
-                        gameLogic.getSanitizedGameState(currentGame)
-                      );
-                  }
-                } catch (updateError) {
-                  console.error(
-                    "Error sending recovery game update:",
-                    updateError
-                  );
-                }
-              }
-            }, 15000); // 15 second delay before next hand
+    // Request for game state update - useful for reconnection
+    socket.on("requestGameUpdate", async ({ gameId, userId }) => {
+      try {
+        if (!gameId) {
+          return socket.emit("gameError", { message: "Game ID is required" });
+        }
 
-            return;
-          }
+        console.log(
+          `Game update requested for ${gameId} by ${userId || "unknown user"}`
+        );
 
-          if (result.roundEnded) {
-            // Betting round has ended, move to next phase
-            try {
-              if (result.nextPhase === "flop") {
-                // Deal the flop with the fresh game - avoids version conflicts
-                const nextGame = await mongooseHelpers.withFreshGame(
-                  gameId,
-                  async (freshGame) => {
-                    return await gameLogic.dealFlop(freshGame);
-                  }
-                );
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-                // Get a fresh copy
-                const refreshedGame = await Game.findOne({ gameId });
+        if (tableAccess.isPrivate(game) && !tableAccess.hasSeat(game, userId)) {
+          return socket.emit("gameError", { message: "This table is private" });
+        }
 
-                gameIo.to(gameId).emit("dealFlop", {
-                  communityCards: refreshedGame.communityCards,
-                });
+        // Send game state to ALL clients in the room to ensure everyone is in sync
+        const sanitizedGame = gameLogic.getSanitizedGameState(game);
 
-                // Start next betting round
-                const bettingGame = await mongooseHelpers.withFreshGame(
-                  gameId,
-                  async (freshGame) => {
-                    return await gameLogic.startBettingRound(freshGame);
-                  }
-                );
+        // Log which players are being sent
+        console.log(`Game update for ${gameId}:`, {
+          status: sanitizedGame.status,
+          playerCount: sanitizedGame.players.length,
+          players: sanitizedGame.players.map((p) => ({
+            id: p.id,
+            username: p.username,
+          })),
+        });
 
-                // Get a fresh copy
-                const refreshedBettingGame = await Game.findOne({ gameId });
+        // IMPORTANT: Always include all players in the update
+        if (!sanitizedGame.allPlayers) {
+          sanitizedGame.allPlayers = sanitizedGame.players.map((p) => ({
+            id: p.id,
+            username: p.username,
+            isActive: p.isActive,
+            position: p.position || 0,
+            hasCards: p.hasCards || false,
+          }));
+        }
 
-                // Notify the current player it's their turn
-                if (refreshedBettingGame.currentTurn) {
-                  const currentPlayer = refreshedBettingGame.players.find(
-                    (p) =>
-                      p.user.toString() ===
-                      refreshedBettingGame.currentTurn.toString()
-                  );
+        // Always add this for debugging
+        sanitizedGame.updateTime = Date.now();
 
-                  if (currentPlayer) {
-                    const socketId = userSockets.get(
-                      currentPlayer.user.toString()
-                    );
-                    if (socketId) {
-                      gameIo.to(socketId).emit("yourTurn", {
-                        options: gameLogic.getPlayerOptions(
-                          refreshedBettingGame,
-                          currentPlayer.user
-                        ),
-                        timeLimit: 30,
-                      });
-
-                      gameIo.to(gameId).emit("turnChanged", {
-                        playerId: currentPlayer.user.toString(),
-                        username: currentPlayer.username,
-                      });
-                    }
-                  }
-                }
+        // Send to entire room
+        broadcast(gameId, "gameUpdate", sanitizedGame);
 
-                // Update game state
-                gameIo
-                  .to(gameId)
-                  .emit(
-                    "gameUpdate",
-                    gameLogic.getSanitizedGameState(refreshedBettingGame)
-                  );
-              } else if (result.nextPhase === "turn") {
-                // Deal the turn
-                const nextGame = await mongooseHelpers.withFreshGame(
-                  gameId,
-                  async (freshGame) => {
-                    return await gameLogic.dealTurn(freshGame);
-                  }
-                );
+        // If userId is provided, send their personal cards too
+        if (userId) {
+          const player = game.players.find((p) => p.user.toString() === userId);
+          if (player && player.hand && player.hand.length > 0) {
+            // Log for debugging
+            console.log(
+              `Sending cards to ${player.username}:`,
+              player.hand.map((c) => `${c.rank} of ${c.suit}`).join(", ")
+            );
 
-                // Get a fresh copy
-                const refreshedGame = await Game.findOne({ gameId });
+            // Create a clean copy of the cards to avoid reference issues
+            const cleanHand = player.hand.map((card) => ({
+              suit: card.suit,
+              rank: card.rank,
+              value: card.value,
+              code: card.code,
+              _timestamp: Date.now(), // Add timestamp to force client refresh
+            }));
 
-                gameIo.to(gameId).emit("dealTurn", {
-                  communityCards: refreshedGame.communityCards,
-                });
+            socket.emit("dealCards", {
+              hand: cleanHand,
+              timestamp: Date.now(),
+            });
+          }
 
-                // Start next betting round
-                const bettingGame = await mongooseHelpers.withFreshGame(
-                  gameId,
-                  async (freshGame) => {
-                    return await gameLogic.startBettingRound(freshGame);
-                  }
-                );
+          // If it's this player's turn, make sure they know (the running clock keeps its deadline)
+          if (game.currentTurn && game.currentTurn.toString() === userId) {
+            await notifyTurn(gameId, game);
+          }
+        }
+      } catch (error) {
+        console.error("Request game update error:", error);
+        socket.emit("gameError", { message: "Error fetching game update" });
+      }
+    });
 
-                // Get a fresh copy
-                const refreshedBettingGame = await Game.findOne({ gameId });
+    // Start game
+    socket.on("startGame", async ({ gameId, userId }) => {
+      console.log(
+        `Received startGame event for game ${gameId} from user ${userId}`
+      );
 
-                // Notify the current player it's their turn
-                if (refreshedBettingGame.currentTurn) {
-                  const currentPlayer = refreshedBettingGame.players.find(
-                    (p) =>
-                      p.user.toString() ===
-                      refreshedBettingGame.currentTurn.toString()
-                  );
+      try {
+        // Find the game with lean() for better performance
+        const game = await Game.findOne({ gameId });
+        if (!game) {
+          console.log(`Game not found: ${gameId}`);
+          return socket.emit("gameError", { message: "Game not found" });
+        }
 
-                  if (currentPlayer) {
-                    const socketId = userSockets.get(
-                      currentPlayer.user.toString()
-                    );
-                    if (socketId) {
-                      gameIo.to(socketId).emit("yourTurn", {
-                        options: gameLogic.getPlayerOptions(
-                          refreshedBettingGame,
-                          currentPlayer.user
-                        ),
-                        timeLimit: 30,
-                      });
-
-                      gameIo.to(gameId).emit("turnChanged", {
-                        playerId: currentPlayer.user.toString(),
-                        username: currentPlayer.username,
-                      });
-                    }
-                  }
-                }
+        // Check if player is the creator
+        const creatorId = game.creator.user.toString();
+        const requestUserId = userId.toString();
 
-                // Update game state
-                gameIo
-                  .to(gameId)
-                  .emit(
-                    "gameUpdate",
-                    gameLogic.getSanitizedGameState(refreshedBettingGame)
-                  );
-              } else if (result.nextPhase === "river") {
-                // Deal the river
-                const nextGame = await mongooseHelpers.withFreshGame(
-                  gameId,
-                  async (freshGame) => {
-                    return await gameLogic.dealRiver(freshGame);
-                  }
-                );
+        if (creatorId !== requestUserId) {
+          console.log(
+            `User ${userId} is not the creator (${creatorId}) of game ${gameId}`
+          );
+          return socket.emit("gameError", {
+            message: "Only the creator can start the game",
+          });
+        }
 
-                // Get a fresh copy
-                const refreshedGame = await Game.findOne({ gameId });
+        // Check if enough players
+        if (game.players.length < 2) {
+          console.log(
+            `Not enough players in game ${gameId}: ${game.players.length}`
+          );
+          return socket.emit("gameError", {
+            message: "Need at least 2 players to start",
+          });
+        }
 
-                gameIo.to(gameId).emit("dealRiver", {
-                  communityCards: refreshedGame.communityCards,
-                });
+        // Check if game already started
+        if (game.status !== "waiting") {
+          console.log(
+            `Game ${gameId} already started (status: ${game.status})`
+          );
+          return socket.emit("gameError", {
+            message: "Game has already been started",
+          });
+        }
 
-                // Start next betting round
-                const bettingGame = await mongooseHelpers.withFreshGame(
-                  gameId,
-                  async (freshGame) => {
-                    return await gameLogic.startBettingRound(freshGame);
-                  }
-                );
+        console.log(
+          `Starting game ${gameId} with ${game.players.length} players`
+        );
 
-                // Get a fresh copy
-                const refreshedBettingGame = await Game.findOne({ gameId });
+        // IMPORTANT FIX: Create a completely fresh deck with enhanced shuffling
+        game.deck = require("../utils/cardDeck").getFreshShuffledDeck(gameLogic.getVariant(game).deck);
+        console.log(
+          `Game ${gameId} initialized with a fresh deck of ${game.deck.length} cards`
+        );
 
-                // Notify the current player it's their turn
-                if (refreshedBettingGame.currentTurn) {
-                  const currentPlayer = refreshedBettingGame.players.find(
-                    (p) =>
-                      p.user.toString() ===
-                      refreshedBettingGame.currentTurn.toString()
-                  );
+        // Log deck statistics to verify proper shuffling
+        const deckStats = cardDeck.getDeckStats(game.deck);
+        console.log(`New game deck statistics:`, deckStats);
 
-                  if (currentPlayer) {
-                    const socketId = userSockets.get(
-                      currentPlayer.user.toString()
-                    );
-                    if (socketId) {
-                      gameIo.to(socketId).emit("yourTurn", {
-                        options: gameLogic.getPlayerOptions(
-                          refreshedBettingGame,
-                          currentPlayer.user
-                        ),
-                        timeLimit: 30,
-                      });
-
-                      gameIo.to(gameId).emit("turnChanged", {
-                        playerId: currentPlayer.user.toString(),
-                        username: currentPlayer.username,
-                      });
-                    }
-                  }
-                }
+        // Update game status
+        game.status = "active";
+        game.bettingRound = "preflop";
+        game.dealerPosition = 0; // First player is dealer for first hand
+        await game.save();
 
-                // Update game state
-                gameIo
-                  .to(gameId)
-                  .emit(
-                    "gameUpdate",
-                    gameLogic.getSanitizedGameState(refreshedBettingGame)
-                  );
-              } else if (result.nextPhase === "showdown") {
-                // Process showdown with a fresh game
-                const showdownResult = await mongooseHelpers.withFreshGame(
-                  gameId,
-                  async (freshGame) => {
-                    return await gameLogic.processShowdown(freshGame);
-                  }
-                );
+        // Send system message about game starting
+        broadcast(gameId, "chatMessage", {
+          type: "system",
+          message: "The game has started",
+          timestamp: new Date(),
+        });
 
-                // Get a fresh copy
-                const refreshedGame = await Game.findOne({ gameId });
+        console.log(`Game ${gameId} status updated to active`);
 
-                // Include community cards in the result
-                showdownResult.communityCards = refreshedGame.communityCards;
-                showdownResult.pot = refreshedGame.pot;
+        // Initialize game with first hand - WRAPPED IN TRY/CATCH WITH BETTER ERROR HANDLING
+        try {
+          // Start a new hand with our enhanced shuffled deck
+          const updatedGame = await gameLogic.startNewHand(game);
+          console.log(`First hand started for game ${gameId}`);
 
-                gameIo.to(gameId).emit("handResult", showdownResult);
+          // Emit private cards to each player
+          game.players.forEach((player) => {
+            if (!player.hand || player.hand.length === 0) {
+              console.error(`Player ${player.username} has no cards!`);
+              return;
+            }
 
-                // Prepare for next hand after a delay with the same mechanism as for fold wins
-                setTimeout(async () => {
-                  // Similar code as above for starting next hand, copied to avoid nesting
-                  // Use withFreshGame to avoid version conflicts
-                  try {
-                    const nextHandGame = await mongooseHelpers.withFreshGame(
-                      gameId,
-                      async (freshGame) => {
-                        return await gameLogic.prepareNextHand(freshGame);
-                      }
-                    );
+            const socketId = userSockets.get(player.user.toString());
+            if (socketId) {
+              // Create a clean copy of the hand to prevent references
+              const cleanHand = player.hand.map((card) => ({
+                suit: card.suit,
+                rank: card.rank,
+                value: card.value,
+                code: card.code,
+                _timestamp: Date.now(), // Add timestamp to force client reactivity
+              }));
 
-                    if (nextHandGame.status === "completed") {
-                      // Game has ended
-                      gameIo.to(gameId).emit("gameEnded", {
-                        message: "Game ended - not enough active players",
-                      });
-                    } else {
-                      // Start next hand with the same approach as in the fold case
-                      // (code is identical to above section but kept for completeness)
-                      const newHand = await mongooseHelpers.withFreshGame(
-                        gameId,
-                        async (freshGame) => {
-                          return await gameLogic.startNewHand(freshGame);
-                        }
-                      );
+              console.log(
+                `EXPLICITLY sending cards to ${player.username}:`,
+                cleanHand.map((c) => `${c.rank} of ${c.suit}`).join(", ")
+              );
 
-                      // Get a fresh copy
-                      const refreshedNewHand = await Game.findOne({ gameId });
-
-                      // Emit new game state
-                      gameIo
-                        .to(gameId)
-                        .emit(
-                          "newHand",
-                          gameLogic.getSanitizedGameState(refreshedNewHand)
-                        );
+              // Send with a distinct event name and timestamp to ensure processing
+              gameIo.to(socketId).emit("dealCards", {
+                hand: cleanHand,
+                newHand: true, // Add a flag to indicate this is from a new hand
+                timestamp: Date.now(), // Add timestamp to force client to process as new
+              });
+            } else {
+              console.error(
+                `Could not find socket for player ${player.username}`
+              );
+            }
+          });
 
-                      // Send cards to players as before
-                      refreshedNewHand.players.forEach((player) => {
-                        const socketId = userSockets.get(
-                          player.user.toString()
-                        );
-                        if (socketId) {
-                          const cleanHand = player.hand.map((card) => ({
-                            suit: card.suit,
-                            rank: card.rank,
-                            value: card.value,
-                            code: card.code,
-                          }));
-
-                          gameIo.to(socketId).emit("dealCards", {
-                            hand: cleanHand,
-                            newHand: true,
-                            timestamp: Date.now(),
-                          });
-
-                          gameIo.to(socketId).emit("forceCardUpdate", {
-                            hand: cleanHand,
-                            message:
-                              "Your cards have been updated for the new hand",
-                          });
-                        }
-                      });
+          // VALIDATION: Check for duplicate cards
+          try {
+            gameLogic.validateGameCards(updatedGame);
+          } catch (validationError) {
+            console.error(`Card validation failed: ${validationError.message}`);
 
-                      // Start the betting round with a fresh game
-                      const bettingGame = await mongooseHelpers.withFreshGame(
-                        gameId,
-                        async (freshGame) => {
-                          return await gameLogic.startBettingRound(freshGame);
-                        }
-                      );
+            // Try to fix the issue
+            const debugging = require("../utils/debugging");
+            try {
+              await debugging.fixDuplicateCards(updatedGame);
+              // Re-validate after fixing
+              gameLogic.validateGameCards(updatedGame);
+            } catch (fixError) {
+              socket.emit("gameError", {
+                message: "Card validation failed. Please restart the game.",
+                details: validationError.message,
+              });
+              return;
+            }
+          }
 
-                      // Get a fresh copy
-                      const refreshedBettingGame = await Game.findOne({
-                        gameId,
-                      });
-
-                      // Notify the current player it's their turn
-                      if (refreshedBettingGame.currentTurn) {
-                        const currentPlayer = refreshedBettingGame.players.find(
-                          (p) =>
-                            p.user.toString() ===
-                            refreshedBettingGame.currentTurn.toString()
-                        );
+          // Emit game state to all players
+          broadcast(gameId, "gameStarted", gameLogic.getSanitizedGameState(updatedGame));
+          console.log(`Game started event emitted for game ${gameId}`);
 
-                        if (currentPlayer) {
-                          const socketId = userSockets.get(
-                            currentPlayer.user.toString()
-                          );
-                          if (socketId) {
-                            gameIo.to(socketId).emit("yourTurn", {
-                              options: gameLogic.getPlayerOptions(
-                                refreshedBettingGame,
-                                currentPlayer.user
-                              ),
-                              timeLimit: 30,
-                            });
-
-                            gameIo.to(gameId).emit("turnChanged", {
-                              playerId: currentPlayer.user.toString(),
-                              username: currentPlayer.username,
-                            });
-                          }
-                        }
-                      }
+          // Emit private cards to each player
+          for (const player of updatedGame.players) {
+            const socketId = userSockets.get(player.user.toString());
+            if (socketId) {
+              // Log card sending for debugging
+              console.log(
+                `Sending cards to player ${player.username}:`,
+                player.hand.map((c) => `${c.rank} of ${c.suit}`).join(", ")
+              );
 
-                      // Update game state
-                      gameIo
-                        .to(gameId)
-                        .emit(
-                          "gameUpdate",
-                          gameLogic.getSanitizedGameState(refreshedBettingGame)
-                        );
-                    }
-                  } catch (error) {
-                    console.error(
-                      `Error handling next hand after showdown for game ${gameId}:`,
-                      error
-                    );
+              // Include a timestamp to ensure client treats this as a new event
+              gameIo.to(socketId).emit("dealCards", {
+                hand: player.hand,
+                timestamp: Date.now(),
+              });
+            } else {
+              console.log(
+                `Could not find socket for player ${player.username}`
+              );
+            }
+          }
 
-                    // Error handling similar to fold case
-                    gameIo.to(gameId).emit("gameError", {
-                      message:
-                        "Error preparing next hand, please refresh the page",
-                      details: error.message,
-                    });
+          // Start the first betting round
+          const gameWithBetting = await gameLogic.startBettingRound(
+            updatedGame
+          );
 
-                    // Try to recover with a game update
-                    try {
-                      const currentGame = await Game.findOne({ gameId });
-                      if (currentGame) {
-                        gameIo
-                          .to(gameId)
-                          .emit(
-                            "gameUpdate",
-                            gameLogic.getSanitizedGameState(currentGame)
-                          );
-                      }
-                    } catch (updateError) {
-                      console.error(
-                        "Error sending recovery game update:",
-                        updateError
-                      );
-                    }
-                  }
-                }, 15000); // 15 second delay before next hand
+          // Notify the current player it's their turn and start the action clock
+          if (gameWithBetting.currentTurn) {
+            await notifyTurn(gameId, gameWithBetting);
+          } else if (!gameLogic.isAllInRunout(gameWithBetting)) {
+            console.error(`No current turn set for game ${gameId}`);
+          }
 
-                return;
-              }
-            } catch (roundError) {
-              console.error(
-                `Error processing round end: ${roundError.message}`
-              );
-              gameIo.to(gameId).emit("gameError", {
-                message: "Error processing betting round",
-                details: roundError.message,
-              });
+          // Update game state for all players
+          broadcast(
+            gameId,
+            "gameUpdate",
+            gameLogic.getSanitizedGameState(gameWithBetting)
+          );
+          console.log(`Game state updated for all players in game ${gameId}`);
 
-              // Try to recover with a game update
-              try {
-                const currentGame = await Game.findOne({ gameId });
-                if (currentGame) {
-                  gameIo
-                    .to(gameId)
-                    .emit(
-                      "gameUpdate",
-                      gameLogic.getSanitizedGameState(currentGame)
-                    );
-                }
-              } catch (updateError) {
-                console.error(
-                  "Error sending recovery game update:",
-                  updateError
-                );
-              }
-            }
-          } else {
-            // Round continues, notify next player
-            if (updatedGame.currentTurn) {
-              const currentPlayer = updatedGame.players.find(
-                (p) => p.user.toString() === updatedGame.currentTurn.toString()
-              );
+          if (gameLogic.isAllInRunout(gameWithBetting)) {
+            await runOutBoard(gameId);
+          }
+        } catch (gameInitError) {
+          console.error(`Error initializing game: ${gameInitError.message}`);
+          console.error(gameInitError.stack);
 
-              if (currentPlayer) {
-                const socketId = userSockets.get(currentPlayer.user.toString());
-                if (socketId) {
-                  gameIo.to(socketId).emit("yourTurn", {
-                    options: gameLogic.getPlayerOptions(
-                      updatedGame,
-                      currentPlayer.user
-                    ),
-                    timeLimit: 30,
-                  });
+          // Try to recover
+          try {
+            // Reset the game status
+            game.status = "waiting";
+            await game.save();
 
-                  gameIo.to(gameId).emit("turnChanged", {
-                    playerId: currentPlayer.user.toString(),
-                    username: currentPlayer.username,
-                  });
-                }
-              }
-            }
+            // Notify clients about the error
+            socket.emit("gameError", {
+              message: "Failed to initialize game. Please try again.",
+              details: gameInitError.message,
+            });
+          } catch (recoveryError) {
+            console.error(`Recovery error: ${recoveryError.message}`);
+            socket.emit("gameError", {
+              message: "Critical error starting game.",
+            });
           }
-        } catch (error) {
-          console.error("Player action error:", error);
-          socket.emit("gameError", {
-            message: "Error processing action",
-            details: error.message,
-          });
         }
+      } catch (error) {
+        console.error(`Start game socket error for game ${gameId}:`, error);
+        console.error(error.stack);
+        socket.emit("gameError", {
+          message: "Server error",
+          details: error.message,
+        });
       }
-    );
+    });
+
+    // Player action (fold, check, call, bet, raise, all-in)
+    socket.on("playerAction", async (payload) => {
+      await handlePlayerAction(socket, payload);
+    });
 
     // Handling player disconnection but staying in the game
     socket.on("disconnecting", () => {
+      if (socket.spectating) {
+        removeSpectator(socket, socket.spectating);
+      }
+
       // Get all rooms this socket is in
       const rooms = Object.keys(socket.rooms);
 
@@ -1491,7 +2709,7 @@ module.exports = (io) => {
         gameRooms.get(gameId).add(socket.id);
 
         // Notify other players this user reconnected
-        gameIo.to(gameId).emit("playerConnectionChange", {
+        broadcast(gameId, "playerConnectionChange", {
           userId,
           connected: true,
           timestamp: new Date(),
@@ -1528,9 +2746,13 @@ module.exports = (io) => {
 
         // Get player info for notification
         const playerName = game.players[playerIndex].username;
+        let leavingChips = 0;
 
         // Handle differently based on game status
         if (game.status === "waiting") {
+          // Nothing has been played yet, so the buy-in goes back
+          leavingChips = game.players[playerIndex].totalChips;
+
           // In waiting status, completely remove the player from the game
           game.players.splice(playerIndex, 1);
 
@@ -1538,8 +2760,18 @@ module.exports = (io) => {
           for (let i = 0; i < game.players.length; i++) {
             game.players[i].position = i;
           }
+
+          // Nobody is left to play against the bots, so the table closes
+          if (game.players.length > 0 && game.players.every((p) => p.isBot)) {
+            await gameLogic.cashOutPlayers(game);
+            game.status = "completed";
+          }
         } else {
-          // In active game, mark player as inactive but keep their data
+          // In active game, mark player as inactive but keep their data.
+          // Chips already bet stay in the pot, the rest of the stack goes home.
+          leavingChips = game.players[playerIndex].isActive
+            ? game.players[playerIndex].totalChips
+            : 0;
           game.players[playerIndex].isActive = false;
           game.players[playerIndex].hasFolded = true;
 
@@ -1551,10 +2783,11 @@ module.exports = (io) => {
           if (activePlayers.length < 2) {
             // End the current hand, award pot to remaining player
             if (activePlayers.length === 1) {
-              await gameLogic.awardPot(game, activePlayers);
+              const potTotal = game.pot;
+              const pots = await gameLogic.awardPot(game);
 
               // Notify about the winner
-              gameIo.to(gameId).emit("handResult", {
+              broadcast(gameId, "handResult", {
                 winners: [
                   {
                     playerId: activePlayers[0].user.toString(),
@@ -1562,20 +2795,29 @@ module.exports = (io) => {
                     handName: "Winner by forfeit",
                   },
                 ],
-                pot: game.pot,
+                pot: potTotal,
+                pots,
                 message: `${activePlayers[0].username} wins the pot as other players left`,
               });
             }
 
             // Check if game should end
             const remainingPlayers = game.players.filter((p) => p.isActive);
-            if (remainingPlayers.length < 2) {
+            if (game.tournamentId) {
+              // The tournament places the player and refills or breaks the table
+              setTimeout(() => dealNextHand(gameId), 15000); // 15 second delay before next hand
+            } else if (remainingPlayers.length < 2) {
+              if (game.gameType === "tournament") {
+                tournament.recordEliminations(game);
+                await tournament.finishTournament(game);
+              } else {
+                await gameLogic.cashOutPlayers(game);
+              }
               game.status = "completed";
+              stopActionClock(gameId);
 
               // Notify about game ending
-              gameIo.to(gameId).emit("gameEnded", {
-                message: "Game ended - not enough active players",
-              });
+              broadcast(gameId, "gameEnded", gameEndedPayload(game));
             } else {
               // Prepare for next hand
               await gameLogic.prepareNextHand(game);
@@ -1593,24 +2835,9 @@ module.exports = (io) => {
 
               game.currentTurn = nextPlayerId;
 
-              // Notify next player
-              const nextPlayer = game.players.find(
-                (p) => p.user.toString() === nextPlayerId.toString()
-              );
-
-              const nextSocketId = userSockets.get(nextPlayerId.toString());
-
-              if (nextSocketId && nextPlayer) {
-                gameIo.to(nextSocketId).emit("yourTurn", {
-                  options: gameLogic.getPlayerOptions(game, nextPlayerId),
-                  timeLimit: 60,
-                });
-
-                gameIo.to(gameId).emit("turnChanged", {
-                  playerId: nextPlayerId.toString(),
-                  username: nextPlayer.username,
-                });
-              }
+              // Notify next player and start their action clock
+              stopActionClock(gameId);
+              await notifyTurn(gameId, game);
             } catch (error) {
               console.log(
                 "Error getting next player, betting round may be complete"
@@ -1686,6 +2913,20 @@ module.exports = (io) => {
           throw new Error(`Failed to save game after ${maxAttempts} attempts`);
         }
 
+        // Only pay out once the seat is really gone. Tournament chips are
+        // worthless off the table; only an unstarted sit-and-go refunds.
+        if (game.gameType === "tournament") {
+          if (game.status === "waiting") {
+            await tournament.refundBuyIn(
+              userId,
+              game.tournament.buyIn,
+              tournament.prizePoolOf(game)
+            );
+          }
+        } else {
+          await ledger.cashOut(game, userId, leavingChips);
+        }
+
         // Leave the socket room
         socket.leave(gameId);
 
@@ -1695,13 +2936,13 @@ module.exports = (io) => {
         }
 
         // Notify all clients that player left
-        gameIo.to(gameId).emit("playerLeft", {
+        broadcast(gameId, "playerLeft", {
           userId,
           username: playerName,
         });
 
         // Send a chat message
-        gameIo.to(gameId).emit("chatMessage", {
+        broadcast(gameId, "chatMessage", {
           type: "system",
           message: `${playerName} has left the game`,
           timestamp: new Date(),
@@ -1711,7 +2952,7 @@ module.exports = (io) => {
         const updatedGame = await Game.findOne({ gameId });
         if (updatedGame) {
           const sanitizedGame = gameLogic.getSanitizedGameState(game);
-          gameIo.to(gameId).emit("gameUpdate", sanitizedGame);
+          broadcast(gameId, "gameUpdate", sanitizedGame);
         }
 
         // Acknowledge successful leave
@@ -1795,7 +3036,7 @@ module.exports = (io) => {
               // Just send current game state
               const sanitizedGame =
                 gameLogic.getSanitizedGameState(updatedGame);
-              gameIo.to(gameId).emit("gameUpdate", sanitizedGame);
+              broadcast(gameId, "gameUpdate", sanitizedGame);
 
               // Resend private cards to each player
               updatedGame.players.forEach((player) => {
@@ -1810,33 +3051,8 @@ module.exports = (io) => {
                 }
               });
 
-              // If there's a current turn, notify that player
-              if (updatedGame.currentTurn) {
-                const currentPlayer = updatedGame.players.find(
-                  (p) =>
-                    p.user.toString() === updatedGame.currentTurn.toString()
-                );
-
-                if (currentPlayer) {
-                  const socketId = userSockets.get(
-                    currentPlayer.user.toString()
-                  );
-                  if (socketId) {
-                    gameIo.to(socketId).emit("yourTurn", {
-                      options: gameLogic.getPlayerOptions(
-                        updatedGame,
-                        currentPlayer.user
-                      ),
-                      timeLimit: 30,
-                    });
-
-                    gameIo.to(gameId).emit("turnChanged", {
-                      playerId: currentPlayer.user.toString(),
-                      username: currentPlayer.username,
-                    });
-                  }
-                }
-              }
+              // Notify the current player it's their turn and start the action clock
+              await notifyTurn(gameId, updatedGame);
             } catch (fixError) {
               console.error(
                 `Failed to fix duplicate cards: ${fixError.message}`
@@ -1852,7 +3068,7 @@ module.exports = (io) => {
             // No duplicates, proceed normally
             // Just send current game state
             const sanitizedGame = gameLogic.getSanitizedGameState(game);
-            gameIo.to(gameId).emit("gameUpdate", sanitizedGame);
+            broadcast(gameId, "gameUpdate", sanitizedGame);
 
             // Resend private cards to each player
             game.players.forEach((player) => {
@@ -1867,30 +3083,8 @@ module.exports = (io) => {
               }
             });
 
-            // If there's a current turn, notify that player
-            if (game.currentTurn) {
-              const currentPlayer = game.players.find(
-                (p) => p.user.toString() === game.currentTurn.toString()
-              );
-
-              if (currentPlayer) {
-                const socketId = userSockets.get(currentPlayer.user.toString());
-                if (socketId) {
-                  gameIo.to(socketId).emit("yourTurn", {
-                    options: gameLogic.getPlayerOptions(
-                      game,
-                      currentPlayer.user
-                    ),
-                    timeLimit: 30,
-                  });
-
-                  gameIo.to(gameId).emit("turnChanged", {
-                    playerId: currentPlayer.user.toString(),
-                    username: currentPlayer.username,
-                  });
-                }
-              }
-            }
+            // Notify the current player it's their turn and start the action clock
+            await notifyTurn(gameId, game);
           }
         } else {
           console.log(`Game ${gameId} needs first hand initialization`);
@@ -1899,7 +3093,7 @@ module.exports = (io) => {
           await mongooseHelpers.withFreshGame(gameId, async (freshGame) => {
             // Make sure there's a fresh deck
             console.log("Creating a fresh deck for the game");
-            freshGame.deck = require("../utils/cardDeck").createDeck();
+            freshGame.deck = require("../utils/cardDeck").createDeck(gameLogic.getVariant(freshGame).deck);
 
             // Skip validation
             freshGame._skipValidation = true;
@@ -1953,7 +3147,7 @@ module.exports = (io) => {
             }
 
             // Emit game state to all players
-            gameIo.to(gameId).emit("gameStarted", enhancedGameState);
+            broadcast(gameId, "gameStarted", enhancedGameState);
 
             // FIXED: Emit private cards to each player with unique cards
             updatedGame.players.forEach((player) => {
@@ -1977,51 +3171,10 @@ module.exports = (io) => {
               }
             );
 
-            // Notify the current player it's their turn
+            // Notify the current player it's their turn and start the action clock
             if (gameWithBetting.currentTurn) {
               try {
-                // Find the current player in a safer way
-                const currentPlayer = gameWithBetting.players.find(
-                  (p) =>
-                    p.user &&
-                    p.user.toString() === gameWithBetting.currentTurn.toString()
-                );
-
-                if (currentPlayer) {
-                  const socketId = userSockets.get(
-                    currentPlayer.user.toString()
-                  );
-                  if (socketId) {
-                    // Safely get player options with error handling
-                    let playerOptions = [];
-                    try {
-                      playerOptions = gameLogic.getPlayerOptions(
-                        gameWithBetting,
-                        currentPlayer.user
-                      );
-                    } catch (optionsError) {
-                      console.error(
-                        `Error getting player options: ${optionsError.message}`
-                      );
-                      // Provide fallback options
-                      playerOptions = ["fold", "check", "call"];
-                    }
-
-                    gameIo.to(socketId).emit("yourTurn", {
-                      options: playerOptions,
-                      timeLimit: 30,
-                    });
-
-                    gameIo.to(gameId).emit("turnChanged", {
-                      playerId: currentPlayer.user.toString(),
-                      username: currentPlayer.username,
-                    });
-                  }
-                } else {
-                  console.log(
-                    `Current turn player not found in gameWithBetting.players`
-                  );
-                }
+                await notifyTurn(gameId, gameWithBetting);
               } catch (turnError) {
                 console.error(
                   `Error handling current turn: ${turnError.message}`
@@ -2031,7 +3184,11 @@ module.exports = (io) => {
             }
 
             // Update game state for all players
-            gameIo.to(gameId).emit("gameUpdate", enhancedGameState);
+            broadcast(gameId, "gameUpdate", enhancedGameState);
+
+            if (gameLogic.isAllInRunout(gameWithBetting)) {
+              await runOutBoard(gameId);
+            }
           } catch (initError) {
             console.error(
               `Error initializing first hand: ${initError.message}`
@@ -2045,7 +3202,7 @@ module.exports = (io) => {
         }
 
         // Send a system message that initialization is complete
-        gameIo.to(gameId).emit("chatMessage", {
+        broadcast(gameId, "chatMessage", {
           type: "system",
           message: "Game initialization complete",
           timestamp: Date.now(),
@@ -2108,7 +3265,7 @@ module.exports = (io) => {
           // Save the game and notify other players
           await game.save();
 
-          gameIo.to(gameId).emit("chatMessage", {
+          broadcast(gameId, "chatMessage", {
             type: "system",
             message: `${game.players[playerIndex].username} has reconnected to the game`,
             timestamp: new Date(),
@@ -2132,17 +3289,14 @@ module.exports = (io) => {
             socket.emit("dealCards", { hand: player.hand });
           }
 
-          // If it's this player's turn, make sure they know
+          // If it's this player's turn, make sure they know (with the time they have left)
           if (game.currentTurn && game.currentTurn.toString() === userId) {
-            socket.emit("yourTurn", {
-              options: gameLogic.getPlayerOptions(game, userId),
-              timeLimit: 60, // 60 seconds turn timer
-            });
+            await notifyTurn(gameId, game);
           }
         }
 
         // Notify other players about the reconnection
-        gameIo.to(gameId).emit("playerConnectionChange", {
+        broadcast(gameId, "playerConnectionChange", {
           userId,
           username: game.players[playerIndex].username,
           connected: true,
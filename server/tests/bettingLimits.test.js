@@ -0,0 +1,141 @@
+// server/tests/bettingLimits.test.js
+/**
+ * Betting Structure Test Suite
+ *
+ * This test file checks the betting structures a table can choose:
+ * - Each variant plays its usual structure unless the table picks another
+ * - Pot limit caps Hold'em raises at the pot after calling
+ * - Fixed limit bets one small or big bet at a time, four bets a street
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const gameLogic = require('../utils/gameLogic');
+const { getVariant } = require('../utils/variants');
+const { validateTableSettings } = require('../utils/tableSettings');
+
+// Hold'em table with blinds of 1/2 and the given betting structure
+const createMockGame = (bettingLimit, stacks = [100, 100, 100]) => ({
+  gameId: 'TEST01',
+  status: 'active',
+  handNumber: 0,
+  pot: 0,
+  currentBet: 0,
+  lastRaiseSize: 0,
+  dealerPosition: 0,
+  settings: { smallBlind: 1, bigBlind: 2, variant: 'holdem', bettingLimit },
+  bettingRound: 'preflop',
+  communityCards: [],
+  actionHistory: [],
+  handRecords: [],
+  players: stacks.map((totalChips, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    seatStatus: 'sittingIn',
+    hasFolded: false,
+    hasActed: false,
+    isAllIn: false,
+    canRaise: true,
+    chips: 0,
+    handContribution: 0,
+    totalChips,
+    hand: []
+  })),
+  save: jest.fn().mockResolvedValue(null)
+});
+
+describe('Betting Structures', () => {
+  test('Tables play the variant\'s structure unless they pick another', () => {
+    expect(validateTableSettings({}).settings.bettingLimit).toBe('noLimit');
+    expect(validateTableSettings({ variant: 'plo' }).settings.bettingLimit).toBe('potLimit');
+    expect(validateTableSettings({ bettingLimit: 'fixedLimit' }).settings.bettingLimit).toBe('fixedLimit');
+    expect(validateTableSettings({ bettingLimit: 'spreadLimit' }).errors)
+      .toEqual(['bettingLimit must be one of noLimit, potLimit, fixedLimit']);
+  });
+
+  test('The structure is part of the game\'s name', () => {
+    expect(getVariant('holdem').name).toBe("No-Limit Hold'em");
+    expect(getVariant('holdem', 'fixedLimit').name).toBe("Fixed-Limit Hold'em");
+    expect(getVariant('holdem', 'fixedLimit').historyName).toBe("Hold'em Limit");
+    expect(getVariant('plo8').historyName).toBe('Omaha Hi/Lo Pot Limit');
+  });
+
+  test('Pot-limit Hold\'em raises are capped at the pot', async () => {
+    const game = createMockGame('potLimit');
+    await gameLogic.startNewHand(game);
+
+    expect(gameLogic.getPlayerOptions(game, 'user1').maxRaiseTo).toBe(7);
+    await expect(
+      gameLogic.processPlayerAction(game, 'user1', 'raise', 10)
+    ).rejects.toThrow('at most 7');
+    expect(game.handRecords[0].bettingLimit).toBe('potLimit');
+  });
+});
+
+describe('Fixed Limit', () => {
+  test('Bets and raises are one small bet until the turn', async () => {
+    const game = createMockGame('fixedLimit');
+    await gameLogic.startNewHand(game);
+
+    const options = gameLogic.getPlayerOptions(game, 'user1');
+    expect([options.minRaiseTo, options.maxRaiseTo]).toEqual([4, 4]);
+    expect(options.actions).not.toContain('allIn');
+
+    await expect(
+      gameLogic.processPlayerAction(game, 'user1', 'raise', 6)
+    ).rejects.toThrow('at most 4');
+  });
+
+  test('The big blind and three raises cap the betting', async () => {
+    const game = createMockGame('fixedLimit');
+    await gameLogic.startNewHand(game);
+
+    await gameLogic.processPlayerAction(game, 'user1', 'raise', 4);
+    await gameLogic.processPlayerAction(game, 'user2', 'raise', 6);
+    await gameLogic.processPlayerAction(game, 'user3', 'raise', 8);
+
+    const options = gameLogic.getPlayerOptions(game, 'user1');
+    expect(options.actions).toEqual(['fold', 'call']);
+    expect(options.callAmount).toBe(4);
+  });
+
+  test('The turn and river are played with the big bet', async () => {
+    const game = createMockGame('fixedLimit');
+    await gameLogic.startNewHand(game);
+    await gameLogic.processPlayerAction(game, 'user1', 'raise', 4);
+    await gameLogic.processPlayerAction(game, 'user2', 'raise', 6);
+    await gameLogic.processPlayerAction(game, 'user3', 'raise', 8);
+
+    // A new street starts a fresh count of bets
+    game.bettingRound = 'turn';
+    await gameLogic.startBettingRound(game);
+    const options = gameLogic.getPlayerOptions(game, game.currentTurn);
+
+    expect(options.actions).toContain('bet');
+    expect([options.minRaiseTo, options.maxRaiseTo]).toEqual([4, 4]);
+  });
+
+  test('A stack shorter than the bet can still go all in', async () => {
+    const game = createMockGame('fixedLimit', [3, 100, 100]);
+    await gameLogic.startNewHand(game);
+
+    const options = gameLogic.getPlayerOptions(game, 'user1');
+    expect(options.actions).toEqual(['fold', 'call', 'allIn']);
+    expect(options.maxRaiseTo).toBe(3);
+  });
+});
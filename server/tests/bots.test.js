@@ -0,0 +1,178 @@
+// server/tests/bots.test.js
+/**
+ * Bot Players Test Suite
+ *
+ * This test file checks the computer-controlled players:
+ * - Table creators can only seat bots at cash tables, leaving a seat free
+ * - Bots bet strong hands, check weak ones and fold to a bad price
+ * - Bot chips come from the house and go back to it, never to a wallet
+ * - A cash table closes once only bots are left
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({}),
+  updateWithRetry: jest.fn((Model, query, update) => Promise.resolve({ ...query, ...update.$set }))
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null),
+  findOneAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const bots = require('../utils/bots');
+const ledger = require('../utils/ledger');
+const gameLogic = require('../utils/gameLogic');
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+const { getVariant } = require('../utils/variants');
+const { RANK_VALUES } = require('../utils/cardDeck');
+
+const card = (rank, suit) => ({ rank, suit, value: RANK_VALUES[rank] });
+const holdem = getVariant('holdem');
+
+// River at a cash table: Player1 is human, the bot sits on the button
+const BOARD = [card('A', 'clubs'), card('K', 'diamonds'), card('7', 'spades'), card('4', 'hearts'), card('2', 'clubs')];
+const createMockGame = (botHand) => {
+  const game = {
+    gameId: 'TEST01',
+    gameType: 'cash',
+    status: 'active',
+    handNumber: 3,
+    pot: 40,
+    currentBet: 0,
+    dealerPosition: 1,
+    bettingRound: 'river',
+    settings: { smallBlind: 1, bigBlind: 2 },
+    communityCards: BOARD,
+    actionHistory: [],
+    chipMovements: [],
+    players: [{
+      user: 'user1',
+      username: 'Player1',
+      isActive: true,
+      hasFolded: false,
+      seatStatus: 'sittingIn',
+      chips: 0,
+      totalChips: 200,
+      hand: []
+    }]
+  };
+  const bot = bots.createBot(game, 'hard', 200);
+  game.players.push({ ...bot, seatStatus: 'sittingIn', hand: botHand });
+  return game;
+};
+
+// No noise and no bluffing, so the bot plays its hand straight
+const steady = { variant: holdem, random: () => 0.5 };
+
+describe('Seating Bots', () => {
+  test('Bots only fill cash tables and leave a seat for the creator', () => {
+    expect(bots.validateBotRequest({ count: 3, level: 'easy' }, { maxSeats: 6 }))
+      .toEqual({ count: 3, level: 'easy', errors: [] });
+    expect(bots.validateBotRequest(undefined, { maxSeats: 6 }).count).toBe(0);
+    expect(bots.validateBotRequest({ count: 6 }, { maxSeats: 6 }).errors).toEqual(['Bots must leave a seat for you']);
+    expect(bots.validateBotRequest({ count: 1, level: 'genius' }, { maxSeats: 6 }).errors)
+      .toEqual(['Bot level must be one of easy, medium, hard']);
+    expect(bots.validateBotRequest({ count: 1 }, { maxSeats: 6, isTournament: true }).errors)
+      .toEqual(['Bots can only play at cash tables']);
+  });
+
+  test('Each bot gets its own name and is flagged as a bot', () => {
+    const game = createMockGame([]);
+    const second = bots.createBot(game, 'easy', 100);
+
+    expect(game.players[1]).toMatchObject({ username: 'Ayu (bot)', isBot: true, botLevel: 'hard' });
+    expect(second).toMatchObject({ username: 'Budi (bot)', isBot: true, totalChips: 100 });
+    expect(bots.isBot(game, game.players[1].user.toString())).toBe(true);
+    expect(bots.isBot(game, 'user1')).toBe(false);
+  });
+
+  test('Bots think for a moment before acting', () => {
+    expect(bots.getThinkingTime('easy', () => 0)).toBe(1500);
+    expect(bots.getThinkingTime('hard', () => 0.999)).toBeLessThanOrEqual(6000);
+  });
+});
+
+describe('Bot Decisions', () => {
+  test('A strong hand bets for value within the limits', () => {
+    const game = createMockGame([card('A', 'spades'), card('A', 'hearts')]);
+    const bot = game.players[1];
+    const options = { actions: ['fold', 'check', 'bet', 'allIn'], callAmount: 0, minRaiseTo: 2, maxRaiseTo: 200 };
+
+    const { action, amount } = bots.chooseAction(game, bot, options, steady);
+
+    expect(action).toBe('bet');
+    expect(amount).toBeGreaterThanOrEqual(20);
+    expect(amount).toBeLessThanOrEqual(40);
+  });
+
+  test('A weak hand checks when it can and folds to a big bet', () => {
+    const game = createMockGame([card('9', 'spades'), card('3', 'hearts')]);
+    const bot = game.players[1];
+
+    const free = { actions: ['fold', 'check', 'bet', 'allIn'], callAmount: 0, minRaiseTo: 2, maxRaiseTo: 200 };
+    expect(bots.chooseAction(game, bot, free, steady).action).toBe('check');
+
+    game.currentBet = 40;
+    game.pot = 80;
+    const facingBet = { actions: ['fold', 'call', 'raise', 'allIn'], callAmount: 40, minRaiseTo: 80, maxRaiseTo: 200 };
+    expect(bots.chooseAction(game, bot, facingBet, steady).action).toBe('fold');
+  });
+
+  test('A medium hand calls when the pot offers a good price', () => {
+    // Middle pair loses to plenty of hands but wins far more than the 1 in 12 it costs
+    const game = createMockGame([card('7', 'hearts'), card('8', 'hearts')]);
+    const bot = game.players[1];
+    bot.botLevel = 'easy';
+    game.currentBet = 10;
+    game.pot = 110;
+
+    const options = { actions: ['fold', 'call', 'raise', 'allIn'], callAmount: 10, minRaiseTo: 20, maxRaiseTo: 200 };
+    expect(bots.chooseAction(game, bot, options, steady).action).toBe('call');
+  });
+});
+
+describe('Bot Chips', () => {
+  beforeEach(() => {
+    LedgerEntry.create.mockClear();
+    User.findByIdAndUpdate.mockClear();
+  });
+
+  test('Bots buy in from the house and cash out to it', async () => {
+    const game = createMockGame([]);
+    const botId = game.players[1].user.toString();
+
+    await ledger.seatBot(game, botId, 200);
+    await ledger.cashOut(game, botId, 150);
+
+    expect(LedgerEntry.create.mock.calls.map(([e]) => [e.type, e.from, e.to, e.amount])).toEqual([
+      ['botBuyIn', 'house', `seat:TEST01:${botId}`, 200],
+      ['botCashOut', `seat:TEST01:${botId}`, 'house', 150]
+    ]);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('A bot that busts leaves, and a table of only bots closes', async () => {
+    const game = createMockGame([]);
+    game.players.push({ ...bots.createBot(game, 'easy', 100), seatStatus: 'sittingIn' });
+    game.players[2].totalChips = 0;
+
+    // Player1 left the table earlier
+    game.players[0].isActive = false;
+
+    const updated = await gameLogic.prepareNextHand(game);
+
+    expect(updated.players.map(p => p.username)).toEqual(['Player1', 'Ayu (bot)']);
+    expect(updated.status).toBe('completed');
+    expect(LedgerEntry.create.mock.calls.map(([e]) => [e.type, e.amount])).toEqual([['botCashOut', 200]]);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
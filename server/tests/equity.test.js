@@ -0,0 +1,97 @@
+// server/tests/equity.test.js
+/**
+ * Equity Calculator Test Suite
+ *
+ * This test file checks the equity engine:
+ * - Run-outs are enumerated exactly once the board is far enough along
+ * - Preflop and big multiway spots are sampled instead
+ * - Split pots count as ties and share the equity
+ * - Outs only count cards that improve the player's own hand
+ *
+ * Run with: npm test
+ */
+
+const equity = require('../utils/equity');
+const { RANK_VALUES } = require('../utils/cardDeck');
+const { createSeededRandomInt } = require('../utils/provablyFair');
+
+const card = (rank, suit) => ({ rank, suit, value: RANK_VALUES[rank] });
+
+const aces = [card('A', 'spades'), card('A', 'hearts')];
+const kings = [card('K', 'clubs'), card('K', 'diamonds')];
+
+describe('Equity Calculator', () => {
+  test('Every run-out from the flop is dealt', () => {
+    const flop = [card('2', 'clubs'), card('7', 'hearts'), card('9', 'spades')];
+
+    const result = equity.calculateEquity([aces, kings], flop);
+
+    expect(result.exact).toBe(true);
+    expect(result.runouts).toBe(990);
+    expect(result.players).toEqual([
+      { win: 91.6, tie: 0, equity: 91.6 },
+      { win: 8.4, tie: 0, equity: 8.4 }
+    ]);
+  });
+
+  test('The same hand in different suits splits the pot', () => {
+    const turn = [card('2', 'clubs'), card('7', 'spades'), card('9', 'diamonds'), card('Q', 'clubs')];
+
+    const result = equity.calculateEquity(
+      [[card('A', 'hearts'), card('K', 'hearts')], [card('A', 'diamonds'), card('K', 'diamonds')]],
+      turn
+    );
+
+    expect(result.runouts).toBe(44);
+    expect(result.players).toEqual([
+      { win: 0, tie: 100, equity: 50 },
+      { win: 0, tie: 100, equity: 50 }
+    ]);
+  });
+
+  test('Preflop equity is estimated from a sample of run-outs', () => {
+    const randomInt = createSeededRandomInt('equity-test', [], 1);
+
+    const result = equity.calculateEquity([aces, kings], [], { iterations: 2000, randomInt });
+
+    expect(result.exact).toBe(false);
+    expect(result.runouts).toBe(2000);
+    expect(result.players[0].equity).toBeGreaterThan(76);
+    expect(result.players[0].equity).toBeLessThan(86);
+    expect(result.players[0].equity + result.players[1].equity).toBeCloseTo(100, 0);
+  });
+
+  test('A card can only be in one place', () => {
+    expect(() => equity.calculateEquity([aces, [card('A', 'spades'), card('K', 'spades')]]))
+      .toThrow('Card A of spades is used twice');
+    expect(() => equity.calculateEquity([aces])).toThrow('Need at least two hands to calculate equity');
+  });
+
+  test('Cards that only improve the board are not outs', () => {
+    const board = [card('K', 'spades'), card('K', 'diamonds'), card('2', 'hearts')];
+
+    const outs = equity.getOuts([card('5', 'clubs'), card('6', 'diamonds')], board);
+
+    // Pairing a hole card makes two pair; another king helps everyone
+    expect(outs).toHaveLength(6);
+    expect(outs.every(o => ['5', '6'].includes(o.card.rank))).toBe(true);
+    expect(outs[0].handName).toBe('Two Pair');
+  });
+
+  test('Outs give the odds of hitting by the turn and by the river', () => {
+    const flop = [card('2', 'hearts'), card('7', 'hearts'), card('9', 'spades')];
+    const randomInt = createSeededRandomInt('equity-test', [], 2);
+
+    const odds = equity.calculateHandOdds([card('A', 'hearts'), card('K', 'hearts')], flop, 1, {
+      iterations: 200,
+      randomInt
+    });
+
+    // Nine hearts, three aces and three kings
+    expect(odds.handName).toBe('High Card');
+    expect(odds.outs).toHaveLength(15);
+    expect(odds.nextCard).toBe(31.9);
+    expect(odds.byRiver).toBe(54.1);
+    expect(odds.equity).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,218 @@
+// server/tests/handHistory.test.js
+/**
+ * Hand History Export Test Suite
+ *
+ * This test file checks the PokerStars-format hand history:
+ * - Header, seats and forced bets
+ * - Hole cards are only shown to the player who asks
+ * - Streets, raises and pot awards read like a PokerStars hand
+ * - The per-hand event log and the replays built from it
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const handHistory = require('../utils/handHistory');
+const gameLogic = require('../utils/gameLogic');
+
+const card = (rank, suit) => ({ rank, suit });
+
+// Three-handed hand: Carol folds, Alice raises, Bob calls and wins at showdown
+const createMockGame = () => ({
+  gameId: 'A1B2C3',
+  settings: { smallBlind: 5, bigBlind: 10, ante: 0, maxSeats: 8 },
+  players: [],
+  handRecords: [{
+    handNumber: 3,
+    startedAt: new Date(Date.UTC(2024, 0, 2, 3, 4, 5)),
+    buttonSeat: 3,
+    smallBlindSeat: 1,
+    bigBlindSeat: 2,
+    smallBlind: 5,
+    bigBlind: 10,
+    ante: 0,
+    seats: [
+      { seat: 1, player: 'user1', username: 'Alice', stack: 200, holeCards: [card('A', 'spades'), card('K', 'spades')] },
+      { seat: 2, player: 'user2', username: 'Bob', stack: 150, holeCards: [card('10', 'hearts'), card('10', 'clubs')] },
+      { seat: 3, player: 'user3', username: 'Carol', stack: 100, holeCards: [card('7', 'diamonds'), card('2', 'clubs')] }
+    ]
+  }],
+  actionHistory: [
+    { handNumber: 2, player: 'Alice', action: 'fold' },
+    { handNumber: 3, player: 'Alice', action: 'smallBlind', amount: 5 },
+    { handNumber: 3, player: 'Bob', action: 'bigBlind', amount: 10 },
+    { handNumber: 3, player: 'Carol', action: 'fold', amount: 0 },
+    { handNumber: 3, player: 'Alice', action: 'raise', amount: 30 },
+    { handNumber: 3, player: 'Bob', action: 'call', amount: 20 },
+    { handNumber: 3, player: 'System', action: 'dealFlop' },
+    { handNumber: 3, player: 'Alice', action: 'bet', amount: 40 },
+    { handNumber: 3, player: 'Bob', action: 'allIn', amount: 120 },
+    { handNumber: 3, player: 'Alice', action: 'call', amount: 80 }
+  ],
+  handResults: [{
+    handNumber: 3,
+    pot: 300,
+    communityCards: [card('10', 'spades'), card('4', 'hearts'), card('9', 'clubs'), card('2', 'hearts'), card('J', 'diamonds')],
+    hands: [
+      { player: 'Alice', handName: 'High Card' },
+      { player: 'Bob', handName: 'Three of a Kind' }
+    ],
+    pots: [{ amount: 300, winners: [{ username: 'Bob', amount: 300 }] }]
+  }]
+});
+
+describe('Hand History Export', () => {
+  test('Writes the header, seats and forced bets', () => {
+    const text = handHistory.formatHand(createMockGame(), 3, 'user1');
+    const lines = text.split('\n');
+
+    expect(lines[0]).toBe(
+      `PokerStars Hand #${parseInt('A1B2C3', 16)}00003:  Hold'em No Limit (5/10) - 2024/01/02 03:04:05 UTC`
+    );
+    expect(lines[1]).toBe("Table 'A1B2C3' 8-max Seat #3 is the button");
+    expect(lines).toContain('Seat 2: Bob (150 in chips)');
+    expect(lines).toContain('Alice: posts small blind 5');
+    expect(lines).toContain('Bob: posts big blind 10');
+  });
+
+  test('Only deals hole cards to the player asking', () => {
+    const game = createMockGame();
+
+    expect(handHistory.formatHand(game, 3, 'user1')).toContain('Dealt to Alice [As Ks]');
+    expect(handHistory.formatHand(game, 3, 'user1')).not.toContain('Dealt to Carol');
+    expect(handHistory.formatHand(game, 3, 'user3')).toContain('Dealt to Carol [7d 2c]');
+    expect(handHistory.formatHand(game, 3, 'user3')).not.toContain('Dealt to Alice');
+  });
+
+  test('Writes streets, raises and the showdown', () => {
+    const lines = handHistory.formatHand(createMockGame(), 3, 'user1').split('\n');
+
+    expect(lines).toContain('Carol: folds');
+    expect(lines).toContain('Alice: raises 20 to 30');
+    expect(lines).toContain('Bob: calls 20');
+    expect(lines).toContain('*** FLOP *** [Ts 4h 9c]');
+    expect(lines).toContain('Alice: bets 40');
+    expect(lines).toContain('Bob: raises 80 to 120 and is all-in');
+    // Turn and river were run out with no betting
+    expect(lines).toContain('*** TURN *** [Ts 4h 9c] [2h]');
+    expect(lines).toContain('*** RIVER *** [Ts 4h 9c 2h] [Jd]');
+    expect(lines).toContain('Bob: shows [Th Tc] (Three of a Kind)');
+    expect(lines).toContain('Bob collected 300 from pot');
+  });
+
+  test('Writes the summary', () => {
+    const lines = handHistory.formatHand(createMockGame(), 3, 'user1').split('\n');
+    const summary = lines.slice(lines.indexOf('*** SUMMARY ***'));
+
+    expect(summary).toEqual([
+      '*** SUMMARY ***',
+      'Total pot 300 | Rake 0',
+      'Board [Ts 4h 9c 2h Jd]',
+      'Seat 1: Alice (small blind) showed [As Ks] and lost with High Card',
+      'Seat 2: Bob (big blind) showed [Th Tc] and won (300) with Three of a Kind',
+      'Seat 3: Carol (button) folded before Flop'
+    ]);
+  });
+
+  test('Skips hands that have not finished', () => {
+    const game = createMockGame();
+
+    expect(handHistory.formatHand(game, 4, 'user1')).toBeNull();
+    expect(handHistory.formatGame(game, 'user1')).toBe(handHistory.formatHand(game, 3, 'user1'));
+  });
+});
+
+describe('Hand Event Log', () => {
+  const createLiveGame = () => ({
+    gameId: 'A1B2C3',
+    handNumber: 1,
+    bettingRound: 'preflop',
+    pot: 0,
+    dealerPosition: 0,
+    smallBlindPosition: 1,
+    bigBlindPosition: 0,
+    settings: { smallBlind: 5, bigBlind: 10, ante: 0 },
+    handRecords: [],
+    players: [
+      { user: 'user1', username: 'Alice', totalChips: 100, hand: [card('A', 'spades'), card('K', 'spades')] },
+      { user: 'user2', username: 'Bob', totalChips: 80, hand: [card('2', 'hearts'), card('7', 'clubs')] },
+      { user: 'user3', username: 'Carol', totalChips: 0, hand: [] }
+    ]
+  });
+
+  test('Records the seats and logs events with street, stack and pot', () => {
+    const game = createLiveGame();
+    gameLogic.recordHandStart(game);
+
+    const record = game.handRecords[0];
+    expect(record.seats.map(s => s.username)).toEqual(['Alice', 'Bob']);
+    expect(record.events[0]).toMatchObject({ type: 'deal', street: 'preflop', pot: 0 });
+
+    game.players[0].totalChips = 90;
+    game.pot = 10;
+    gameLogic.logHandEvent(game, 'bet', game.players[0], { amount: 10 });
+
+    expect(record.events[1]).toMatchObject({
+      type: 'bet',
+      street: 'preflop',
+      username: 'Alice',
+      amount: 10,
+      stack: 90,
+      pot: 10
+    });
+  });
+
+  test('Ignores events when the hand was not recorded', () => {
+    const game = createLiveGame();
+
+    expect(() => gameLogic.logHandEvent(game, 'check', game.players[0])).not.toThrow();
+    expect(game.handRecords).toEqual([]);
+  });
+});
+
+describe('Hand Replay', () => {
+  const createReplayGame = () => {
+    const game = createMockGame();
+    game.handRecords[0].events = [
+      { type: 'deal', street: 'preflop', pot: 0 },
+      { type: 'fold', street: 'preflop', player: 'user3', username: 'Carol', amount: 0, stack: 100, pot: 15 },
+      { type: 'show', street: 'showdown', player: 'user2', username: 'Bob', cards: [card('10', 'hearts'), card('10', 'clubs')] },
+      { type: 'award', street: 'river', player: 'user2', username: 'Bob', amount: 300, stack: 300, pot: 0 }
+    ];
+    return game;
+  };
+
+  test('Lists finished hands with their winners', () => {
+    expect(handHistory.listHands(createReplayGame())).toEqual([{
+      handNumber: 3,
+      startedAt: new Date(Date.UTC(2024, 0, 2, 3, 4, 5)),
+      players: ['Alice', 'Bob', 'Carol'],
+      pot: 300,
+      board: createMockGame().handResults[0].communityCards,
+      winners: ['Bob']
+    }]);
+  });
+
+  test('Only shows hole cards to their owner or once shown', () => {
+    const replay = handHistory.getReplay(createReplayGame(), 3, 'user1');
+    const cardsOf = (username) => replay.seats.find(s => s.username === username).holeCards;
+
+    expect(cardsOf('Alice')).toEqual([card('A', 'spades'), card('K', 'spades')]);
+    expect(cardsOf('Bob')).toEqual([card('10', 'hearts'), card('10', 'clubs')]);
+    expect(cardsOf('Carol')).toEqual([]);
+    expect(replay.events.map(e => e.type)).toEqual(['deal', 'fold', 'show', 'award']);
+    expect(replay.events[1].playerId).toBe('user3');
+  });
+
+  test('Has no replay for a hand still in progress', () => {
+    const game = createReplayGame();
+    game.handResults = [];
+
+    expect(handHistory.getReplay(game, 3, 'user1')).toBeNull();
+    expect(handHistory.listHands(game)).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+// server/tests/handStrength.test.js
+/**
+ * Hand Strength Test Suite
+ *
+ * This test file checks the lookup-table hand evaluator:
+ * - Every 5-card hand gets the same ordering as the original evaluator
+ * - 6 and 7 card hands score their best five cards
+ * - determineWinners still finds the winners and splits on top of it
+ *
+ * The same check over every 7-card hand takes a couple of minutes, so it is a
+ * separate script: node verify-hand-evaluator.js
+ *
+ * Run with: npm test
+ */
+
+const { createOrderedDeck, RANK_VALUES } = require('../utils/cardDeck');
+const { evaluateHand, evaluateSingleHand, determineWinners, HAND_RANKS } = require('../utils/handEvaluator');
+const { handStrength, getCategory, DISTINCT_HANDS } = require('../utils/handStrength');
+const { createSeededRandomInt } = require('../utils/provablyFair');
+
+const card = (rank, suit) => ({ rank, suit, value: RANK_VALUES[rank] });
+
+// The original evaluator's ordering: rank, then kickers
+const referenceKey = (cards) => {
+  const result = evaluateSingleHand(cards);
+  let key = result.rank;
+  for (let i = 0; i < 5; i++) {
+    key = key * 16 + (result.kickers[i] || 0);
+  }
+  return key;
+};
+
+// Best of all 5-card subsets by the original evaluator
+const referenceBest = (cards) => {
+  let best = 0;
+  for (let skip1 = 0; skip1 < cards.length; skip1++) {
+    for (let skip2 = skip1 + 1; skip2 < cards.length; skip2++) {
+      const five = cards.filter((_, i) => i !== skip1 && i !== skip2);
+      best = Math.max(best, referenceKey(five));
+    }
+  }
+  return best;
+};
+
+describe('Hand Strength', () => {
+  test('Every 5-card hand is ranked the same as by the original evaluator', () => {
+    const deck = createOrderedDeck();
+    const strengthOfKey = new Map();
+    let mismatches = 0;
+
+    for (let a = 0; a < 52; a++) {
+      for (let b = a + 1; b < 52; b++) {
+        for (let c = b + 1; c < 52; c++) {
+          for (let d = c + 1; d < 52; d++) {
+            for (let e = d + 1; e < 52; e++) {
+              const hand = [deck[a], deck[b], deck[c], deck[d], deck[e]];
+              const key = referenceKey(hand);
+              const strength = handStrength(hand);
+              const known = strengthOfKey.get(key);
+              if (known === undefined) {
+                strengthOfKey.set(key, strength);
+              } else if (known !== strength) {
+                mismatches++;
+              }
+            }
+          }
+        }
+      }
+    }
+
+    expect(mismatches).toBe(0);
+    expect(strengthOfKey.size).toBe(DISTINCT_HANDS);
+
+    const keys = [...strengthOfKey.keys()].sort((x, y) => x - y);
+    const strengths = keys.map(key => strengthOfKey.get(key));
+    expect(strengths).toEqual([...strengths].sort((x, y) => x - y));
+  }, 120000);
+
+  test('7-card hands agree with the best five by the original evaluator', () => {
+    const randomInt = createSeededRandomInt('hand-strength-test', [], 1);
+    const deal = () => {
+      const deck = createOrderedDeck();
+      return Array.from({ length: 7 }, () => deck.splice(randomInt(deck.length), 1)[0]);
+    };
+
+    for (let i = 0; i < 500; i++) {
+      const first = deal();
+      const second = deal();
+      const expected = Math.sign(referenceBest(first) - referenceBest(second));
+      expect(Math.sign(handStrength(first) - handStrength(second))).toBe(expected);
+    }
+  });
+
+  test('The wheel is the lowest straight', () => {
+    const wheel = [card('A', 'spades'), card('2', 'hearts'), card('3', 'clubs'), card('4', 'spades'), card('5', 'diamonds')];
+    const sixHigh = [card('6', 'spades'), card('2', 'hearts'), card('3', 'clubs'), card('4', 'spades'), card('5', 'diamonds')];
+    const trips = [card('A', 'spades'), card('A', 'hearts'), card('A', 'clubs'), card('4', 'spades'), card('5', 'diamonds')];
+
+    expect(handStrength(wheel)).toBeLessThan(handStrength(sixHigh));
+    expect(handStrength(wheel)).toBeGreaterThan(handStrength(trips));
+    expect(getCategory(handStrength(wheel))).toBe('straight');
+  });
+
+  test('The best five cards are picked out of six or seven', () => {
+    const cards = [
+      card('K', 'hearts'), card('K', 'spades'),
+      card('2', 'hearts'), card('7', 'hearts'), card('9', 'hearts'), card('J', 'hearts'), card('K', 'clubs')
+    ];
+
+    const seven = evaluateHand(cards);
+    expect(seven.rank).toBe(HAND_RANKS.FLUSH);
+    expect(seven.cards).toHaveLength(5);
+    expect(seven.cards.every(c => c.suit === 'hearts')).toBe(true);
+
+    const six = evaluateHand(cards.slice(0, 6));
+    expect(six.strength).toBe(seven.strength);
+
+    const royal = evaluateHand([
+      card('A', 'spades'), card('K', 'spades'), card('Q', 'spades'), card('J', 'spades'), card('10', 'spades'), card('2', 'clubs')
+    ]);
+    expect(royal.strength).toBe(DISTINCT_HANDS);
+    expect(royal.handName).toBe('Royal Flush');
+  });
+
+  test('Winners are found and tied hands split', () => {
+    const board = [card('2', 'clubs'), card('7', 'spades'), card('9', 'diamonds'), card('Q', 'clubs'), card('3', 'hearts')];
+
+    const result = determineWinners([
+      { playerId: 'user1', username: 'Player1', holeCards: [card('A', 'hearts'), card('K', 'hearts')], communityCards: board },
+      { playerId: 'user2', username: 'Player2', holeCards: [card('A', 'diamonds'), card('K', 'diamonds')], communityCards: board },
+      { playerId: 'user3', username: 'Player3', holeCards: [card('J', 'spades'), card('10', 'spades')], communityCards: board }
+    ]);
+
+    expect(result.winners.map(w => w.playerId).sort()).toEqual(['user1', 'user2']);
+    expect(result.winners[0].handName).toBe('High Card');
+    expect(result.allHands).toHaveLength(3);
+  });
+});
@@ -0,0 +1,174 @@
+// server/tests/ledger.test.js
+/**
+ * Chip Ledger Test Suite
+ *
+ * This test file checks the double-entry chip ledger:
+ * - Buy-ins move chips from a wallet onto a seat, only if the player can afford them
+ * - A finished hand moves every bet into the pot and every win back out
+ * - Reconciliation balances when wallets, tables and prize pools match the ledger
+ * - Reconciliation reports the accounts that don't
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null),
+  findOneAndUpdate: jest.fn()
+}));
+
+const ledger = require('../utils/ledger');
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+
+const { accounts } = ledger;
+
+// Cash table after a hand: user1 bet 50 and won 80, user2 bet 30 and lost
+const createMockGame = () => ({
+  gameId: 'TEST01',
+  gameType: 'cash',
+  status: 'active',
+  handNumber: 4,
+  pot: 0,
+  players: [
+    { user: 'user1', isActive: true, totalChips: 130, handContribution: 50 },
+    { user: 'user2', isActive: true, totalChips: 70, handContribution: 30 }
+  ]
+});
+
+// Sum every entry into account balances, the way getAccountBalances does
+const balancesOf = (entries) => {
+  const balances = new Map();
+  entries.forEach(({ from, to, amount }) => {
+    balances.set(from, (balances.get(from) || 0) - amount);
+    balances.set(to, (balances.get(to) || 0) + amount);
+  });
+  return balances;
+};
+
+// Both players bought in for 100 out of a 1000 chip signup bonus
+const historyOf = (game) => [
+  ...['user1', 'user2'].flatMap(user => [
+    { from: accounts.house, to: accounts.wallet(user), amount: 1000 },
+    { from: accounts.wallet(user), to: accounts.seat(game.gameId, user), amount: 100 }
+  ])
+];
+
+const usersOf = () => [
+  { _id: 'user1', balance: 900 },
+  { _id: 'user2', balance: 900 }
+];
+
+describe('Chip Ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('Buy-ins move chips from the wallet onto the seat', async () => {
+    User.findOneAndUpdate.mockResolvedValueOnce({ balance: 900 });
+    const game = createMockGame();
+
+    expect(await ledger.buyIn(game, 'user1', 100)).toBe(true);
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'user1', balance: { $gte: 100 } },
+      { $inc: { balance: -100 } },
+      { new: true }
+    );
+    expect(LedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'buyIn',
+      from: 'wallet:user1',
+      to: 'seat:TEST01:user1',
+      amount: 100
+    }));
+  });
+
+  test('Nothing is recorded when the wallet cannot cover a buy-in', async () => {
+    User.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    expect(await ledger.buyIn(createMockGame(), 'user1', 100)).toBe(false);
+    expect(LedgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  test('Every chip bet in a hand ends up back on a seat', async () => {
+    const game = createMockGame();
+
+    await ledger.recordPots(game, [{ winners: [{ playerId: 'user1', amount: 80 }] }]);
+
+    const [entries] = LedgerEntry.insertMany.mock.calls[0];
+    expect(entries.map(e => [e.type, e.from, e.to, e.amount])).toEqual([
+      ['bet', 'seat:TEST01:user1', 'pot:TEST01', 50],
+      ['bet', 'seat:TEST01:user2', 'pot:TEST01', 30],
+      ['potWin', 'pot:TEST01', 'seat:TEST01:user1', 80]
+    ]);
+    expect(balancesOf(entries).get('pot:TEST01')).toBe(0);
+  });
+
+  test('Wallets, tables and issued chips reconcile', async () => {
+    const game = createMockGame();
+    await ledger.recordPots(game, [{ winners: [{ playerId: 'user1', amount: 80 }] }]);
+    const entries = [...historyOf(game), ...LedgerEntry.insertMany.mock.calls[0][0]];
+
+    const result = ledger.reconcile(
+      { users: usersOf(), cashGames: [game], sitAndGos: [], tournaments: [] },
+      balancesOf(entries)
+    );
+
+    expect(result).toMatchObject({
+      balanced: true,
+      issued: 2000,
+      wallets: { ledger: 1800, actual: 1800 },
+      tables: { ledger: 200, actual: 200 },
+      mismatches: []
+    });
+  });
+
+  test('Chips written without the ledger show up as mismatches', () => {
+    const game = createMockGame();
+    const users = usersOf();
+    users[1].balance = 5000;
+    game.players[0].totalChips = 500;
+
+    const result = ledger.reconcile(
+      { users, cashGames: [game], sitAndGos: [], tournaments: [] },
+      balancesOf(historyOf(game))
+    );
+
+    expect(result.balanced).toBe(false);
+    expect(result.mismatches).toEqual([
+      { account: 'wallet:user2', ledger: 900, actual: 5000 },
+      { account: 'table:TEST01', ledger: 200, actual: 570 }
+    ]);
+  });
+
+  test('Prize pools hold the buy-ins until the tournament is over', () => {
+    const sitAndGo = {
+      gameId: 'SNG01',
+      status: 'waiting',
+      tournament: { buyIn: 50, prizePool: 0 },
+      players: [{}, {}]
+    };
+    const entries = [
+      { from: accounts.house, to: accounts.wallet('user1'), amount: 100 },
+      { from: accounts.house, to: accounts.wallet('user2'), amount: 100 },
+      { from: accounts.wallet('user1'), to: accounts.sitAndGo('SNG01'), amount: 50 },
+      { from: accounts.wallet('user2'), to: accounts.sitAndGo('SNG01'), amount: 50 }
+    ];
+    const users = [{ _id: 'user1', balance: 50 }, { _id: 'user2', balance: 50 }];
+
+    const state = { users, cashGames: [], sitAndGos: [sitAndGo], tournaments: [] };
+    expect(ledger.reconcile(state, balancesOf(entries)).balanced).toBe(true);
+
+    // Paid out without the prize ever leaving the pool
+    sitAndGo.status = 'completed';
+    users[0].balance = 150;
+    const result = ledger.reconcile(state, balancesOf(entries));
+    expect(result.balanced).toBe(false);
+    expect(result.mismatches).toEqual(expect.arrayContaining([
+      { account: 'sitAndGo:SNG01', ledger: 100, actual: 0 }
+    ]));
+  });
+});
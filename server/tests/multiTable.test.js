@@ -0,0 +1,209 @@
+// server/tests/multiTable.test.js
+/**
+ * Multi-Table Tournament Test Suite
+ *
+ * This test file checks tournaments played over several tables:
+ * - Players are seated at random over as few, evenly filled tables as possible
+ * - Tables are balanced and broken as players go out, ending at a final table
+ * - Places count down across every table and the winner is paid
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null),
+  findOneAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../models/Tournament', () => ({
+  findOne: jest.fn()
+}));
+
+jest.mock('../models/Game', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+
+const multiTable = require('../utils/multiTable');
+const Tournament = require('../models/Tournament');
+const Game = require('../models/Game');
+const User = require('../models/User');
+
+// Table between hands, players named after their seat
+const createTable = (gameId, chips) => ({
+  gameId,
+  status: 'active',
+  handNumber: 7,
+  dealerPosition: 0,
+  bigBlindPosition: 1,
+  handRecords: [{
+    handNumber: 7,
+    seats: chips.map((_, i) => ({ player: `${gameId}-${i}`, stack: 100 + i * 10 }))
+  }],
+  players: chips.map((totalChips, i) => ({
+    user: `${gameId}-${i}`,
+    username: `${gameId}-${i}`,
+    position: i,
+    isActive: true,
+    totalChips
+  })),
+  isModified: () => true,
+  save: jest.fn().mockResolvedValue(null)
+});
+
+const createTournament = (gameIds, entrants) => ({
+  tournamentId: 'MTT001',
+  status: 'running',
+  entrants,
+  tableSize: 3,
+  prizePool: 600,
+  payouts: [],
+  levels: [{ smallBlind: 10, bigBlind: 20 }, { smallBlind: 20, bigBlind: 40 }],
+  levelLength: 10,
+  currentLevel: 0,
+  levelStartedAt: new Date(0),
+  creator: { user: 'creator', username: 'Creator' },
+  registrations: [],
+  tables: gameIds.map((gameId, i) => ({ gameId, number: i + 1, broken: false, arrivals: [] })),
+  standings: [],
+  save: jest.fn().mockResolvedValue(null)
+});
+
+describe('Seating and Balancing', () => {
+  test('Players are spread evenly over as few tables as seat them', () => {
+    const players = Array.from({ length: 20 }, (_, i) => `p${i}`);
+    const tables = multiTable.seatPlayers(players, 9);
+
+    expect(tables.map(t => t.length)).toEqual([7, 7, 6]);
+    expect(tables.flat().sort()).toEqual([...players].sort());
+  });
+
+  test('Players move from the fullest table until no table is short by more than one', () => {
+    const plan = multiTable.planMoves({ A: 9, B: 6 }, ['A'], 9);
+
+    expect(plan.broken).toEqual([]);
+    expect(plan.moves).toEqual([{ from: 'A', to: 'B' }]);
+  });
+
+  test('Tables in the middle of a hand keep their players', () => {
+    expect(multiTable.planMoves({ A: 9, B: 6 }, ['B'], 9).moves).toEqual([]);
+  });
+
+  test('The smallest table is broken once the players fit on fewer tables', () => {
+    const plan = multiTable.planMoves({ A: 6, B: 5, C: 4 }, ['C'], 9);
+
+    expect(plan.broken).toEqual(['C']);
+    expect(plan.moves).toEqual([
+      { from: 'C', to: 'B' },
+      { from: 'C', to: 'A' },
+      { from: 'C', to: 'B' },
+      { from: 'C', to: 'A' }
+    ]);
+  });
+
+  test('The player due the big blind next is the one who moves', () => {
+    const table = createTable('AAAAAA', [100, 0, 100, 100]);
+
+    expect(multiTable.pickMover(table)).toBe(2);
+  });
+
+  test('Multi-table blinds can only go up by time', () => {
+    const { errors } = multiTable.validateMultiTableSettings({ levelBy: 'hands', tableSize: 12 });
+
+    expect(errors).toEqual(['Multi-table blinds go up by time', 'Tables seat between 2 and 10 players']);
+  });
+
+  test('The tournament clock moves every table on to the same level', () => {
+    const mtt = createTournament([], 6);
+
+    expect(multiTable.updateLevel(mtt, 5 * 60000)).toBe(false);
+    expect(multiTable.updateLevel(mtt, 25 * 60000)).toBe(true);
+    expect(mtt.currentLevel).toBe(1);
+    expect(multiTable.getLevelEndsAt(mtt)).toBeNull();
+  });
+});
+
+describe('Settling Tables', () => {
+  beforeEach(() => {
+    User.findByIdAndUpdate.mockClear();
+  });
+
+  test('Busted players are placed across the whole field and the table waits', async () => {
+    const mtt = createTournament(['AAAAAA', 'BBBBBB'], 6);
+    const tableA = createTable('AAAAAA', [0, 300, 0]);
+    const tableB = createTable('BBBBBB', [100, 100, 100]);
+    Tournament.findOne.mockResolvedValue(mtt);
+    Game.find.mockResolvedValue([tableA, tableB]);
+
+    const result = await multiTable.settleTable('MTT001', 'AAAAAA');
+
+    expect(result.eliminated.map(s => [s.username, s.place])).toEqual([['AAAAAA-2', 5], ['AAAAAA-0', 6]]);
+    expect(tableA.players.map(p => p.username)).toEqual(['AAAAAA-1']);
+    expect(result.moves).toEqual([]);
+    expect(result.finished).toBe(false);
+  });
+
+  test('An idle table is broken into the last one, which becomes the final table', async () => {
+    const mtt = createTournament(['AAAAAA', 'BBBBBB'], 6);
+    mtt.standings.push({ player: 'x', place: 6 }, { player: 'y', place: 5 });
+    const tableA = createTable('AAAAAA', [300]);
+    const tableB = createTable('BBBBBB', [150, 0, 150]);
+    Tournament.findOne.mockResolvedValue(mtt);
+    Game.find.mockResolvedValue([tableA, tableB]);
+
+    const result = await multiTable.settleTable('MTT001', 'BBBBBB', ['AAAAAA']);
+
+    expect(result.eliminated.map(s => s.place)).toEqual([4]);
+    expect(result.broken).toEqual(['AAAAAA']);
+    expect(result.finalTable).toBe('BBBBBB');
+    expect(tableA.status).toBe('completed');
+    expect(tableB.players.map(p => [p.username, p.totalChips])).toEqual([
+      ['BBBBBB-0', 150], ['BBBBBB-2', 150], ['AAAAAA-0', 300]
+    ]);
+  });
+
+  test('Players moved to a table mid-hand wait to be seated', async () => {
+    const mtt = createTournament(['AAAAAA', 'BBBBBB'], 9);
+    mtt.tableSize = 5;
+    const tableA = createTable('AAAAAA', [100, 100, 100, 100, 100]);
+    const tableB = createTable('BBBBBB', [100, 100, 100]);
+    Tournament.findOne.mockResolvedValue(mtt);
+    Game.find.mockResolvedValue([tableA, tableB]);
+
+    const result = await multiTable.settleTable('MTT001', 'AAAAAA');
+
+    expect(result.moves).toEqual([{ playerId: 'AAAAAA-2', username: 'AAAAAA-2', from: 'AAAAAA', to: 'BBBBBB' }]);
+    expect(tableB.players).toHaveLength(3);
+    expect(mtt.tables[1].arrivals).toEqual([{ player: 'AAAAAA-2', username: 'AAAAAA-2', chips: 100 }]);
+  });
+
+  test('The last player standing wins and the prizes are paid', async () => {
+    const mtt = createTournament(['BBBBBB'], 3);
+    mtt.standings.push({ player: 'x', username: 'x', place: 3 });
+    const table = createTable('BBBBBB', [0, 300]);
+    Tournament.findOne.mockResolvedValue(mtt);
+    Game.find.mockResolvedValue([table]);
+
+    const result = await multiTable.settleTable('MTT001', 'BBBBBB');
+
+    expect(result.finished).toBe(true);
+    expect(result.standings.map(s => [s.username, s.place, s.prize])).toEqual([
+      ['BBBBBB-1', 1, 600],
+      ['BBBBBB-0', 2, 0],
+      ['x', 3, 0]
+    ]);
+    expect(mtt.status).toBe('completed');
+    expect(table.status).toBe('completed');
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith('BBBBBB-1', { $inc: { balance: 600 } });
+  });
+});
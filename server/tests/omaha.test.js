@@ -0,0 +1,140 @@
+// server/tests/omaha.test.js
+/**
+ * Pot-Limit Omaha Test Suite
+ *
+ * This test file checks the Omaha variant:
+ * - Every player is dealt four hole cards
+ * - Hands use exactly two hole cards and three board cards
+ * - Bets and raises are capped at the size of the pot
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const gameLogic = require('../utils/gameLogic');
+const { evaluateOmahaHand, determineWinners } = require('../utils/handEvaluator');
+const { getVariant } = require('../utils/variants');
+const { validateTableSettings } = require('../utils/tableSettings');
+const { RANK_VALUES } = require('../utils/cardDeck');
+
+const card = (rank, suit) => ({ rank, suit, value: RANK_VALUES[rank] });
+const plo = getVariant('plo');
+
+// Omaha table with blinds of 1/2
+const createMockGame = (stacks) => ({
+  gameId: 'TEST01',
+  status: 'active',
+  handNumber: 0,
+  pot: 0,
+  currentBet: 0,
+  lastRaiseSize: 0,
+  dealerPosition: 0,
+  settings: { smallBlind: 1, bigBlind: 2, variant: 'plo' },
+  bettingRound: 'preflop',
+  communityCards: [],
+  actionHistory: [],
+  handRecords: [],
+  players: stacks.map((totalChips, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    seatStatus: 'sittingIn',
+    hasFolded: false,
+    hasActed: false,
+    isAllIn: false,
+    canRaise: true,
+    chips: 0,
+    handContribution: 0,
+    totalChips,
+    hand: []
+  })),
+  save: jest.fn().mockResolvedValue(null)
+});
+
+describe('Omaha Hands', () => {
+  test('Every player is dealt four hole cards', async () => {
+    const game = createMockGame([100, 100, 100]);
+
+    await gameLogic.startNewHand(game);
+
+    expect(game.players.map(p => p.hand.length)).toEqual([4, 4, 4]);
+    expect(game.handRecords[0].variant).toBe('plo');
+  });
+
+  test('A flush needs two cards of the suit in the hand', () => {
+    const board = [card('2', 'spades'), card('7', 'spades'), card('9', 'spades'), card('J', 'spades'), card('K', 'diamonds')];
+    const oneSpade = [card('A', 'spades'), card('A', 'hearts'), card('3', 'clubs'), card('4', 'diamonds')];
+    const twoSpades = [card('3', 'spades'), card('4', 'spades'), card('8', 'clubs'), card('8', 'diamonds')];
+
+    expect(evaluateOmahaHand(oneSpade, board).handName).toBe('One Pair');
+    expect(evaluateOmahaHand(twoSpades, board).handName).toBe('Flush');
+  });
+
+  test('The board does not play on its own', () => {
+    const board = [card('5', 'clubs'), card('6', 'diamonds'), card('7', 'hearts'), card('8', 'spades'), card('9', 'clubs')];
+    const hands = [
+      { playerId: 'user1', username: 'Player1', holeCards: [card('A', 'hearts'), card('A', 'spades'), card('K', 'clubs'), card('K', 'diamonds')], communityCards: board },
+      { playerId: 'user2', username: 'Player2', holeCards: [card('10', 'hearts'), card('2', 'spades'), card('3', 'clubs'), card('4', 'diamonds')], communityCards: board }
+    ];
+
+    // The aces can't use the straight on the board; the three and four make one
+    const result = determineWinners(hands, plo);
+    expect(result.winners.map(w => w.playerId)).toEqual(['user2']);
+    expect(result.winners[0].hand).toHaveLength(5);
+  });
+
+  test('Tables only accept variants that exist', () => {
+    expect(validateTableSettings({ variant: 'plo' }).settings.variant).toBe('plo');
+    expect(validateTableSettings({ variant: 'razz' }).errors).toEqual(['variant must be one of holdem, shortdeck, plo, plo8']);
+  });
+});
+
+describe('Pot Limit', () => {
+  test('A preflop raise can be to at most the pot after calling', async () => {
+    const game = createMockGame([200, 200, 200]);
+    await gameLogic.startNewHand(game);
+
+    // Blinds of 1 and 2, then calling 2 makes a pot of 5 to raise by
+    const options = gameLogic.getPlayerOptions(game, 'user1');
+    expect(options.maxRaiseTo).toBe(7);
+    expect(options.actions).not.toContain('allIn');
+
+    await expect(
+      gameLogic.processPlayerAction(game, 'user1', 'raise', 8)
+    ).rejects.toThrow('at most 7');
+
+    await gameLogic.processPlayerAction(game, 'user1', 'raise', 7);
+    expect(game.currentBet).toBe(7);
+
+    // Call 6 into a pot of 10, then raise by the 16 in the pot
+    expect(gameLogic.getPlayerOptions(game, 'user2').maxRaiseTo).toBe(23);
+  });
+
+  test('A short stack can still move all in within the limit', async () => {
+    const game = createMockGame([100, 100]);
+    game.bettingRound = 'flop';
+    game.pot = 40;
+    game.currentTurn = 'user1';
+    game.players[0].totalChips = 30;
+
+    const options = gameLogic.getPlayerOptions(game, 'user1');
+    expect(options.maxRaiseTo).toBe(30);
+    expect(options.actions).toEqual(expect.arrayContaining(['bet', 'allIn']));
+
+    await gameLogic.processPlayerAction(game, 'user1', 'bet', 30);
+    expect(game.players[0].isAllIn).toBe(true);
+  });
+});
@@ -0,0 +1,171 @@
+// server/tests/omahaHiLo.test.js
+/**
+ * Omaha Hi-Lo Test Suite
+ *
+ * This test file checks eight-or-better split pots:
+ * - A low needs five different ranks of eight or lower, two from the hole
+ * - The best low takes half of the pot, the high half gets the odd chip
+ * - Tied lows are quartered, and without a low the high takes everything
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const gameLogic = require('../utils/gameLogic');
+const { evaluateLowHand } = require('../utils/handEvaluator');
+const { calculateEquity } = require('../utils/equity');
+const { getVariant } = require('../utils/variants');
+const { RANK_VALUES } = require('../utils/cardDeck');
+
+const card = (rank, suit) => ({ rank, suit, value: RANK_VALUES[rank] });
+
+// Three low cards on the board: 2, 4 and 7
+const LOW_BOARD = [card('2', 'clubs'), card('4', 'diamonds'), card('7', 'hearts'), card('K', 'diamonds'), card('Q', 'spades')];
+
+// Hi-lo table where every player put the same amount in
+const createMockGame = (hands, board = LOW_BOARD, contribution = 40) => ({
+  gameId: 'TEST01',
+  handNumber: 1,
+  settings: { smallBlind: 1, bigBlind: 2, variant: 'plo8' },
+  players: hands.map((hand, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    hand,
+    isActive: true,
+    hasFolded: false,
+    isAllIn: false,
+    totalChips: 0,
+    handContribution: contribution
+  })),
+  communityCards: board,
+  actionHistory: [],
+  handResults: [],
+  handRecords: [],
+  pot: hands.length * contribution,
+  dealerPosition: 0,
+  save: jest.fn().mockResolvedValue(true)
+});
+
+// Set of kings, no low
+const KINGS = [card('K', 'hearts'), card('K', 'spades'), card('J', 'diamonds'), card('J', 'spades')];
+// Pair of nines, no low
+const NINES = [card('9', 'clubs'), card('9', 'spades'), card('10', 'clubs'), card('10', 'diamonds')];
+
+describe('Low Hands', () => {
+  test('A low takes two hole cards and three board cards, all eight or lower', () => {
+    const low = evaluateLowHand([card('A', 'spades'), card('3', 'spades'), card('K', 'clubs'), card('K', 'hearts')], LOW_BOARD);
+    expect(low.handName).toBe('7-4-3-2-A low');
+    expect(low.cards).toHaveLength(5);
+
+    // Only one hole card of eight or lower
+    expect(evaluateLowHand([card('A', 'spades'), card('9', 'spades'), card('K', 'clubs'), card('K', 'hearts')], LOW_BOARD)).toBeNull();
+
+    // Two low cards on the board aren't enough
+    const highBoard = [card('2', 'clubs'), card('4', 'diamonds'), card('9', 'hearts'), card('K', 'diamonds'), card('Q', 'spades')];
+    expect(evaluateLowHand([card('A', 'spades'), card('3', 'spades'), card('5', 'clubs'), card('6', 'hearts')], highBoard)).toBeNull();
+  });
+
+  test('Lows are compared from the top card down', () => {
+    const board = [card('2', 'clubs'), card('3', 'diamonds'), card('4', 'hearts'), card('K', 'diamonds'), card('Q', 'spades')];
+    const sixLow = evaluateLowHand([card('5', 'spades'), card('6', 'spades'), card('K', 'clubs'), card('K', 'hearts')], board);
+    const sevenLow = evaluateLowHand([card('A', 'spades'), card('7', 'spades'), card('K', 'clubs'), card('Q', 'hearts')], board);
+    const wheel = evaluateLowHand([card('A', 'hearts'), card('5', 'hearts'), card('J', 'clubs'), card('Q', 'clubs')], board);
+
+    expect(sixLow.handName).toBe('6-5-4-3-2 low');
+    expect(sixLow.strength).toBeGreaterThan(sevenLow.strength);
+    expect(wheel.strength).toBeGreaterThan(sixLow.strength);
+  });
+
+  test('A low card that pairs the board is counterfeited', () => {
+    // The deuce in the hole pairs the one on the board, so A-2 makes no low
+    const aceDeuce = [card('A', 'spades'), card('2', 'spades'), card('K', 'clubs'), card('K', 'hearts')];
+    expect(evaluateLowHand(aceDeuce, LOW_BOARD)).toBeNull();
+
+    // With a three as well the hand falls back on A-3
+    const withThree = [card('A', 'spades'), card('2', 'spades'), card('3', 'clubs'), card('K', 'hearts')];
+    expect(evaluateLowHand(withThree, LOW_BOARD).handName).toBe('7-4-3-2-A low');
+  });
+});
+
+describe('Split Pots', () => {
+  test('High and low each take half, the odd chip going high', async () => {
+    const game = createMockGame([
+      KINGS,
+      NINES,
+      [card('A', 'clubs'), card('3', 'spades'), card('8', 'diamonds'), card('8', 'hearts')]
+    ], LOW_BOARD, 33);
+
+    const pots = await gameLogic.awardPot(game);
+
+    expect(pots[0].winners.map(w => [w.playerId, w.amount, w.half])).toEqual([
+      ['user1', 50, 'high'],
+      ['user3', 49, 'low']
+    ]);
+    expect(game.players.map(p => p.totalChips)).toEqual([50, 0, 49]);
+  });
+
+  test('A shared low is quartered', async () => {
+    const game = createMockGame([
+      [card('A', 'clubs'), card('3', 'spades'), card('K', 'hearts'), card('K', 'spades')],
+      [card('A', 'diamonds'), card('3', 'diamonds'), card('9', 'clubs'), card('9', 'spades')],
+      [card('5', 'clubs'), card('6', 'clubs'), card('J', 'clubs'), card('J', 'hearts')]
+    ]);
+
+    await gameLogic.awardPot(game);
+
+    // Player1 scoops the high and splits the low: three quarters of 120
+    expect(game.players.map(p => p.totalChips)).toEqual([90, 30, 0]);
+  });
+
+  test('Without a qualifying low the high takes the whole pot', async () => {
+    const board = [card('2', 'clubs'), card('9', 'diamonds'), card('10', 'hearts'), card('K', 'diamonds'), card('Q', 'spades')];
+    const game = createMockGame([
+      KINGS,
+      [card('A', 'clubs'), card('3', 'spades'), card('4', 'diamonds'), card('5', 'hearts')]
+    ], board);
+
+    const pots = await gameLogic.awardPot(game);
+
+    expect(pots[0].winners).toEqual([
+      expect.objectContaining({ playerId: 'user1', amount: 80 })
+    ]);
+    expect(pots[0].winners[0].half).toBeUndefined();
+  });
+
+  test('The showdown names the high and low each winner won with', async () => {
+    const game = createMockGame([
+      KINGS,
+      [card('A', 'clubs'), card('3', 'spades'), card('8', 'diamonds'), card('8', 'hearts')]
+    ]);
+
+    const result = await gameLogic.processShowdown(game);
+
+    expect(result.winners).toEqual([
+      { playerId: 'user1', username: 'Player1', amount: 40, handName: 'Three of a Kind' },
+      { playerId: 'user2', username: 'Player2', amount: 40, lowHandName: '7-4-3-2-A low' }
+    ]);
+    expect(game.handResults[0].hands.find(h => h.player === 'Player2').lowHandName).toBe('7-4-3-2-A low');
+    expect(game.handResults[0].pots[0].winners.map(w => w.half)).toEqual(['high', 'low']);
+  });
+
+  test('All-in equity counts half a pot for the low', () => {
+    const result = calculateEquity(
+      [KINGS, [card('A', 'clubs'), card('3', 'spades'), card('8', 'diamonds'), card('8', 'hearts')]],
+      LOW_BOARD,
+      { variant: getVariant('plo8') }
+    );
+
+    expect(result.exact).toBe(true);
+    expect(result.players.map(p => p.equity)).toEqual([50, 50]);
+    expect(result.players.map(p => p.tie)).toEqual([100, 100]);
+  });
+});
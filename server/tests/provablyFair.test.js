@@ -0,0 +1,139 @@
+// server/tests/provablyFair.test.js
+/**
+ * Shuffle and Provably Fair Test Suite
+ *
+ * This test file checks the deck shuffle and the commit-reveal scheme:
+ * - Fisher-Yates keeps every card and gives each ordering an equal chance
+ * - The same seeds always produce the same deck
+ * - A revealed hand can be verified against its commitment and board
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const crypto = require('crypto');
+const cardDeck = require('../utils/cardDeck');
+const provablyFair = require('../utils/provablyFair');
+const gameLogic = require('../utils/gameLogic');
+
+describe('Deck Shuffle', () => {
+  test('Keeps all 52 cards and leaves the input untouched', () => {
+    const ordered = cardDeck.createOrderedDeck();
+    const shuffled = cardDeck.shuffleDeck(ordered);
+
+    expect(shuffled.length).toBe(52);
+    expect(cardDeck.checkForDuplicates(shuffled)).toEqual([]);
+    expect(ordered).toEqual(cardDeck.createOrderedDeck());
+  });
+
+  test('Every ordering of a small deck is about equally likely', () => {
+    const counts = {};
+    const runs = 6000;
+
+    for (let i = 0; i < runs; i++) {
+      const key = cardDeck.shuffleDeck(['a', 'b', 'c']).join('');
+      counts[key] = (counts[key] || 0) + 1;
+    }
+
+    expect(Object.keys(counts).length).toBe(6);
+    Object.values(counts).forEach(count => {
+      expect(count).toBeGreaterThan(runs / 6 * 0.85);
+      expect(count).toBeLessThan(runs / 6 * 1.15);
+    });
+  });
+});
+
+describe('Seeded Deck', () => {
+  test('Same seeds give the same deck, any other client seed changes it', () => {
+    const deck = provablyFair.deriveDeck('server', ['alice', 'bob'], 1);
+
+    expect(provablyFair.deriveDeck('server', ['alice', 'bob'], 1)).toEqual(deck);
+    expect(provablyFair.deriveDeck('server', ['alice', 'carol'], 1)).not.toEqual(deck);
+    expect(provablyFair.deriveDeck('server', ['alice', 'bob'], 2)).not.toEqual(deck);
+    expect(cardDeck.checkForDuplicates(deck)).toEqual([]);
+  });
+
+  test('Seeded random numbers stay in range', () => {
+    const randomInt = provablyFair.createSeededRandomInt('server', ['x'], 1);
+
+    for (let max = 1; max <= 52; max++) {
+      const value = randomInt(max);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(max);
+    }
+  });
+
+  test('Rejects client seeds that are empty or too long', () => {
+    expect(provablyFair.isValidClientSeed('my-lucky_seed42')).toBe(true);
+    expect(provablyFair.isValidClientSeed('')).toBe(false);
+    expect(provablyFair.isValidClientSeed('a'.repeat(65))).toBe(false);
+    expect(provablyFair.isValidClientSeed('no spaces')).toBe(false);
+  });
+});
+
+describe('Commit and Reveal', () => {
+  const createMockGame = () => ({
+    gameId: 'TEST01',
+    handNumber: 1,
+    communityCards: [],
+    revealedSeeds: [],
+    players: ['Alice', 'Bob', 'Carol'].map((username, i) => ({
+      user: `user${i + 1}`,
+      username,
+      isActive: true,
+      totalChips: 100,
+      hand: []
+    }))
+  });
+
+  test('The deck dealt matches the committed seed once revealed', () => {
+    const game = createMockGame();
+    game.players[0].clientSeed = 'alice-seed';
+
+    gameLogic.shuffleForHand(game);
+    const commitment = game.fairness.serverSeedHash;
+
+    // Next hand is committed to a different seed straight away
+    expect(game.nextServerSeedHash).toBeDefined();
+    expect(game.nextServerSeedHash).not.toBe(commitment);
+    expect(game.fairness.clientSeeds[0]).toEqual({ player: 'Alice', seed: 'alice-seed' });
+
+    // Deal the way startNewHand and the street dealers do
+    for (let round = 0; round < 2; round++) {
+      game.players.forEach(p => p.hand.push(cardDeck.drawCard(game.deck)));
+    }
+    cardDeck.drawCard(game.deck);
+    for (let i = 0; i < 3; i++) game.communityCards.push(cardDeck.drawCard(game.deck));
+    cardDeck.drawCard(game.deck);
+    game.communityCards.push(cardDeck.drawCard(game.deck));
+    cardDeck.drawCard(game.deck);
+    game.communityCards.push(cardDeck.drawCard(game.deck));
+
+    const record = gameLogic.revealServerSeed(game);
+    expect(game.revealedSeeds.length).toBe(1);
+    expect(crypto.createHash('sha256').update(record.serverSeed).digest('hex')).toBe(commitment);
+
+    const result = provablyFair.verifyHand(record);
+    expect(result.hashMatches).toBe(true);
+    expect(result.boardMatches).toBe(true);
+    expect(result.holeCards.map(h => h.cards)).toEqual(game.players.map(p => p.hand));
+
+    // Revealing twice does nothing
+    expect(gameLogic.revealServerSeed(game)).toBeNull();
+  });
+
+  test('Detects a board or seed that doesn\'t match', () => {
+    const game = createMockGame();
+    gameLogic.shuffleForHand(game);
+    game.communityCards = [cardDeck.drawCard(game.deck)];
+
+    const record = gameLogic.revealServerSeed(game);
+
+    expect(provablyFair.verifyHand(record).boardMatches).toBe(false);
+    expect(provablyFair.verifyHand({ ...record, serverSeed: 'forged' }).hashMatches).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+// server/tests/raiseRules.test.js
+/**
+ * No-Limit Raise Rules Test Suite
+ *
+ * This test file checks bet sizing in processPlayerAction:
+ * - The minimum raise is the current bet plus the last full raise of the street
+ * - Call and raise limits are reported with the player's options
+ * - A short all-in doesn't reopen the raising for players who already acted
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+const gameLogic = require('../utils/gameLogic');
+
+// Mock postflop game with no bets yet this street
+const createMockGame = (stacks) => {
+  const players = stacks.map((totalChips, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    hasFolded: false,
+    hasActed: false,
+    isAllIn: false,
+    canRaise: true,
+    chips: 0,
+    handContribution: 0,
+    totalChips
+  }));
+
+  return {
+    gameId: 'TEST01',
+    players,
+    pot: 0,
+    currentBet: 0,
+    lastRaiseSize: 0,
+    minBet: 2,
+    settings: { smallBlind: 1, bigBlind: 2 },
+    bettingRound: 'flop',
+    currentTurn: 'user1',
+    actionHistory: [],
+    save: jest.fn().mockResolvedValue(null)
+  };
+};
+
+describe('Raise Limits', () => {
+  test('Opening bet must be at least the big blind', async () => {
+    const game = createMockGame([100, 100]);
+    const options = gameLogic.getPlayerOptions(game, 'user1');
+
+    expect(options.actions).toContain('bet');
+    expect(options.minRaiseTo).toBe(2);
+    expect(options.maxRaiseTo).toBe(100);
+
+    await expect(
+      gameLogic.processPlayerAction(game, 'user1', 'bet', 1)
+    ).rejects.toThrow('at least 2');
+  });
+
+  test('Minimum raise is the current bet plus the last raise size', async () => {
+    const game = createMockGame([100, 100, 100]);
+
+    await gameLogic.processPlayerAction(game, 'user1', 'bet', 10);
+    expect(gameLogic.getPlayerOptions(game, 'user2')).toMatchObject({
+      callAmount: 10,
+      minRaiseTo: 20
+    });
+
+    await expect(
+      gameLogic.processPlayerAction(game, 'user2', 'raise', 15)
+    ).rejects.toThrow('at least 20');
+
+    await gameLogic.processPlayerAction(game, 'user2', 'raise', 35);
+    expect(game.lastRaiseSize).toBe(25);
+    expect(gameLogic.getPlayerOptions(game, 'user3').minRaiseTo).toBe(60);
+  });
+
+  test('Call amount is capped at the player\'s stack', async () => {
+    const game = createMockGame([100, 30]);
+
+    await gameLogic.processPlayerAction(game, 'user1', 'bet', 50);
+    const options = gameLogic.getPlayerOptions(game, 'user2');
+
+    expect(options.callAmount).toBe(30);
+    expect(options.actions).toEqual(['fold', 'call', 'allIn']);
+  });
+});
+
+describe('Short All-ins', () => {
+  test('A short all-in does not reopen raising for players who acted', async () => {
+    const game = createMockGame([100, 14, 100]);
+
+    await gameLogic.processPlayerAction(game, 'user1', 'bet', 10);
+    await gameLogic.processPlayerAction(game, 'user2', 'allIn');
+
+    expect(game.currentBet).toBe(14);
+    expect(game.lastRaiseSize).toBe(10);
+
+    // Player 3 hadn't acted and may still raise
+    expect(gameLogic.getPlayerOptions(game, 'user3')).toMatchObject({
+      actions: ['fold', 'call', 'raise', 'allIn'],
+      minRaiseTo: 24
+    });
+    await gameLogic.processPlayerAction(game, 'user3', 'call');
+
+    // Player 1 has to call the extra 4 chips but can't raise
+    expect(game.currentTurn).toBe('user1');
+    expect(gameLogic.getPlayerOptions(game, 'user1').actions).toEqual([
+      'fold',
+      'call'
+    ]);
+    await expect(
+      gameLogic.processPlayerAction(game, 'user1', 'raise', 30)
+    ).rejects.toThrow('Invalid action');
+  });
+
+  test('A full all-in raise reopens the betting', async () => {
+    const game = createMockGame([100, 25, 100]);
+
+    await gameLogic.processPlayerAction(game, 'user1', 'bet', 10);
+    await gameLogic.processPlayerAction(game, 'user2', 'allIn');
+    await gameLogic.processPlayerAction(game, 'user3', 'call');
+
+    expect(game.lastRaiseSize).toBe(15);
+    expect(gameLogic.getPlayerOptions(game, 'user1').actions).toContain('raise');
+  });
+});
+
+describe('Street Reset', () => {
+  test('A new street clears bets and the raise size', async () => {
+    const game = createMockGame([100, 100]);
+    game.dealerPosition = 1;
+
+    await gameLogic.processPlayerAction(game, 'user1', 'bet', 10);
+    await gameLogic.processPlayerAction(game, 'user2', 'call');
+
+    game.bettingRound = 'turn';
+    await gameLogic.startBettingRound(game);
+
+    expect(game.currentBet).toBe(0);
+    expect(game.lastRaiseSize).toBe(0);
+    expect(game.players.map(p => p.chips)).toEqual([0, 0]);
+    expect(game.players.map(p => p.handContribution)).toEqual([10, 10]);
+    expect(game.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+// server/tests/runItTwice.test.js
+/**
+ * Run It Twice Test Suite
+ *
+ * This test file checks all-in boards that are run twice:
+ * - The second board keeps the shared cards and deals the rest from the same deck
+ * - Half of every pot is played on each board, the odd chip on the first
+ * - The showdown reports what each board paid
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const gameLogic = require('../utils/gameLogic');
+const { RANK_VALUES } = require('../utils/cardDeck');
+
+const card = (rank, suit) => ({ rank, suit, value: RANK_VALUES[rank] });
+
+// Heads-up all-in on the flop: aces against a flush draw
+const createMockGame = (pot = 200) => ({
+  gameId: 'TEST01',
+  handNumber: 3,
+  players: [
+    {
+      user: 'user1',
+      username: 'Player1',
+      hand: [card('A', 'spades'), card('A', 'diamonds')],
+      isActive: true,
+      hasFolded: false,
+      isAllIn: true,
+      totalChips: 0,
+      handContribution: pot / 2
+    },
+    {
+      user: 'user2',
+      username: 'Player2',
+      hand: [card('K', 'hearts'), card('Q', 'hearts')],
+      isActive: true,
+      hasFolded: false,
+      isAllIn: true,
+      totalChips: 0,
+      handContribution: pot / 2
+    }
+  ],
+  communityCards: [card('2', 'hearts'), card('7', 'hearts'), card('9', 'clubs')],
+  secondBoard: [],
+  actionHistory: [],
+  pot,
+  dealerPosition: 0,
+  save: jest.fn().mockResolvedValue(true)
+});
+
+// Turn and river on each board: the aces hold on the first, the flush gets there on the second
+const completeBoards = (game) => {
+  game.communityCards.push(card('3', 'spades'), card('4', 'clubs'));
+  game.secondBoard = [...game.communityCards.slice(0, 3), card('J', 'hearts'), card('5', 'diamonds')];
+};
+
+describe('Run It Twice', () => {
+  test('The second board is dealt from the same deck after the shared cards', async () => {
+    const game = createMockGame();
+    game.communityCards.push(card('3', 'spades'), card('4', 'clubs'));
+    // Cards are drawn from the end of the deck: burn, turn, burn, river
+    game.deck = [card('6', 'clubs'), card('5', 'diamonds'), card('8', 'spades'), card('J', 'hearts'), card('10', 'spades')];
+
+    await gameLogic.dealSecondBoard(game, 3);
+
+    expect(game.secondBoard).toEqual([
+      ...game.communityCards.slice(0, 3),
+      card('J', 'hearts'),
+      card('5', 'diamonds')
+    ]);
+    expect(game.deck).toEqual([card('6', 'clubs')]);
+    expect(game.actionHistory[0].action).toBe('dealSecondBoard');
+  });
+
+  test('Each board plays for half of the pot', async () => {
+    const game = createMockGame();
+    completeBoards(game);
+
+    const pots = await gameLogic.awardPot(game);
+
+    expect(pots[0].winners.map(w => [w.playerId, w.amount, w.run])).toEqual([
+      ['user1', 100, 1],
+      ['user2', 100, 2]
+    ]);
+    expect(game.players.map(p => p.totalChips)).toEqual([100, 100]);
+  });
+
+  test('The first board takes the odd chip', async () => {
+    const game = createMockGame(201);
+    game.players[0].handContribution = 101;
+    completeBoards(game);
+
+    const pots = await gameLogic.awardPot(game);
+
+    expect(pots[0].winners.map(w => w.amount)).toEqual([101, 100]);
+  });
+
+  test('A board run once plays for the whole pot', async () => {
+    const game = createMockGame();
+    game.communityCards.push(card('3', 'spades'), card('4', 'clubs'));
+
+    const pots = await gameLogic.awardPot(game);
+
+    expect(pots[0].winners).toEqual([
+      expect.objectContaining({ playerId: 'user1', amount: 200 })
+    ]);
+    expect(pots[0].winners[0].run).toBeUndefined();
+  });
+});
@@ -0,0 +1,271 @@
+// server/tests/seatStatus.test.js
+/**
+ * Seat Status Test Suite
+ *
+ * This test file checks sitting out, sitting in and being away:
+ * - Only players sitting in are dealt in and take the blinds
+ * - Returning players wait for the big blind or post it with a dead small blind
+ * - Players who sit out too long lose their seat and get their chips back
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const gameLogic = require('../utils/gameLogic');
+const handHistory = require('../utils/handHistory');
+const provablyFair = require('../utils/provablyFair');
+const cardDeck = require('../utils/cardDeck');
+const User = require('../models/User');
+
+// Table between hands with the button on the first seat
+const createMockGame = (count = 5) => ({
+  gameId: 'TEST01',
+  status: 'active',
+  handNumber: 4,
+  bettingRound: 'preflop',
+  pot: 0,
+  currentBet: 0,
+  dealerPosition: 0,
+  settings: { smallBlind: 1, bigBlind: 2, maxSitOutOrbits: 1 },
+  actionHistory: [],
+  handRecords: [],
+  players: Array.from({ length: count }, (_, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    seatStatus: 'sittingIn',
+    hasFolded: false,
+    isAllIn: false,
+    chips: 0,
+    handContribution: 0,
+    totalChips: 100,
+    hand: []
+  }))
+});
+
+// Blinds as startNewHand sets them
+const seatBlinds = (game) => {
+  gameLogic.applySeatChanges(game);
+  gameLogic.setBlindPositions(game);
+  gameLogic.assignBigBlind(game);
+  game.players.forEach(player => {
+    player.hasFolded = !gameLogic.isSittingIn(player);
+  });
+};
+
+describe('Seat Status', () => {
+  test('Only players sitting in with chips are dealt in', () => {
+    const game = createMockGame(4);
+    game.players[1].seatStatus = 'away';
+    game.players[2].waitingForBigBlind = true;
+    game.players[3].totalChips = 0;
+
+    expect(game.players.map(p => gameLogic.isSittingIn(p))).toEqual([true, false, false, false]);
+  });
+
+  test('A hand with a seat sitting out still verifies', async () => {
+    const game = { ...createMockGame(4), communityCards: [], revealedSeeds: [], save: jest.fn() };
+    game.players[2].seatStatus = 'sittingOut';
+
+    await gameLogic.startNewHand(game);
+    expect(game.fairness.clientSeeds.map(s => s.player)).toEqual(['Player1', 'Player2', 'Player4']);
+
+    // Burn and turn the board the way the street dealers do
+    for (const count of [3, 1, 1]) {
+      cardDeck.drawCard(game.deck);
+      for (let i = 0; i < count; i++) game.communityCards.push(cardDeck.drawCard(game.deck));
+    }
+
+    const result = provablyFair.verifyHand(gameLogic.revealServerSeed(game));
+    expect(result.holeCards.map(h => h.cards)).toEqual([0, 1, 3].map(i => game.players[i].hand));
+    expect(result.board).toEqual(game.communityCards);
+    expect(result.boardMatches).toBe(true);
+  });
+
+  test('Antes that cover every stack but one leave the board to run out', async () => {
+    // Antes-only table where the ante covers the stacks given
+    const anteTable = (stacks) => {
+      const game = { ...createMockGame(stacks.length), communityCards: [], save: jest.fn() };
+      game.settings = { ...game.settings, forcedBets: 'antes', ante: 5 };
+      game.players.forEach((p, i) => { p.totalChips = stacks[i]; });
+      return game;
+    };
+
+    const oneLeft = anteTable([5, 5, 50]);
+    await gameLogic.startNewHand(oneLeft);
+    expect(oneLeft.pot).toBe(15);
+    expect(oneLeft.currentTurn).toBeNull();
+    expect(gameLogic.isAllInRunout(oneLeft)).toBe(true);
+
+    const allIn = anteTable([5, 5, 5]);
+    await gameLogic.startNewHand(allIn);
+    expect(allIn.players.every(p => p.isAllIn)).toBe(true);
+    expect(allIn.currentTurn).toBeNull();
+    expect(gameLogic.isAllInRunout(allIn)).toBe(true);
+  });
+
+  test('Pending sit-outs and busted players sit out from the next hand', () => {
+    const game = createMockGame(4);
+    game.players[1].sitOutNextHand = true;
+    game.players[2].totalChips = 0;
+
+    gameLogic.applySeatChanges(game);
+
+    expect(game.players.map(p => p.seatStatus)).toEqual(['sittingIn', 'sittingOut', 'sittingOut', 'sittingIn']);
+    expect(game.players[1].sitOutNextHand).toBe(false);
+  });
+
+  test('Players waiting for the big blind come straight in on a short table', () => {
+    const game = createMockGame(3);
+    game.players[2].waitingForBigBlind = true;
+    game.players[2].missedBigBlind = true;
+
+    gameLogic.applySeatChanges(game);
+
+    expect(gameLogic.isSittingIn(game.players[2])).toBe(true);
+    expect(game.players[2].missedBigBlind).toBe(false);
+  });
+
+  test('Blinds skip players sitting out, who then owe the big blind', () => {
+    const game = createMockGame();
+    game.players[2].seatStatus = 'sittingOut';
+
+    seatBlinds(game);
+
+    expect(game.smallBlindPosition).toBe(1);
+    expect(game.bigBlindPosition).toBe(3);
+    expect(game.players[2].missedBigBlind).toBe(true);
+    expect(game.players[2].hasFolded).toBe(true);
+  });
+
+  test('A player waiting for the big blind takes it when it passes them', () => {
+    const game = createMockGame();
+    Object.assign(game.players[2], { waitingForBigBlind: true, missedBigBlind: true });
+
+    seatBlinds(game);
+
+    expect(game.bigBlindPosition).toBe(2);
+    expect(game.players[2]).toMatchObject({ waitingForBigBlind: false, missedBigBlind: false, hasFolded: false });
+  });
+
+  test('Sitting out at the big blind moves it on', () => {
+    const game = createMockGame();
+    game.players[2].sitOutNextBigBlind = true;
+
+    seatBlinds(game);
+
+    expect(game.bigBlindPosition).toBe(3);
+    expect(game.players[2]).toMatchObject({ seatStatus: 'sittingOut', sitOutNextBigBlind: false, missedBigBlind: true });
+  });
+
+  test('Returning early posts a live big blind and a dead small blind', async () => {
+    const game = createMockGame();
+    Object.assign(game, { smallBlindPosition: 1, bigBlindPosition: 2 });
+    game.players[4].missedBigBlind = true;
+
+    await gameLogic.postForcedBets(game);
+
+    const returning = game.players[4];
+    expect(returning.chips).toBe(2);
+    expect(returning.totalChips).toBe(97);
+    expect(returning.missedBigBlind).toBe(false);
+    expect(game.pot).toBe(6);
+    expect(game.currentBet).toBe(2);
+    expect(game.actionHistory.filter(a => a.player === 'Player5').map(a => a.action))
+      .toEqual(['bigBlind', 'deadBlind']);
+  });
+
+  test('Hand history writes the returning blinds the PokerStars way', () => {
+    const game = createMockGame(3);
+    Object.assign(game, { smallBlindPosition: 1, bigBlindPosition: 2 });
+    game.players.forEach(p => { p.hand = [{ rank: 'A', suit: 'spades' }, { rank: 'K', suit: 'spades' }]; });
+    gameLogic.recordHandStart(game);
+    game.actionHistory = [
+      { player: 'Player2', action: 'smallBlind', amount: 1, handNumber: 4 },
+      { player: 'Player3', action: 'bigBlind', amount: 2, handNumber: 4 },
+      { player: 'Player1', action: 'bigBlind', amount: 2, handNumber: 4 },
+      { player: 'Player1', action: 'deadBlind', amount: 1, handNumber: 4 }
+    ];
+    game.handResults = [{ handNumber: 4, pot: 6, pots: [{ amount: 6, winners: [{ username: 'Player1', amount: 6 }] }] }];
+
+    expect(handHistory.formatHand(game, 4, 'user1')).toContain('Player1: posts small & big blinds 3');
+  });
+});
+
+describe('Sitting Out and In', () => {
+  test('Sitting out waits for the hand in progress to finish', () => {
+    const game = createMockGame(3);
+    game.players[0].hand = [{ rank: 'A', suit: 'spades' }];
+
+    expect(gameLogic.sitOut(game, 'user2', 'nextHand')).toEqual({ sitOutNextHand: true, sitOutNextBigBlind: false });
+    expect(game.players[1].seatStatus).toBe('sittingIn');
+
+    game.players[0].hand = [];
+    gameLogic.sitOut(game, 'user3', 'nextHand');
+    expect(game.players[2].seatStatus).toBe('sittingOut');
+  });
+
+  test('Sitting back in after missing the big blind waits for it unless blinds are posted', () => {
+    const game = createMockGame(3);
+    Object.assign(game.players[1], { seatStatus: 'away', missedBigBlind: true });
+    Object.assign(game.players[2], { seatStatus: 'sittingOut', missedBigBlind: true });
+
+    gameLogic.sitIn(game, 'user2', 'waitForBigBlind');
+    gameLogic.sitIn(game, 'user3', 'postBlinds');
+
+    expect(game.players[1]).toMatchObject({ seatStatus: 'sittingIn', waitingForBigBlind: true });
+    expect(game.players[2]).toMatchObject({ seatStatus: 'sittingIn', waitingForBigBlind: false, missedBigBlind: true });
+  });
+
+  test('Busted players and strangers cannot sit in', () => {
+    const game = createMockGame(3);
+    game.players[1].totalChips = 0;
+
+    expect(() => gameLogic.sitIn(game, 'user2')).toThrow('You need chips to sit back in');
+    expect(() => gameLogic.sitIn(game, 'user9')).toThrow('You are not seated in this game');
+  });
+
+  test('A hand can only start with two players ready to sit in', () => {
+    const game = createMockGame(3);
+    game.players[1].seatStatus = 'sittingOut';
+    expect(gameLogic.canStartHand(game)).toBe(true);
+
+    game.players[2].sitOutNextHand = true;
+    expect(gameLogic.canStartHand(game)).toBe(false);
+  });
+});
+
+describe('Removing Absent Players', () => {
+  beforeEach(() => {
+    User.findByIdAndUpdate.mockClear();
+  });
+
+  test('Players who sat out for too many orbits lose their seat and keep their chips', async () => {
+    const game = createMockGame(4);
+    game.dealerPosition = 2;
+    Object.assign(game.players[0], { seatStatus: 'sittingOut', handsSatOut: 4, totalChips: 75 });
+    Object.assign(game.players[1], { seatStatus: 'away', handsSatOut: 3 });
+
+    const removed = await gameLogic.removeAbsentPlayers(game);
+
+    expect(removed).toEqual(['Player1']);
+    expect(game.players.map(p => p.username)).toEqual(['Player2', 'Player3', 'Player4']);
+    expect(game.players.map(p => p.position)).toEqual([0, 1, 2]);
+    expect(game.dealerPosition).toBe(1);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user1', { $inc: { balance: 75 } });
+    expect(game.actionHistory[0]).toMatchObject({ player: 'Player1', action: 'leftTable' });
+  });
+});
@@ -0,0 +1,211 @@
+// server/tests/shortDeck.test.js
+/**
+ * Short Deck Test Suite
+ *
+ * This test file checks Short Deck (6+) Hold'em:
+ * - The deck has 36 cards, sixes and up
+ * - A-6-7-8-9 is the lowest straight and a flush beats a full house
+ * - Tables can play with antes only, or antes and a button blind
+ * - Short deck hands verify against their seeds
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const cardDeck = require('../utils/cardDeck');
+const gameLogic = require('../utils/gameLogic');
+const provablyFair = require('../utils/provablyFair');
+const { evaluateHand, evaluateSingleHand, determineWinners, HAND_RANKS } = require('../utils/handEvaluator');
+const { handStrength, getCategory, getRanking } = require('../utils/handStrength');
+const { calculateEquity } = require('../utils/equity');
+const { validateTableSettings } = require('../utils/tableSettings');
+const { getVariant } = require('../utils/variants');
+
+const card = (rank, suit) => ({ rank, suit, value: cardDeck.RANK_VALUES[rank] });
+const shortDeck = getVariant('shortdeck');
+
+// Short deck table with the given forced bets, blinds of 1/2 and an ante of 1
+const createMockGame = (forcedBets, players = 3) => ({
+  gameId: 'TEST01',
+  status: 'active',
+  handNumber: 0,
+  pot: 0,
+  currentBet: 0,
+  lastRaiseSize: 0,
+  dealerPosition: 0,
+  settings: { smallBlind: 1, bigBlind: 2, ante: 1, variant: 'shortdeck', forcedBets },
+  bettingRound: 'preflop',
+  communityCards: [],
+  actionHistory: [],
+  handRecords: [],
+  players: Array.from({ length: players }, (_, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    seatStatus: 'sittingIn',
+    hasFolded: false,
+    hasActed: false,
+    isAllIn: false,
+    canRaise: true,
+    chips: 0,
+    handContribution: 0,
+    totalChips: 100,
+    hand: []
+  })),
+  save: jest.fn().mockResolvedValue(null)
+});
+
+describe('Short Deck', () => {
+  test('The deck has the 36 cards from six up', () => {
+    const deck = cardDeck.createDeck('short');
+
+    expect(deck).toHaveLength(36);
+    expect(cardDeck.checkForDuplicates(deck)).toEqual([]);
+    expect(deck.every(c => c.value >= 6)).toBe(true);
+    expect(cardDeck.createDeck()).toHaveLength(52);
+  });
+
+  test('Hands rank as in the full deck, except flushes and A-6-7-8-9', () => {
+    // Flushes move above full houses; everything else keeps its place
+    const order = [
+      HAND_RANKS.HIGH_CARD, HAND_RANKS.ONE_PAIR, HAND_RANKS.TWO_PAIR, HAND_RANKS.THREE_OF_A_KIND,
+      HAND_RANKS.STRAIGHT, HAND_RANKS.FULL_HOUSE, HAND_RANKS.FLUSH, HAND_RANKS.FOUR_OF_A_KIND,
+      HAND_RANKS.STRAIGHT_FLUSH, HAND_RANKS.ROYAL_FLUSH
+    ];
+    const deck = cardDeck.createOrderedDeck('short');
+    const isLowStraight = (hand) =>
+      [14, 6, 7, 8, 9].every(value => hand.some(c => c.value === value));
+
+    let wrong = 0;
+    const keyOfStrength = new Map();
+    for (let a = 0; a < 36; a++) {
+      for (let b = a + 1; b < 36; b++) {
+        for (let c = b + 1; c < 36; c++) {
+          for (let d = c + 1; d < 36; d++) {
+            for (let e = d + 1; e < 36; e++) {
+              const hand = [deck[a], deck[b], deck[c], deck[d], deck[e]];
+              const reference = evaluateSingleHand(hand);
+              let rank = reference.rank;
+              let kickers = reference.kickers;
+              if (isLowStraight(hand)) {
+                rank = rank === HAND_RANKS.FLUSH ? HAND_RANKS.STRAIGHT_FLUSH : HAND_RANKS.STRAIGHT;
+                kickers = [5]; // Below the 10-high straight
+              }
+
+              const padded = [...kickers, 0, 0, 0, 0].slice(0, 5);
+              const key = padded.reduce((k, v) => k * 16 + v, order.indexOf(rank));
+              const strength = handStrength(hand, 'short');
+              if (keyOfStrength.has(strength) && keyOfStrength.get(strength) !== key) {
+                wrong++;
+              }
+              keyOfStrength.set(strength, key);
+            }
+          }
+        }
+      }
+    }
+
+    expect(wrong).toBe(0);
+    expect(keyOfStrength.size).toBe(getRanking('short').distinct);
+    const keys = [...keyOfStrength.keys()].sort((x, y) => x - y).map(s => keyOfStrength.get(s));
+    expect(keys).toEqual([...keys].sort((x, y) => x - y));
+  });
+
+  test('A-6-7-8-9 is a straight and flushes beat full houses', () => {
+    const lowStraight = [card('A', 'spades'), card('6', 'hearts'), card('7', 'clubs'), card('8', 'spades'), card('9', 'diamonds')];
+    expect(evaluateHand(lowStraight, 'short').handName).toBe('Straight');
+    expect(getCategory(handStrength(lowStraight, 'short'), 'short')).toBe('straight');
+    expect(evaluateHand(lowStraight).handName).toBe('High Card');
+
+    const board = [card('A', 'hearts'), card('A', 'diamonds'), card('9', 'hearts'), card('7', 'hearts'), card('K', 'clubs')];
+    const hands = [
+      { playerId: 'user1', username: 'Player1', holeCards: [card('A', 'clubs'), card('K', 'spades')], communityCards: board },
+      { playerId: 'user2', username: 'Player2', holeCards: [card('6', 'hearts'), card('10', 'hearts')], communityCards: board }
+    ];
+
+    const result = determineWinners(hands, shortDeck);
+    expect(result.winners.map(w => [w.playerId, w.handName])).toEqual([['user2', 'Flush']]);
+    expect(determineWinners(hands).winners.map(w => w.handName)).toEqual(['Full House']);
+  });
+
+  test('Equity is worked out from the 36-card deck', () => {
+    const result = calculateEquity(
+      [[card('A', 'spades'), card('A', 'hearts')], [card('K', 'spades'), card('Q', 'spades')]],
+      [card('6', 'clubs'), card('7', 'diamonds'), card('9', 'hearts'), card('10', 'clubs')],
+      { variant: shortDeck }
+    );
+
+    expect(result.exact).toBe(true);
+    expect(result.runouts).toBe(28);
+  });
+
+  test('Short deck hands verify against their seeds', () => {
+    const game = createMockGame('blinds', 2);
+    game.nextServerSeed = 'server';
+    game.nextServerSeedHash = provablyFair.hashSeed('server');
+    game.revealedSeeds = [];
+
+    gameLogic.shuffleForHand(game);
+    expect(game.deck).toHaveLength(36);
+
+    for (let round = 0; round < 2; round++) {
+      game.players.forEach(p => p.hand.push(cardDeck.drawCard(game.deck)));
+    }
+    const result = provablyFair.verifyHand(gameLogic.revealServerSeed(game));
+
+    expect(result.shortDeck).toBe(true);
+    expect(result.deck).toHaveLength(36);
+    expect(result.holeCards.map(h => h.cards)).toEqual(game.players.map(p => p.hand));
+  });
+});
+
+describe('Forced Bets', () => {
+  test('Ante-only tables open with nothing to call, left of the button', async () => {
+    const game = createMockGame('antes');
+    await gameLogic.startNewHand(game);
+
+    expect(game.pot).toBe(3);
+    expect(game.currentBet).toBe(0);
+    expect(game.currentTurn).toBe('user2');
+    expect(game.actionHistory.map(a => a.action)).toEqual(['ante', 'ante', 'ante']);
+
+    const options = gameLogic.getPlayerOptions(game, 'user2');
+    expect(options.actions).toEqual(expect.arrayContaining(['check', 'bet']));
+    expect(options.minRaiseTo).toBe(2);
+  });
+
+  test('The button blind is called by everyone else and acts last', async () => {
+    const game = createMockGame('buttonBlind');
+    await gameLogic.startNewHand(game);
+
+    expect(game.pot).toBe(5);
+    expect(game.currentBet).toBe(2);
+    expect(game.players[0].chips).toBe(2);
+    expect(game.currentTurn).toBe('user2');
+
+    await gameLogic.processPlayerAction(game, 'user2', 'call');
+    await gameLogic.processPlayerAction(game, 'user3', 'call');
+    expect(game.currentTurn).toBe('user1');
+    expect(gameLogic.getPlayerOptions(game, 'user1').actions).toContain('check');
+  });
+
+  test('Tables without blinds need an ante', () => {
+    expect(validateTableSettings({ forcedBets: 'antes', ante: 1 }).errors).toEqual([]);
+    expect(validateTableSettings({ forcedBets: 'buttonBlind' }).errors).toEqual(['Tables without blinds need an ante']);
+    expect(validateTableSettings({ forcedBets: 'straddle' }).errors)
+      .toEqual(['forcedBets must be one of blinds, antes, buttonBlind']);
+  });
+});
@@ -0,0 +1,166 @@
+// server/tests/showdown.test.js
+/**
+ * Showdown Test Suite
+ *
+ * This test file checks how hands are shown down:
+ * - The last aggressor on the river shows first, else the first seat left of the button
+ * - A hand that can still win or tie has to be shown; a beaten one may be mucked
+ * - Mucked cards never reach the hand result, the game state or the history
+ * - Players may show some or all of their cards once the hand is over
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const gameLogic = require('../utils/gameLogic');
+const { formatHand, getReplay } = require('../utils/handHistory');
+const { RANK_VALUES } = require('../utils/cardDeck');
+
+const card = (rank, suit) => ({ rank, suit, value: RANK_VALUES[rank] });
+
+// River with 60 chips each in the pot: Player1 on the button has trips,
+// Player2 a pair of kings and Player3 nothing
+const BOARD = [card('Q', 'clubs'), card('Q', 'diamonds'), card('7', 'spades'), card('4', 'hearts'), card('2', 'clubs')];
+const HANDS = [
+  [card('Q', 'spades'), card('J', 'spades')],
+  [card('K', 'hearts'), card('K', 'clubs')],
+  [card('9', 'diamonds'), card('8', 'diamonds')]
+];
+const createMockGame = () => ({
+  gameId: 'ABC123',
+  status: 'active',
+  handNumber: 1,
+  pot: 180,
+  currentBet: 0,
+  dealerPosition: 0,
+  bettingRound: 'river',
+  settings: { smallBlind: 1, bigBlind: 2 },
+  communityCards: BOARD,
+  actionHistory: [],
+  handResults: [],
+  handRecords: [{
+    handNumber: 1,
+    startedAt: new Date('2024-01-01T00:00:00Z'),
+    buttonSeat: 1,
+    smallBlindSeat: 2,
+    bigBlindSeat: 3,
+    smallBlind: 1,
+    bigBlind: 2,
+    variant: 'holdem',
+    seats: HANDS.map((holeCards, i) => ({
+      seat: i + 1,
+      player: `user${i + 1}`,
+      username: `Player${i + 1}`,
+      stack: 200,
+      holeCards
+    })),
+    events: []
+  }],
+  players: HANDS.map((hand, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    hasFolded: false,
+    hasActed: false,
+    isAllIn: false,
+    chips: 0,
+    handContribution: 60,
+    totalChips: 140,
+    hand
+  })),
+  save: jest.fn().mockResolvedValue(null)
+});
+
+const ids = (players) => players.map(p => p.user);
+
+describe('Showdown Order', () => {
+  test('The last aggressor on the river shows first', async () => {
+    const game = createMockGame();
+    game.currentTurn = 'user3';
+
+    await gameLogic.processPlayerAction(game, 'user3', 'bet', 20);
+    expect(ids(gameLogic.getShowdownOrder(game))).toEqual(['user3', 'user1', 'user2']);
+  });
+
+  test('When it was checked through, the first seat left of the button shows first', async () => {
+    const game = createMockGame();
+    game.lastAggressor = 'user3';
+
+    // Betting on an earlier street doesn't count
+    game.bettingRound = 'river';
+    await gameLogic.startBettingRound(game);
+    expect(game.lastAggressor).toBeNull();
+    expect(ids(gameLogic.getShowdownOrder(game))).toEqual(['user2', 'user3', 'user1']);
+  });
+});
+
+describe('Show or Muck', () => {
+  test('The first hand is shown and only beaten hands may be mucked', () => {
+    const game = createMockGame();
+
+    expect(gameLogic.canMuck(game, 'user2', [])).toBe(false);
+    expect(gameLogic.canMuck(game, 'user3', ['user2'])).toBe(true);
+    expect(gameLogic.canMuck(game, 'user1', ['user2', 'user3'])).toBe(false);
+  });
+
+  test('A hand still in a side pot has to be shown', () => {
+    const game = createMockGame();
+    // Player1 was all in for less, so Player2 and Player3 play a side pot
+    game.players[0].handContribution = 20;
+    game.players[0].isAllIn = true;
+
+    expect(gameLogic.canMuck(game, 'user2', ['user1'])).toBe(false);
+    expect(gameLogic.canMuck(game, 'user3', ['user1', 'user2'])).toBe(true);
+  });
+
+  test('Mucked cards stay hidden everywhere', async () => {
+    const game = createMockGame();
+
+    const result = await gameLogic.processShowdown(game, ['user2', 'user1']);
+
+    expect(result.winners.map(w => w.username)).toEqual(['Player1']);
+    expect(result.hands.map(h => h.username)).toEqual(['Player1', 'Player2']);
+    expect(game.handResults[0].hands.map(h => h.player)).toEqual(['Player1', 'Player2']);
+    expect(game.handResults[0].mucked).toEqual(['Player3']);
+
+    const state = gameLogic.getSanitizedGameState(game);
+    expect(state.players.map(p => p.shownCards.length)).toEqual([2, 2, 0]);
+
+    const history = formatHand(game, 1, 'user1');
+    expect(history).toContain('Player3: mucks hand');
+    expect(history).not.toContain('[9d 8d]');
+    expect(getReplay(game, 1, 'user1').seats[2].holeCards).toEqual([]);
+  });
+});
+
+describe('Showing by Choice', () => {
+  test('A player can show one card, then the other, after the hand', async () => {
+    const game = createMockGame();
+    expect(() => gameLogic.showCards(game, 'user3', [0])).toThrow('once the hand is over');
+
+    await gameLogic.processShowdown(game, ['user2', 'user1']);
+    gameLogic.showCards(game, 'user3', [1]);
+    expect(gameLogic.getSanitizedGameState(game).players[2].shownCards).toEqual([HANDS[2][1]]);
+
+    gameLogic.showCards(game, 'user3', [0]);
+    expect(gameLogic.getSanitizedGameState(game).players[2].shownCards).toEqual(HANDS[2]);
+    expect(formatHand(game, 1, 'user1')).toContain('Player3: shows [9d 8d]');
+    expect(getReplay(game, 1, 'user2').seats[2].holeCards).toEqual(HANDS[2]);
+
+    expect(() => gameLogic.showCards(game, 'user1', [0])).toThrow('already face up');
+    expect(() => gameLogic.showCards(game, 'user3', [2])).toThrow('Choose which of your cards to show');
+  });
+});
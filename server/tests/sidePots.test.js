@@ -0,0 +1,126 @@
+// server/tests/sidePots.test.js
+/**
+ * Side Pot Test Suite
+ *
+ * This test file checks pot construction for multi-way all-ins:
+ * - Builds the main pot and side pots from each player's contribution
+ * - Keeps folded players' chips in the pots without making them eligible
+ * - Awards each pot to the best eligible hand, odd chips left of the button
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const gameLogic = require('../utils/gameLogic');
+const { RANK_VALUES } = require('../utils/cardDeck');
+
+const card = (rank, suit) => ({ rank, suit, value: RANK_VALUES[rank] });
+
+// Mock game with one player per contribution, all still in the hand
+const createMockGame = (contributions) => {
+  const players = contributions.map((amount, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    hand: [],
+    isActive: true,
+    hasFolded: false,
+    isAllIn: false,
+    totalChips: 0,
+    handContribution: amount
+  }));
+
+  return {
+    gameId: 'TEST01',
+    players,
+    communityCards: [],
+    pot: contributions.reduce((sum, amount) => sum + amount, 0),
+    dealerPosition: 0
+  };
+};
+
+describe('Pot Construction', () => {
+  test('Single pot when everyone contributed the same', () => {
+    const game = createMockGame([100, 100, 100]);
+    const pots = gameLogic.buildPots(game);
+
+    expect(pots.length).toBe(1);
+    expect(pots[0].amount).toBe(300);
+    expect(pots[0].eligiblePlayers.length).toBe(3);
+  });
+
+  test('Builds a side pot for each all-in level', () => {
+    const game = createMockGame([50, 200, 500, 500]);
+    const pots = gameLogic.buildPots(game);
+
+    expect(pots.map(p => p.amount)).toEqual([200, 450, 600]);
+    expect(pots.map(p => p.eligiblePlayers.length)).toEqual([4, 3, 2]);
+    expect(pots.reduce((sum, p) => sum + p.amount, 0)).toBe(game.pot);
+  });
+
+  test('Folded chips count towards pots but the folder is not eligible', () => {
+    const game = createMockGame([30, 100, 300]);
+    game.players[1].hasFolded = true;
+
+    const pots = gameLogic.buildPots(game);
+
+    expect(pots.map(p => p.amount)).toEqual([90, 340]);
+    pots.forEach(pot => {
+      expect(pot.eligiblePlayers).not.toContain(game.players[1]);
+    });
+  });
+});
+
+describe('Pot Awarding', () => {
+  test('Short all-in wins only the main pot', async () => {
+    const game = createMockGame([50, 200, 200]);
+    game.communityCards = [
+      card('2', 'clubs'), card('7', 'diamonds'), card('9', 'hearts'),
+      card('J', 'spades'), card('4', 'clubs')
+    ];
+    game.players[0].hand = [card('A', 'hearts'), card('A', 'spades')];
+    game.players[1].hand = [card('K', 'hearts'), card('K', 'spades')];
+    game.players[2].hand = [card('Q', 'hearts'), card('3', 'spades')];
+
+    const pots = await gameLogic.awardPot(game);
+
+    expect(pots.length).toBe(2);
+    expect(pots[0].winners).toEqual([
+      expect.objectContaining({ playerId: 'user1', amount: 150 })
+    ]);
+    expect(pots[1].winners).toEqual([
+      expect.objectContaining({ playerId: 'user2', amount: 300 })
+    ]);
+    expect(game.players.map(p => p.totalChips)).toEqual([150, 300, 0]);
+    expect(game.pot).toBe(0);
+  });
+
+  test('Odd chip goes to the first winner left of the button', async () => {
+    const game = createMockGame([1, 2, 2]);
+    game.players[0].hasFolded = true;
+    game.dealerPosition = 1;
+    game.communityCards = [
+      card('A', 'clubs'), card('K', 'diamonds'), card('Q', 'hearts'),
+      card('J', 'spades'), card('10', 'clubs')
+    ];
+    game.players[1].hand = [card('2', 'hearts'), card('3', 'spades')];
+    game.players[2].hand = [card('4', 'hearts'), card('5', 'spades')];
+
+    const pots = await gameLogic.awardPot(game);
+
+    expect(pots.length).toBe(1);
+    expect(pots[0].amount).toBe(5);
+    expect(pots[0].winners.map(w => [w.playerId, w.amount])).toEqual([
+      ['user3', 3],
+      ['user2', 2]
+    ]);
+  });
+});
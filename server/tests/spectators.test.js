@@ -0,0 +1,215 @@
+// server/tests/spectators.test.js
+/**
+ * Spectator Mode Test Suite
+ *
+ * This test file checks watching a table without a seat:
+ * - Spectators get table events, after the table's delay
+ * - Spectators talk only in the spectator chat, which seated players can mute
+ * - Hole cards only appear in the game state once shown down
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../models/Game', () => ({
+  findOne: jest.fn()
+}));
+
+const Game = require('../models/Game');
+const gameLogic = require('../utils/gameLogic');
+const registerSockets = require('../sockets');
+
+// Minimal stand-in for the /game namespace: records what each room receives
+const createFakeIo = () => {
+  const sockets = [];
+  let onConnection;
+
+  const namespace = {
+    on: (event, handler) => { onConnection = handler; },
+    to: (room) => {
+      const rooms = new Set([room]);
+      const target = {
+        to: (next) => { rooms.add(next); return target; },
+        emit: (event, data) => {
+          sockets
+            .filter(s => [...rooms].some(r => s.rooms.has(r)))
+            .forEach(s => s.received.push({ event, data }));
+        }
+      };
+      return target;
+    }
+  };
+
+  const connect = (user) => {
+    const handlers = {};
+    const socket = {
+      id: `socket-${user.id}`,
+      data: { user },
+      handshake: { query: {}, headers: {} },
+      rooms: new Set(),
+      received: [],
+      on: (event, handler) => { handlers[event] = handler; },
+      use: () => {},
+      emit: (event, data) => socket.received.push({ event, data }),
+      join: (room) => socket.rooms.add(room),
+      leave: (room) => socket.rooms.delete(room),
+      disconnect: () => {},
+      trigger: (event, payload) => handlers[event]({ ...payload, userId: user.id, username: user.username }),
+      events: (name) => socket.received.filter(r => r.event === name).map(r => r.data)
+    };
+    sockets.push(socket);
+    onConnection(socket);
+    return socket;
+  };
+
+  return { io: { of: () => namespace }, connect };
+};
+
+const mockGame = (settings = {}) => ({
+  gameId: 'ABC123',
+  status: 'active',
+  settings,
+  players: [{ user: 'player1', username: 'Alice', hand: [], totalChips: 100 }]
+});
+
+describe('Spectator Mode', () => {
+  let io;
+  let player;
+  let spectator;
+
+  const seatPlayer = () => {
+    // Seat the player in the rooms joinGame puts them in
+    player.join('ABC123');
+    player.join('ABC123:spectatorChat');
+    player.gameId = 'ABC123';
+  };
+
+  // Fake timers also stop the room cleanup interval keeping jest alive
+  beforeEach(() => {
+    jest.useFakeTimers();
+    io = createFakeIo();
+    registerSockets(io.io);
+    player = io.connect({ id: 'player1', username: 'Alice' });
+    spectator = io.connect({ id: 'viewer1', username: 'Vic' });
+    seatPlayer();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('Spectating announces the viewer and relays table chat', async () => {
+    Game.findOne.mockResolvedValue(mockGame());
+
+    await spectator.trigger('spectateGame', { gameId: 'ABC123' });
+
+    expect(spectator.events('spectating')).toEqual([{ gameId: 'ABC123', delay: 0 }]);
+    expect(player.events('spectatorsUpdate')[0].spectators).toEqual([{ id: 'viewer1', username: 'Vic' }]);
+
+    await player.trigger('sendMessage', { gameId: 'ABC123', message: 'hi' });
+    expect(spectator.events('chatMessage')[0].message).toBe('hi');
+  });
+
+  test('Seated players cannot spectate their own table', async () => {
+    Game.findOne.mockResolvedValue(mockGame());
+
+    await player.trigger('spectateGame', { gameId: 'ABC123' });
+
+    expect(player.events('spectating')).toEqual([]);
+    expect(player.events('gameError')[0].message).toMatch(/seated/);
+  });
+
+  test('Spectators see table events only after the delay', async () => {
+    Game.findOne.mockResolvedValue(mockGame({ spectatorDelay: 30 }));
+
+    await spectator.trigger('spectateGame', { gameId: 'ABC123' });
+    await player.trigger('sendMessage', { gameId: 'ABC123', message: 'hi' });
+
+    expect(player.events('chatMessage').length).toBe(1);
+    expect(spectator.events('chatMessage')).toEqual([]);
+    expect(spectator.events('gameUpdate')).toEqual([]);
+
+    jest.advanceTimersByTime(30000);
+    expect(spectator.events('chatMessage').length).toBe(1);
+    expect(spectator.events('gameUpdate').length).toBe(1);
+  });
+
+  test('Spectators only use the spectator chat, which players can mute', async () => {
+    Game.findOne.mockResolvedValue(mockGame());
+    await spectator.trigger('spectateGame', { gameId: 'ABC123' });
+
+    await spectator.trigger('sendMessage', { gameId: 'ABC123', message: 'fold!' });
+    expect(player.events('chatMessage')).toEqual([]);
+    expect(spectator.events('gameError')[0].message).toMatch(/spectator chat/);
+
+    spectator.trigger('sendSpectatorMessage', { gameId: 'ABC123', message: 'nice hand' });
+    expect(player.events('spectatorChatMessage')[0].message).toBe('nice hand');
+
+    player.trigger('muteSpectators', { gameId: 'ABC123', muted: true });
+    spectator.trigger('sendSpectatorMessage', { gameId: 'ABC123', message: 'again' });
+
+    expect(player.events('spectatorChatMessage').length).toBe(1);
+    expect(spectator.events('spectatorChatMessage').length).toBe(2);
+  });
+
+  test('Leaving removes the spectator from the list', async () => {
+    Game.findOne.mockResolvedValue(mockGame());
+    await spectator.trigger('spectateGame', { gameId: 'ABC123' });
+
+    spectator.trigger('stopSpectating', { gameId: 'ABC123' });
+
+    const updates = player.events('spectatorsUpdate');
+    expect(updates[updates.length - 1].spectators).toEqual([]);
+  });
+
+  test('Outsiders can neither chat at nor refresh a private table', async () => {
+    Game.findOne.mockResolvedValue({ ...mockGame(), visibility: 'private', creator: { user: 'player1' } });
+    const stranger = io.connect({ id: 'stranger1', username: 'Eve' });
+
+    await stranger.trigger('sendMessage', { gameId: 'ABC123', message: 'let me in' });
+    await stranger.trigger('requestGameUpdate', { gameId: 'ABC123' });
+
+    expect(player.events('chatMessage')).toEqual([]);
+    expect(player.events('gameUpdate')).toEqual([]);
+    expect(stranger.events('gameError').map(e => e.message)).toEqual(['This table is private', 'This table is private']);
+
+    await player.trigger('sendMessage', { gameId: 'ABC123', message: 'hi' });
+    expect(player.events('chatMessage')[0].message).toBe('hi');
+  });
+});
+
+describe('Spectator Game State', () => {
+  const card = (rank, suit) => ({ rank, suit });
+  const createGame = () => ({
+    gameId: 'ABC123',
+    handNumber: 2,
+    players: [
+      { user: 'p1', username: 'Alice', hand: [card('A', 'spades'), card('A', 'hearts')] },
+      { user: 'p2', username: 'Bob', hand: [card('K', 'spades'), card('Q', 'hearts')] }
+    ],
+    handResults: []
+  });
+
+  test('Never includes hole cards before the showdown', () => {
+    const state = gameLogic.getSanitizedGameState(createGame());
+
+    state.players.forEach(p => {
+      expect(p.shownCards).toEqual([]);
+      expect(p.hand).toBeUndefined();
+    });
+  });
+
+  test('Includes the cards that were shown down', () => {
+    const game = createGame();
+    game.handResults.push({ handNumber: 2, hands: [{ player: 'Alice', handName: 'Pair' }] });
+
+    const state = gameLogic.getSanitizedGameState(game);
+
+    expect(state.players[0].shownCards).toEqual(game.players[0].hand);
+    expect(state.players[1].shownCards).toEqual([]);
+  });
+});
@@ -0,0 +1,176 @@
+// server/tests/straddle.test.js
+/**
+ * Straddle and Bomb Pot Test Suite
+ *
+ * This test file checks the optional home game extras:
+ * - A voluntary straddle from under the gun or the button, acting last preflop
+ * - Bomb pots every so many hands or when the host calls one
+ * - Everyone antes in a bomb pot and the hand starts on the flop
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const gameLogic = require('../utils/gameLogic');
+const { validateTableSettings } = require('../utils/tableSettings');
+
+// Hold'em table with blinds of 1/2, Player1 on the button and hosting
+const createMockGame = (settings, players = 4) => ({
+  gameId: 'TEST01',
+  status: 'active',
+  creator: { user: 'user1', username: 'Player1' },
+  handNumber: 0,
+  pot: 0,
+  currentBet: 0,
+  lastRaiseSize: 0,
+  dealerPosition: 0,
+  settings: { smallBlind: 1, bigBlind: 2, ...settings },
+  bettingRound: 'preflop',
+  communityCards: [],
+  actionHistory: [],
+  handRecords: [],
+  players: Array.from({ length: players }, (_, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    seatStatus: 'sittingIn',
+    hasFolded: false,
+    hasActed: false,
+    isAllIn: false,
+    canRaise: true,
+    chips: 0,
+    handContribution: 0,
+    totalChips: 100,
+    hand: []
+  })),
+  save: jest.fn().mockResolvedValue(null)
+});
+
+describe('Straddles', () => {
+  test('Under the gun straddles two big blinds and acts last', async () => {
+    const game = createMockGame({ straddle: 'utg' });
+    gameLogic.setStraddle(game, 'user4', true);
+    await gameLogic.startNewHand(game);
+
+    expect(game.pot).toBe(7);
+    expect(game.currentBet).toBe(4);
+    expect(game.straddlePosition).toBe(3);
+    expect(game.currentTurn).toBe('user1');
+    expect(game.actionHistory.map(a => a.action)).toEqual(['smallBlind', 'bigBlind', 'straddle']);
+
+    // The straddle is the size to raise by
+    expect(gameLogic.getPlayerOptions(game, 'user1').minRaiseTo).toBe(8);
+
+    await gameLogic.processPlayerAction(game, 'user1', 'call');
+    await gameLogic.processPlayerAction(game, 'user2', 'call');
+    await gameLogic.processPlayerAction(game, 'user3', 'call');
+    expect(game.currentTurn).toBe('user4');
+    expect(gameLogic.getPlayerOptions(game, 'user4').actions).toContain('check');
+  });
+
+  test('The button straddle lets the small blind act first', async () => {
+    const game = createMockGame({ straddle: 'button' });
+    gameLogic.setStraddle(game, 'user1', true);
+    await gameLogic.startNewHand(game);
+
+    expect(game.players[0].chips).toBe(4);
+    expect(game.currentTurn).toBe('user2');
+    expect(gameLogic.getPlayerOptions(game, 'user2').callAmount).toBe(3);
+
+    await gameLogic.processPlayerAction(game, 'user2', 'call');
+    await gameLogic.processPlayerAction(game, 'user3', 'call');
+    await gameLogic.processPlayerAction(game, 'user4', 'call');
+    expect(game.currentTurn).toBe('user1');
+  });
+
+  test('Nobody straddles unless they ask to, or heads-up', async () => {
+    const game = createMockGame({ straddle: 'utg' });
+    await gameLogic.startNewHand(game);
+    expect(game.straddlePosition).toBe(-1);
+    expect(game.currentTurn).toBe('user4');
+
+    const headsUp = createMockGame({ straddle: 'button' }, 2);
+    gameLogic.setStraddle(headsUp, 'user1', true);
+    await gameLogic.startNewHand(headsUp);
+    expect(headsUp.currentBet).toBe(2);
+
+    expect(() => gameLogic.setStraddle(createMockGame({}), 'user1', true))
+      .toThrow("This table doesn't play straddles");
+  });
+
+  test('Straddles need blinds and bomb pots need an ante', () => {
+    expect(validateTableSettings({}).settings).toMatchObject({ straddle: 'off', bombPotAnte: 0, bombPotEvery: 0 });
+    expect(validateTableSettings({ straddle: 'button', bombPotAnte: 5, bombPotEvery: 10 }).errors).toEqual([]);
+    expect(validateTableSettings({ straddle: 'utg', forcedBets: 'antes', ante: 1 }).errors)
+      .toEqual(['Straddles need a table with blinds']);
+    expect(validateTableSettings({ bombPotEvery: 10 }).errors).toEqual(['Bomb pots need an ante']);
+  });
+});
+
+describe('Bomb Pots', () => {
+  test('Everyone antes and the hand starts on the flop', async () => {
+    const game = createMockGame({ bombPotAnte: 5, bombPotEvery: 2, straddle: 'utg' });
+    game.handNumber = 1;
+    gameLogic.setStraddle(game, 'user4', true);
+    await gameLogic.startNewHand(game);
+
+    expect(game.isBombPot).toBe(true);
+    expect(game.pot).toBe(20);
+    expect(game.bettingRound).toBe('flop');
+    expect(game.communityCards).toHaveLength(3);
+    expect(game.actionHistory.map(a => a.action)).toEqual(['ante', 'ante', 'ante', 'ante', 'dealFlop']);
+    expect(game.handRecords[0].bombPot).toBe(true);
+
+    // The button has moved to Player2, so Player3 acts first with nothing to call
+    expect(game.currentTurn).toBe('user3');
+    expect(gameLogic.getPlayerOptions(game, 'user3').actions).toEqual(expect.arrayContaining(['check', 'bet']));
+  });
+
+  test('A bomb pot that puts the short stacks all in runs the board out', async () => {
+    const shortStacked = (stacks) => {
+      const game = createMockGame({ bombPotAnte: 5, bombPotEvery: 2 }, stacks.length);
+      game.handNumber = 1;
+      game.players.forEach((p, i) => { p.totalChips = stacks[i]; });
+      return game;
+    };
+
+    const allIn = shortStacked([5, 5, 5]);
+    await gameLogic.startNewHand(allIn);
+    expect(allIn.pot).toBe(15);
+    expect(allIn.communityCards).toHaveLength(3);
+    expect(allIn.currentTurn).toBeNull();
+    expect(gameLogic.isAllInRunout(allIn)).toBe(true);
+
+    // Nobody is left to bet against the one stack that covers the ante
+    const oneLeft = shortStacked([5, 5, 100]);
+    await gameLogic.startNewHand(oneLeft);
+    await gameLogic.startBettingRound(oneLeft);
+    expect(oneLeft.currentTurn).toBeNull();
+    expect(gameLogic.isAllInRunout(oneLeft)).toBe(true);
+  });
+
+  test('Only the host can call a bomb pot for the next hand', async () => {
+    const game = createMockGame({ bombPotAnte: 5 });
+
+    expect(() => gameLogic.callBombPot(game, 'user2')).toThrow('Only the host can call a bomb pot');
+    expect(() => gameLogic.callBombPot(createMockGame({}), 'user1')).toThrow("This table doesn't play bomb pots");
+
+    gameLogic.callBombPot(game, 'user1');
+    await gameLogic.startNewHand(game);
+    expect(game.isBombPot).toBe(true);
+    expect(game.bombPotNext).toBe(false);
+  });
+});
@@ -0,0 +1,99 @@
+// server/tests/tableAccess.test.js
+/**
+ * Private Table Test Suite
+ *
+ * This test file checks who may sit at a table:
+ * - Public tables are open, private ones need a password or an invite
+ * - Invite links are signed, expire, and work once
+ * - Only the host can issue, list and revoke invites
+ *
+ * Run with: npm test
+ */
+
+const tableAccess = require('../utils/tableAccess');
+
+const NOW = Date.parse('2024-01-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// Private table hosted by user1, who is its only player so far
+const createMockGame = async (password = 'secret') => ({
+  gameId: 'ABC123',
+  status: 'waiting',
+  visibility: 'private',
+  passwordHash: await tableAccess.hashPassword(password),
+  creator: { user: 'user1', username: 'Player1' },
+  players: [{ user: 'user1', username: 'Player1' }],
+  invites: []
+});
+
+describe('Table Visibility', () => {
+  test('Tables are public unless made private, and only private ones take a password', () => {
+    expect(tableAccess.validateTableAccess(undefined)).toEqual({ visibility: 'public', password: null, errors: [] });
+    expect(tableAccess.validateTableAccess({ visibility: 'private', password: 'secret' }).errors).toEqual([]);
+    expect(tableAccess.validateTableAccess({ visibility: 'public', password: 'secret' }).errors)
+      .toEqual(['Only private tables have a password']);
+    expect(tableAccess.validateTableAccess({ visibility: 'private', password: 'abc' }).errors)
+      .toEqual(['Table passwords are 4 to 64 characters']);
+    expect(tableAccess.validateTableAccess({ visibility: 'hidden' }).errors)
+      .toEqual(['Visibility must be one of public, private']);
+  });
+
+  test('A private table needs its password, except for players already seated', async () => {
+    const game = await createMockGame();
+
+    expect(await tableAccess.checkAccess(game, 'user2', {})).toEqual({ error: 'This table is private, enter its password' });
+    expect(await tableAccess.checkAccess(game, 'user2', { password: 'guess' })).toEqual({ error: 'Wrong table password' });
+    expect(await tableAccess.checkAccess(game, 'user2', { password: 'secret' })).toEqual({});
+    expect(await tableAccess.checkAccess(game, 'user1', {})).toEqual({});
+
+    expect(await tableAccess.checkAccess({ ...game, visibility: 'public' }, 'user2', {})).toEqual({});
+    expect(await tableAccess.checkAccess({ ...game, passwordHash: null }, 'user2', { password: 'secret' }))
+      .toEqual({ error: 'This table is private, ask the host for an invite' });
+  });
+});
+
+describe('Invites', () => {
+  test('An invite seats one player and is then used up', async () => {
+    const game = await createMockGame();
+    const { token } = tableAccess.createInvite(game, 'user1', NOW);
+
+    const access = await tableAccess.checkAccess(game, 'user2', { invite: token }, NOW + HOUR);
+    expect(access.invite.inviteId).toBe(game.invites[0].inviteId);
+
+    tableAccess.useInvite(access.invite, { user: 'user2', username: 'Player2' }, NOW + HOUR);
+    expect(await tableAccess.checkAccess(game, 'user3', { invite: token }, NOW + HOUR))
+      .toEqual({ error: 'This invite link has expired or been revoked' });
+    expect(tableAccess.getPendingInvites(game, NOW + HOUR)).toEqual([]);
+  });
+
+  test('Invites expire, and only work at the table they were made for', async () => {
+    const game = await createMockGame();
+    const { token } = tableAccess.createInvite(game, 'user1', NOW);
+    const expired = NOW + (tableAccess.INVITE_LIFETIME_HOURS + 1) * HOUR;
+
+    expect((await tableAccess.checkAccess(game, 'user2', { invite: token }, expired)).error).toBeDefined();
+    expect((await tableAccess.checkAccess({ ...game, gameId: 'DEF456' }, 'user2', { invite: token }, NOW)).error)
+      .toBeDefined();
+    expect((await tableAccess.checkAccess(game, 'user2', { invite: `${token}x` }, NOW)).error).toBeDefined();
+  });
+
+  test('The host lists pending invites with their links and can revoke them', async () => {
+    const game = await createMockGame();
+    const first = tableAccess.createInvite(game, 'user1', NOW);
+    tableAccess.createInvite(game, 'user1', NOW + HOUR);
+
+    const pending = tableAccess.getPendingInvites(game, NOW + HOUR);
+    expect(pending).toHaveLength(2);
+    expect(pending[0].token).toBe(first.token);
+
+    expect(tableAccess.revokeInvite(game, 'user2', first.invite.inviteId, NOW + HOUR))
+      .toEqual({ error: 'Only the host can revoke invites' });
+    tableAccess.revokeInvite(game, 'user1', first.invite.inviteId, NOW + HOUR);
+    expect(tableAccess.getPendingInvites(game, NOW + HOUR)).toHaveLength(1);
+    expect((await tableAccess.checkAccess(game, 'user2', { invite: first.token }, NOW + HOUR)).error).toBeDefined();
+
+    expect(tableAccess.createInvite(game, 'user2', NOW)).toEqual({ error: 'Only the host can invite players' });
+    expect(tableAccess.createInvite({ ...game, visibility: 'public' }, 'user1', NOW))
+      .toEqual({ error: 'Anyone can join a public table' });
+  });
+});
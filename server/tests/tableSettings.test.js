@@ -0,0 +1,88 @@
+// server/tests/tableSettings.test.js
+/**
+ * Table Settings Test Suite
+ *
+ * This test file checks the settings chosen when a table is created:
+ * - Missing fields fall back to the defaults
+ * - Inconsistent blinds, antes, buy-ins and seat counts are rejected
+ * - Buy-ins are kept inside the table's range and the player's balance
+ *
+ * Run with: npm test
+ */
+
+const {
+  validateTableSettings,
+  resolveBuyIn,
+  getTableSettings,
+  DEFAULT_TABLE_SETTINGS
+} = require('../utils/tableSettings');
+
+describe('Table Settings Validation', () => {
+  test('Uses defaults when nothing is supplied', () => {
+    const { settings, errors } = validateTableSettings();
+
+    expect(errors).toEqual([]);
+    // The betting structure is filled in from the variant
+    expect(settings).toEqual({ ...DEFAULT_TABLE_SETTINGS, bettingLimit: 'noLimit' });
+  });
+
+  test('Accepts numeric strings from form input', () => {
+    const { settings, errors } = validateTableSettings({
+      smallBlind: '5',
+      bigBlind: '10',
+      ante: '1',
+      minBuyIn: '200',
+      maxBuyIn: '1000',
+      maxSeats: '6'
+    });
+
+    expect(errors).toEqual([]);
+    expect(settings.bigBlind).toBe(10);
+    expect(settings.maxSeats).toBe(6);
+  });
+
+  test('Reads the run it twice toggle from form input', () => {
+    expect(validateTableSettings({ runItTwice: 'true' }).settings.runItTwice).toBe(true);
+    expect(validateTableSettings({ runItTwice: 'false' }).settings.runItTwice).toBe(false);
+    expect(validateTableSettings({ runItTwice: true }).errors).toEqual([]);
+  });
+
+  test('Rejects fractional chips', () => {
+    const { errors } = validateTableSettings({ smallBlind: 0.5 });
+    expect(errors.length).toBeGreaterThan(0);
+  });
+
+  test('Rejects inconsistent settings', () => {
+    expect(validateTableSettings({ smallBlind: 5, bigBlind: 2 }).errors.length).toBe(1);
+    expect(validateTableSettings({ ante: 5, bigBlind: 2 }).errors.length).toBe(1);
+    expect(validateTableSettings({ minBuyIn: 500, maxBuyIn: 100 }).errors.length).toBe(1);
+    expect(validateTableSettings({ maxSeats: 11 }).errors.length).toBe(1);
+    expect(validateTableSettings({ maxSeats: 1 }).errors.length).toBe(1);
+    expect(validateTableSettings({ turnTimeLimit: 2 }).errors.length).toBe(1);
+    expect(validateTableSettings({ spectatorDelay: 301 }).errors.length).toBe(1);
+  });
+});
+
+describe('Buy-in Resolution', () => {
+  const settings = { ...DEFAULT_TABLE_SETTINGS, minBuyIn: 100, maxBuyIn: 500 };
+
+  test('Defaults to the largest allowed buy-in', () => {
+    expect(resolveBuyIn(settings, 2000).amount).toBe(500);
+    expect(resolveBuyIn(settings, 300).amount).toBe(300);
+  });
+
+  test('Refuses players below the minimum buy-in', () => {
+    expect(resolveBuyIn(settings, 50).error).toBeDefined();
+  });
+
+  test('Keeps requested buy-ins within range and balance', () => {
+    expect(resolveBuyIn(settings, 2000, 250).amount).toBe(250);
+    expect(resolveBuyIn(settings, 2000, 600).error).toBeDefined();
+    expect(resolveBuyIn(settings, 200, 300).error).toBeDefined();
+  });
+
+  test('Fills in defaults for games without stored settings', () => {
+    expect(getTableSettings({}).bigBlind).toBe(DEFAULT_TABLE_SETTINGS.bigBlind);
+    expect(getTableSettings({ settings: { bigBlind: 20 } }).bigBlind).toBe(20);
+  });
+});
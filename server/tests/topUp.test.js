@@ -0,0 +1,156 @@
+// server/tests/topUp.test.js
+/**
+ * Rebuy and Top-Up Test Suite
+ *
+ * This test file checks adding chips at cash tables:
+ * - Stacks can be topped up to the table's maximum buy-in from the balance
+ * - Busted players rebuy within the buy-in range and keep the table open
+ * - Chips asked for during a hand and auto top-ups are added between hands
+ * - Every chip movement is recorded on the game
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({}),
+  updateWithRetry: jest.fn((Model, query, update) => Promise.resolve({ ...query, ...update.$set }))
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null),
+  findOneAndUpdate: jest.fn()
+}));
+
+const topUp = require('../utils/topUp');
+const gameLogic = require('../utils/gameLogic');
+const User = require('../models/User');
+
+// Cash table between hands: 40-200 buy-in
+const createMockGame = (stacks = [150, 60]) => ({
+  gameId: 'TEST01',
+  gameType: 'cash',
+  status: 'active',
+  handNumber: 3,
+  settings: { smallBlind: 1, bigBlind: 2, minBuyIn: 40, maxBuyIn: 200 },
+  actionHistory: [],
+  chipMovements: [],
+  players: stacks.map((totalChips, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    seatStatus: 'sittingIn',
+    totalChips,
+    hand: []
+  }))
+});
+
+// Every charge succeeds unless the player can't afford it
+const setBalance = (balance) => {
+  User.findOneAndUpdate.mockImplementation((query, update) =>
+    Promise.resolve(query.balance.$gte <= balance ? { balance: balance + update.$inc.balance } : null)
+  );
+};
+
+describe('Rebuy and Top-Up', () => {
+  beforeEach(() => {
+    User.findOneAndUpdate.mockReset();
+    setBalance(1000);
+  });
+
+  test('Top-ups default to the maximum buy-in and cannot go over it', () => {
+    const game = createMockGame();
+
+    expect(topUp.resolveTopUp(game, game.players[1])).toEqual({ amount: 140, type: 'topUp' });
+    expect(topUp.resolveTopUp(game, game.players[1], 150).error).toBe('You can add between 1 and 140 chips');
+    expect(topUp.resolveTopUp(game, { totalChips: 200 }).error).toBe('Your stack is already at the 200 chip maximum');
+  });
+
+  test('A busted player rebuys within the buy-in range', () => {
+    const game = createMockGame([150, 0]);
+
+    expect(topUp.resolveTopUp(game, game.players[1], 30).error).toBe('A rebuy is between 40 and 200 chips');
+    expect(topUp.resolveTopUp(game, game.players[1], 100)).toEqual({ amount: 100, type: 'rebuy' });
+  });
+
+  test('Chips come off the balance and the movement is recorded', async () => {
+    const game = createMockGame();
+
+    const result = await topUp.requestTopUp(game, 'user2', 40);
+
+    expect(result).toEqual({ amount: 40, type: 'topUp', pending: false });
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'user2', balance: { $gte: 40 } },
+      { $inc: { balance: -40 } },
+      { new: true }
+    );
+    expect(game.players[1].totalChips).toBe(100);
+    expect(game.chipMovements[0]).toMatchObject({ player: 'user2', type: 'topUp', amount: 40, stack: 100, handNumber: 3 });
+    expect(game.actionHistory[0]).toMatchObject({ player: 'Player2', action: 'topUp', amount: 40 });
+  });
+
+  test('Nothing changes when the balance is too low', async () => {
+    setBalance(20);
+    const game = createMockGame();
+
+    const result = await topUp.requestTopUp(game, 'user2', 40);
+
+    expect(result.error).toBe('Insufficient balance for this top-up');
+    expect(game.players[1].totalChips).toBe(60);
+    expect(game.chipMovements).toHaveLength(0);
+  });
+
+  test('Players in a hand get their chips once it is over, still within the maximum', async () => {
+    const game = createMockGame();
+    game.players[1].hand = [{ suit: 'hearts', rank: 'A' }, { suit: 'spades', rank: 'K' }];
+
+    const result = await topUp.requestTopUp(game, 'user2', 100);
+    expect(result.pending).toBe(true);
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+
+    // Won a pot in the meantime
+    game.players[1].totalChips = 160;
+    game.players[1].hand = [];
+    const { added } = await topUp.applyTopUps(game);
+
+    expect(added).toEqual([{ username: 'Player2', type: 'topUp', amount: 40 }]);
+    expect(game.players[1].totalChips).toBe(200);
+    expect(game.players[1].pendingTopUp).toBe(0);
+  });
+
+  test('Auto top-up brings the stack back to the target before each hand', async () => {
+    const game = createMockGame([150, 0]);
+    expect(topUp.setAutoTopUp(game, 'user1', 500).error).toBe('Auto top-up must be between 40 and 200 chips');
+    topUp.setAutoTopUp(game, 'user1', 200);
+    topUp.setAutoTopUp(game, 'user2', 100);
+
+    const { added } = await topUp.applyTopUps(game);
+
+    expect(added).toEqual([
+      { username: 'Player1', type: 'autoTopUp', amount: 50 },
+      { username: 'Player2', type: 'autoTopUp', amount: 100 }
+    ]);
+    expect(game.players.map(p => p.totalChips)).toEqual([200, 100]);
+  });
+
+  test('Chips can only be added at cash tables', async () => {
+    const game = createMockGame();
+    game.gameType = 'tournament';
+
+    expect((await topUp.requestTopUp(game, 'user2')).error).toBe('Chips can only be added at cash tables');
+  });
+
+  test('A cash table stays open while a busted player can still rebuy', async () => {
+    const game = createMockGame([150, 0]);
+
+    const updated = await gameLogic.prepareNextHand(game);
+
+    expect(updated.status).toBe('active');
+    expect(gameLogic.canStartHand(updated)).toBe(false);
+  });
+});
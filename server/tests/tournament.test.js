@@ -0,0 +1,221 @@
+// server/tests/tournament.test.js
+/**
+ * Tournament Test Suite
+ *
+ * This test file checks sit-and-go tournaments:
+ * - Tournament settings are validated and filled in with defaults
+ * - Blinds follow the level schedule, going up by time or by hands
+ * - Busted players are placed in the order they went out
+ * - The prize pool is paid out to the finishing places
+ *
+ * Run with: npm test
+ */
+
+jest.mock('../utils/mongoose-helpers', () => ({
+  atomicGameUpdate: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  insertMany: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null),
+  findOneAndUpdate: jest.fn().mockResolvedValue(null)
+}));
+
+const tournament = require('../utils/tournament');
+const gameLogic = require('../utils/gameLogic');
+const { getTableSettings } = require('../utils/tableSettings');
+const User = require('../models/User');
+
+const LEVELS = [
+  { smallBlind: 10, bigBlind: 20, ante: 0 },
+  { smallBlind: 20, bigBlind: 40, ante: 0 },
+  { smallBlind: 50, bigBlind: 100, ante: 10 }
+];
+
+// Tournament table that hasn't dealt its first hand yet
+const createMockTournament = (count = 4, overrides = {}) => ({
+  gameId: 'TEST01',
+  status: 'active',
+  gameType: 'tournament',
+  handNumber: 1,
+  settings: { smallBlind: 1, bigBlind: 2 },
+  actionHistory: [],
+  handRecords: [],
+  tournament: {
+    buyIn: 100,
+    startingStack: 1500,
+    levelBy: 'hands',
+    levelLength: 5,
+    levels: LEVELS,
+    payouts: [],
+    currentLevel: 0,
+    standings: [],
+    ...overrides
+  },
+  players: Array.from({ length: count }, (_, i) => ({
+    user: `user${i + 1}`,
+    username: `Player${i + 1}`,
+    isActive: true,
+    seatStatus: 'sittingIn',
+    totalChips: 1500,
+    hand: []
+  }))
+});
+
+describe('Tournament Settings', () => {
+  test('Missing settings use the defaults', () => {
+    const { settings, errors } = tournament.validateTournamentSettings({ buyIn: 50 });
+
+    expect(errors).toEqual([]);
+    expect(settings.buyIn).toBe(50);
+    expect(settings.startingStack).toBe(1500);
+    expect(settings.levels).toBe(tournament.DEFAULT_BLIND_LEVELS);
+  });
+
+  test('Bad levels and payouts are rejected', () => {
+    const { errors } = tournament.validateTournamentSettings({
+      levelBy: 'orbits',
+      levels: [{ smallBlind: 20, bigBlind: 10 }],
+      payouts: [60, 30]
+    });
+
+    expect(errors).toEqual([
+      'Blind levels go up by time or by hands',
+      'Level 1 needs a small blind of at least 1, a big blind no smaller and an ante no larger',
+      'Payouts must be whole percentages adding up to 100'
+    ]);
+  });
+
+  test('No more places can be paid than there are seats', () => {
+    const { errors } = tournament.validateTournamentSettings({ payouts: [40, 30, 20, 10] }, 3);
+
+    expect(errors).toEqual(['Pay between 1 and 3 places']);
+  });
+});
+
+describe('Blind Levels', () => {
+  test('The first hand starts the clock and fixes the prize pool', () => {
+    const game = createMockTournament(4);
+
+    expect(tournament.updateLevel(game, 1000)).toBe(false);
+    expect(game.tournament).toMatchObject({ currentLevel: 0, entrants: 4, prizePool: 400, levelStartHand: 1 });
+  });
+
+  test('Levels go up after the set number of hands', () => {
+    const game = createMockTournament();
+    tournament.updateLevel(game);
+
+    game.handNumber = 5;
+    expect(tournament.updateLevel(game)).toBe(false);
+
+    game.handNumber = 6;
+    expect(tournament.updateLevel(game)).toBe(true);
+    expect(game.tournament.currentLevel).toBe(1);
+    expect(game.tournament.levelStartHand).toBe(6);
+  });
+
+  test('Levels go up with time and the last level stays in play', () => {
+    const game = createMockTournament(4, { levelBy: 'time', levelLength: 10 });
+    tournament.updateLevel(game, 0);
+
+    game.handNumber = 2;
+    expect(tournament.updateLevel(game, 9 * 60000)).toBe(false);
+
+    game.handNumber = 3;
+    expect(tournament.updateLevel(game, 45 * 60000)).toBe(true);
+    expect(game.tournament.currentLevel).toBe(2);
+  });
+
+  test('The current level sets the table blinds', () => {
+    const game = createMockTournament();
+    game.tournament.currentLevel = 2;
+
+    expect(getTableSettings(game)).toMatchObject({ smallBlind: 50, bigBlind: 100, ante: 10 });
+    expect(getTableSettings({ ...game, gameType: 'cash' })).toMatchObject({ smallBlind: 1, bigBlind: 2 });
+  });
+
+  test('Tournament players stay dealt in while sitting out', () => {
+    const game = createMockTournament(2);
+    game.players[0].seatStatus = 'sittingOut';
+    game.players[1].totalChips = 0;
+
+    expect(gameLogic.isSittingIn(game.players[0], game)).toBe(true);
+    expect(gameLogic.isSittingIn(game.players[1], game)).toBe(false);
+  });
+});
+
+describe('Eliminations and Payouts', () => {
+  beforeEach(() => {
+    User.findByIdAndUpdate.mockClear();
+  });
+
+  test('Players who bust together are placed by the stack they started the hand with', () => {
+    const game = createMockTournament(4);
+    game.players[1].totalChips = 0;
+    game.players[2].totalChips = 0;
+    game.handRecords = [{
+      handNumber: 1,
+      seats: [
+        { player: 'user2', stack: 300 },
+        { player: 'user3', stack: 800 }
+      ]
+    }];
+
+    const out = tournament.recordEliminations(game);
+
+    expect(out.map(s => [s.username, s.place])).toEqual([['Player3', 3], ['Player2', 4]]);
+    expect(game.players[1].isActive).toBe(false);
+  });
+
+  test('Prizes follow the payouts and rounding goes to the winner', () => {
+    expect(tournament.getPrizes(1000, [65, 35], 6)).toEqual([650, 350]);
+    expect(tournament.getPrizes(100, [50, 30, 20], 3)).toEqual([50, 30, 20]);
+    expect(tournament.getPrizes(100, [70, 30], 1)).toEqual([100]);
+    expect(tournament.getPrizes(10, [34, 33, 33], 3)).toEqual([4, 3, 3]);
+  });
+
+  test('Finishing places the survivors by chips and credits the prizes', async () => {
+    const game = createMockTournament(4, { payouts: [70, 30] });
+    tournament.updateLevel(game);
+    game.tournament.standings.push(
+      { player: 'user4', username: 'Player4', place: 4, prize: 0 },
+      { player: 'user3', username: 'Player3', place: 3, prize: 0 }
+    );
+    game.players[2].isActive = false;
+    game.players[3].isActive = false;
+    game.players[0].totalChips = 2000;
+    game.players[1].totalChips = 4000;
+
+    const standings = await tournament.finishTournament(game);
+
+    expect(standings.map(s => [s.username, s.place, s.prize])).toEqual([
+      ['Player2', 1, 280],
+      ['Player1', 2, 120],
+      ['Player3', 3, 0],
+      ['Player4', 4, 0]
+    ]);
+    expect(game.status).toBe('completed');
+    expect(User.findByIdAndUpdate).toHaveBeenCalledTimes(2);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user2', { $inc: { balance: 280 } });
+  });
+
+  test('Entering takes the buy-in only from players who can afford it', async () => {
+    const game = createMockTournament();
+    User.findOneAndUpdate.mockResolvedValueOnce({ _id: 'user5' }).mockResolvedValueOnce(null);
+
+    await expect(tournament.enterTournament(game, 'user5')).resolves.toEqual({ amount: 1500 });
+    await expect(tournament.enterTournament(game, 'user6')).resolves.toEqual({
+      error: 'The tournament buy-in is 100 chips'
+    });
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'user5', balance: { $gte: 100 } },
+      { $inc: { balance: -100 } },
+      { new: true }
+    );
+  });
+});
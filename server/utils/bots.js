@@ -0,0 +1,168 @@
+// server/utils/bots.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { calculateHandOdds } = require('./equity');
+
+// How well each kind of bot plays. Stronger bots sample more run-outs to
+// judge their hand, misjudge it by less, bluff more and bet bigger.
+const BOT_LEVELS = {
+  easy: { iterations: 150, noise: 0.15, bluff: 0.02, aggression: 0.7, thinkingTime: [1500, 3500] },
+  medium: { iterations: 400, noise: 0.07, bluff: 0.06, aggression: 1, thinkingTime: [2000, 5000] },
+  hard: { iterations: 1000, noise: 0.02, bluff: 0.1, aggression: 1.3, thinkingTime: [2500, 6000] }
+};
+
+const DEFAULT_LEVEL = 'medium';
+
+const BOT_NAMES = ['Ayu', 'Budi', 'Citra', 'Dewi', 'Eko', 'Fajar', 'Gita', 'Hadi', 'Indah', 'Joko'];
+
+/**
+ * Validate the bots a table creator asked for
+ * @param {Object} [input] - { count, level }
+ * @param {Object} table - { maxSeats, isTournament }
+ * @returns {Object} { count, level, errors }
+ */
+function validateBotRequest(input, { maxSeats, isTournament }) {
+  const count = Number(input && input.count ? input.count : 0);
+  const level = input && input.level ? String(input.level) : DEFAULT_LEVEL;
+  const errors = [];
+
+  if (!Number.isInteger(count) || count < 0) {
+    errors.push('Bots must be a whole number');
+  } else if (count > maxSeats - 1) {
+    errors.push('Bots must leave a seat for you');
+  }
+  if (!BOT_LEVELS[level]) {
+    errors.push(`Bot level must be one of ${Object.keys(BOT_LEVELS).join(', ')}`);
+  }
+  if (count > 0 && isTournament) {
+    errors.push('Bots can only play at cash tables');
+  }
+
+  return { count, level, errors };
+}
+
+/**
+ * A bot's seat. Bots have no user account: their ID only names the seat and
+ * their chips come from the house, never from a wallet.
+ * @param {Object} game - Game the bot joins
+ * @param {string} level - Key of BOT_LEVELS
+ * @param {number} stack - Chips the bot sits down with
+ * @returns {Object} Player entry for game.players
+ */
+function createBot(game, level, stack) {
+  const taken = new Set(game.players.map(p => p.username));
+  const name = BOT_NAMES.map(n => `${n} (bot)`).find(n => !taken.has(n)) ||
+    `Bot ${game.players.length + 1}`;
+
+  return {
+    user: new mongoose.Types.ObjectId(),
+    username: name,
+    isBot: true,
+    botLevel: level,
+    position: game.players.length,
+    chips: 0,
+    totalChips: stack,
+    hand: [],
+    isActive: true,
+    hasFolded: false,
+    hasActed: false,
+    isAllIn: false
+  };
+}
+
+/**
+ * Whether a seat at the table belongs to a bot
+ * @param {Object} game - Game document
+ * @param {string} playerId - Seat's player ID
+ * @returns {boolean}
+ */
+function isBot(game, playerId) {
+  return (game.players || []).some(p => p.isBot && p.user.toString() === playerId.toString());
+}
+
+/**
+ * How long a bot waits before acting, so it doesn't act instantly
+ * @param {string} level - Key of BOT_LEVELS
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {number} Milliseconds
+ */
+function getThinkingTime(level, random = Math.random) {
+  const [min, max] = (BOT_LEVELS[level] || BOT_LEVELS[DEFAULT_LEVEL]).thinkingTime;
+  return Math.round(min + (max - min) * random());
+}
+
+// Share of the opponents still in the hand who act after the bot on later
+// streets: 0 on the button, 1 first to act
+function positionOf(game, bot, opponents) {
+  if (opponents.length === 0) return 0;
+
+  const seats = game.players.length;
+  const order = (player) => (game.players.indexOf(player) - game.dealerPosition - 1 + seats) % seats;
+  return opponents.filter(p => order(p) > order(bot)).length / opponents.length;
+}
+
+// Raise-to amount for a bet of the given share of the pot, within the limits
+function sizeBet(game, options, potShare) {
+  const target = (game.currentBet || 0) + Math.round((game.pot || 0) * potShare);
+  return Math.min(Math.max(target, options.minRaiseTo), options.maxRaiseTo);
+}
+
+/**
+ * Pick a bot's action from its chance of winning against the hands still in,
+ * the price the pot is offering and where it sits
+ * @param {Object} game - Game document, the bot to act
+ * @param {Object} bot - The bot's seat
+ * @param {Object} options - From gameLogic.getPlayerOptions
+ * @param {Object} context - { variant, random, randomInt }
+ * @returns {Object} { action, amount } - amount is the raise-to total for bets and raises
+ */
+function chooseAction(game, bot, options, { variant, random = Math.random, randomInt = crypto.randomInt }) {
+  const level = BOT_LEVELS[bot.botLevel] || BOT_LEVELS[DEFAULT_LEVEL];
+  const { actions, callAmount } = options;
+  const can = (action) => actions.includes(action);
+
+  const opponents = game.players.filter(p => p !== bot && p.isActive && !p.hasFolded);
+  const { equity } = calculateHandOdds(bot.hand, game.communityCards || [], opponents.length, {
+    iterations: level.iterations,
+    randomInt,
+    variant
+  });
+
+  // Late position plays a little looser; weaker bots misread their hand more
+  const position = positionOf(game, bot, opponents);
+  const strength = equity / 100 + level.noise * (random() * 2 - 1) + 0.05 * (1 - position);
+  const fairShare = 1 / (opponents.length + 1);
+  const strong = strength >= Math.min(0.9, fairShare * 1.5 / level.aggression);
+  const bluffing = random() < level.bluff;
+
+  const aggressive = can('bet') ? 'bet' : 'raise';
+  const canBet = can('bet') || can('raise');
+  if ((strong || bluffing) && canBet) {
+    const amount = sizeBet(game, options, strong ? 0.5 + 0.5 * Math.min(1, strength) : 0.5);
+    const stack = (bot.chips || 0) + bot.totalChips;
+    return amount >= stack && can('allIn') ? { action: 'allIn', amount } : { action: aggressive, amount };
+  }
+  if (strong && !canBet && can('allIn')) {
+    return { action: 'allIn', amount: 0 };
+  }
+
+  if (can('check')) {
+    return { action: 'check', amount: 0 };
+  }
+
+  // Call when the hand wins often enough to pay for the call
+  const potOdds = callAmount / ((game.pot || 0) + callAmount);
+  if (can('call') && strength >= potOdds) {
+    return { action: 'call', amount: callAmount };
+  }
+  return { action: 'fold', amount: 0 };
+}
+
+module.exports = {
+  validateBotRequest,
+  createBot,
+  isBot,
+  getThinkingTime,
+  chooseAction,
+  BOT_LEVELS
+};
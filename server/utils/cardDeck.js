@@ -1,4 +1,5 @@
-// server/utils/cardDeck.js - Complete replacement with enhanced shuffling
+// server/utils/cardDeck.js
+const crypto = require('crypto');
 
 // Card suits and ranks
 const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
@@ -8,13 +9,28 @@ const RANK_VALUES = {
   'J': 11, 'Q': 12, 'K': 13, 'A': 14
 };
 
-// Create a new deck of cards
-function createDeck() {
-  const deck = [];
+// Ranks in each kind of deck: short deck (6+) takes out the twos to fives
+const DECK_RANKS = {
+  standard: RANKS,
+  short: RANKS.slice(RANKS.indexOf('6'))
+};
+
+/**
+ * Create a new deck of cards in suit and rank order
+ * @param {string} [deck='standard'] - 'standard' (52 cards) or 'short' (36)
+ * @returns {Array} Cards
+ */
+function createOrderedDeck(deck = 'standard') {
+  const ranks = DECK_RANKS[deck];
+  if (!ranks) {
+    throw new Error(`Unknown deck: ${deck}`);
+  }
+
+  const cards = [];
   
   for (const suit of SUITS) {
-    for (const rank of RANKS) {
-      deck.push({
+    for (const rank of ranks) {
+      cards.push({
         suit,
         rank,
         value: RANK_VALUES[rank],
@@ -23,8 +39,16 @@ function createDeck() {
     }
   }
   
-  // Apply multiple shuffles to ensure randomness
-  let shuffled = superShuffle(deck);
+  return cards;
+}
+
+/**
+ * Create a new shuffled deck of cards
+ * @param {string} [deck='standard'] - 'standard' or 'short'
+ * @returns {Array} Shuffled cards
+ */
+function createDeck(deck = 'standard') {
+  const shuffled = shuffleDeck(createOrderedDeck(deck));
   
   // Add a timestamp to track when this deck was created
   shuffled._createdAt = Date.now();
@@ -32,168 +56,25 @@ function createDeck() {
   return shuffled;
 }
 
-// Super shuffle - applies multiple shuffling algorithms for maximum randomness
-function superShuffle(deck) {
-  if (!deck || !Array.isArray(deck)) {
-    console.error('Invalid deck provided to superShuffle');
-    return createDeck(); // Return a fresh deck as fallback
-  }
-  
-  // Create a copy to avoid modifying the original
-  let result = [...deck];
-  
-  // Apply Fisher-Yates shuffle
-  result = shuffleDeck(result);
-  
-  // Apply a cut
-  const cutPoint = Math.floor(Math.random() * result.length);
-  result = [...result.slice(cutPoint), ...result.slice(0, cutPoint)];
-  
-  // Apply another Fisher-Yates shuffle
-  result = shuffleDeck(result);
-  
-  // Apply a riffle shuffle simulation
-  result = riffleShuffleDeck(result);
-  
-  // One final Fisher-Yates for good measure
-  result = shuffleDeck(result);
-  
-  // Verify the deck is properly randomized
-  if (!isWellShuffled(result)) {
-    console.log('Deck not sufficiently randomized, applying another shuffle algorithm');
-    result = alternativeShuffleDeck(result);
-  }
-  
-  return result;
-}
-
-// Enhanced Fisher-Yates shuffle algorithm with true randomness
-function shuffleDeck(deck) {
+/**
+ * Fisher-Yates shuffle. Every permutation is equally likely as long as
+ * randomInt is uniform, which crypto.randomInt is. Provably fair hands pass a
+ * seeded generator instead so the order can be re-derived later.
+ * @param {Array} deck - Cards to shuffle (not modified)
+ * @param {Function} [randomInt=crypto.randomInt] - Returns an integer in [0, max)
+ * @returns {Array} Shuffled copy of the deck
+ */
+function shuffleDeck(deck, randomInt = crypto.randomInt) {
   const shuffled = [...deck];
   
-  // Calculate a random seed based on current time
-  const seed = Date.now() % 10000;
-  
   for (let i = shuffled.length - 1; i > 0; i--) {
-    // Use a combination of Math.random and our seed for better randomness
-    const j = Math.floor((Math.random() * seed) % (i + 1));
+    const j = randomInt(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   
   return shuffled;
 }
 
-// Simulate a riffle shuffle like a human would do
-function riffleShuffleDeck(deck) {
-  if (deck.length < 2) return deck;
-  
-  // Split the deck in two
-  const middle = Math.floor(deck.length / 2);
-  const left = deck.slice(0, middle);
-  const right = deck.slice(middle);
-  
-  // Riffle the cards together
-  const shuffled = [];
-  while (left.length > 0 || right.length > 0) {
-    // Add some randomness to how many cards fall from each half
-    if (left.length > 0 && (right.length === 0 || Math.random() < 0.5)) {
-      // Take 1-3 cards from left pile
-      const chunk = Math.min(Math.floor(Math.random() * 3) + 1, left.length);
-      shuffled.push(...left.splice(0, chunk));
-    }
-    
-    if (right.length > 0 && (left.length === 0 || Math.random() < 0.5)) {
-      // Take 1-3 cards from right pile
-      const chunk = Math.min(Math.floor(Math.random() * 3) + 1, right.length);
-      shuffled.push(...right.splice(0, chunk));
-    }
-  }
-  
-  return shuffled;
-}
-
-// Alternative shuffle algorithm using a more complex approach
-function alternativeShuffleDeck(deck) {
-  const result = [...deck];
-  
-  // Perform a complex shuffle operation
-  for (let i = 0; i < 5; i++) { // Multiple passes
-    // Different shuffling methods for each pass
-    switch (i % 3) {
-      case 0:
-        // Randomize by swapping random pairs
-        for (let j = 0; j < result.length * 2; j++) {
-          const a = Math.floor(Math.random() * result.length);
-          const b = Math.floor(Math.random() * result.length);
-          [result[a], result[b]] = [result[b], result[a]];
-        }
-        break;
-      case 1:
-        // Randomize by moving cards to random positions
-        for (let j = 0; j < result.length; j++) {
-          const newPos = Math.floor(Math.random() * result.length);
-          const temp = result[j];
-          result.splice(j, 1);
-          result.splice(newPos, 0, temp);
-        }
-        break;
-      case 2:
-        // Apply a riffle shuffle
-        const riffled = riffleShuffleDeck(result);
-        for (let j = 0; j < result.length; j++) {
-          result[j] = riffled[j];
-        }
-        break;
-    }
-  }
-  
-  return result;
-}
-
-// Check whether a deck appears to be well-shuffled
-function isWellShuffled(deck) {
-  if (!deck || deck.length !== 52) return false;
-  
-  // Check for runs of cards with same suit or consecutive ranks
-  let suitRuns = 0;
-  let rankRuns = 0;
-  let samePositionCount = 0;
-  
-  // Keep track of original positions to ensure cards have moved
-  const originalPositions = {};
-  for (let i = 0; i < 52; i++) {
-    const card = `${deck[i].rank}-${deck[i].suit}`;
-    originalPositions[card] = i;
-  }
-  
-  for (let i = 0; i < deck.length - 1; i++) {
-    // Check for same suit in consecutive cards
-    if (deck[i].suit === deck[i+1].suit) {
-      suitRuns++;
-    }
-    
-    // Check for sequential ranks in consecutive cards
-    const currRank = RANK_VALUES[deck[i].rank];
-    const nextRank = RANK_VALUES[deck[i+1].rank];
-    if (Math.abs(currRank - nextRank) === 1) {
-      rankRuns++;
-    }
-    
-    // Check if card is within 3 positions of its original position
-    const card = `${deck[i].rank}-${deck[i].suit}`;
-    const originalPos = (RANKS.indexOf(deck[i].rank) + SUITS.indexOf(deck[i].suit) * 13);
-    if (Math.abs(i - originalPos) < 3) {
-      samePositionCount++;
-    }
-  }
-  
-  // A well-shuffled deck should have:
-  // - Fewer than 20 suit runs (about 13 expected)
-  // - Fewer than 16 rank runs (about 8 expected)
-  // - Fewer than 10 cards in similar positions
-  return suitRuns < 20 && rankRuns < 16 && samePositionCount < 10;
-}
-
 // Draw a card from the deck
 function drawCard(deck) {
   if (!deck) {
@@ -263,45 +144,35 @@ function getDeckStats(deck) {
     }
   });
   
-  // Check if deck is complete and properly shuffled
+  // Check if deck is complete
   const isComplete = SUITS.every(suit => suitCounts[suit] === 13) && 
                     RANKS.every(rank => rankCounts[rank] === 4);
   
   return {
     deckSize: deck.length,
     isComplete,
-    isShuffled: isWellShuffled(deck),
     suitCounts,
     rankCounts,
     createdAt: deck._createdAt || 'unknown'
   };
 }
 
-// Force a fresh deck creation and full shuffle
-function getFreshShuffledDeck() {
-  // Create a fresh deck and apply our super shuffle
-  const deck = superShuffle(createDeck());
-  
-  // Add timestamp
-  deck._createdAt = Date.now();
-  
-  // Shuffle again just to be safe
-  return shuffleDeck(deck);
+// Create a fresh shuffled deck for a new hand
+function getFreshShuffledDeck(deck = 'standard') {
+  return createDeck(deck);
 }
 
 module.exports = {
+  createOrderedDeck,
   createDeck,
   shuffleDeck,
-  superShuffle,
-  riffleShuffleDeck,
-  alternativeShuffleDeck,
   drawCard,
   cardExists,
   checkForDuplicates,
   getDeckStats,
-  isWellShuffled,
   getFreshShuffledDeck,
   SUITS,
   RANKS,
+  DECK_RANKS,
   RANK_VALUES
 };
\ No newline at end of file
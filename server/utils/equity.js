@@ -0,0 +1,265 @@
+// server/utils/equity.js
+const crypto = require('crypto');
+const { createOrderedDeck } = require('./cardDeck');
+const { evaluateHand, evaluatePlayerHand, compareRanks, getHandName, HAND_RANKS } = require('./handEvaluator');
+const { encodeCard, encodedStrength, encodedOmahaStrength, encodedOmahaLow } = require('./handStrength');
+const { getVariant } = require('./variants');
+
+// Boards with more possible run-outs than this are sampled instead of
+// enumerated (heads-up preflop alone has 1.7 million)
+const MAX_EXACT_RUNOUTS = 2500;
+const DEFAULT_ITERATIONS = 5000;
+
+const cardKey = (card) => `${card.rank}${card.suit}`;
+
+// Cards of a deck ('standard' or 'short') not in any of the given collections
+function remainingDeck(deck, ...collections) {
+  const used = new Set();
+  collections.forEach(cards => {
+    cards.forEach(card => {
+      const key = cardKey(card);
+      if (used.has(key)) {
+        throw new Error(`Card ${card.rank} of ${card.suit} is used twice`);
+      }
+      used.add(key);
+    });
+  });
+
+  return createOrderedDeck(deck).filter(card => !used.has(cardKey(card)));
+}
+
+function countCombinations(n, r) {
+  let count = 1;
+  for (let i = 0; i < r; i++) {
+    count = (count * (n - i)) / (i + 1);
+  }
+  return Math.round(count);
+}
+
+// Call visit with every way of picking r cards from the deck
+function forEachCombination(deck, r, visit) {
+  const picked = [];
+  const helper = (start) => {
+    if (picked.length === r) {
+      visit(picked);
+      return;
+    }
+    for (let i = start; i <= deck.length - (r - picked.length); i++) {
+      picked.push(deck[i]);
+      helper(i + 1);
+      picked.pop();
+    }
+  };
+  helper(0);
+}
+
+// Partial Fisher-Yates: the first count cards of the deck become a random draw
+function drawRandom(deck, count, randomInt) {
+  for (let i = 0; i < count; i++) {
+    const j = i + randomInt(deck.length - i);
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck.slice(0, count);
+}
+
+// How a variant scores encoded hole cards on an encoded board: one scorer
+// per share of the pot, so hi-lo games score the high and the low
+function scorersFor(variant) {
+  const high = variant.holeCardsUsed
+    ? encodedOmahaStrength
+    : (hand, board) => encodedStrength([...hand, ...board], variant.deck);
+  return variant.hiLo ? [high, encodedOmahaLow] : [high];
+}
+
+// Positions of the hands with the top score, none when nobody scores (no low)
+function topScores(hands, board, scoreOf) {
+  let top = 0;
+  let best = [];
+  hands.forEach((hand, i) => {
+    const score = scoreOf(hand, board);
+    if (score > top) {
+      top = score;
+      best = [i];
+    } else if (score === top && score > 0) {
+      best.push(i);
+    }
+  });
+  return best;
+}
+
+// Score one complete board of encoded cards: the winners of each share of
+// the pot split it equally, and only a hand that takes the whole pot wins
+function scoreRunout(hands, board, totals, scorers) {
+  const shares = scorers
+    .map(scoreOf => topScores(hands, board, scoreOf))
+    .filter(best => best.length > 0);
+
+  const won = hands.map(() => 0);
+  shares.forEach(best => {
+    best.forEach(i => {
+      won[i] += 1 / shares.length / best.length;
+    });
+  });
+
+  won.forEach((share, i) => {
+    if (share === 1) {
+      totals[i].wins += 1;
+    } else if (share > 0) {
+      totals[i].ties += 1;
+    }
+    totals[i].share += share;
+  });
+}
+
+const percent = (count, runouts) => Math.round((count / runouts) * 1000) / 10;
+
+/**
+ * Each hand's chance of winning from here. Every possible run-out of the
+ * board is dealt when there are few enough of them, otherwise a random
+ * sample of run-outs is.
+ * @param {Array<Array>} hands - Hole cards of each player still in the hand
+ * @param {Array} [board=[]] - Community cards dealt so far
+ * @param {Object} [options] - { dead: cards known to be out of play, iterations: sample size, randomInt, variant }
+ * @returns {Object} { exact, runouts, players: [{ win, tie, equity }] } in percent
+ */
+function calculateEquity(hands, board = [], options = {}) {
+  if (!hands || hands.length < 2) {
+    throw new Error('Need at least two hands to calculate equity');
+  }
+  if (board.length > 5) {
+    throw new Error('A board has at most 5 cards');
+  }
+
+  const {
+    dead = [],
+    iterations = DEFAULT_ITERATIONS,
+    randomInt = crypto.randomInt,
+    variant = getVariant()
+  } = options;
+  const scorers = scorersFor(variant);
+  const deck = remainingDeck(variant.deck, ...hands, board, dead).map(encodeCard);
+  const encodedHands = hands.map(hand => hand.map(encodeCard));
+  const encodedBoard = board.map(encodeCard);
+  const missing = 5 - board.length;
+  const totals = hands.map(() => ({ wins: 0, ties: 0, share: 0 }));
+
+  const exact = countCombinations(deck.length, missing) <= MAX_EXACT_RUNOUTS;
+  let runouts = 0;
+  if (exact) {
+    forEachCombination(deck, missing, cards => {
+      scoreRunout(encodedHands, [...encodedBoard, ...cards], totals, scorers);
+      runouts++;
+    });
+  } else {
+    for (; runouts < iterations; runouts++) {
+      scoreRunout(encodedHands, [...encodedBoard, ...drawRandom(deck, missing, randomInt)], totals, scorers);
+    }
+  }
+
+  return {
+    exact,
+    runouts,
+    players: totals.map(t => ({
+      win: percent(t.wins, runouts),
+      tie: percent(t.ties, runouts),
+      equity: percent(t.share, runouts)
+    }))
+  };
+}
+
+// Hand rank of fewer than five cards, which can only be made of pairs and sets
+function partialRank(cards, deck) {
+  if (cards.length >= 5) {
+    return evaluateHand(cards, deck).rank;
+  }
+
+  const counts = {};
+  cards.forEach(card => {
+    counts[card.rank] = (counts[card.rank] || 0) + 1;
+  });
+  const groups = Object.values(counts).sort((a, b) => b - a);
+
+  if (groups[0] === 4) return HAND_RANKS.FOUR_OF_A_KIND;
+  if (groups[0] === 3) return groups[1] === 2 ? HAND_RANKS.FULL_HOUSE : HAND_RANKS.THREE_OF_A_KIND;
+  if (groups[0] === 2) return groups[1] === 2 ? HAND_RANKS.TWO_PAIR : HAND_RANKS.ONE_PAIR;
+  return HAND_RANKS.HIGH_CARD;
+}
+
+/**
+ * Cards that would improve a player's own hand on the next street. A card
+ * only counts if the improvement isn't on the board for everyone.
+ * @param {Array} hand - The player's hole cards
+ * @param {Array} board - Flop or turn
+ * @param {Object} [variant] - From variants.getVariant, Hold'em by default
+ * @returns {Array} [{ card, handName }]
+ */
+function getOuts(hand, board, variant = getVariant()) {
+  if (board.length < 3 || board.length > 4) {
+    return [];
+  }
+
+  const current = evaluatePlayerHand(hand, board, variant).rank;
+  const beats = (rank, other) => compareRanks(rank, other, variant.deck) > 0;
+  return remainingDeck(variant.deck, hand, board)
+    .map(card => ({ card, rank: evaluatePlayerHand(hand, [...board, card], variant).rank }))
+    .filter(({ card, rank }) => beats(rank, current) && beats(rank, partialRank([...board, card], variant.deck)))
+    .map(({ card, rank }) => ({ card, handName: getHandName(rank) }));
+}
+
+/**
+ * What a player can see about their own hand: what they have, their outs
+ * and the chance of hitting one, and their equity against random hands
+ * @param {Array} hand - The player's hole cards
+ * @param {Array} board - Community cards dealt so far
+ * @param {number} opponents - Players still in the hand against them
+ * @param {Object} [options] - { iterations, randomInt, variant }
+ * @returns {Object} { handName, outs, nextCard, byRiver, equity } with odds in percent
+ */
+function calculateHandOdds(hand, board, opponents, options = {}) {
+  const { iterations = DEFAULT_ITERATIONS, randomInt = crypto.randomInt, variant = getVariant() } = options;
+  const scorers = scorersFor(variant);
+
+  const outs = getOuts(hand, board, variant);
+  const deck = remainingDeck(variant.deck, hand, board);
+  const unseen = deck.length;
+  const missOnce = (unseen - outs.length) / unseen;
+  const nextCard = outs.length > 0 ? percent(outs.length, unseen) : 0;
+  // From the flop there are two cards to come
+  const byRiver = board.length === 3 && outs.length > 0
+    ? Math.round((1 - missOnce * ((unseen - 1 - outs.length) / (unseen - 1))) * 1000) / 10
+    : nextCard;
+
+  // Opponents' cards are unknown, so deal them at random along with the board
+  let share = 0;
+  const total = Math.max(1, opponents);
+  const size = hand.length;
+  const encodedDeck = deck.map(encodeCard);
+  const encodedHand = hand.map(encodeCard);
+  const encodedBoard = board.map(encodeCard);
+  for (let i = 0; i < iterations; i++) {
+    const cards = drawRandom(encodedDeck, total * size + 5 - board.length, randomInt);
+    const hands = [encodedHand];
+    for (let p = 0; p < total; p++) {
+      hands.push(cards.slice(p * size, (p + 1) * size));
+    }
+
+    const totals = hands.map(() => ({ wins: 0, ties: 0, share: 0 }));
+    scoreRunout(hands, [...encodedBoard, ...cards.slice(total * size)], totals, scorers);
+    share += totals[0].share;
+  }
+
+  return {
+    handName: board.length >= 3 ? evaluatePlayerHand(hand, board, variant).handName : null,
+    outs,
+    nextCard,
+    byRiver,
+    equity: percent(share, iterations)
+  };
+}
+
+module.exports = {
+  calculateEquity,
+  calculateHandOdds,
+  getOuts,
+  MAX_EXACT_RUNOUTS
+};
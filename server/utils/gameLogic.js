@@ -1,10 +1,21 @@
 // server/utils/gameLogic.js
 const cardDeck = require("./cardDeck");
 const handEvaluator = require("./handEvaluator");
+const { getTableSettings } = require("./tableSettings");
+const provablyFair = require("./provablyFair");
+const tournament = require("./tournament");
+const topUp = require("./topUp");
+const ledger = require("./ledger");
+const equity = require("./equity");
+const variants = require("./variants");
+const bots = require("./bots");
 const User = require("../models/User");
 const Game = require("../models/Game");
 
-// Game logic for Texas Hold'em
+// Fixed limit allows a bet and three raises on each street
+const FIXED_LIMIT_CAP = 4;
+
+// Game logic for Texas Hold'em and Omaha
 const gameLogic = {
   // Start a new game
   async startGame(game) {
@@ -27,13 +38,8 @@ const gameLogic = {
       if (game.smallBlindPosition === undefined || game.bigBlindPosition === undefined) {
         this.setBlindPositions(game);
         
-        // Set blinds
-        const smallBlindPlayer = game.players[game.smallBlindPosition];
-        const bigBlindPlayer = game.players[game.bigBlindPosition];
-        
-        // Small blind is half the minimum bet, big blind is the minimum bet
-        await this.placeBet(game, smallBlindPlayer.user.toString(), game.minBet / 2);
-        await this.placeBet(game, bigBlindPlayer.user.toString(), game.minBet);
+        // Antes and blinds from the table settings
+        await this.postForcedBets(game);
       }
       
       // Make sure currentTurn is set correctly
@@ -48,69 +54,98 @@ const gameLogic = {
       return game;
     }
     
+    // Publish the seed of the previous hand if nothing else did
+    this.revealServerSeed(game);
+
     // Reset game state for new hand
     game.pot = 0;
     game.communityCards = [];
-  
-    // CRITICAL FIX: Always create a completely new, properly shuffled deck
-    const cardDeck = require('./cardDeck');
-  
-    // Use the enhanced getFreshShuffledDeck function for maximum randomness
-    game.deck = cardDeck.getFreshShuffledDeck();
-  
-    // Log the deck stats for verification
-    const deckStats = cardDeck.getDeckStats(game.deck);
-    console.log(`New hand deck stats:`, deckStats);
+    game.secondBoard = [];
   
     game.currentBet = 0;
     game.handNumber += 1;
     game.bettingRound = "preflop";
+
+    // Tournament blinds go up on schedule, between hands
+    if (game.gameType === "tournament") {
+      tournament.updateLevel(game);
+    }
+
+    // Bomb pots come round every so many hands, or when the host calls one
+    game.isBombPot = this.isBombPotHand(game);
+    game.bombPotNext = false;
+    game.straddlePosition = -1;
+    game.lastAggressor = null;
   
     // Reset player states
     game.players.forEach((player) => {
       player.hand = [];
       player.chips = 0;
+      player.handContribution = 0;
       player.hasFolded = false;
       player.hasActed = false;
       player.isAllIn = false;
+      player.canRaise = true;
     });
 
+    // Pending sit-outs and busted players sit out from this hand
+    this.applySeatChanges(game);
+
     // Rotate dealer position (button)
     if (game.handNumber > 1) {
       game.dealerPosition = (game.dealerPosition + 1) % game.players.length;
 
-      // Make sure the dealer position is on an active player
-      while (!game.players[game.dealerPosition].isActive) {
+      // Make sure the dealer position is on a player who is sitting in
+      let checked = 0;
+      while (!this.isSittingIn(game.players[game.dealerPosition], game)) {
         game.dealerPosition = (game.dealerPosition + 1) % game.players.length;
+        if (++checked >= game.players.length) {
+          throw new Error("Need at least 2 active players");
+        }
       }
     } else {
-      // First hand, dealer can be random or position 0
-      game.dealerPosition = 0;
+      // First hand, the button goes to the first player sitting in
+      game.dealerPosition = Math.max(
+        0,
+        game.players.findIndex((p) => this.isSittingIn(p, game))
+      );
     }
 
     // Set blinds positions (relative to dealer)
     this.setBlindPositions(game);
 
-    // Verify deck is properly shuffled before dealing
-    if (!cardDeck.isWellShuffled(game.deck)) {
-      console.warn("Deck appears to be poorly shuffled, reshuffling");
-      game.deck = cardDeck.superShuffle(game.deck);
+    // Players sitting out may give way to, or be replaced by, a returning big blind
+    if (getTableSettings(game).forcedBets === "blinds") {
+      this.assignBigBlind(game);
     }
 
-    // Deal two cards to each active player
+    // Only players sitting in are dealt in; the rest count as folded for the hand
+    game.players.forEach((player) => {
+      player.hasFolded = !this.isSittingIn(player, game);
+      player.handsSatOut = player.hasFolded ? (player.handsSatOut || 0) + 1 : 0;
+    });
+
+    // Shuffle from the committed server seed and the players' client seeds
+    this.shuffleForHand(game);
+
+    // Log the deck stats for verification
+    const deckStats = cardDeck.getDeckStats(game.deck);
+    console.log(`New hand deck stats:`, deckStats);
+
+    // Deal each player sitting in the variant's number of hole cards
+    const { holeCards } = this.getVariant(game);
     console.log(
       `Dealing cards to ${
-        game.players.filter((p) => p.isActive && p.totalChips > 0).length
+        game.players.filter((p) => !p.hasFolded).length
       } active players`
     );
 
     // Store all dealt cards to verify uniqueness
     const dealtCards = [];
 
-    // Deal two cards to each active player
-    for (let i = 0; i < 2; i++) {
+    for (let i = 0; i < holeCards; i++) {
       for (const player of game.players) {
-        if (player.isActive && player.totalChips > 0) {
+        if (!player.hasFolded) {
           // Draw a card
           let card = cardDeck.drawCard(game.deck);
 
@@ -138,38 +173,27 @@ const gameLogic = {
       }
     }
 
-    // Set blinds
-    const smallBlindPlayer = game.players[game.smallBlindPosition];
-    const bigBlindPlayer = game.players[game.bigBlindPosition];
+    // Keep the seats and hole cards for the hand history and replay
+    this.recordHandStart(game);
 
-    // Small blind is half the minimum bet, big blind is the minimum bet
-    await this.placeBet(
-      game,
-      smallBlindPlayer.user.toString(),
-      game.minBet / 2
-    );
-    await this.placeBet(game, bigBlindPlayer.user.toString(), game.minBet);
+    // Post antes and blinds from the table settings
+    await this.postForcedBets(game);
 
-    // Set first player to act (after big blind)
-    game.currentTurn = this.getNextActivePlayerAfter(
-      game,
-      game.bigBlindPosition
-    );
-
-    // Update game history
-    game.actionHistory.push({
-      player: smallBlindPlayer.username,
-      action: "smallBlind",
-      amount: game.minBet / 2,
-      timestamp: Date.now(),
-    });
+    // A bomb pot has no preflop betting
+    if (game.isBombPot) {
+      this.dealBombPotFlop(game);
+    }
 
-    game.actionHistory.push({
-      player: bigBlindPlayer.username,
-      action: "bigBlind",
-      amount: game.minBet,
-      timestamp: Date.now(),
-    });
+    // Set first player to act (after the big blind or straddle, or the button on the flop),
+    // unless the forced bets left nobody to bet against
+    if (this.skipBettingIfDecided(game)) {
+      game.currentTurn = null;
+    } else {
+      game.currentTurn = this.getNextActivePlayerAfter(
+        game,
+        this.getActionStartPosition(game)
+      );
+    }
 
     // Verify no duplicates before saving
     try {
@@ -186,14 +210,14 @@ const gameLogic = {
       });
 
       // Create a new deck
-      game.deck = cardDeck.getFreshShuffledDeck();
+      game.deck = cardDeck.getFreshShuffledDeck(this.getVariant(game).deck);
 
       // Deal cards again with extra checks
       dealtCards.length = 0; // Clear tracking array
 
-      for (let i = 0; i < 2; i++) {
+      for (let i = 0; i < holeCards; i++) {
         for (const player of game.players) {
-          if (player.isActive && player.totalChips > 0) {
+          if (!player.hasFolded) {
             // Draw a card with additional validation
             let card = cardDeck.drawCard(game.deck);
             while (
@@ -205,7 +229,7 @@ const gameLogic = {
                 `DUPLICATE DETECTED in redealing: ${card.rank} of ${card.suit}`
               );
               // Create a completely new deck as a last resort
-              game.deck = cardDeck.getFreshShuffledDeck();
+              game.deck = cardDeck.getFreshShuffledDeck(this.getVariant(game).deck);
               card = cardDeck.drawCard(game.deck);
             }
 
@@ -220,6 +244,11 @@ const gameLogic = {
 
       // Verify again
       this.validateGameCards(game);
+
+      // The hand record was taken before the redeal
+      this.getHandRecord(game).seats.forEach((seat) => {
+        seat.holeCards = this.getPlayerById(game, seat.player.toString()).hand;
+      });
     }
 
     // Save the updated game with the skipValidation flag to avoid mongoose validation issues
@@ -242,8 +271,8 @@ const gameLogic = {
 
   // Set the small and big blind positions relative to the dealer
   setBlindPositions(game) {
-    const activePlayers = game.players.filter(
-      (p) => p.isActive && p.totalChips > 0
+    const activePlayers = game.players.filter((p) =>
+      this.isSittingIn(p, game)
     );
 
     if (activePlayers.length <= 1) {
@@ -251,6 +280,18 @@ const gameLogic = {
       throw new Error("Need at least 2 active players");
     }
 
+    const { maxSeats, forcedBets } = getTableSettings(game);
+    if (activePlayers.length > maxSeats) {
+      throw new Error(`This table seats at most ${maxSeats} players`);
+    }
+
+    // Without blinds the button acts last preflop, like a big blind would
+    if (forcedBets !== "blinds") {
+      game.smallBlindPosition = game.dealerPosition;
+      game.bigBlindPosition = game.dealerPosition;
+      return;
+    }
+
     // For 2 players, dealer is small blind, other player is big blind
     if (activePlayers.length === 2) {
       game.smallBlindPosition = game.dealerPosition;
@@ -272,15 +313,520 @@ const gameLogic = {
     );
   },
 
+  /**
+   * Whether a player is dealt into the next hand: seated, with chips, sitting
+   * in and not waiting for the big blind to reach them. Tournament players
+   * are dealt in while sitting out and blinded away.
+   * @param {Object} player - Player
+   * @param {Object} [game] - Game the player is seated in
+   * @returns {boolean} True if the player plays the next hand
+   */
+  isSittingIn(player, game = null) {
+    if (game && game.gameType === "tournament") {
+      return !!player && player.isActive && player.totalChips > 0;
+    }
+
+    return (
+      !!player &&
+      player.isActive &&
+      player.totalChips > 0 &&
+      (player.seatStatus || "sittingIn") === "sittingIn" &&
+      !player.waitingForBigBlind
+    );
+  },
+
+  /**
+   * Seat changes that take effect between hands. Pending sit-outs apply and
+   * busted players sit out until they add chips. Players waiting for the big
+   * blind come straight in when fewer than three are playing, or the table
+   * has no blinds, as there is no blind for them to wait for.
+   * @param {Object} game - Game document
+   */
+  applySeatChanges(game) {
+    game.players.forEach((player) => {
+      if (!player.seatStatus) {
+        player.seatStatus = "sittingIn";
+      }
+
+      const busted = player.totalChips <= 0 && player.seatStatus === "sittingIn";
+      if (player.sitOutNextHand || busted) {
+        player.seatStatus = "sittingOut";
+        player.sitOutNextHand = false;
+        player.waitingForBigBlind = false;
+      }
+    });
+
+    const playing = game.players.filter((p) =>
+      this.isSittingIn(p, game)
+    ).length;
+    if (playing < 3 || getTableSettings(game).forcedBets !== "blinds") {
+      game.players.forEach((player) => {
+        if (player.waitingForBigBlind) {
+          player.waitingForBigBlind = false;
+          player.missedBigBlind = false;
+        }
+      });
+    }
+  },
+
+  /**
+   * Apply the big blind rules once the blinds are set:
+   * - a big blind who asked to sit out at their next big blind does so
+   * - the first returning player the big blind passes takes it and is dealt in
+   * - players sitting out whose big blind was skipped owe it to come back early
+   * @param {Object} game - Game document with blind positions set
+   */
+  assignBigBlind(game) {
+    const seatCount = game.players.length;
+    const playing = () =>
+      game.players.filter((p) => this.isSittingIn(p, game)).length;
+
+    // Sitting out at the big blind can't leave fewer than two players
+    let bigBlindPlayer = game.players[game.bigBlindPosition];
+    while (bigBlindPlayer.sitOutNextBigBlind && playing() > 2) {
+      bigBlindPlayer.sitOutNextBigBlind = false;
+      bigBlindPlayer.seatStatus = "sittingOut";
+      this.setBlindPositions(game);
+      bigBlindPlayer = game.players[game.bigBlindPosition];
+    }
+
+    // Seats the big blind moved past on its way from the small blind
+    const passed = [];
+    for (
+      let i = (game.smallBlindPosition + 1) % seatCount;
+      i !== game.bigBlindPosition;
+      i = (i + 1) % seatCount
+    ) {
+      passed.push(i);
+    }
+
+    const returning = passed.find((i) => {
+      const player = game.players[i];
+      return (
+        player.waitingForBigBlind &&
+        player.isActive &&
+        player.totalChips > 0 &&
+        player.seatStatus === "sittingIn"
+      );
+    });
+
+    if (returning !== undefined) {
+      const player = game.players[returning];
+      player.waitingForBigBlind = false;
+      player.missedBigBlind = false;
+      game.bigBlindPosition = returning;
+    }
+
+    passed
+      .filter((i) => i !== returning && !this.isSittingIn(game.players[i], game))
+      .forEach((i) => {
+        if (game.players[i].isActive) {
+          game.players[i].missedBigBlind = true;
+        }
+      });
+
+    // Whoever posts the big blind has nothing left to make up
+    game.players[game.bigBlindPosition].missedBigBlind = false;
+  },
+
+  /**
+   * Shuffle the deck for a new hand. The deck order comes from the server seed
+   * committed during the previous hand plus the client seed of every player
+   * dealt in, so it can be re-derived once the seed is revealed. A new seed is
+   * committed straight away for the hand after.
+   * @param {Object} game - Game document (handNumber already advanced)
+   */
+  shuffleForHand(game) {
+    // Tables created before provably fair dealing have no commitment yet
+    if (!game.nextServerSeed) {
+      provablyFair.commitNextSeed(game);
+    }
+
+    // Only the players dealt in, in deal order, so the verifier deals the same
+    const dealtPlayers = game.players.filter((p) => this.isSittingIn(p, game));
+    dealtPlayers.forEach((p) => {
+      if (!p.clientSeed) {
+        p.clientSeed = provablyFair.generateSeed(8);
+      }
+    });
+
+    const clientSeeds = dealtPlayers.map((p) => ({
+      player: p.username,
+      seed: p.clientSeed,
+    }));
+
+    const variant = this.getVariant(game);
+    game.fairness = {
+      handNumber: game.handNumber,
+      variant: variant.key,
+      serverSeed: game.nextServerSeed,
+      serverSeedHash: game.nextServerSeedHash,
+      clientSeeds,
+      communityCards: [],
+      revealed: false,
+    };
+    game.deck = provablyFair.deriveDeck(
+      game.nextServerSeed,
+      clientSeeds.map((s) => s.seed),
+      game.handNumber,
+      variant.deck
+    );
+
+    provablyFair.commitNextSeed(game);
+  },
+
+  /**
+   * Reveal the server seed of the current hand once it is over, keeping the
+   * board that was dealt so the deal can be checked against the seeds
+   * @param {Object} game - Game document
+   * @returns {Object|null} Revealed record, or null if there was nothing to reveal
+   */
+  revealServerSeed(game) {
+    const fairness = game.fairness;
+    if (!fairness || !fairness.serverSeed || fairness.revealed) {
+      return null;
+    }
+
+    fairness.revealed = true;
+    fairness.communityCards = game.communityCards || [];
+
+    const record =
+      typeof fairness.toObject === "function"
+        ? fairness.toObject()
+        : { ...fairness };
+    if (game.revealedSeeds) {
+      game.revealedSeeds.push(record);
+    }
+
+    return record;
+  },
+
+  /**
+   * Record who was dealt into the hand, with their stacks before the forced
+   * bets and their hole cards, so the hand can be exported later
+   * @param {Object} game - Game document after dealing and forced bets
+   */
+  recordHandStart(game) {
+    const { smallBlind, bigBlind, ante } = getTableSettings(game);
+    const variant = this.getVariant(game);
+
+    game.handRecords.push({
+      handNumber: game.handNumber,
+      startedAt: Date.now(),
+      buttonSeat: game.dealerPosition + 1,
+      smallBlindSeat: game.smallBlindPosition + 1,
+      bigBlindSeat: game.bigBlindPosition + 1,
+      smallBlind,
+      bigBlind,
+      ante,
+      variant: variant.key,
+      bettingLimit: variant.bettingLimit,
+      bombPot: !!game.isBombPot,
+      seats: game.players
+        .map((player, index) => ({ player, seat: index + 1 }))
+        .filter(({ player }) => player.hand && player.hand.length > 0)
+        .map(({ player, seat }) => ({
+          seat,
+          player: player.user,
+          username: player.username,
+          stack: player.totalChips,
+          holeCards: player.hand,
+        })),
+      events: [],
+    });
+
+    this.logHandEvent(game, "deal");
+  },
+
+  /**
+   * Get the record of the hand in progress
+   * @param {Object} game - Game document
+   * @returns {Object|undefined} Hand record, if the hand was recorded
+   */
+  getHandRecord(game) {
+    return (game.handRecords || []).find(
+      (r) => r.handNumber === game.handNumber
+    );
+  },
+
+  /**
+   * Add a step to the current hand's event log. Street, pot and the player's
+   * stack are taken from the game as it is now, so call this after the chips move.
+   * @param {Object} game - Game document
+   * @param {string} type - Event type (see HandEventSchema)
+   * @param {Object} [player] - Player the event belongs to
+   * @param {Object} [fields] - Extra fields such as amount, cards or handName
+   */
+  logHandEvent(game, type, player = null, fields = {}) {
+    const record = this.getHandRecord(game);
+    if (!record) return;
+
+    record.events.push({
+      type,
+      street: game.bettingRound,
+      player: player ? player.user : undefined,
+      username: player ? player.username : undefined,
+      stack: player ? player.totalChips : undefined,
+      pot: game.pot,
+      timestamp: Date.now(),
+      ...fields,
+    });
+  },
+
+  /**
+   * Post the ante from every dealt-in player, then the blinds, using the
+   * table settings: small and big blinds, a single big blind from the button,
+   * or none at all. Short stacks post what they have and are all-in. A bomb
+   * pot takes the bomb pot ante from everyone instead, with no blinds.
+   * @param {Object} game - Game document with blind positions set
+   */
+  async postForcedBets(game) {
+    const { smallBlind, bigBlind, ante, forcedBets, bombPotAnte } =
+      getTableSettings(game);
+    const anteSize = game.isBombPot ? bombPotAnte : ante;
+
+    if (anteSize > 0) {
+      for (const player of game.players) {
+        if (player.hasFolded || player.totalChips <= 0) continue;
+
+        const amount = await this.placeAnte(
+          game,
+          player.user.toString(),
+          anteSize
+        );
+
+        game.actionHistory.push({
+          player: player.username,
+          action: "ante",
+          handNumber: game.handNumber,
+          amount,
+          timestamp: Date.now(),
+        });
+        this.logHandEvent(game, "ante", player, { amount });
+      }
+    }
+
+    // Ante-only tables and bomb pots open the betting with nothing to call
+    if (forcedBets === "antes" || game.isBombPot) {
+      game.lastRaiseSize = 0;
+      game.betsThisRound = 0;
+      return;
+    }
+
+    const blinds =
+      forcedBets === "buttonBlind"
+        ? [["bigBlind", game.players[game.dealerPosition], bigBlind]]
+        : [
+            ["smallBlind", game.players[game.smallBlindPosition], smallBlind],
+            ["bigBlind", game.players[game.bigBlindPosition], bigBlind],
+          ];
+
+    for (const [action, player, size] of blinds) {
+      const amount = await this.postBlind(game, player, size);
+
+      // Update game history
+      game.actionHistory.push({
+        player: player.username,
+        action,
+        handNumber: game.handNumber,
+        amount,
+        timestamp: Date.now(),
+      });
+      this.logHandEvent(game, action, player, { amount });
+    }
+
+    // A short big blind doesn't lower the price of calling
+    if (game.currentBet < bigBlind) {
+      game.currentBet = bigBlind;
+    }
+
+    // The big blind counts as the opening bet, so the first raise is at least one more
+    game.lastRaiseSize = bigBlind;
+    game.betsThisRound = 1;
+
+    if (forcedBets === "blinds") {
+      await this.postDeadBlinds(game);
+      await this.postStraddle(game);
+    }
+  },
+
+  /**
+   * Seat that may straddle this hand: the player after the big blind, or the
+   * button, when they have asked to. Heads-up there is no straddle, as the
+   * button already posts a blind.
+   * @param {Object} game - Game document with the blinds posted
+   * @returns {number} Index into game.players, or -1 for no straddle
+   */
+  getStraddlePosition(game) {
+    const { straddle, bigBlind } = getTableSettings(game);
+    const dealtIn = game.players.filter((p) => !p.hasFolded).length;
+    if (straddle === "off" || game.isBombPot || dealtIn < 3) {
+      return -1;
+    }
+
+    const position =
+      straddle === "button"
+        ? game.dealerPosition
+        : this.getNextActivePlayerIndex(game, game.bigBlindPosition);
+    const player = game.players[position];
+
+    // Someone who already posted a blind, or can't cover the straddle, doesn't
+    if (
+      !player.wantsStraddle ||
+      player.hasFolded ||
+      player.chips > 0 ||
+      player.totalChips <= bigBlind * 2
+    ) {
+      return -1;
+    }
+    return position;
+  },
+
+  /**
+   * Post a live straddle of two big blinds. It plays as the new big blind:
+   * everyone has to call it, raises are at least its size, and the
+   * straddler acts last preflop.
+   * @param {Object} game - Game document with the blinds posted
+   */
+  async postStraddle(game) {
+    const position = this.getStraddlePosition(game);
+    game.straddlePosition = position;
+    if (position === -1) return;
+
+    const { bigBlind } = getTableSettings(game);
+    const player = game.players[position];
+    const amount = bigBlind * 2;
+    await this.placeBet(game, player.user.toString(), amount);
+
+    game.lastRaiseSize = amount;
+    game.betsThisRound = 2;
+
+    game.actionHistory.push({
+      player: player.username,
+      action: "straddle",
+      handNumber: game.handNumber,
+      amount,
+      timestamp: Date.now(),
+    });
+    this.logHandEvent(game, "straddle", player, { amount });
+  },
+
+  /**
+   * Whether the hand being dealt is a bomb pot, because the host called one
+   * or the table plays one every so many hands
+   * @param {Object} game - Game document (handNumber already advanced)
+   * @returns {boolean}
+   */
+  isBombPotHand(game) {
+    const { bombPotAnte, bombPotEvery } = getTableSettings(game);
+    if (bombPotAnte <= 0) return false;
+
+    return (
+      !!game.bombPotNext ||
+      (bombPotEvery > 0 && game.handNumber % bombPotEvery === 0)
+    );
+  },
+
+  /**
+   * Deal the flop of a bomb pot straight after the antes
+   * @param {Object} game - Game document with the antes posted
+   */
+  dealBombPotFlop(game) {
+    game.bettingRound = "flop";
+
+    // Burn a card, then deal three
+    cardDeck.drawCard(game.deck);
+    for (let i = 0; i < 3; i++) {
+      game.communityCards.push(cardDeck.drawCard(game.deck));
+    }
+
+    game.actionHistory.push({
+      player: "Dealer",
+      action: "dealFlop",
+      handNumber: game.handNumber,
+      timestamp: Date.now(),
+    });
+    this.logHandEvent(game, "board", null, {
+      cards: game.communityCards.slice(-3),
+    });
+  },
+
+  /**
+   * Players who missed the big blind and chose to come back straight away
+   * post a live big blind plus the small blind as a dead blind (straight
+   * into the pot, it doesn't count towards calling)
+   * @param {Object} game - Game document with the blinds posted
+   */
+  async postDeadBlinds(game) {
+    const { smallBlind, bigBlind } = getTableSettings(game);
+
+    for (const [index, player] of game.players.entries()) {
+      if (
+        !player.missedBigBlind ||
+        player.hasFolded ||
+        index === game.smallBlindPosition ||
+        index === game.bigBlindPosition
+      ) {
+        continue;
+      }
+      player.missedBigBlind = false;
+
+      const liveAmount = await this.postBlind(game, player, bigBlind);
+      game.actionHistory.push({
+        player: player.username,
+        action: "bigBlind",
+        handNumber: game.handNumber,
+        amount: liveAmount,
+        timestamp: Date.now(),
+      });
+      this.logHandEvent(game, "bigBlind", player, { amount: liveAmount });
+
+      if (player.totalChips <= 0) continue;
+
+      const deadAmount = await this.placeAnte(
+        game,
+        player.user.toString(),
+        smallBlind
+      );
+      game.actionHistory.push({
+        player: player.username,
+        action: "deadBlind",
+        handNumber: game.handNumber,
+        amount: deadAmount,
+        timestamp: Date.now(),
+      });
+      this.logHandEvent(game, "deadBlind", player, { amount: deadAmount });
+    }
+  },
+
+  /**
+   * Post a blind, going all-in when the player can't cover it
+   * @param {Object} game - Game document
+   * @param {Object} player - Player posting the blind
+   * @param {number} amount - Blind size
+   * @returns {number} Chips actually posted
+   */
+  async postBlind(game, player, amount) {
+    if (player.totalChips <= 0) {
+      return 0;
+    }
+
+    if (player.totalChips <= amount) {
+      const posted = player.totalChips;
+      await this.placeAllIn(game, player.user.toString());
+      return posted;
+    }
+
+    await this.placeBet(game, player.user.toString(), amount);
+    return amount;
+  },
+
   // Get the next active player index
   getNextActivePlayerIndex(game, currentIndex) {
     let nextIndex = (currentIndex + 1) % game.players.length;
 
-    // Skip players who are not active or have no chips
-    while (
-      !game.players[nextIndex].isActive ||
-      game.players[nextIndex].totalChips <= 0
-    ) {
+    // Skip players who are not sitting in or have no chips
+    while (!this.isSittingIn(game.players[nextIndex], game)) {
       nextIndex = (nextIndex + 1) % game.players.length;
 
       // Safety check to avoid infinite loop
@@ -305,37 +851,78 @@ const gameLogic = {
       if (!player.hasFolded && player.isActive && !player.isAllIn) {
         player.hasActed = false;
       }
+      player.canRaise = true;
     });
 
-    // Reset current bet for new round (except preflop where blinds set it)
+    // Bets are per street: clear them for a new round (except preflop where blinds set them).
+    // Chips already in the pot stay counted in each player's handContribution.
     if (game.bettingRound !== "preflop") {
       game.currentBet = 0;
+      game.lastRaiseSize = 0;
+      game.betsThisRound = 0;
+      game.lastAggressor = null;
+      game.players.forEach((player) => {
+        player.chips = 0;
+      });
     }
 
     // First to act depends on the round
-    // In preflop, action starts after the big blind
-    // In other rounds, action starts with first active player after dealer
-    let startPos;
-    if (game.bettingRound === "preflop") {
-      startPos = game.bigBlindPosition;
-    } else {
-      startPos = game.dealerPosition;
-    }
+    const startPos = this.getActionStartPosition(game);
 
     // Find the next active player who hasn't folded and isn't all-in
-    try {
-      game.currentTurn = this.getNextPlayerToAct(game, startPos);
-    } catch (error) {
-      // If no player needs to act, betting round is complete
-      console.log("No players need to act, betting round complete");
-      return game;
+    if (this.skipBettingIfDecided(game)) {
+      game.currentTurn = null;
+    } else {
+      try {
+        game.currentTurn = this.getNextPlayerToAct(game, startPos);
+      } catch (error) {
+        // If no player needs to act, betting round is complete
+        console.log("No players need to act, betting round complete");
+      }
     }
 
-    // Save the updated game
+    // Save the updated game (the street reset has to persist either way)
     await game.save();
     return game;
   },
 
+  /**
+   * With fewer than two players left who have chips behind, and nothing for
+   * them to call, there is nobody to bet against: antes or a bomb pot can
+   * leave a short-stacked table like that. Mark the street as acted on so
+   * the board is run out instead.
+   * @param {Object} game - Game document
+   * @returns {boolean} True if nobody has to act this street
+   */
+  skipBettingIfDecided(game) {
+    const canAct = game.players.filter(
+      (p) => p.isActive && !p.hasFolded && !p.isAllIn
+    );
+    if (canAct.length >= 2 || canAct.some((p) => (p.chips || 0) < (game.currentBet || 0))) {
+      return false;
+    }
+
+    canAct.forEach((p) => {
+      p.hasActed = true;
+    });
+    return true;
+  },
+
+  /**
+   * Seat the action starts after: the big blind preflop, or the straddle
+   * when there is one, and the button on every later street
+   * @param {Object} game - Game document
+   * @returns {number} Index into game.players
+   */
+  getActionStartPosition(game) {
+    if (game.bettingRound !== "preflop") {
+      return game.dealerPosition;
+    }
+    return game.straddlePosition >= 0
+      ? game.straddlePosition
+      : game.bigBlindPosition;
+  },
+
   // Get the next player who needs to act (not folded, not all-in, not already acted)
   getNextPlayerToAct(game, startPos) {
     let currentIndex = startPos;
@@ -380,8 +967,11 @@ const gameLogic = {
       throw new Error("Not your turn");
     }
 
-    // Get valid options for this player
-    const validOptions = this.getPlayerOptions(game, playerId);
+    // Get valid options and bet sizes for this player
+    const { actions: validOptions, minRaiseTo, maxRaiseTo } =
+      this.getPlayerOptions(game, playerId);
+    const previousBet = game.currentBet || 0;
+    const stack = (player.chips || 0) + player.totalChips;
     console.log(
       `Valid options for ${player.username}: ${validOptions.join(", ")}`
     );
@@ -405,9 +995,11 @@ const gameLogic = {
         game.actionHistory.push({
           player: player.username,
           action: "fold",
+          handNumber: game.handNumber,
           amount: 0,
           timestamp: Date.now(),
         });
+        this.logHandEvent(game, "fold", player, { amount: 0 });
 
         // Check if only one player remains
         const activePlayers = game.players.filter(
@@ -419,11 +1011,20 @@ const gameLogic = {
           result.roundEnded = true;
           result.winners = [activePlayers[0].user.toString()];
 
-          // Award pot to winner
-          await this.awardPot(game, [activePlayers[0]]);
+          // Award pot to winner (every pot, since no one else is eligible)
+          const potTotal = game.pot;
+          result.pots = await this.awardPot(game);
 
-          result.message = `${activePlayers[0].username} wins the pot of ${game.pot} chips`;
-          return result;
+          result.message = `${activePlayers[0].username} wins the pot of ${potTotal} chips`;
+          result.fairness = this.revealServerSeed(game);
+
+          // Nothing is shown when everyone else folds
+          this.storeHandResult(game, {
+            winnerIds: result.winners,
+            pot: potTotal,
+            hands: [],
+            pots: result.pots,
+          });
         }
         break;
 
@@ -438,14 +1039,19 @@ const gameLogic = {
         game.actionHistory.push({
           player: player.username,
           action: "check",
+          handNumber: game.handNumber,
           amount: 0,
           timestamp: Date.now(),
         });
+        this.logHandEvent(game, "check", player, { amount: 0 });
         break;
 
       case "call":
-        // Match the current bet
-        const callAmount = game.currentBet - player.chips;
+        // Match the current bet (a short stack calls for what it has)
+        const callAmount = Math.min(
+          game.currentBet - player.chips,
+          player.totalChips
+        );
         if (callAmount > 0) {
           if (callAmount >= player.totalChips) {
             // Player is going all-in with a call
@@ -460,9 +1066,11 @@ const gameLogic = {
         game.actionHistory.push({
           player: player.username,
           action: "call",
+          handNumber: game.handNumber,
           amount: callAmount,
           timestamp: Date.now(),
         });
+        this.logHandEvent(game, "call", player, { amount: callAmount });
         break;
 
       case "bet":
@@ -471,11 +1079,15 @@ const gameLogic = {
           throw new Error("Cannot bet, must raise instead");
         }
 
-        if (amount < game.minBet) {
-          throw new Error(`Bet must be at least ${game.minBet} chips`);
+        if (amount < minRaiseTo) {
+          throw new Error(`Bet must be at least ${minRaiseTo} chips`);
         }
 
-        if (amount >= player.totalChips) {
+        if (amount > maxRaiseTo && maxRaiseTo < stack) {
+          throw new Error(`Bet can be at most ${maxRaiseTo} chips`);
+        }
+
+        if (amount >= stack) {
           // Player is going all-in with a bet
           await this.placeAllIn(game, playerId);
         } else {
@@ -483,25 +1095,18 @@ const gameLogic = {
         }
         player.hasActed = true;
 
-        // Reset other players' acted status since they need to respond to the bet
-        game.players.forEach((p) => {
-          if (
-            p.user.toString() !== playerId &&
-            p.isActive &&
-            !p.hasFolded &&
-            !p.isAllIn
-          ) {
-            p.hasActed = false;
-          }
-        });
+        // Other players need to respond to the bet
+        this.reopenBetting(game, playerId, previousBet, minRaiseTo);
 
         // Add to action history
         game.actionHistory.push({
           player: player.username,
           action: "bet",
-          amount: amount,
+          handNumber: game.handNumber,
+          amount: player.chips, // What was actually bet, capped at the stack
           timestamp: Date.now(),
         });
+        this.logHandEvent(game, "bet", player, { amount: player.chips });
         break;
 
       case "raise":
@@ -510,13 +1115,16 @@ const gameLogic = {
           throw new Error("Cannot raise, must bet instead");
         }
 
-        // Minimum raise is current bet + previous raise amount (or min bet if first raise)
-        const minRaise = game.currentBet * 2;
-        if (amount < minRaise) {
-          throw new Error(`Raise must be at least ${minRaise} chips`);
+        // Amount is the total to raise to: current bet + at least the last raise size
+        if (amount < minRaiseTo) {
+          throw new Error(`Raise must be to at least ${minRaiseTo} chips`);
+        }
+
+        if (amount > maxRaiseTo && maxRaiseTo < stack) {
+          throw new Error(`Raise can be to at most ${maxRaiseTo} chips`);
         }
 
-        if (amount >= player.totalChips + player.chips) {
+        if (amount >= stack) {
           // Player is going all-in with a raise
           await this.placeAllIn(game, playerId);
         } else {
@@ -526,52 +1134,38 @@ const gameLogic = {
         }
         player.hasActed = true;
 
-        // Reset other players' acted status since they need to respond to the raise
-        game.players.forEach((p) => {
-          if (
-            p.user.toString() !== playerId &&
-            p.isActive &&
-            !p.hasFolded &&
-            !p.isAllIn
-          ) {
-            p.hasActed = false;
-          }
-        });
+        // Other players need to respond to the raise
+        this.reopenBetting(game, playerId, previousBet, minRaiseTo);
 
         // Add to action history
         game.actionHistory.push({
           player: player.username,
           action: "raise",
-          amount: amount,
+          handNumber: game.handNumber,
+          amount: player.chips, // Total raised to, capped at the stack
           timestamp: Date.now(),
         });
+        this.logHandEvent(game, "raise", player, { amount: player.chips });
         break;
 
       case "allIn":
         await this.placeAllIn(game, playerId);
         player.hasActed = true;
 
-        // If player's all-in amount is greater than current bet, reset other players' acted status
-        if (player.chips > game.currentBet) {
-          game.players.forEach((p) => {
-            if (
-              p.user.toString() !== playerId &&
-              p.isActive &&
-              !p.hasFolded &&
-              !p.isAllIn
-            ) {
-              p.hasActed = false;
-            }
-          });
+        // An all-in above the current bet is a bet or raise, full or short
+        if (game.currentBet > previousBet) {
+          this.reopenBetting(game, playerId, previousBet, minRaiseTo);
         }
 
         // Add to action history
         game.actionHistory.push({
           player: player.username,
           action: "allIn",
+          handNumber: game.handNumber,
           amount: player.chips,
           timestamp: Date.now(),
         });
+        this.logHandEvent(game, "allIn", player, { amount: player.chips });
         break;
 
       default:
@@ -606,6 +1200,44 @@ const gameLogic = {
     return result;
   },
 
+  /**
+   * Ask everyone still in the hand to respond to a bet or raise. A full raise
+   * sets the new minimum raise size and reopens the betting for all of them.
+   * A short all-in only makes them call the difference: players who had
+   * already acted may call or fold but not raise again.
+   * @param {Object} game - Game document (currentBet already updated)
+   * @param {string} playerId - Player who bet or raised
+   * @param {number} previousBet - Current bet before the action
+   * @param {number} minRaiseTo - Smallest full raise before the action
+   */
+  reopenBetting(game, playerId, previousBet, minRaiseTo) {
+    game.lastAggressor = this.getPlayerById(game, playerId).user;
+
+    const isFullRaise = game.currentBet >= minRaiseTo;
+    if (isFullRaise) {
+      game.lastRaiseSize = game.currentBet - previousBet;
+      game.betsThisRound = (game.betsThisRound || 0) + 1;
+    }
+
+    game.players.forEach((p) => {
+      if (
+        p.user.toString() === playerId ||
+        !p.isActive ||
+        p.hasFolded ||
+        p.isAllIn
+      ) {
+        return;
+      }
+
+      if (isFullRaise) {
+        p.canRaise = true;
+      } else if (p.hasActed) {
+        p.canRaise = false;
+      }
+      p.hasActed = false;
+    });
+  },
+
   /**
    * Place a bet for a player with atomic updates to avoid version conflicts
    * @param {Object} game - Game document
@@ -644,6 +1276,7 @@ const gameLogic = {
         $inc: {
           [`players.${playerIndex}.totalChips`]: -amount,
           [`players.${playerIndex}.chips`]: amount,
+          [`players.${playerIndex}.handContribution`]: amount,
           pot: amount,
         },
       };
@@ -668,6 +1301,7 @@ const gameLogic = {
       // Update the original game object with new values to maintain consistency
       player.totalChips -= amount;
       player.chips += amount;
+      player.handContribution = (player.handContribution || 0) + amount;
       game.pot += amount;
       if (newBet > game.currentBet) {
         game.currentBet = newBet;
@@ -716,6 +1350,7 @@ const gameLogic = {
       const updateQuery = {
         $inc: {
           [`players.${playerIndex}.chips`]: allInAmount,
+          [`players.${playerIndex}.handContribution`]: allInAmount,
           pot: allInAmount,
         },
         $set: {
@@ -744,6 +1379,7 @@ const gameLogic = {
       // Update the original game object
       player.totalChips = 0;
       player.chips += allInAmount;
+      player.handContribution = (player.handContribution || 0) + allInAmount;
       player.isAllIn = true;
       game.pot += allInAmount;
       if (newBet > game.currentBet) {
@@ -758,106 +1394,332 @@ const gameLogic = {
   },
 
   /**
-   * Award the pot to winner(s) with improved database updates
+   * Build the main pot and any side pots from each player's contribution
+   * across all betting rounds of the hand
    * @param {Object} game - Game document
-   * @param {Array} winners - Array of winning player objects
+   * @returns {Array} Pots ordered main pot first: [{ amount, eligiblePlayers }]
    */
-  async awardPot(game, winners) {
-    if (!winners || winners.length === 0) {
-      throw new Error("No winners provided");
+  buildPots(game) {
+    const contributors = game.players.filter(
+      (p) => (p.handContribution || 0) > 0
+    );
+    const contenders = game.players.filter((p) => p.isActive && !p.hasFolded);
+
+    // Every distinct contribution level of a live player closes off a pot
+    const levels = [
+      ...new Set(
+        contenders
+          .map((p) => p.handContribution || 0)
+          .filter((amount) => amount > 0)
+      ),
+    ].sort((a, b) => a - b);
+
+    const pots = [];
+    let previousLevel = 0;
+
+    for (const level of levels) {
+      let amount = 0;
+      for (const player of contributors) {
+        const contribution = player.handContribution || 0;
+        amount +=
+          Math.min(contribution, level) - Math.min(contribution, previousLevel);
+      }
+
+      const eligiblePlayers = contenders.filter(
+        (p) => (p.handContribution || 0) >= level
+      );
+
+      pots.push({ amount, eligiblePlayers });
+
+      previousLevel = level;
     }
 
-    // Split the pot evenly among winners
-    const splitAmount = Math.floor(game.pot / winners.length);
-    const remainder = game.pot % winners.length;
+    // Folded chips above the highest live contribution still go to the last pot
+    const accounted = pots.reduce((sum, pot) => sum + pot.amount, 0);
+    const unaccounted = (game.pot || 0) - accounted;
+    if (unaccounted > 0) {
+      if (pots.length > 0) {
+        pots[pots.length - 1].amount += unaccounted;
+      } else {
+        pots.push({ amount: unaccounted, eligiblePlayers: contenders });
+      }
+    }
 
-    // Keep track of user balances to update in the database
-    const userUpdates = [];
+    return pots;
+  },
 
-    console.log(
-      `Awarding pot of ${game.pot} chips to ${winners.length} winner(s)`
-    );
+  /**
+   * Order players by seat, starting with the first seat left of the button
+   * @param {Object} game - Game document
+   * @param {Array} players - Players to order
+   * @returns {Array} Players in odd-chip order
+   */
+  orderFromButton(game, players) {
+    const seatCount = game.players.length;
+    const distance = (player) => {
+      const seat = game.players.findIndex(
+        (p) => p.user.toString() === player.user.toString()
+      );
+      return (seat - (game.dealerPosition || 0) - 1 + seatCount) % seatCount;
+    };
 
-    // Award chips to winners
-    for (let i = 0; i < winners.length; i++) {
-      const winner = winners[i];
-      let winAmount = splitAmount;
+    return [...players].sort((a, b) => distance(a) - distance(b));
+  },
 
-      // Add remainder to first winner (if any)
-      if (i === 0) {
-        winAmount += remainder;
-      }
+  /**
+   * Place an ante using atomic updates. Antes go straight into the pot and
+   * don't count towards the player's bet in the betting round.
+   * @param {Object} game - Game document
+   * @param {string} playerId - Player ID
+   * @param {number} amount - Ante size
+   * @returns {number} Chips actually posted
+   */
+  async placeAnte(game, playerId, amount) {
+    try {
+      const player = this.getPlayerById(game, playerId);
+      const anteAmount = Math.min(amount, player.totalChips);
 
-      // Update player's chips in the game
-      winner.totalChips += winAmount;
+      const mongooseHelpers = require("./mongoose-helpers");
+      const Game = require("../models/Game");
 
-      // Add to list of user balances to update
-      userUpdates.push({
-        userId: winner.user.toString(),
-        newBalance: winner.totalChips,
-        username: winner.username,
-        winAmount: winAmount,
-      });
+      const playerIndex = game.players.findIndex(
+        (p) => p.user.toString() === playerId.toString()
+      );
 
-      console.log(
-        `Winner ${winner.username} receives ${winAmount} chips, new total: ${winner.totalChips}`
+      if (playerIndex === -1) {
+        throw new Error("Player not found");
+      }
+
+      const isAllIn = anteAmount === player.totalChips;
+      const updateQuery = {
+        $inc: {
+          [`players.${playerIndex}.totalChips`]: -anteAmount,
+          [`players.${playerIndex}.handContribution`]: anteAmount,
+          pot: anteAmount,
+        },
+      };
+      if (isAllIn) {
+        updateQuery.$set = { [`players.${playerIndex}.isAllIn`]: true };
+      }
+
+      const updatedGame = await mongooseHelpers.atomicGameUpdate(
+        Game,
+        game.gameId,
+        updateQuery
       );
+
+      if (!updatedGame) {
+        throw new Error("Failed to update game");
+      }
+
+      // Update the original game object
+      player.totalChips -= anteAmount;
+      player.handContribution = (player.handContribution || 0) + anteAmount;
+      player.isAllIn = player.isAllIn || isAllIn;
+      game.pot += anteAmount;
+
+      return anteAmount;
+    } catch (error) {
+      console.error(`Error in placeAnte: ${error.message}`);
+      throw error;
     }
+  },
 
-    // Get the user model
-    const User = require("../models/User");
+  /**
+   * Award the main pot and side pots, recording cash table pots on the ledger.
+   * Each pot goes to the best hand among its eligible (non-folded) players,
+   * odd chips are handed out one at a time left of the button. When the board
+   * was run twice, half of every pot is played on each board, and in hi-lo
+   * games each of those is split again between the high and the low.
+   * @param {Object} game - Game document
+   * @returns {Array} Awarded pots: [{ amount, eligiblePlayers, winners }]
+   */
+  async awardPot(game) {
+    const pots = this.buildPots(game);
+    if (pots.length === 0) {
+      throw new Error("No pot to award");
+    }
 
-    // Update all user balances in the database
-    // This ensures the correct balances are stored in the database
-    try {
-      // For each player in the game, update their balance to match their totalChips
-      for (const player of game.players) {
-        const userId = player.user.toString();
-
-        try {
-          // Find the player in the user database
-          const user = await User.findById(userId);
-          if (!user) {
-            console.error(`Could not find user ${userId} in database`);
-            continue;
-          }
+    console.log(`Awarding ${game.pot} chips across ${pots.length} pot(s)`);
 
-          // Update the user's balance to match their totalChips
-          user.balance = player.totalChips;
+    const awardedPots = [];
+    const winnerIds = new Set();
+    const boards = this.getBoards(game);
 
-          // If this is a winner, also increment their gamesWon counter
-          if (winners.some((w) => w.user.toString() === userId)) {
-            user.gamesWon += 1;
-          }
+    for (const pot of pots) {
+      // The first board takes the odd chip of a pot run twice
+      const winners = boards.flatMap((board, run) => {
+        const share =
+          Math.floor(pot.amount / boards.length) +
+          (run < pot.amount % boards.length ? 1 : 0);
+        return this.splitPot(game, pot, share, board).map((w) =>
+          boards.length > 1 ? { ...w, run: run + 1 } : w
+        );
+      });
+      winners.forEach((w) => winnerIds.add(w.playerId));
 
-          // Save the updated user
-          await user.save();
+      awardedPots.push({
+        amount: pot.amount,
+        eligiblePlayers: pot.eligiblePlayers.map((p) => ({
+          playerId: p.user.toString(),
+          username: p.username,
+        })),
+        winners,
+      });
+    }
 
-          console.log(
-            `Updated user ${player.username} balance to ${player.totalChips}`
-          );
-        } catch (userError) {
-          console.error(`Error updating user ${player.username}:`, userError);
-        }
+    // Chips at a cash table are escrowed on the ledger, so the hand moves
+    // them between seats there; wallets only change when players leave
+    try {
+      if (game.gameType !== "tournament") {
+        await ledger.recordPots(game, awardedPots);
+      }
+      for (const userId of winnerIds) {
+        if (bots.isBot(game, userId)) continue;
+        await User.findByIdAndUpdate(userId, { $inc: { gamesWon: 1 } });
       }
     } catch (error) {
-      console.error("Error updating user balances:", error);
+      console.error("Error recording the pots:", error);
     }
 
     // Reset pot
     game.pot = 0;
 
-    // Return the updated winners for chaining
-    return winners;
+    return awardedPots;
   },
 
-  // Update user balance in database
-  async updateUserBalance(userId, newBalance) {
-    try {
-      await User.findByIdAndUpdate(userId, { balance: newBalance });
-    } catch (error) {
-      console.error("Error updating user balance:", error);
+  /**
+   * Boards the hand is played on: the community cards, plus the second
+   * run-out when the board was run twice
+   * @param {Object} game - Game document
+   * @returns {Array<Array>} One or two boards
+   */
+  getBoards(game) {
+    const second = game.secondBoard || [];
+    return second.length === 5
+      ? [game.communityCards, second]
+      : [game.communityCards];
+  },
+
+  /**
+   * Give an amount from a pot to the best eligible hand on a board, split
+   * between tied hands with odd chips going left of the button. In hi-lo
+   * games the best low takes half, the high half getting any odd chip, and
+   * the high hand takes it all when nobody has a low.
+   * @param {Object} game - Game document
+   * @param {Object} pot - Pot from buildPots
+   * @param {number} amount - Chips to give
+   * @param {Array} board - Community cards to play the hands on
+   * @returns {Array} Winners: [{ playerId, username, handName, amount, half }], half being "high" or "low" when the pot was split
+   */
+  splitPot(game, pot, amount, board) {
+    // Only compare hands when the pot is actually contested
+    if (pot.eligiblePlayers.length < 2) {
+      return this.sharePot(game, pot.eligiblePlayers, amount, {});
     }
+
+    const result = handEvaluator.determineWinners(
+      pot.eligiblePlayers.map((player) => ({
+        playerId: player.user.toString(),
+        username: player.username,
+        holeCards: player.hand,
+        communityCards: board,
+      })),
+      this.getVariant(game)
+    );
+    const players = (winners) =>
+      winners.map((w) => this.getPlayerById(game, w.playerId));
+    const names = (winners) =>
+      Object.fromEntries(winners.map((w) => [w.playerId, w.handName]));
+
+    if (result.lowWinners.length === 0) {
+      return this.sharePot(
+        game,
+        players(result.winners),
+        amount,
+        names(result.winners)
+      );
+    }
+
+    const lowAmount = Math.floor(amount / 2);
+    return [
+      ...this.sharePot(
+        game,
+        players(result.winners),
+        amount - lowAmount,
+        names(result.winners)
+      ).map((w) => ({ ...w, half: "high" })),
+      ...this.sharePot(
+        game,
+        players(result.lowWinners),
+        lowAmount,
+        names(result.lowWinners)
+      ).map((w) => ({ ...w, half: "low" })),
+    ];
+  },
+
+  /**
+   * Pay chips out equally, odd chips one at a time left of the button
+   * @param {Object} game - Game document
+   * @param {Array} winners - Player subdocuments
+   * @param {number} amount - Chips to give
+   * @param {Object} handNames - Name of each winner's hand by player id
+   * @returns {Array} Winners: [{ playerId, username, handName, amount }]
+   */
+  sharePot(game, winners, amount, handNames) {
+    const ordered = this.orderFromButton(game, winners);
+    const splitAmount = Math.floor(amount / ordered.length);
+    const remainder = amount % ordered.length;
+
+    return ordered.map((winner, i) => {
+      const winAmount = splitAmount + (i < remainder ? 1 : 0);
+      const userId = winner.user.toString();
+
+      winner.totalChips += winAmount;
+
+      console.log(
+        `Winner ${winner.username} receives ${winAmount} chips, new total: ${winner.totalChips}`
+      );
+
+      return {
+        playerId: userId,
+        username: winner.username,
+        handName: handNames[userId],
+        amount: winAmount,
+      };
+    });
+  },
+
+  /**
+   * Run the board a second time from the same deck: the cards that were out
+   * when everyone was all-in stay, and each street after them is burned and
+   * dealt again
+   * @param {Object} game - Game with the first board complete
+   * @param {number} shared - Community cards dealt before the all-in
+   * @returns {Promise<Object>} The game with its second board
+   */
+  async dealSecondBoard(game, shared) {
+    const secondBoard = game.communityCards.slice(0, shared);
+    const streets = [3, 1, 1].filter((_, i) => [0, 3, 4][i] >= shared);
+
+    streets.forEach((count) => {
+      cardDeck.drawCard(game.deck); // Burn
+      for (let i = 0; i < count; i++) {
+        secondBoard.push(cardDeck.drawCard(game.deck));
+      }
+    });
+    game.secondBoard = secondBoard;
+
+    game.actionHistory.push({
+      player: "Dealer",
+      action: "dealSecondBoard",
+      handNumber: game.handNumber,
+      timestamp: Date.now(),
+    });
+
+    game._skipValidation = true;
+    await game.save();
+    return game;
   },
 
   // Update games won count
@@ -898,8 +1760,12 @@ const gameLogic = {
           freshGame.actionHistory.push({
             player: "Dealer",
             action: "dealFlop",
+            handNumber: freshGame.handNumber,
             timestamp: Date.now(),
           });
+          this.logHandEvent(freshGame, "board", null, {
+            cards: freshGame.communityCards.slice(-3),
+          });
 
           // Save the updated game - don't use the original game
           await freshGame.save();
@@ -916,7 +1782,7 @@ const gameLogic = {
       const Game = require("../models/Game");
 
       // Create a new deck to ensure we have enough cards
-      const freshDeck = cardDeck.createDeck();
+      const freshDeck = cardDeck.createDeck(this.getVariant(game).deck);
 
       // Burn one card
       const burnCard = freshDeck.pop();
@@ -935,6 +1801,7 @@ const gameLogic = {
           actionHistory: {
             player: "Dealer",
             action: "dealFlop",
+            handNumber: game.handNumber,
             timestamp: Date.now(),
           },
         },
@@ -967,8 +1834,12 @@ const gameLogic = {
           freshGame.actionHistory.push({
             player: "Dealer",
             action: "dealTurn",
+            handNumber: freshGame.handNumber,
             timestamp: Date.now(),
           });
+          this.logHandEvent(freshGame, "board", null, {
+            cards: freshGame.communityCards.slice(-1),
+          });
 
           // Save the updated game - don't use the original game
           await freshGame.save();
@@ -988,7 +1859,7 @@ const gameLogic = {
       const existingCards = game.communityCards || [];
 
       // Create a new card for the turn
-      const turnCard = cardDeck.getFreshShuffledDeck()[0]; // get a random card
+      const turnCard = cardDeck.getFreshShuffledDeck(this.getVariant(game).deck)[0]; // get a random card
 
       // Perform atomic update
       return await mongooseHelpers.atomicGameUpdate(Game, game.gameId, {
@@ -1000,6 +1871,7 @@ const gameLogic = {
           actionHistory: {
             player: "Dealer",
             action: "dealTurn",
+            handNumber: game.handNumber,
             timestamp: Date.now(),
           },
         },
@@ -1032,8 +1904,12 @@ const gameLogic = {
           freshGame.actionHistory.push({
             player: "Dealer",
             action: "dealRiver",
+            handNumber: freshGame.handNumber,
             timestamp: Date.now(),
           });
+          this.logHandEvent(freshGame, "board", null, {
+            cards: freshGame.communityCards.slice(-1),
+          });
 
           // Save the updated game - don't use the original game
           await freshGame.save();
@@ -1053,7 +1929,7 @@ const gameLogic = {
       const existingCards = game.communityCards || [];
 
       // Create a new card for the river
-      const riverCard = cardDeck.getFreshShuffledDeck()[0]; // get a random card
+      const riverCard = cardDeck.getFreshShuffledDeck(this.getVariant(game).deck)[0]; // get a random card
 
       // Perform atomic update
       return await mongooseHelpers.atomicGameUpdate(Game, game.gameId, {
@@ -1065,97 +1941,219 @@ const gameLogic = {
           actionHistory: {
             player: "Dealer",
             action: "dealRiver",
+            handNumber: game.handNumber,
             timestamp: Date.now(),
           },
         },
       });
-    }
+    }
+  },
+
+  /**
+   * Process the showdown (compare hands) with enhanced balance updates
+   * @param {Object} game - Game document
+   * @returns {Object} Showdown results
+   */
+  /**
+   * Players still in the hand in the order they show down: the last player to
+   * bet or raise on the final street first, or the first seat left of the
+   * button when it was checked through
+   * @param {Object} game - Game document at showdown
+   * @returns {Array} Player subdocuments
+   */
+  getShowdownOrder(game) {
+    const ordered = this.orderFromButton(
+      game,
+      game.players.filter((p) => p.isActive && !p.hasFolded)
+    );
+    const aggressor = game.lastAggressor
+      ? ordered.findIndex(
+          (p) => p.user.toString() === game.lastAggressor.toString()
+        )
+      : -1;
+
+    return aggressor > 0
+      ? [...ordered.slice(aggressor), ...ordered.slice(0, aggressor)]
+      : ordered;
+  },
+
+  /**
+   * Whether a player may muck instead of showing: only when the hands already
+   * shown beat theirs for every pot, board and half they could win
+   * @param {Object} game - Game document at showdown
+   * @param {string} playerId - Player deciding
+   * @param {Array} shownIds - Players who have shown so far
+   * @returns {boolean}
+   */
+  canMuck(game, playerId, shownIds) {
+    const shown = new Set(shownIds.map(String));
+    const variant = this.getVariant(game);
+    const boards = this.getBoards(game);
+
+    return this.buildPots(game)
+      .filter((pot) =>
+        pot.eligiblePlayers.some((p) => p.user.toString() === playerId)
+      )
+      .every((pot) => {
+        const contenders = pot.eligiblePlayers.filter(
+          (p) =>
+            shown.has(p.user.toString()) || p.user.toString() === playerId
+        );
+        if (contenders.length < 2) return false;
+
+        return boards.every((board) => {
+          const result = handEvaluator.determineWinners(
+            contenders.map((p) => ({
+              playerId: p.user.toString(),
+              username: p.username,
+              holeCards: p.hand,
+              communityCards: board,
+            })),
+            variant
+          );
+          return ![...result.winners, ...result.lowWinners].some(
+            (w) => w.playerId === playerId
+          );
+        });
+      });
   },
 
   /**
-   * Process the showdown (compare hands) with enhanced balance updates
+   * Show down the hands and award the pots. Players who mucked give up their
+   * claim and their cards stay hidden.
    * @param {Object} game - Game document
-   * @returns {Object} Showdown results
+   * @param {Array} [shownIds] - Players who chose to show, everyone when omitted
+   * @returns {Object} { winners, hands, pot, pots, runs, fairness }
    */
-  async processShowdown(game) {
+  async processShowdown(game, shownIds = null) {
     try {
-      // Get players who haven't folded
-      const activePlayers = game.players.filter(
-        (p) => p.isActive && !p.hasFolded
-      );
+      const order = this.getShowdownOrder(game);
+      const showing = shownIds
+        ? order.filter((p) => shownIds.map(String).includes(p.user.toString()))
+        : order;
+
+      // A mucked hand is dead: it can't win any of the pots
+      const mucked = order.filter((p) => !showing.includes(p));
+      mucked.forEach((player) => {
+        player.hasFolded = true;
+        this.logHandEvent(game, "muck", player, { street: "showdown" });
+      });
 
-      // Prepare hands for evaluation
-      const playerHands = activePlayers.map((player) => ({
+      // Prepare the shown hands for evaluation, in showdown order
+      const playerHands = showing.map((player) => ({
         playerId: player.user.toString(),
         username: player.username,
         holeCards: player.hand,
         communityCards: game.communityCards,
       }));
 
-      // Determine winner(s)
-      const result = handEvaluator.determineWinners(playerHands);
+      const variant = this.getVariant(game);
+      const result = handEvaluator.determineWinners(playerHands, variant);
+      const handNames = {};
+      result.allHands.forEach((h) => {
+        handNames[h.playerId] = h.handName;
+      });
+
+      const potTotal = game.pot;
+
+      // The shown hands are turned up in order
+      result.allHands.forEach((h) => {
+        const shower = this.getPlayerById(game, h.playerId);
+        this.logHandEvent(game, "show", shower, {
+          street: "showdown",
+          cards: shower.hand,
+          handName: h.handName,
+          lowHandName: h.lowHandName,
+        });
+      });
+
+      // Award the main pot and each side pot
+      const pots = await this.awardPot(game);
+
+      // The hand is over, so the seed behind its deck can be published
+      const fairness = this.revealServerSeed(game);
+
+      // Anyone who took chips from at least one pot is a winner of the hand,
+      // named by the hands they won with (high, low or both in hi-lo games)
+      const winners = [];
+      pots.forEach((pot) => {
+        pot.winners.forEach((w) => {
+          // Uncontested pots don't compare hands, so name the hand here
+          w.handName = w.handName || handNames[w.playerId];
+          let winner = winners.find((x) => x.playerId === w.playerId);
+          if (!winner) {
+            // Totals for the hand, not per board or half
+            winner = { playerId: w.playerId, username: w.username, amount: 0 };
+            winners.push(winner);
+          }
+          winner.amount += w.amount;
+          if (w.half === "low") {
+            winner.lowHandName = w.handName;
+          } else {
+            winner.handName = w.handName;
+          }
+        });
+      });
+
+      // Run twice: what every hand made on each board and what each board paid
+      const boards = this.getBoards(game);
+      const runs =
+        boards.length > 1
+          ? boards.map((board, i) => ({
+              run: i + 1,
+              communityCards: board,
+              hands: playerHands.map((h) => {
+                const low = variant.hiLo
+                  ? handEvaluator.evaluateLowHand(h.holeCards, board)
+                  : null;
+                return {
+                  playerId: h.playerId,
+                  username: h.username,
+                  handName: handEvaluator.evaluatePlayerHand(
+                    h.holeCards,
+                    board,
+                    variant
+                  ).handName,
+                  lowHandName: low ? low.handName : undefined,
+                };
+              }),
+              winners: pots.flatMap((pot) =>
+                pot.winners.filter((w) => w.run === i + 1)
+              ),
+            }))
+          : undefined;
 
       // Store hand results in game history
-      game.handResults.push({
-        winners: result.winners.map((w) => w.playerId),
-        pot: game.pot,
+      this.storeHandResult(game, {
+        winnerIds: winners.map((w) => w.playerId),
+        pot: potTotal,
         hands: result.allHands.map((h) => ({
           player: h.username,
           cards: h.hand,
           handName: h.handName,
+          lowHandName: h.lowHandName,
         })),
-        communityCards: game.communityCards,
-        timestamp: Date.now(),
+        pots,
+        mucked: mucked.map((p) => p.username),
       });
 
-      // Award pot to winner(s) - this handles database updates too
-      const winnerPlayers = result.winners.map((w) =>
-        this.getPlayerById(game, w.playerId)
-      );
-
-      await this.awardPot(game, winnerPlayers);
-
-      // Also update all other players' balances to the database
-      for (const player of game.players) {
-        // Skip winners as they've already been updated
-        if (
-          winnerPlayers.some(
-            (w) => w.user.toString() === player.user.toString()
-          )
-        ) {
-          continue;
-        }
-
-        try {
-          // Update the loser's balance in the database
-          await User.findByIdAndUpdate(
-            player.user,
-            { $set: { balance: player.totalChips } },
-            { new: true }
-          );
-
-          console.log(
-            `Updated database balance for loser ${player.username} to ${player.totalChips}`
-          );
-        } catch (error) {
-          console.error(
-            `Error updating balance for player ${player.username}:`,
-            error
-          );
-        }
-      }
+      // Persist the payouts, the hand result and the revealed seed
+      game._skipValidation = true;
+      await game.save();
 
       return {
-        winners: result.winners.map((w) => ({
-          playerId: w.playerId,
-          username: w.username,
-          handName: w.handName,
-        })),
+        winners,
         hands: result.allHands.map((h) => ({
           playerId: h.playerId,
           username: h.username,
           handName: h.handName,
+          lowHandName: h.lowHandName,
+          holeCards: this.getPlayerById(game, h.playerId).hand,
         })),
+        pot: potTotal,
+        pots,
+        runs,
+        fairness,
       };
     } catch (error) {
       console.error("Error in processShowdown:", error);
@@ -1163,6 +2161,96 @@ const gameLogic = {
     }
   },
 
+  /**
+   * Turn up some or all of a player's hole cards once the hand is over: an
+   * uncontested winner, a folded player or one who mucked may show by choice
+   * @param {Object} game - Game document
+   * @param {string} playerId - Player showing
+   * @param {Array} indexes - Positions of the hole cards to show
+   * @returns {Object} The player's entry in the hand result
+   */
+  showCards(game, playerId, indexes) {
+    const result = (game.handResults || []).find(
+      (r) => r.handNumber === game.handNumber
+    );
+    if (!result) {
+      throw new Error("You can show your cards once the hand is over");
+    }
+
+    const player = this.getPlayerById(game, playerId);
+    const hand = player.hand || [];
+    if (hand.length === 0) {
+      throw new Error("You weren't dealt into this hand");
+    }
+    if (
+      !Array.isArray(indexes) ||
+      indexes.length === 0 ||
+      !indexes.every((i) => Number.isInteger(i) && i >= 0 && i < hand.length)
+    ) {
+      throw new Error("Choose which of your cards to show");
+    }
+
+    let entry = result.hands.find((h) => h.player === player.username);
+    if (entry && entry.handName) {
+      throw new Error("Your cards are already face up");
+    }
+    if (!entry) {
+      result.hands.push({ player: player.username, cards: [] });
+      entry = result.hands[result.hands.length - 1];
+    }
+
+    // Keep the cards in the order they were dealt, however often they're shown
+    const isShown = (card) =>
+      entry.cards.some((c) => c.rank === card.rank && c.suit === card.suit);
+    entry.cards = hand.filter(
+      (card, i) => indexes.includes(i) || isShown(card)
+    );
+
+    this.logHandEvent(game, "show", player, {
+      street: "showdown",
+      cards: entry.cards,
+    });
+    return entry;
+  },
+
+  /**
+   * Add the outcome of the current hand to the game's hand results
+   * @param {Object} game - Game document
+   * @param {Object} outcome - { winnerIds, pot, hands, pots, mucked } with pots as returned by awardPot
+   */
+  storeHandResult(game, { winnerIds, pot, hands, pots, mucked = [] }) {
+    game.handResults.push({
+      handNumber: game.handNumber,
+      winners: winnerIds,
+      pot,
+      hands,
+      mucked,
+      pots: pots.map((p) => ({
+        amount: p.amount,
+        eligiblePlayers: p.eligiblePlayers.map((e) => e.playerId),
+        winners: p.winners.map((w) => ({
+          player: w.playerId,
+          username: w.username,
+          amount: w.amount,
+          run: w.run,
+          half: w.half,
+        })),
+      })),
+      communityCards: game.communityCards,
+      secondBoard: game.secondBoard || [],
+      timestamp: Date.now(),
+    });
+
+    pots.forEach((p) => {
+      p.winners.forEach((w) => {
+        this.logHandEvent(game, "award", this.getPlayerById(game, w.playerId), {
+          amount: w.amount,
+          handName: w.handName,
+        });
+      });
+    });
+  },
+
   // Check if betting round is complete
   isBettingRoundComplete(game) {
     // All active players should have either folded, gone all-in, or acted
@@ -1186,6 +2274,53 @@ const gameLogic = {
     return activePlayers.every((p) => p.chips === game.currentBet);
   },
 
+  /**
+   * Nobody can bet any more but the hand isn't over: everyone left is all-in,
+   * or all but one who has called, so the board just gets run out
+   * @param {Object} game - Game document
+   * @returns {boolean} True if the rest of the board should be dealt without betting
+   */
+  isAllInRunout(game) {
+    const inHand = game.players.filter(
+      (p) => p.isActive && !p.hasFolded && p.hand && p.hand.length > 0
+    );
+
+    return (
+      game.status === "active" &&
+      inHand.length >= 2 &&
+      inHand.filter((p) => !p.isAllIn).length <= 1 &&
+      (game.communityCards || []).length < 5 &&
+      this.isBettingRoundComplete(game)
+    );
+  },
+
+  /**
+   * Every all-in hand, face up, with its chance of winning on the board so far
+   * @param {Object} game - Game in an all-in run-out
+   * @returns {Object} { handNumber, exact, players: [{ playerId, username, hand, win, tie, equity }] }
+   */
+  getAllInEquity(game) {
+    const inHand = game.players.filter(
+      (p) => p.isActive && !p.hasFolded && p.hand && p.hand.length > 0
+    );
+    const result = equity.calculateEquity(
+      inHand.map((p) => p.hand),
+      game.communityCards || [],
+      { variant: this.getVariant(game) }
+    );
+
+    return {
+      handNumber: game.handNumber,
+      exact: result.exact,
+      players: inHand.map((p, i) => ({
+        playerId: p.user.toString(),
+        username: p.username,
+        hand: p.hand,
+        ...result.players[i],
+      })),
+    };
+  },
+
   /**
    * Prepare the game for the next hand - Fix for Mongoose versioning error and card shuffling
    * @param {Object} game - Game document
@@ -1195,42 +2330,71 @@ const gameLogic = {
     try {
       console.log(`Preparing next hand for game ${game.gameId}`);
 
+      // Hands that ended without a showdown still publish their seed
+      this.revealServerSeed(game);
+
       // Reset necessary game state
       game.bettingRound = "preflop";
       game.pot = 0;
       game.currentBet = 0;
       game.communityCards = [];
+      game.secondBoard = [];
 
       // IMPORTANT FIX: Create a completely new shuffled deck for the next hand
       const cardDeck = require("./cardDeck");
-      game.deck = cardDeck.createDeck(); // This creates a fresh, shuffled deck
+      game.deck = cardDeck.createDeck(this.getVariant(game).deck); // This creates a fresh, shuffled deck
 
       // Reset player states but keep their total chips
       game.players.forEach((player) => {
         player.hand = [];
         player.chips = 0;
+        player.handContribution = 0;
         player.hasFolded = false;
         player.hasActed = false;
         player.isAllIn = false;
+        player.canRaise = true;
       });
 
-      // Check which players have zero chips
-      const playersToRemove = [];
-      game.players = game.players.filter((player, index) => {
-        if (player.totalChips <= 0) {
-          player.isActive = false;
-          playersToRemove.push(index);
-          return false;
+      if (game.tournamentId) {
+        // Tables of a multi-table tournament leave eliminations and the
+        // finish to the tournament, which sees every table
+      } else if (game.gameType === "tournament") {
+        // Busted players are out of the tournament, the last one left wins it
+        tournament.recordEliminations(game);
+        if (
+          game.players.filter((p) => p.isActive && p.totalChips > 0).length < 2
+        ) {
+          await tournament.finishTournament(game);
         }
-        return true;
-      });
+      } else {
+        // Chips asked for during the hand and auto top-ups go on first
+        await topUp.applyTopUps(game);
+
+        // Busted players keep their seat and sit out from the next hand,
+        // only players who sat out for too long lose it. Bots don't rebuy.
+        await this.removeAbsentPlayers(game);
+        this.removeBustedBots(game);
+      }
 
-      // Check if there are enough players to continue
-      if (game.players.filter((p) => p.isActive).length < 2) {
+      // Tournaments need two players with chips to continue, cash tables
+      // stay open while a busted player can still rebuy, and only while
+      // someone other than the bots is still seated
+      const remaining =
+        game.gameType === "tournament"
+          ? game.players.filter((p) => p.isActive && p.totalChips > 0)
+          : game.players.filter((p) => p.isActive);
+      if (
+        !game.tournamentId &&
+        (remaining.length < 2 || remaining.every((p) => p.isBot))
+      ) {
+        if (game.gameType !== "tournament") {
+          await this.cashOutPlayers(game);
+        }
         game.status = "completed";
         game.actionHistory.push({
           player: "System",
           action: "gameCompleted",
+          handNumber: game.handNumber,
           timestamp: Date.now(),
         });
       } else {
@@ -1238,6 +2402,7 @@ const gameLogic = {
         game.actionHistory.push({
           player: "System",
           action: "nextHand",
+          handNumber: game.handNumber,
           timestamp: Date.now(),
         });
       }
@@ -1257,9 +2422,13 @@ const gameLogic = {
               pot: game.pot,
               currentBet: game.currentBet,
               communityCards: game.communityCards,
+              secondBoard: game.secondBoard,
               players: game.players,
+              dealerPosition: game.dealerPosition,
+              tournament: game.tournament,
               status: game.status,
               actionHistory: game.actionHistory,
+              chipMovements: game.chipMovements,
               deck: game.deck,
             },
           },
@@ -1291,21 +2460,27 @@ const gameLogic = {
           freshGame.pot = 0;
           freshGame.currentBet = 0;
           freshGame.communityCards = [];
+          freshGame.secondBoard = [];
 
           // Create a completely new deck
-          freshGame.deck = cardDeck.getFreshShuffledDeck();
+          freshGame.deck = cardDeck.getFreshShuffledDeck(this.getVariant(game).deck);
 
           // Reset player states
           freshGame.players.forEach((player) => {
             player.hand = [];
             player.chips = 0;
+            player.handContribution = 0;
             player.hasFolded = false;
             player.hasActed = false;
             player.isAllIn = false;
+            player.canRaise = true;
           });
 
           // Set game status
-          if (freshGame.players.filter((p) => p.isActive).length < 2) {
+          if (
+            freshGame.players.filter((p) => p.isActive && p.totalChips > 0)
+              .length < 2
+          ) {
             freshGame.status = "completed";
           }
 
@@ -1331,6 +2506,286 @@ const gameLogic = {
     }
   },
 
+  /**
+   * Remove players who have sat out for more than the table's allowed number
+   * of orbits, returning their chips to their balance
+   * @param {Object} game - Game document between hands
+   * @returns {Promise<Array>} Usernames of the removed players
+   */
+  async removeAbsentPlayers(game) {
+    const { maxSitOutOrbits } = getTableSettings(game);
+    const seated = game.players.filter((p) => p.isActive).length;
+    const limit = maxSitOutOrbits * seated;
+
+    const removed = [];
+    for (let i = game.players.length - 1; i >= 0; i--) {
+      const player = game.players[i];
+      if (!player.isActive || (player.handsSatOut || 0) < limit) continue;
+
+      await ledger.cashOut(game, player.user, player.totalChips);
+
+      this.removeSeat(game, i);
+      removed.unshift(player.username);
+
+      game.actionHistory.push({
+        player: player.username,
+        action: "leftTable",
+        handNumber: game.handNumber,
+        timestamp: Date.now(),
+      });
+    }
+
+    if (removed.length > 0) {
+      console.log(
+        `Removed players who sat out too long from game ${game.gameId}: ${removed.join(", ")}`
+      );
+    }
+
+    return removed;
+  },
+
+  /**
+   * Take bots that have lost their whole stack off the table
+   * @param {Object} game - Cash game between hands
+   */
+  removeBustedBots(game) {
+    for (let i = game.players.length - 1; i >= 0; i--) {
+      const player = game.players[i];
+      if (!player.isBot || player.totalChips > 0) continue;
+
+      this.removeSeat(game, i);
+      game.actionHistory.push({
+        player: player.username,
+        action: "bustedOut",
+        handNumber: game.handNumber,
+        timestamp: Date.now(),
+      });
+    }
+  },
+
+  /**
+   * Return everyone's stack to their wallet when a cash game ends. Players
+   * who left earlier took their chips with them.
+   * @param {Object} game - Cash game that is ending
+   */
+  async cashOutPlayers(game) {
+    for (const player of game.players) {
+      if (!player.isActive) continue;
+      await ledger.cashOut(game, player.user, player.totalChips);
+    }
+  },
+
+  /**
+   * Take a seat out of the game between hands, keeping the button on the
+   * same player and the positions in seat order
+   * @param {Object} game - Game document
+   * @param {number} index - Seat to remove
+   * @returns {Object} The removed player
+   */
+  removeSeat(game, index) {
+    const [player] = game.players.splice(index, 1);
+    if (index < game.dealerPosition) {
+      game.dealerPosition -= 1;
+    }
+    if (game.dealerPosition >= game.players.length) {
+      game.dealerPosition = 0;
+    }
+
+    game.players.forEach((p, i) => {
+      p.position = i;
+    });
+    return player;
+  },
+
+  /**
+   * Whether at least two players will be dealt into the next hand, counting
+   * players waiting for the big blind (they come in when the table is short)
+   * @param {Object} game - Game document
+   * @returns {boolean} True if a hand can be dealt
+   */
+  canStartHand(game) {
+    if (game.gameType === "tournament") {
+      return game.players.filter((p) => this.isSittingIn(p, game)).length >= 2;
+    }
+
+    const ready = game.players.filter(
+      (p) =>
+        p.isActive &&
+        p.totalChips > 0 &&
+        (p.seatStatus || "sittingIn") === "sittingIn" &&
+        !p.sitOutNextHand
+    );
+    return ready.length >= 2;
+  },
+
+  /**
+   * Whether cards are out for a hand that hasn't been cleared away yet
+   * @param {Object} game - Game document
+   * @returns {boolean} True while a hand is being played or shown
+   */
+  isHandInProgress(game) {
+    return (
+      game.status === "active" &&
+      game.players.some((p) => p.hand && p.hand.length > 0)
+    );
+  },
+
+  /**
+   * Sit a player out. With no hand in progress this takes effect at once,
+   * otherwise from the next hand or when the big blind next reaches them.
+   * Tournament players sit out at once but stay in the hands.
+   * @param {Object} game - Game document
+   * @param {string} playerId - Player sitting out
+   * @param {string} mode - "nextHand" or "nextBigBlind"
+   * @returns {Object} Player fields that changed
+   */
+  sitOut(game, playerId, mode = "nextHand") {
+    const player = game.players.find(
+      (p) => p.user.toString() === playerId.toString()
+    );
+    if (!player || !player.isActive) {
+      throw new Error("You are not seated in this game");
+    }
+
+    let changes;
+    if (game.gameType === "tournament") {
+      // Tournament players keep being dealt in and blinded off while away
+      changes = {
+        seatStatus: "sittingOut",
+        sitOutNextHand: false,
+        sitOutNextBigBlind: false,
+      };
+    } else if (mode === "nextBigBlind") {
+      changes = { sitOutNextBigBlind: true, sitOutNextHand: false };
+    } else if (this.isHandInProgress(game)) {
+      changes = { sitOutNextHand: true, sitOutNextBigBlind: false };
+    } else {
+      changes = {
+        seatStatus: "sittingOut",
+        sitOutNextHand: false,
+        sitOutNextBigBlind: false,
+        waitingForBigBlind: false,
+      };
+    }
+
+    Object.assign(player, changes);
+    return changes;
+  },
+
+  /**
+   * Sit a player back in, cancelling any pending sit-out. A player who missed
+   * the big blind either waits for it to reach them or posts it straight away
+   * with the small blind dead.
+   * @param {Object} game - Game document
+   * @param {string} playerId - Player sitting in
+   * @param {string} mode - "waitForBigBlind" or "postBlinds"
+   * @returns {Object} Player fields that changed
+   */
+  sitIn(game, playerId, mode = "waitForBigBlind") {
+    const player = game.players.find(
+      (p) => p.user.toString() === playerId.toString()
+    );
+    if (!player || !player.isActive) {
+      throw new Error("You are not seated in this game");
+    }
+    if (player.totalChips <= 0) {
+      throw new Error("You need chips to sit back in");
+    }
+
+    const changes = {
+      seatStatus: "sittingIn",
+      sitOutNextHand: false,
+      sitOutNextBigBlind: false,
+      waitingForBigBlind:
+        game.gameType !== "tournament" &&
+        !!player.missedBigBlind &&
+        mode === "waitForBigBlind",
+      handsSatOut: 0,
+    };
+
+    Object.assign(player, changes);
+    return changes;
+  },
+
+  /**
+   * Opt in or out of straddling when the table's straddle seat comes round
+   * @param {Object} game - Game document
+   * @param {string} playerId - Player choosing
+   * @param {boolean} straddle - Whether to straddle
+   * @returns {Object} Player fields that changed
+   */
+  setStraddle(game, playerId, straddle) {
+    const player = game.players.find(
+      (p) => p.user.toString() === playerId.toString()
+    );
+    if (!player || !player.isActive) {
+      throw new Error("You are not seated in this game");
+    }
+    if (getTableSettings(game).straddle === "off" && straddle) {
+      throw new Error("This table doesn't play straddles");
+    }
+
+    const changes = { wantsStraddle: !!straddle };
+    Object.assign(player, changes);
+    return changes;
+  },
+
+  /**
+   * Make the next hand a bomb pot. Only the host can call one, at a table
+   * with a bomb pot ante.
+   * @param {Object} game - Game document
+   * @param {string} userId - User calling the bomb pot
+   */
+  callBombPot(game, userId) {
+    if (game.creator.user.toString() !== userId.toString()) {
+      throw new Error("Only the host can call a bomb pot");
+    }
+    if (getTableSettings(game).bombPotAnte <= 0) {
+      throw new Error("This table doesn't play bomb pots");
+    }
+    if (game.status === "completed") {
+      throw new Error("The game is over");
+    }
+
+    game.bombPotNext = true;
+  },
+
+  /**
+   * Rules of the variant the table plays, with the table's betting structure
+   * @param {Object} game - Game document
+   * @returns {Object} From variants.getVariant
+   */
+  getVariant(game) {
+    const { variant, bettingLimit } = getTableSettings(game);
+    return variants.getVariant(variant, bettingLimit);
+  },
+
+  /**
+   * Size of a fixed-limit bet or raise: the small bet (one big blind) before
+   * the turn, the big bet (two) on the turn and river
+   * @param {Object} game - Game document
+   * @returns {number} Chips per bet or raise this round
+   */
+  getFixedBetSize(game) {
+    const { bigBlind } = getTableSettings(game);
+    return ["turn", "river"].includes(game.bettingRound)
+      ? bigBlind * 2
+      : bigBlind;
+  },
+
+  /**
+   * Whether the deck has enough cards left to run the rest of the board a
+   * second time, burns included (a full Omaha table may not)
+   * @param {Object} game - Game in an all-in run-out
+   * @returns {boolean}
+   */
+  canRunItTwice(game) {
+    const dealt = (game.communityCards || []).length;
+    const streets = [0, 3, 4].filter((size) => size >= dealt).length;
+    const perBoard = 5 - dealt + streets;
+    return (game.deck || []).length >= perBoard * 2;
+  },
+
   // Get player by ID
   getPlayerById(game, playerId) {
     if (!game || !game.players || !Array.isArray(game.players)) {
@@ -1377,56 +2832,107 @@ const gameLogic = {
     return player;
   },
 
-  // Get available options for a player
+  /**
+   * Get the actions available to a player and the bet sizes that go with them
+   * @param {Object} game - Game document
+   * @param {string} playerId - Player ID
+   * @returns {Object} { actions, callAmount, minRaiseTo, maxRaiseTo } - raise
+   * amounts are totals for the current betting round, not increments
+   */
   getPlayerOptions(game, playerId) {
+    const options = {
+      actions: [],
+      callAmount: 0,
+      minRaiseTo: 0,
+      maxRaiseTo: 0,
+    };
+
     try {
       const player = this.getPlayerById(game, playerId);
-      const options = [];
-  
+
       // Player can't act if they've folded or are all-in
       if (player.hasFolded || player.isAllIn) {
         return options;
       }
-  
-      // Always can fold
-      options.push("fold");
-  
-      // Check if player can check or call
+
       const playerInPot = player.chips || 0;
       const currentBet = game.currentBet || 0;
-  
+      const { bigBlind } = getTableSettings(game);
+
+      // A raise has to add at least the last full bet or raise of this round,
+      // and never less than the big blind
+      options.callAmount = Math.min(
+        Math.max(currentBet - playerInPot, 0),
+        player.totalChips
+      );
+      const stack = playerInPot + player.totalChips;
+      const { bettingLimit } = this.getVariant(game);
+      options.maxRaiseTo = stack;
+      options.minRaiseTo =
+        currentBet + Math.max(game.lastRaiseSize || 0, bigBlind);
+
+      // Pot limit: a raise can be at most the pot after calling
+      if (bettingLimit === "potLimit") {
+        options.maxRaiseTo = Math.min(
+          stack,
+          currentBet + game.pot + Math.max(currentBet - playerInPot, 0)
+        );
+      }
+
+      // Fixed limit: every bet and raise is exactly one small or big bet
+      let capped = false;
+      if (bettingLimit === "fixedLimit") {
+        options.minRaiseTo = currentBet + this.getFixedBetSize(game);
+        options.maxRaiseTo = Math.min(stack, options.minRaiseTo);
+        capped = (game.betsThisRound || 0) >= FIXED_LIMIT_CAP;
+      }
+
+      // A short all-in may have closed the raising for this player, and in
+      // fixed limit the street may be capped
+      const mayRaise = player.canRaise !== false && !capped;
+      const canRaise = mayRaise && options.maxRaiseTo >= options.minRaiseTo;
+
+      // Always can fold
+      options.actions.push("fold");
+
       // Player can check if there's no current bet or they've already matched it exactly
       if (currentBet === 0 || playerInPot === currentBet) {
-        options.push("check");
+        options.actions.push("check");
       } else {
-        // Player needs to call if there's a bet they haven't matched
-        // This was the missing part in the original code
-        options.push("call");
+        options.actions.push("call");
       }
-  
+
       // Bet option - only if no current bet exists
-      if (currentBet === 0 && player.totalChips > 0) {
-        options.push("bet");
+      if (currentBet === 0 && canRaise) {
+        options.actions.push("bet");
       }
-  
-      // Raise option - if there's a current bet and player has enough chips to raise
-      if (currentBet > 0 && player.totalChips + playerInPot > currentBet) {
-        options.push("raise");
+
+      // Raise option - if there's a current bet and player can reach a full raise
+      if (currentBet > 0 && canRaise) {
+        options.actions.push("raise");
       }
-  
-      // All-in option is always available if player has chips
-      if (player.totalChips > 0) {
-        options.push("allIn");
+
+      // All-in is available if player has chips, unless it would be a raise
+      // they can't make or more than the pot limit allows
+      if (
+        player.totalChips > 0 &&
+        (mayRaise || stack <= currentBet) &&
+        (stack <= options.maxRaiseTo || stack <= currentBet)
+      ) {
+        options.actions.push("allIn");
       }
-  
+
       // Log the calculated options
-      console.log(`Calculated options for ${player.username}: ${options.join(", ")}`);
-      
+      console.log(
+        `Calculated options for ${player.username}: ${options.actions.join(", ")} ` +
+          `(call ${options.callAmount}, raise to ${options.minRaiseTo}-${options.maxRaiseTo})`
+      );
+
       return options;
     } catch (error) {
       console.error(`Error determining player options: ${error.message}`);
       // Return minimal safe options on error
-      return ["fold"];
+      return { ...options, actions: ["fold"] };
     }
   },
 
@@ -1494,6 +3000,26 @@ const gameLogic = {
     }
     
     try {
+      // Hole cards are public once they have been shown, mucked ones never
+      // are. A hand shown down is turned up whole; cards shown by choice
+      // afterwards may be only some of them.
+      const shownDown = (game.handResults || []).find(
+        (r) => r.handNumber === game.handNumber
+      );
+      const shownCards = new Map();
+      (shownDown ? shownDown.hands || [] : []).forEach((h) => {
+        const player = game.players.find((p) => p.username === h.player);
+        if (player) {
+          shownCards.set(h.player, h.handName ? player.hand || [] : h.cards);
+        }
+      });
+      // All-in hands are turned face up while the board is run out
+      if (!shownDown && this.isAllInRunout(game)) {
+        game.players
+          .filter((p) => p.isActive && !p.hasFolded)
+          .forEach((p) => shownCards.set(p.username, p.hand || []));
+      }
+
       // First ensure all player IDs are properly formatted as strings
       const sanitizedPlayers = (game.players || []).map((player) => {
         // Skip invalid players
@@ -1522,6 +3048,18 @@ const gameLogic = {
           isAllIn: !!player.isAllIn,
           isActive: !!player.isActive,
           position: player.position || 0,
+          clientSeed: player.clientSeed || null,
+          shownCards: shownCards.get(player.username) || [],
+          seatStatus: player.seatStatus || 'sittingIn',
+          sitOutNextHand: !!player.sitOutNextHand,
+          sitOutNextBigBlind: !!player.sitOutNextBigBlind,
+          waitingForBigBlind: !!player.waitingForBigBlind,
+          missedBigBlind: !!player.missedBigBlind,
+          pendingTopUp: player.pendingTopUp || 0,
+          autoTopUp: player.autoTopUp || 0,
+          wantsStraddle: !!player.wantsStraddle,
+          isBot: !!player.isBot,
+          botLevel: player.isBot ? player.botLevel : null,
         };
       })
       .filter(player => player !== null); // Remove any invalid players
@@ -1567,13 +3105,32 @@ const gameLogic = {
         id: game.gameId,
         status: game.status || 'waiting',
         pot: game.pot || 0,
+        handNumber: game.handNumber || 0,
         communityCards: game.communityCards || [],
+        secondBoard: game.secondBoard || [],
         currentTurn: currentTurnId,
         currentBet: game.currentBet || 0,
         dealerPosition: game.dealerPosition || 0,
         smallBlindPosition: game.smallBlindPosition || 0,
         bigBlindPosition: game.bigBlindPosition || 1,
+        straddlePosition: game.straddlePosition === undefined ? -1 : game.straddlePosition,
+        isBombPot: !!game.isBombPot,
+        bombPotNext: !!game.bombPotNext,
         bettingRound: game.bettingRound || 'preflop',
+        settings: getTableSettings(game),
+        variant: this.getVariant(game),
+        gameType: game.gameType || 'cash',
+        visibility: game.visibility || 'public',
+        tournament: tournament.getSummary(game),
+        // Commitments only - server seeds are revealed through the verify endpoint
+        fairness: {
+          handNumber: game.fairness ? game.fairness.handNumber : null,
+          serverSeedHash: game.fairness ? game.fairness.serverSeedHash : null,
+          clientSeeds: game.fairness
+            ? (game.fairness.clientSeeds || []).map(s => ({ player: s.player, seed: s.seed }))
+            : [],
+          nextServerSeedHash: game.nextServerSeedHash || null
+        },
         creator: creator,
         players: sanitizedPlayers,
         // Always include allPlayers in the state to ensure all clients know about all players
@@ -1604,7 +3161,7 @@ const gameLogic = {
 
     // If only one player remains active after blinds, they win automatically
     if (activePlayers.length === 1) {
-      await this.awardPot(game, activePlayers);
+      await this.awardPot(game);
       return this.prepareNextHand(game);
     }
 
@@ -1622,7 +3179,7 @@ const gameLogic = {
       // Skip betting if only one player remains
       activePlayers = game.players.filter((p) => p.isActive && !p.hasFolded);
       if (activePlayers.length === 1) {
-        await this.awardPot(game, activePlayers);
+        await this.awardPot(game);
         return this.prepareNextHand(game);
       }
 
@@ -1,5 +1,7 @@
 // server/utils/handEvaluator.js
 const { RANK_VALUES } = require('./cardDeck');
+const { bestHand, bestOmahaHand, bestOmahaLow, getCategory, getRanking } = require('./handStrength');
+const { getVariant } = require('./variants');
 
 // Hand ranking values (higher is better)
 const HAND_RANKS = {
@@ -32,47 +34,100 @@ function getHandName(rank) {
   return names[rank] || 'Unknown';
 }
 
-// Evaluates a hand of 5-7 cards and returns the best 5-card hand with rank
-function evaluateHand(cards) {
+// Hand rank of each category the lookup tables sort hands into
+const CATEGORY_RANKS = {
+  straightFlush: HAND_RANKS.STRAIGHT_FLUSH,
+  fourOfAKind: HAND_RANKS.FOUR_OF_A_KIND,
+  fullHouse: HAND_RANKS.FULL_HOUSE,
+  flush: HAND_RANKS.FLUSH,
+  straight: HAND_RANKS.STRAIGHT,
+  threeOfAKind: HAND_RANKS.THREE_OF_A_KIND,
+  twoPair: HAND_RANKS.TWO_PAIR,
+  onePair: HAND_RANKS.ONE_PAIR,
+  highCard: HAND_RANKS.HIGH_CARD
+};
+
+/**
+ * Evaluates a hand of 5-7 cards and returns the best 5-card hand. Hands are
+ * compared by strength, a single number from the lookup tables in handStrength.
+ * @param {Array} cards - Hole cards and community cards
+ * @param {string} [deck='standard'] - 'short' to rank hands the short deck way
+ * @returns {Object} { cards, strength, rank, handName }
+ */
+function evaluateHand(cards, deck = 'standard') {
   // Ensure we have enough cards
   if (!cards || cards.length < 5) {
     throw new Error('Need at least 5 cards to evaluate a hand');
   }
 
-  // Get all possible 5-card combinations if more than 5 cards are provided
-  const combinations = getCombinations(cards, 5);
-  
-  // Evaluate each combination and find the best hand
-  const evaluatedHands = combinations.map(combo => {
-    const result = evaluateSingleHand(combo);
-    return {
-      cards: combo,
-      ...result
-    };
-  });
-  
-  // Sort hands by rank (highest first), then by kickers
-  evaluatedHands.sort((a, b) => {
-    // First, compare hand ranks
-    if (b.rank !== a.rank) {
-      return b.rank - a.rank;
-    }
-    
-    // If ranks are the same, compare kickers
-    for (let i = 0; i < a.kickers.length; i++) {
-      if (b.kickers[i] !== a.kickers[i]) {
-        return b.kickers[i] - a.kickers[i];
-      }
-    }
-    
-    return 0; // Completely equal hands
-  });
-  
-  // Return the best hand
-  return evaluatedHands[0];
+  return describeHand(bestHand(cards, deck), deck);
+}
+
+/**
+ * Evaluates an Omaha hand, which uses exactly two hole cards and three
+ * board cards
+ * @param {Array} holeCards - The player's hole cards
+ * @param {Array} board - 3 to 5 community cards
+ * @returns {Object} { cards, strength, rank, handName }
+ */
+function evaluateOmahaHand(holeCards, board) {
+  return describeHand(bestOmahaHand(holeCards, board));
+}
+
+/**
+ * Evaluates the eight-or-better low of an Omaha hand: five different ranks
+ * of eight or lower, two from the hole and three from the board, with the
+ * ace playing low. Lower is better, but strength is still higher for better
+ * lows so hands compare the same way as high hands.
+ * @param {Array} holeCards - The player's hole cards
+ * @param {Array} board - 3 to 5 community cards
+ * @returns {Object|null} { cards, strength, handName } from the top card down, or null without a low
+ */
+function evaluateLowHand(holeCards, board) {
+  const best = bestOmahaLow(holeCards, board);
+  if (!best) {
+    return null;
+  }
+
+  const lowValue = (card) => (card.value === RANK_VALUES['A'] ? 1 : card.value);
+  const cards = [...best.cards].sort((a, b) => lowValue(b) - lowValue(a));
+  return {
+    cards,
+    strength: best.strength,
+    handName: `${cards.map(card => card.rank).join('-')} low`
+  };
+}
+
+/**
+ * Evaluates a player's hand by the rules of the table's variant
+ * @param {Array} holeCards - The player's hole cards
+ * @param {Array} board - Community cards
+ * @param {Object} [variant] - From variants.getVariant, Hold'em by default
+ * @returns {Object} { cards, strength, rank, handName }
+ */
+function evaluatePlayerHand(holeCards, board, variant = getVariant()) {
+  return variant.holeCardsUsed
+    ? evaluateOmahaHand(holeCards, board)
+    : evaluateHand([...holeCards, ...board], variant.deck);
+}
+
+// Name the category of a hand found in the lookup tables
+function describeHand(best, deck = 'standard') {
+  let rank = CATEGORY_RANKS[getCategory(best.strength, deck)];
+  if (best.strength === getRanking(deck).distinct) {
+    rank = HAND_RANKS.ROYAL_FLUSH;
+  }
+
+  return {
+    cards: best.cards,
+    strength: best.strength,
+    rank,
+    handName: getHandName(rank)
+  };
 }
 
-// Evaluate a single 5-card hand
+// Evaluate a single 5-card hand the slow, readable way. Nothing at the table
+// uses it any more; it is the reference the lookup tables are checked against.
 function evaluateSingleHand(cards) {
   if (cards.length !== 5) {
     throw new Error('evaluateSingleHand requires exactly 5 cards');
@@ -86,6 +141,9 @@ function evaluateSingleHand(cards) {
   
   // Check for straight (sequential values)
   const isStraight = isHandStraight(sortedCards);
+  // The ace plays low in A-5-4-3-2, so that straight is five-high
+  const isWheel = sortedCards[0].value === RANK_VALUES['A'] && sortedCards[1].value === RANK_VALUES['5'];
+  const straightHigh = isWheel ? RANK_VALUES['5'] : sortedCards[0].value;
   
   // Check for Royal Flush
   if (isFlush && isStraight && sortedCards[0].value === RANK_VALUES['A'] && sortedCards[4].value === RANK_VALUES['10']) {
@@ -101,7 +159,7 @@ function evaluateSingleHand(cards) {
     return {
       rank: HAND_RANKS.STRAIGHT_FLUSH,
       handName: getHandName(HAND_RANKS.STRAIGHT_FLUSH),
-      kickers: [sortedCards[0].value]
+      kickers: [straightHigh]
     };
   }
   
@@ -165,7 +223,7 @@ function evaluateSingleHand(cards) {
     return {
       rank: HAND_RANKS.STRAIGHT,
       handName: getHandName(HAND_RANKS.STRAIGHT),
-      kickers: [sortedCards[0].value]
+      kickers: [straightHigh]
     };
   }
   
@@ -233,61 +291,50 @@ function isHandStraight(cards) {
   return true;
 }
 
-// Get all combinations of r elements from array
-function getCombinations(array, r) {
-  function helper(start, result) {
-    if (result.length === r) {
-      combinations.push([...result]);
-      return;
-    }
-    
-    for (let i = start; i < array.length; i++) {
-      result.push(array[i]);
-      helper(i + 1, result);
-      result.pop();
-    }
-  }
-  
-  const combinations = [];
-  helper(0, []);
-  return combinations;
+// Compare two evaluated hands: positive if hand1 wins, 0 for a tie
+function compareHands(hand1, hand2) {
+  return hand1.strength - hand2.strength;
 }
 
-// Compare two evaluated hands to determine the winner
-function compareHands(hand1, hand2) {
-  // Compare rank first
-  if (hand1.rank !== hand2.rank) {
-    return hand1.rank - hand2.rank;
-  }
-  
-  // If ranks are equal, compare kickers
-  for (let i = 0; i < hand1.kickers.length; i++) {
-    if (hand1.kickers[i] !== hand2.kickers[i]) {
-      return hand1.kickers[i] - hand2.kickers[i];
-    }
+// Compare two hand ranks: positive if rank1 is the better kind of hand. In
+// short deck a flush beats a full house.
+function compareRanks(rank1, rank2, deck = 'standard') {
+  const order = (rank) => {
+    if (deck === 'short' && rank === HAND_RANKS.FLUSH) return HAND_RANKS.FULL_HOUSE + 0.5;
+    return rank;
+  };
+  return order(rank1) - order(rank2);
+}
+
+// Players whose hand, as picked out by getHand, is the strongest. Players
+// without that hand (no low) never win it.
+function strongest(hands, getHand) {
+  const contenders = hands.filter(h => getHand(h));
+  if (contenders.length === 0) {
+    return [];
   }
-  
-  // Hands are equal
-  return 0;
+
+  const best = contenders.reduce((a, b) => (compareHands(getHand(b), getHand(a)) > 0 ? b : a));
+  return contenders.filter(h => compareHands(getHand(h), getHand(best)) === 0);
 }
 
-// Determine winner(s) from multiple player hands
-function determineWinners(playerHands) {
+// Determine winner(s) from multiple player hands, by the variant's rules.
+// Hi-lo games also find the best low, if anyone has one.
+function determineWinners(playerHands, variant = getVariant()) {
   // Evaluate each player's hand
   const evaluatedHands = playerHands.map(ph => ({
     playerId: ph.playerId,
     username: ph.username,
-    evaluatedHand: evaluateHand([...ph.holeCards, ...ph.communityCards])
+    evaluatedHand: evaluatePlayerHand(ph.holeCards, ph.communityCards, variant),
+    lowHand: variant.hiLo ? evaluateLowHand(ph.holeCards, ph.communityCards) : null
   }));
   
   // Sort by hand strength (highest first)
   evaluatedHands.sort((a, b) => compareHands(a.evaluatedHand, b.evaluatedHand)).reverse();
   
-  // The first hand is the strongest
-  const bestHand = evaluatedHands[0].evaluatedHand;
-  
-  // Find all players with the same hand strength (in case of a tie)
-  const winners = evaluatedHands.filter(h => compareHands(h.evaluatedHand, bestHand) === 0);
+  // All players with the strongest hand (more than one is a tie)
+  const winners = strongest(evaluatedHands, h => h.evaluatedHand);
+  const lowWinners = strongest(evaluatedHands, h => h.lowHand);
   
   return {
     winners: winners.map(w => ({
@@ -296,18 +343,31 @@ function determineWinners(playerHands) {
       hand: w.evaluatedHand.cards,
       handName: w.evaluatedHand.handName
     })),
+    lowWinners: lowWinners.map(w => ({
+      playerId: w.playerId,
+      username: w.username,
+      hand: w.lowHand.cards,
+      handName: w.lowHand.handName
+    })),
     allHands: evaluatedHands.map(h => ({
       playerId: h.playerId,
       username: h.username,
       hand: h.evaluatedHand.cards,
       handRank: h.evaluatedHand.rank,
-      handName: h.evaluatedHand.handName
+      handName: h.evaluatedHand.handName,
+      lowHandName: h.lowHand ? h.lowHand.handName : undefined
     }))
   };
 }
 
 module.exports = {
   evaluateHand,
+  evaluateOmahaHand,
+  evaluateLowHand,
+  evaluatePlayerHand,
+  evaluateSingleHand,
+  compareHands,
+  compareRanks,
   getHandName,
   determineWinners,
   HAND_RANKS
@@ -0,0 +1,386 @@
+// server/utils/handHistory.js
+const { getTableSettings } = require('./tableSettings');
+const { getVariant } = require('./variants');
+
+// Street markers in the action history and the headers they start
+const STREET_MARKERS = {
+  dealFlop: 'FLOP',
+  dealTurn: 'TURN',
+  dealRiver: 'RIVER'
+};
+
+// How the summary describes folding on each street
+const FOLDED_ON = {
+  PREFLOP: 'before Flop',
+  FLOP: 'on the Flop',
+  TURN: 'on the Turn',
+  RIVER: 'on the River'
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// PokerStars writes cards as rank + lowercase suit letter, with T for ten
+const formatCard = (card) => `${card.rank === '10' ? 'T' : card.rank}${card.suit.charAt(0)}`;
+const formatCards = (cards) => `[${cards.map(formatCard).join(' ')}]`;
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
+};
+
+/**
+ * Trackers expect a numeric hand id, so combine the hex game id with the hand number
+ * @param {string} gameId - Game ID
+ * @param {number} handNumber - Hand number
+ * @returns {string} Numeric hand id
+ */
+function getHandId(gameId, handNumber) {
+  const tableNumber = parseInt(gameId, 16);
+  return `${Number.isNaN(tableNumber) ? 0 : tableNumber}${String(handNumber).padStart(5, '0')}`;
+}
+
+/**
+ * Label a pot the way PokerStars does: "pot" when there is only one,
+ * otherwise "main pot" and "side pot" (numbered when there are several)
+ */
+function getPotLabel(index, potCount) {
+  if (potCount === 1) return 'pot';
+  if (index === 0) return 'main pot';
+  return potCount > 2 ? `side pot-${index}` : 'side pot';
+}
+
+/**
+ * Render one finished hand in PokerStars hand-history format
+ * @param {Object} game - Game document
+ * @param {number} handNumber - Hand to render
+ * @param {string} viewerId - Requesting user, the only one whose hole cards are dealt to
+ * @returns {string|null} Hand history text, or null if the hand isn't finished
+ */
+function formatHand(game, handNumber, viewerId) {
+  const record = (game.handRecords || []).find(r => r.handNumber === handNumber);
+  const result = (game.handResults || []).find(r => r.handNumber === handNumber);
+  if (!record || !result) {
+    return null;
+  }
+
+  const actions = (game.actionHistory || []).filter(a => a.handNumber === handNumber);
+  const board = result.communityCards || [];
+  const pots = result.pots && result.pots.length > 0
+    ? result.pots
+    : [{ amount: result.pot, winners: [] }];
+  const lines = [];
+
+  // Chips behind, chips in front this street and where each player folded
+  const seats = new Map(record.seats.map(seat => [seat.username, {
+    ...(typeof seat.toObject === 'function' ? seat.toObject() : seat),
+    left: seat.stack,
+    committed: 0,
+    foldedOn: null
+  }]));
+  let currentBet = 0;
+  let street = 'PREFLOP';
+  let streetsShown = 0;
+
+  const put = (seat, amount) => {
+    seat.left -= amount;
+    seat.committed += amount;
+    return seat.left <= 0 ? ' and is all-in' : '';
+  };
+
+  const showStreet = (name) => {
+    street = name;
+    streetsShown += 1;
+    currentBet = 0;
+    seats.forEach(seat => { seat.committed = 0; });
+
+    if (name === 'FLOP') {
+      lines.push(`*** FLOP *** ${formatCards(board.slice(0, 3))}`);
+    } else if (name === 'TURN') {
+      lines.push(`*** TURN *** ${formatCards(board.slice(0, 3))} ${formatCards(board.slice(3, 4))}`);
+    } else {
+      lines.push(`*** RIVER *** ${formatCards(board.slice(0, 4))} ${formatCards(board.slice(4, 5))}`);
+    }
+  };
+
+  lines.push(
+    `PokerStars Hand #${getHandId(game.gameId, handNumber)}:  ` +
+    `${getVariant(record.variant, record.bettingLimit).historyName} (${record.smallBlind}/${record.bigBlind}) - ${formatDate(record.startedAt)}`
+  );
+  lines.push(
+    `Table '${game.gameId}' ${getTableSettings(game).maxSeats}-max Seat #${record.buttonSeat} is the button`
+  );
+  record.seats.forEach(seat => {
+    lines.push(`Seat ${seat.seat}: ${seat.username} (${seat.stack} in chips)`);
+  });
+
+  // Forced bets come first, then the hole cards
+  const forced = actions.filter(a => ['ante', 'smallBlind', 'bigBlind', 'deadBlind', 'straddle'].includes(a.action));
+  const deadBlinds = new Map(forced.filter(a => a.action === 'deadBlind').map(a => [a.player, a.amount]));
+  forced.forEach(({ player, action, amount }) => {
+    const seat = seats.get(player);
+    if (!seat || action === 'deadBlind') return;
+
+    if (action === 'ante') {
+      seat.left -= amount;
+      lines.push(`${player}: posts the ante ${amount}${seat.left <= 0 ? ' and is all-in' : ''}`);
+      return;
+    }
+
+    const allIn = put(seat, amount);
+    currentBet = Math.max(currentBet, seat.committed);
+
+    // A player returning early posts the big blind live and the small blind dead
+    if (action === 'bigBlind' && deadBlinds.has(player)) {
+      const dead = deadBlinds.get(player);
+      seat.left -= dead;
+      lines.push(`${player}: posts small & big blinds ${amount + dead}${seat.left <= 0 ? ' and is all-in' : ''}`);
+      return;
+    }
+
+    if (action === 'straddle') {
+      lines.push(`${player}: posts straddle ${amount}${allIn}`);
+      return;
+    }
+
+    lines.push(`${player}: posts ${action === 'smallBlind' ? 'small' : 'big'} blind ${amount}${allIn}`);
+  });
+
+  lines.push('*** HOLE CARDS ***');
+  const viewerSeat = record.seats.find(seat => seat.player && seat.player.toString() === String(viewerId));
+  if (viewerSeat && viewerSeat.holeCards.length > 0) {
+    lines.push(`Dealt to ${viewerSeat.username} ${formatCards(viewerSeat.holeCards)}`);
+  }
+
+  actions.forEach(({ player, action, amount }) => {
+    if (STREET_MARKERS[action]) {
+      showStreet(STREET_MARKERS[action]);
+      return;
+    }
+
+    const seat = seats.get(player);
+    if (!seat) return;
+
+    switch (action) {
+      case 'fold':
+        seat.foldedOn = FOLDED_ON[street];
+        lines.push(`${player}: folds`);
+        break;
+      case 'check':
+        lines.push(`${player}: checks`);
+        break;
+      case 'call':
+        lines.push(`${player}: calls ${amount}${put(seat, amount)}`);
+        break;
+      case 'bet':
+      case 'raise':
+      case 'allIn': {
+        // Bets, raises and all-ins are recorded as the total for the street
+        const added = amount - seat.committed;
+        const allIn = put(seat, added);
+
+        if (amount <= currentBet) {
+          lines.push(`${player}: calls ${added}${allIn}`);
+        } else if (currentBet === 0) {
+          lines.push(`${player}: bets ${amount}${allIn}`);
+        } else {
+          lines.push(`${player}: raises ${amount - currentBet} to ${amount}${allIn}`);
+        }
+        currentBet = Math.max(currentBet, amount);
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  // Streets run out without any betting (everyone all-in) have no marker of their own
+  ['FLOP', 'TURN', 'RIVER'].forEach((name, i) => {
+    if (streetsShown <= i && board.length >= [3, 4, 5][i]) {
+      showStreet(name);
+    }
+  });
+
+  // Showdown and pot awards. Hands shown down are named (hi-lo hands that
+  // made a low name both halves); cards shown by choice afterwards are not.
+  const shown = new Map();
+  const shownByChoice = [];
+  (result.hands || []).forEach(h => {
+    if (!seats.has(h.player)) return;
+    if (!h.handName) {
+      shownByChoice.push(h);
+      return;
+    }
+    shown.set(h.player, {
+      cards: seats.get(h.player).holeCards,
+      handName: h.lowHandName ? `HI: ${h.handName}; LO: ${h.lowHandName}` : h.handName
+    });
+  });
+  const mucked = new Set((result.mucked || []).filter(player => seats.has(player)));
+  if (shown.size > 0) {
+    lines.push('*** SHOW DOWN ***');
+    shown.forEach(({ cards, handName }, player) => {
+      lines.push(`${player}: shows ${formatCards(cards)} (${handName})`);
+    });
+    mucked.forEach(player => lines.push(`${player}: mucks hand`));
+  }
+
+  const won = new Map();
+  pots.forEach((pot, i) => {
+    (pot.winners || []).forEach(w => {
+      won.set(w.username, (won.get(w.username) || 0) + w.amount);
+      lines.push(`${w.username} collected ${w.amount} from ${getPotLabel(i, pots.length)}`);
+    });
+  });
+  shownByChoice.forEach(h => lines.push(`${h.player}: shows ${formatCards(h.cards)}`));
+
+  // Summary
+  const total = pots.reduce((sum, pot) => sum + pot.amount, 0);
+  lines.push('*** SUMMARY ***');
+  if (pots.length > 1) {
+    const breakdown = pots
+      .map((pot, i) => {
+        const label = getPotLabel(i, pots.length);
+        return `${label.charAt(0).toUpperCase()}${label.slice(1)} ${pot.amount}.`;
+      })
+      .join(' ');
+    lines.push(`Total pot ${total} ${breakdown} | Rake 0`);
+  } else {
+    lines.push(`Total pot ${total} | Rake 0`);
+  }
+  if (board.length > 0) {
+    lines.push(`Board ${formatCards(board)}`);
+  }
+
+  record.seats.forEach(({ seat: seatNumber, username }) => {
+    const seat = seats.get(username);
+    let position = '';
+    if (seatNumber === record.buttonSeat) position = ' (button)';
+    else if (seatNumber === record.smallBlindSeat) position = ' (small blind)';
+    else if (seatNumber === record.bigBlindSeat) position = ' (big blind)';
+
+    let outcome = '';
+    if (seat.foldedOn) {
+      outcome = ` folded ${seat.foldedOn}`;
+    } else if (shown.has(username)) {
+      const { cards, handName } = shown.get(username);
+      outcome = won.has(username)
+        ? ` showed ${formatCards(cards)} and won (${won.get(username)}) with ${handName}`
+        : ` showed ${formatCards(cards)} and lost with ${handName}`;
+    } else if (mucked.has(username)) {
+      outcome = ' mucked';
+    } else if (won.has(username)) {
+      outcome = ` collected (${won.get(username)})`;
+    }
+
+    lines.push(`Seat ${seatNumber}: ${username}${position}${outcome}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Render every finished hand of a game, separated the way tracker imports expect
+ * @param {Object} game - Game document
+ * @param {string} viewerId - Requesting user
+ * @returns {string} Hand histories (empty if no hand has finished)
+ */
+function formatGame(game, viewerId) {
+  return (game.handResults || [])
+    .filter(result => result.handNumber)
+    .map(result => formatHand(game, result.handNumber, viewerId))
+    .filter(Boolean)
+    .join('\n\n\n');
+}
+
+/**
+ * Summaries of every finished hand, newest first
+ * @param {Object} game - Game document
+ * @returns {Array} { handNumber, startedAt, pot, board, winners }
+ */
+function listHands(game) {
+  return (game.handRecords || [])
+    .map(record => {
+      const result = (game.handResults || []).find(r => r.handNumber === record.handNumber);
+      if (!result) return null;
+
+      const winners = new Set();
+      (result.pots || []).forEach(pot => pot.winners.forEach(w => winners.add(w.username)));
+
+      return {
+        handNumber: record.handNumber,
+        startedAt: record.startedAt,
+        players: record.seats.map(seat => seat.username),
+        pot: result.pot,
+        board: result.communityCards || [],
+        winners: [...winners]
+      };
+    })
+    .filter(Boolean)
+    .reverse();
+}
+
+/**
+ * Event log of a finished hand for the replay viewer. Hole cards are only
+ * included for the viewer, and otherwise only the ones a player showed.
+ * @param {Object} game - Game document
+ * @param {number} handNumber - Hand to replay
+ * @param {string} viewerId - Requesting user
+ * @returns {Object|null} Replay, or null if the hand isn't finished
+ */
+function getReplay(game, handNumber, viewerId) {
+  const record = (game.handRecords || []).find(r => r.handNumber === handNumber);
+  const finished = (game.handResults || []).some(r => r.handNumber === handNumber);
+  if (!record || !finished) {
+    return null;
+  }
+
+  const events = (record.events || []).map(event => ({
+    type: event.type,
+    street: event.street,
+    playerId: event.player ? event.player.toString() : null,
+    username: event.username,
+    amount: event.amount,
+    stack: event.stack,
+    pot: event.pot,
+    cards: event.cards || [],
+    handName: event.handName,
+    lowHandName: event.lowHandName,
+    timestamp: event.timestamp
+  }));
+  // A player's latest show holds every card they turned up
+  const shownCards = new Map(events.filter(e => e.type === 'show').map(e => [e.playerId, e.cards]));
+
+  return {
+    gameId: game.gameId,
+    handNumber,
+    startedAt: record.startedAt,
+    buttonSeat: record.buttonSeat,
+    smallBlindSeat: record.smallBlindSeat,
+    bigBlindSeat: record.bigBlindSeat,
+    smallBlind: record.smallBlind,
+    bigBlind: record.bigBlind,
+    ante: record.ante,
+    holeCards: getVariant(record.variant).holeCards,
+    seats: record.seats.map(seat => {
+      const playerId = seat.player ? seat.player.toString() : null;
+      return {
+        seat: seat.seat,
+        playerId,
+        username: seat.username,
+        stack: seat.stack,
+        holeCards: playerId === String(viewerId) ? seat.holeCards : shownCards.get(playerId) || []
+      };
+    }),
+    events
+  };
+}
+
+module.exports = {
+  formatHand,
+  formatGame,
+  listHands,
+  getReplay,
+  formatCard,
+  getHandId
+};
@@ -0,0 +1,377 @@
+// server/utils/handStrength.js
+const { RANK_VALUES } = require('./cardDeck');
+
+/*
+ * Lookup-table hand evaluator. Every card is packed into one integer:
+ *
+ *   bits 16-28  one bit for the card's rank
+ *   bits 12-15  one bit for the suit
+ *   bits 8-11   rank index, 0 (deuce) to 12 (ace)
+ *   bits 0-7    a prime for the rank
+ *
+ * Five cards of one suit are looked up by their rank bits, five different
+ * ranks likewise, and everything else (hands with a pair or better) by the
+ * product of the primes, which is the same for every hand with those ranks.
+ * There are 7462 distinct five-card hands; the strongest scores 7462. Short
+ * deck has its own tables with 1404.
+ *
+ * Lows (for hi-lo games) need five different ranks from eight down to ace,
+ * so they are looked up by rank bits alone. Straights and flushes don't
+ * count against a low; 8-7-6-5-4 scores 1 and 5-4-3-2-A scores 56.
+ */
+
+const PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41];
+const SUIT_BITS = { spades: 0x1000, hearts: 0x2000, diamonds: 0x4000, clubs: 0x8000 };
+
+// Rank indexes from ace down to deuce, for listing hands strongest first
+const DESCENDING = [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0];
+
+// Every way of picking r ranks, in order from the strongest
+function rankCombinations(ranks, r) {
+  const result = [];
+  const picked = [];
+  const helper = (start) => {
+    if (picked.length === r) {
+      result.push([...picked]);
+      return;
+    }
+    for (let i = start; i < ranks.length; i++) {
+      picked.push(ranks[i]);
+      helper(i + 1);
+      picked.pop();
+    }
+  };
+  helper(0);
+  return result;
+}
+
+const bitsOf = (ranks) => ranks.reduce((bits, r) => bits | (1 << r), 0);
+const primeProduct = (ranks) => ranks.reduce((product, r) => product * PRIMES[r], 1);
+
+// Rank bits of five ranks in a row from the given low rank
+const straightFrom = (low) => 0x1f << low;
+
+/**
+ * Lookup tables for one way of ranking hands
+ * @param {Object} rules - { ranks: rank indexes in the deck, straights: rank bits
+ *   of each straight from the weakest, categories: category names from the top }
+ * @returns {Object} { score, distinct, floors } where score takes five encoded cards
+ */
+function buildRanking({ ranks, straights, categories }) {
+  const descending = DESCENDING.filter(r => ranks.includes(r));
+  const without = (...excluded) => descending.filter(r => !excluded.includes(r));
+  const noStraight = rankCombinations(descending, 5)
+    .filter(picked => !straights.includes(bitsOf(picked)));
+  const strongestStraights = [...straights].reverse();
+
+  const flushes = new Uint16Array(0x2000);
+  const unique = new Uint16Array(0x2000);
+  const paired = new Map();
+
+  // The hands of each category, strongest first, as [table, key] pairs
+  const hands = {
+    straightFlush: () => strongestStraights.map(bits => [flushes, bits]),
+    fourOfAKind: () => descending.flatMap(quad =>
+      without(quad).map(kicker => [paired, primeProduct([quad, quad, quad, quad, kicker])])),
+    fullHouse: () => descending.flatMap(trips =>
+      without(trips).map(pair => [paired, primeProduct([trips, trips, trips, pair, pair])])),
+    flush: () => noStraight.map(picked => [flushes, bitsOf(picked)]),
+    straight: () => strongestStraights.map(bits => [unique, bits]),
+    threeOfAKind: () => descending.flatMap(trips =>
+      rankCombinations(without(trips), 2).map(kickers => [paired, primeProduct([trips, trips, trips, ...kickers])])),
+    twoPair: () => rankCombinations(descending, 2).flatMap(([high, low]) =>
+      without(high, low).map(kicker => [paired, primeProduct([high, high, low, low, kicker])])),
+    onePair: () => descending.flatMap(pair =>
+      rankCombinations(without(pair), 3).map(kickers => [paired, primeProduct([pair, pair, ...kickers])])),
+    highCard: () => noStraight.map(picked => [unique, bitsOf(picked)])
+  };
+
+  const ordered = [];
+  const ends = categories.map(name => {
+    ordered.push(...hands[name]());
+    return { name, end: ordered.length };
+  });
+
+  // Hand out strengths from the number of distinct hands downwards
+  const distinct = ordered.length;
+  ordered.forEach(([table, key], i) => {
+    if (table === paired) {
+      paired.set(key, distinct - i);
+    } else {
+      table[key] = distinct - i;
+    }
+  });
+
+  // Strength of exactly five encoded cards
+  const score = (c1, c2, c3, c4, c5) => {
+    const bits = (c1 | c2 | c3 | c4 | c5) >> 16;
+    if (c1 & c2 & c3 & c4 & c5 & 0xf000) {
+      return flushes[bits];
+    }
+    return unique[bits] ||
+      paired.get((c1 & 0xff) * (c2 & 0xff) * (c3 & 0xff) * (c4 & 0xff) * (c5 & 0xff));
+  };
+
+  return {
+    score,
+    distinct,
+    // Lowest strength in each category, strongest category first
+    floors: ends.map(({ name, end }) => ({ name, floor: distinct - end + 1 }))
+  };
+}
+
+// Hand rankings by deck. Short deck plays without the twos to fives: the ace
+// still plays low in A-6-7-8-9, and with only nine cards of each suit a
+// flush is rarer than a full house and beats it.
+const RANKINGS = {
+  standard: buildRanking({
+    ranks: DESCENDING,
+    // 5-high (the wheel) through ace-high, weakest first
+    straights: [0x100f, ...[0, 1, 2, 3, 4, 5, 6, 7, 8].map(straightFrom)],
+    categories: [
+      'straightFlush', 'fourOfAKind', 'fullHouse', 'flush', 'straight',
+      'threeOfAKind', 'twoPair', 'onePair', 'highCard'
+    ]
+  }),
+  short: buildRanking({
+    ranks: DESCENDING.slice(0, 9),
+    straights: [0x10f0, ...[4, 5, 6, 7, 8].map(straightFrom)],
+    categories: [
+      'straightFlush', 'fourOfAKind', 'flush', 'fullHouse', 'straight',
+      'threeOfAKind', 'twoPair', 'onePair', 'highCard'
+    ]
+  })
+};
+
+const DISTINCT_HANDS = RANKINGS.standard.distinct;
+
+const LOWS = new Uint8Array(0x2000);
+const LOW_HANDS = 56;
+
+// Rank indexes of eight down to ace, with the ace playing low. Worst low
+// first: each pick has a lower top card, or the same top cards and a lower
+// next one, than the one before it.
+const LOW_RANKS = [6, 5, 4, 3, 2, 1, 0, 12];
+rankCombinations(LOW_RANKS, 5).forEach((ranks, i) => {
+  LOWS[bitsOf(ranks)] = i + 1;
+});
+
+/**
+ * Hand ranking tables for a deck
+ * @param {string} [deck='standard'] - 'standard' or 'short'
+ * @returns {Object} From buildRanking
+ */
+function getRanking(deck = 'standard') {
+  const ranking = RANKINGS[deck];
+  if (!ranking) {
+    throw new Error(`Unknown deck: ${deck}`);
+  }
+  return ranking;
+}
+
+/**
+ * Pack a card into the integer the lookup tables work on
+ * @param {Object} card - { rank, suit } card
+ * @returns {number} Encoded card
+ */
+function encodeCard(card) {
+  const index = (card.value || RANK_VALUES[card.rank]) - 2;
+  const suit = SUIT_BITS[card.suit];
+  if (!(index >= 0 && index <= 12) || !suit) {
+    throw new Error(`Invalid card: ${card.rank} of ${card.suit}`);
+  }
+  return (1 << (16 + index)) | suit | (index << 8) | PRIMES[index];
+}
+
+/**
+ * Strength of exactly five encoded cards
+ * @returns {number} 1 (7-5-4-3-2 offsuit) to 7462 (royal flush)
+ */
+const fiveCardStrength = RANKINGS.standard.score;
+
+/**
+ * Low of exactly five encoded cards
+ * @returns {number} 0 when they don't make an eight-or-better low, otherwise 1 (8-7-6-5-4) to 56 (5-4-3-2-A)
+ */
+function fiveCardLow(c1, c2, c3, c4, c5) {
+  return LOWS[(c1 | c2 | c3 | c4 | c5) >> 16];
+}
+
+// Positions of every five-card subset of six and seven cards
+const SUBSETS = {
+  5: [[0, 1, 2, 3, 4]],
+  6: rankCombinations([0, 1, 2, 3, 4, 5], 5),
+  7: rankCombinations([0, 1, 2, 3, 4, 5, 6], 5)
+};
+
+/**
+ * The best five of 5, 6 or 7 encoded cards
+ * @param {Array<number>} encoded - Cards from encodeCard
+ * @param {Function} [score=fiveCardStrength] - Five-card scorer of the deck's ranking
+ * @returns {Object} { strength, subset } where subset holds the positions of the five cards
+ */
+function bestOfEncoded(encoded, score = fiveCardStrength) {
+  const subsets = SUBSETS[encoded.length];
+  if (!subsets) {
+    throw new Error('Hand strength needs 5, 6 or 7 cards');
+  }
+
+  let best = 0;
+  let bestSubset = subsets[0];
+  for (const s of subsets) {
+    const strength = score(
+      encoded[s[0]], encoded[s[1]], encoded[s[2]], encoded[s[3]], encoded[s[4]]
+    );
+    if (strength > best) {
+      best = strength;
+      bestSubset = s;
+    }
+  }
+
+  return { strength: best, subset: bestSubset };
+}
+
+// Every way of picking r of n positions, worked out once per size
+const PICKS = {};
+function picks(n, r) {
+  const key = `${n}:${r}`;
+  if (!PICKS[key]) {
+    PICKS[key] = rankCombinations([...Array(n).keys()], r);
+  }
+  return PICKS[key];
+}
+
+/**
+ * The best Omaha hand: exactly two hole cards and three board cards
+ * @param {Array<number>} hole - Encoded hole cards
+ * @param {Array<number>} board - Encoded board of 3 to 5 cards
+ * @param {Function} [score=fiveCardStrength] - fiveCardLow to find the best low instead
+ * @returns {Object} { strength, hole, board } with the positions used from each
+ */
+function bestOmahaOfEncoded(hole, board, score = fiveCardStrength) {
+  if (board.length < 3 || board.length > 5 || hole.length < 2) {
+    throw new Error('Omaha hands need two hole cards and a board of 3 to 5 cards');
+  }
+
+  let best = { strength: 0 };
+  for (const h of picks(hole.length, 2)) {
+    for (const b of picks(board.length, 3)) {
+      const strength = score(hole[h[0]], hole[h[1]], board[b[0]], board[b[1]], board[b[2]]);
+      if (strength > best.strength) {
+        best = { strength, hole: h, board: b };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * omahaStrength for cards that are already encoded
+ * @param {Array<number>} hole - Encoded hole cards
+ * @param {Array<number>} board - Encoded board of 3 to 5 cards
+ * @returns {number} 1 to 7462
+ */
+function encodedOmahaStrength(hole, board) {
+  return bestOmahaOfEncoded(hole, board).strength;
+}
+
+/**
+ * Like bestHand, for Omaha
+ * @param {Array} hole - { rank, suit } hole cards
+ * @param {Array} board - { rank, suit } board of 3 to 5 cards
+ * @returns {Object} { strength, cards }
+ */
+function bestOmahaHand(hole, board) {
+  const best = bestOmahaOfEncoded(hole.map(encodeCard), board.map(encodeCard));
+  return {
+    strength: best.strength,
+    cards: [...best.hole.map(i => hole[i]), ...best.board.map(i => board[i])]
+  };
+}
+
+/**
+ * The best Omaha low of encoded cards
+ * @param {Array<number>} hole - Encoded hole cards
+ * @param {Array<number>} board - Encoded board of 3 to 5 cards
+ * @returns {number} 0 for no low, otherwise 1 to 56
+ */
+function encodedOmahaLow(hole, board) {
+  return bestOmahaOfEncoded(hole, board, fiveCardLow).strength;
+}
+
+/**
+ * The best eight-or-better Omaha low, from two hole cards and three board cards
+ * @param {Array} hole - { rank, suit } hole cards
+ * @param {Array} board - { rank, suit } board of 3 to 5 cards
+ * @returns {Object|null} { strength, cards }, or null when there is no low
+ */
+function bestOmahaLow(hole, board) {
+  const best = bestOmahaOfEncoded(hole.map(encodeCard), board.map(encodeCard), fiveCardLow);
+  if (!best.strength) {
+    return null;
+  }
+  return {
+    strength: best.strength,
+    cards: [...best.hole.map(i => hole[i]), ...best.board.map(i => board[i])]
+  };
+}
+
+/**
+ * handStrength for cards that are already encoded, for callers that
+ * evaluate the same cards many times over
+ * @param {Array<number>} encoded - Cards from encodeCard
+ * @param {string} [deck='standard'] - 'short' for short deck rankings
+ * @returns {number} 1 to 7462 (1404 in short deck)
+ */
+function encodedStrength(encoded, deck) {
+  return bestOfEncoded(encoded, getRanking(deck).score).strength;
+}
+
+/**
+ * Strength of the best five-card hand in 5, 6 or 7 cards. Higher is better
+ * and equal strengths are exact ties.
+ * @param {Array} cards - { rank, suit } cards
+ * @param {string} [deck='standard'] - 'short' for short deck rankings
+ * @returns {number} 1 to 7462 (1404 in short deck)
+ */
+function handStrength(cards, deck) {
+  return encodedStrength(cards.map(encodeCard), deck);
+}
+
+/**
+ * Like handStrength, but also returns the five cards that make the hand
+ * @param {Array} cards - { rank, suit } cards
+ * @param {string} [deck='standard'] - 'short' for short deck rankings
+ * @returns {Object} { strength, cards }
+ */
+function bestHand(cards, deck) {
+  const { strength, subset } = bestOfEncoded(cards.map(encodeCard), getRanking(deck).score);
+  return { strength, cards: subset.map(i => cards[i]) };
+}
+
+/**
+ * Which category a strength falls in
+ * @param {number} strength - From handStrength
+ * @param {string} [deck='standard'] - Deck the strength was scored for
+ * @returns {string} e.g. 'fullHouse'
+ */
+function getCategory(strength, deck) {
+  return getRanking(deck).floors.find(c => strength >= c.floor).name;
+}
+
+module.exports = {
+  encodeCard,
+  fiveCardStrength,
+  encodedStrength,
+  handStrength,
+  bestHand,
+  encodedOmahaStrength,
+  bestOmahaHand,
+  fiveCardLow,
+  encodedOmahaLow,
+  bestOmahaLow,
+  getCategory,
+  getRanking,
+  DISTINCT_HANDS,
+  LOW_HANDS
+};
@@ -0,0 +1,295 @@
+// server/utils/ledger.js
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+
+// Where chips can be: a player's wallet, escrowed at a table, in a pot,
+// in a tournament prize pool, or with the house that issues them
+const accounts = {
+  house: 'house',
+  wallet: (userId) => `wallet:${userId}`,
+  seat: (gameId, userId) => `seat:${gameId}:${userId}`,
+  pot: (gameId) => `pot:${gameId}`,
+  sitAndGo: (gameId) => `sitAndGo:${gameId}`,
+  tournament: (tournamentId) => `tournament:${tournamentId}`
+};
+
+/**
+ * Write an entry moving chips between two accounts
+ * @param {Object} entry - { type, from, to, amount, user, gameId, tournamentId, handNumber, note, createdBy }
+ * @returns {Promise<Object>} The entry
+ */
+async function record(entry) {
+  return LedgerEntry.create(entry);
+}
+
+/**
+ * Take chips out of a player's wallet, only if they can afford it
+ * @param {string} userId - Player
+ * @param {number} amount - Chips to take
+ * @param {Object} entry - Where the chips go: { type, to, ... }
+ * @returns {Promise<boolean>} True if the chips were taken
+ */
+async function debitWallet(userId, amount, entry) {
+  if (amount <= 0) return true;
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true }
+  );
+  if (!user) return false;
+
+  await record({ ...entry, amount, user: userId, from: accounts.wallet(userId) });
+  return true;
+}
+
+/**
+ * Put chips into a player's wallet
+ * @param {string} userId - Player
+ * @param {number} amount - Chips to give
+ * @param {Object} entry - Where the chips come from: { type, from, ... }
+ */
+async function creditWallet(userId, amount, entry) {
+  if (amount <= 0) return;
+
+  await User.findByIdAndUpdate(userId, { $inc: { balance: amount } });
+  await record({ ...entry, amount, user: userId, to: accounts.wallet(userId) });
+}
+
+/**
+ * Escrow chips from a player's wallet onto their seat at a cash table
+ * @param {Object} game - Cash game
+ * @param {string} userId - Player sitting down or adding chips
+ * @param {number} amount - Chips
+ * @returns {Promise<boolean>} True if the player could afford it
+ */
+function buyIn(game, userId, amount) {
+  return debitWallet(userId, amount, {
+    type: 'buyIn',
+    to: accounts.seat(game.gameId, userId),
+    gameId: game.gameId,
+    handNumber: game.handNumber
+  });
+}
+
+/**
+ * Seat a bot with chips from the house. Bots have no wallet, so the house
+ * issues their stack and takes back whatever they leave with.
+ * @param {Object} game - Cash game
+ * @param {string} botId - Bot's seat ID
+ * @param {number} amount - Chips
+ */
+async function seatBot(game, botId, amount) {
+  if (amount <= 0) return;
+
+  await record({
+    type: 'botBuyIn',
+    from: accounts.house,
+    to: accounts.seat(game.gameId, botId),
+    amount,
+    gameId: game.gameId,
+    handNumber: game.handNumber
+  });
+}
+
+const isBotSeat = (game, userId) =>
+  (game.players || []).some(p => p.isBot && p.user.toString() === userId.toString());
+
+/**
+ * Return chips from a player's seat to their wallet, or a bot's to the house
+ * @param {Object} game - Cash game
+ * @param {string} userId - Player leaving the table
+ * @param {number} amount - Chips
+ */
+async function cashOut(game, userId, amount) {
+  if (isBotSeat(game, userId)) {
+    if (amount <= 0) return;
+    await record({
+      type: 'botCashOut',
+      from: accounts.seat(game.gameId, userId),
+      to: accounts.house,
+      amount,
+      gameId: game.gameId,
+      handNumber: game.handNumber
+    });
+    return;
+  }
+
+  return creditWallet(userId, amount, {
+    type: 'cashOut',
+    from: accounts.seat(game.gameId, userId),
+    gameId: game.gameId,
+    handNumber: game.handNumber
+  });
+}
+
+/**
+ * Record a finished hand at a cash table: every player's chips go from their
+ * seat into the pot, and each winner's share from the pot to their seat
+ * @param {Object} game - Cash game, before the next hand resets contributions
+ * @param {Array} pots - Awarded pots: [{ winners: [{ playerId, amount }] }]
+ */
+async function recordPots(game, pots) {
+  const pot = accounts.pot(game.gameId);
+  const common = { gameId: game.gameId, handNumber: game.handNumber };
+
+  const entries = game.players
+    .filter(p => (p.handContribution || 0) > 0)
+    .map(p => ({
+      ...common,
+      type: 'bet',
+      from: accounts.seat(game.gameId, p.user.toString()),
+      to: pot,
+      amount: p.handContribution,
+      user: p.user
+    }));
+
+  pots.forEach(({ winners }) => {
+    winners
+      .filter(w => w.amount > 0)
+      .forEach(w => {
+        entries.push({
+          ...common,
+          type: 'potWin',
+          from: pot,
+          to: accounts.seat(game.gameId, w.playerId),
+          amount: w.amount,
+          user: w.playerId
+        });
+      });
+  });
+
+  if (entries.length > 0) {
+    await LedgerEntry.insertMany(entries);
+  }
+}
+
+/**
+ * Chips held in each account, from every entry ever written
+ * @returns {Promise<Map>} account -> balance
+ */
+async function getAccountBalances() {
+  const [credits, debits] = await Promise.all([
+    LedgerEntry.aggregate([{ $group: { _id: '$to', total: { $sum: '$amount' } } }]),
+    LedgerEntry.aggregate([{ $group: { _id: '$from', total: { $sum: '$amount' } } }])
+  ]);
+
+  const balances = new Map();
+  credits.forEach(({ _id, total }) => balances.set(_id, (balances.get(_id) || 0) + total));
+  debits.forEach(({ _id, total }) => balances.set(_id, (balances.get(_id) || 0) - total));
+  return balances;
+}
+
+/**
+ * Compare the ledger with the chips the rest of the database says exist.
+ * Wallets must match user balances, each cash table's escrow its stacks and
+ * pot, and each prize pool its tournament. Together they must add up to the
+ * chips the house has issued.
+ * @param {Object} state - { users, cashGames, sitAndGos, tournaments }
+ * @param {Map} balances - Ledger balances from getAccountBalances
+ * @returns {Object} { balanced, issued, wallets, tables, tournaments, mismatches }
+ */
+function reconcile({ users, cashGames, sitAndGos, tournaments }, balances) {
+  const mismatches = [];
+  const totals = {
+    wallets: { ledger: 0, actual: 0 },
+    tables: { ledger: 0, actual: 0 },
+    tournaments: { ledger: 0, actual: 0 }
+  };
+
+  const check = (group, account, ledger, actual) => {
+    totals[group].ledger += ledger;
+    totals[group].actual += actual;
+    if (ledger !== actual) {
+      mismatches.push({ account, ledger, actual });
+    }
+  };
+
+  users.forEach(user => {
+    const account = accounts.wallet(user._id);
+    check('wallets', account, balances.get(account) || 0, user.balance);
+  });
+
+  // A table's seats and pot together hold its stacks and the chips bet so far
+  const escrow = new Map();
+  balances.forEach((balance, account) => {
+    const [kind, gameId] = account.split(':');
+    if (kind === 'seat' || kind === 'pot') {
+      escrow.set(gameId, (escrow.get(gameId) || 0) + balance);
+    }
+  });
+  cashGames.forEach(game => {
+    const held = game.status === 'completed'
+      ? 0
+      : game.players.filter(p => p.isActive).reduce((sum, p) => sum + p.totalChips, 0) + (game.pot || 0);
+    check('tables', `table:${game.gameId}`, escrow.get(game.gameId) || 0, held);
+  });
+
+  // Buy-ins sit in the prize pool until it is paid out or refunded
+  sitAndGos.forEach(game => {
+    const t = game.tournament;
+    const held = game.status === 'completed' ? 0 : (t.startedAt ? t.prizePool : t.buyIn * game.players.length);
+    const account = accounts.sitAndGo(game.gameId);
+    check('tournaments', account, balances.get(account) || 0, held);
+  });
+  tournaments.forEach(mtt => {
+    const held = {
+      registering: mtt.buyIn * mtt.registrations.length,
+      running: mtt.prizePool,
+      completed: 0
+    }[mtt.status];
+    const account = accounts.tournament(mtt.tournamentId);
+    check('tournaments', account, balances.get(account) || 0, held);
+  });
+
+  // Chips the house has put out, less any it has taken back
+  const issued = -(balances.get(accounts.house) || 0);
+  const actual = totals.wallets.actual + totals.tables.actual + totals.tournaments.actual;
+
+  return {
+    balanced: mismatches.length === 0 && actual === issued,
+    issued,
+    ...totals,
+    mismatches
+  };
+}
+
+/**
+ * Give every user who has no ledger history yet an opening entry for the
+ * balance they already have, so wallets from before the ledger reconcile
+ * @returns {Promise<number>} Wallets opened
+ */
+async function openWallets() {
+  const opened = new Set(
+    (await LedgerEntry.distinct('user')).map(id => id.toString())
+  );
+  const users = await User.find({ balance: { $gt: 0 } }, 'balance');
+
+  let count = 0;
+  for (const user of users) {
+    if (opened.has(user._id.toString())) continue;
+    await record({
+      type: 'openingBalance',
+      from: accounts.house,
+      to: accounts.wallet(user._id),
+      amount: user.balance,
+      user: user._id
+    });
+    count++;
+  }
+  return count;
+}
+
+module.exports = {
+  accounts,
+  record,
+  debitWallet,
+  creditWallet,
+  buyIn,
+  seatBot,
+  cashOut,
+  recordPots,
+  getAccountBalances,
+  reconcile,
+  openWallets
+};
@@ -0,0 +1,583 @@
+// server/utils/multiTable.js
+const crypto = require('crypto');
+const Game = require('../models/Game');
+const Tournament = require('../models/Tournament');
+const cardDeck = require('./cardDeck');
+const provablyFair = require('./provablyFair');
+const tournament = require('./tournament');
+const gameLogic = require('./gameLogic');
+const ledger = require('./ledger');
+
+// Most places a multi-table tournament can pay
+const MAX_PAID_PLACES = 20;
+
+const generateId = () => crypto.randomBytes(3).toString('hex');
+
+// Ledger account holding the buy-ins
+const prizePoolOf = (mtt) => ({
+  account: ledger.accounts.tournament(mtt.tournamentId),
+  tournamentId: mtt.tournamentId
+});
+
+/**
+ * Validate the settings of a new multi-table tournament. Blinds go up by time
+ * only, so that every table is on the same level.
+ * @param {Object} input - Requested settings (missing fields use defaults)
+ * @returns {Object} { settings, errors } - errors is empty when valid
+ */
+function validateMultiTableSettings(input = {}) {
+  const { settings, errors } = tournament.validateTournamentSettings(input, MAX_PAID_PLACES);
+
+  if (settings.levelBy !== 'time') {
+    errors.push('Multi-table blinds go up by time');
+  }
+
+  settings.tableSize = input.tableSize !== undefined && input.tableSize !== '' ? Number(input.tableSize) : 9;
+  if (!Number.isInteger(settings.tableSize) || settings.tableSize < 2 || settings.tableSize > 10) {
+    errors.push('Tables seat between 2 and 10 players');
+  }
+
+  settings.name = typeof input.name === 'string' ? input.name.trim().slice(0, 50) : '';
+
+  return { settings, errors };
+}
+
+/**
+ * Seat players at random over as few tables as hold them, as evenly as possible
+ * @param {Array} players - Registered players
+ * @param {number} tableSize - Seats per table
+ * @param {Function} [randomInt=crypto.randomInt] - Returns an integer in [0, max)
+ * @returns {Array<Array>} Players for each table
+ */
+function seatPlayers(players, tableSize, randomInt = crypto.randomInt) {
+  const shuffled = cardDeck.shuffleDeck(players, randomInt);
+  const tables = Array.from({ length: Math.ceil(shuffled.length / tableSize) }, () => []);
+
+  shuffled.forEach((player, i) => {
+    tables[i % tables.length].push(player);
+  });
+  return tables;
+}
+
+/**
+ * Plan the moves that keep the tables balanced. Tables are broken while the
+ * players fit on fewer, smallest first, then players move from the fullest
+ * tables until no two tables differ by more than one. Only tables between
+ * hands can give up players; the others wait for their hand to finish.
+ * @param {Object} counts - Players at (or on the way to) each open table, by gameId
+ * @param {Array<string>} movable - Tables between hands
+ * @param {number} tableSize - Seats per table
+ * @returns {Object} { broken: [gameId], moves: [{ from, to }] }
+ */
+function planMoves(counts, movable, tableSize) {
+  const seats = { ...counts };
+  const total = Object.values(seats).reduce((sum, count) => sum + count, 0);
+  const broken = [];
+  const moves = [];
+
+  let open = Object.keys(seats);
+  const fewest = () => open.reduce((a, b) => (seats[b] < seats[a] ? b : a));
+
+  while (open.length > Math.max(1, Math.ceil(total / tableSize))) {
+    const smallest = seats[fewest()];
+    const table = open.find(id => seats[id] === smallest && movable.includes(id));
+    if (!table) break;
+
+    open = open.filter(id => id !== table);
+    broken.push(table);
+    for (let i = 0; i < smallest; i++) {
+      const to = fewest();
+      moves.push({ from: table, to });
+      seats[to] += 1;
+    }
+    seats[table] = 0;
+  }
+
+  for (;;) {
+    const to = fewest();
+    const from = open
+      .filter(id => movable.includes(id) && seats[id] - seats[to] > 1)
+      .sort((a, b) => seats[b] - seats[a])[0];
+    if (!from) break;
+
+    moves.push({ from, to });
+    seats[from] -= 1;
+    seats[to] += 1;
+  }
+
+  return { broken, moves };
+}
+
+/**
+ * The player to move off a table: whoever is due the big blind next, so
+ * nobody dodges a blind by changing tables
+ * @param {Object} game - Table between hands
+ * @returns {number} Seat index
+ */
+function pickMover(game) {
+  const count = game.players.length;
+  for (let i = 1; i <= count; i++) {
+    const index = (game.bigBlindPosition + i) % count;
+    if (game.players[index].isActive && game.players[index].totalChips > 0) {
+      return index;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Sit a player down at a table between its hands
+ * @param {Object} game - Table
+ * @param {Object} arrival - { player, username, chips }
+ */
+function seatArrival(game, arrival) {
+  game.players.push({
+    user: arrival.player,
+    username: arrival.username,
+    position: game.players.length,
+    chips: 0,
+    totalChips: arrival.chips,
+    hand: [],
+    isActive: true,
+    hasFolded: false,
+    hasActed: false,
+    isAllIn: false
+  });
+}
+
+/**
+ * Create a multi-table tournament and register its creator
+ * @param {Object} settings - Validated settings
+ * @param {Object} creator - { id, username }
+ * @returns {Promise<Object>} { tournament } or { error }
+ */
+async function createTournament(settings, creator) {
+  let tournamentId;
+  for (let attempts = 0; attempts < 5 && !tournamentId; attempts++) {
+    const id = generateId();
+    if (!(await Tournament.findOne({ tournamentId: id }).lean())) {
+      tournamentId = id;
+    }
+  }
+  if (!tournamentId) {
+    return { error: 'Failed to generate unique tournament ID' };
+  }
+
+  if (!(await tournament.chargeBuyIn(creator.id, settings.buyIn, prizePoolOf({ tournamentId })))) {
+    return { error: `The tournament buy-in is ${settings.buyIn} chips` };
+  }
+
+  const mtt = new Tournament({
+    tournamentId,
+    name: settings.name || `${creator.username}'s tournament`,
+    creator: { user: creator.id, username: creator.username },
+    buyIn: settings.buyIn,
+    startingStack: settings.startingStack,
+    tableSize: settings.tableSize,
+    levelLength: settings.levelLength,
+    levels: settings.levels,
+    payouts: settings.payouts || [],
+    registrations: [{ player: creator.id, username: creator.username }]
+  });
+
+  try {
+    await mtt.save();
+  } catch (saveError) {
+    await tournament.refundBuyIn(creator.id, settings.buyIn, prizePoolOf({ tournamentId }));
+    throw saveError;
+  }
+  return { tournament: mtt };
+}
+
+/**
+ * Register a player, taking their buy-in
+ * @param {Object} mtt - Tournament still registering
+ * @param {Object} user - { id, username }
+ * @returns {Promise<Object>} { success } or { error }
+ */
+async function register(mtt, user) {
+  if (mtt.status !== 'registering') {
+    return { error: 'Registration has closed' };
+  }
+  if (mtt.registrations.some(r => r.player.toString() === user.id)) {
+    return { error: 'You are already registered' };
+  }
+  if (!(await tournament.chargeBuyIn(user.id, mtt.buyIn, prizePoolOf(mtt)))) {
+    return { error: `The tournament buy-in is ${mtt.buyIn} chips` };
+  }
+
+  mtt.registrations.push({ player: user.id, username: user.username });
+  return { success: true };
+}
+
+/**
+ * Take a player off the list and give their buy-in back
+ * @param {Object} mtt - Tournament still registering
+ * @param {string} userId - Player
+ * @returns {Promise<Object>} { success } or { error }
+ */
+async function unregister(mtt, userId) {
+  if (mtt.status !== 'registering') {
+    return { error: 'The tournament has already started' };
+  }
+
+  const index = mtt.registrations.findIndex(r => r.player.toString() === userId);
+  if (index === -1) {
+    return { error: 'You are not registered' };
+  }
+
+  mtt.registrations.splice(index, 1);
+  await tournament.refundBuyIn(userId, mtt.buyIn, prizePoolOf(mtt));
+  return { success: true };
+}
+
+/**
+ * Call off a tournament that hasn't started and refund every buy-in
+ * @param {Object} mtt - Tournament still registering
+ */
+async function cancelTournament(mtt) {
+  for (const registration of mtt.registrations) {
+    await tournament.refundBuyIn(registration.player, mtt.buyIn, prizePoolOf(mtt));
+  }
+  mtt.status = 'completed';
+  mtt.finishedAt = new Date();
+}
+
+/**
+ * Seat the registered players at random and open the tables. The tables
+ * share the tournament's start time, so each one works out the same blind
+ * level for itself.
+ * @param {Object} mtt - Tournament still registering
+ * @returns {Promise<Array>} The new tables
+ */
+async function startTournament(mtt) {
+  const now = new Date();
+  const entrants = mtt.registrations.length;
+  const prizePool = mtt.buyIn * entrants;
+
+  const games = [];
+  const seating = seatPlayers(mtt.registrations, mtt.tableSize);
+  for (const [i, seats] of seating.entries()) {
+    let gameId = generateId();
+    while (await Game.findOne({ gameId }).lean()) {
+      gameId = generateId();
+    }
+
+    const game = new Game({
+      gameId,
+      creator: { user: mtt.creator.user, username: mtt.creator.username },
+      players: seats.map((registration, position) => ({
+        user: registration.player,
+        username: registration.username,
+        position,
+        chips: 0,
+        totalChips: mtt.startingStack,
+        hand: [],
+        isActive: true,
+        hasFolded: false,
+        hasActed: false,
+        isAllIn: false
+      })),
+      status: 'active',
+      deck: cardDeck.createDeck(),
+      communityCards: [],
+      minBet: mtt.levels[0].bigBlind,
+      settings: { maxSeats: mtt.tableSize },
+      gameType: 'tournament',
+      tournamentId: mtt.tournamentId,
+      tournament: {
+        buyIn: mtt.buyIn,
+        startingStack: mtt.startingStack,
+        levelBy: 'time',
+        levelLength: mtt.levelLength,
+        levels: mtt.levels,
+        payouts: mtt.payouts,
+        prizePool,
+        entrants,
+        currentLevel: 0,
+        levelStartedAt: now,
+        startedAt: now,
+        standings: []
+      },
+      bettingRound: 'preflop',
+      handNumber: 0,
+      actionHistory: [],
+      handResults: []
+    });
+    provablyFair.commitNextSeed(game);
+    await game.save();
+
+    games.push(game);
+    mtt.tables.push({ gameId, number: i + 1, arrivals: [] });
+  }
+
+  Object.assign(mtt, {
+    status: 'running',
+    entrants,
+    prizePool,
+    currentLevel: 0,
+    levelStartedAt: now,
+    startedAt: now
+  });
+  await mtt.save();
+
+  return games;
+}
+
+/**
+ * Settle a table after its hand: seat players moved to it, place the players
+ * who went out, then break and balance tables. Tables idle for lack of players
+ * are settled along with it. Call one table of a tournament at a time.
+ * @param {string} tournamentId - Tournament
+ * @param {string} gameId - Table that just finished a hand
+ * @param {Array<string>} [idle] - Tables waiting for players
+ * @returns {Promise<Object|null>} { eliminated, moves, broken, finalTable, finished, standings, summary }
+ */
+async function settleTable(tournamentId, gameId, idle = []) {
+  const mtt = await Tournament.findOne({ tournamentId });
+  if (!mtt || mtt.status !== 'running') {
+    return null;
+  }
+
+  const openTables = mtt.tables.filter(t => !t.broken);
+  const games = await Game.find({ gameId: { $in: openTables.map(t => t.gameId) } });
+  const byId = new Map(games.map(game => [game.gameId, game]));
+  const movable = [gameId, ...idle].filter(id => byId.has(id));
+
+  // Players moved here while a hand was running take their seats now
+  for (const id of movable) {
+    const table = mtt.tables.find(t => t.gameId === id);
+    table.arrivals.forEach(arrival => seatArrival(byId.get(id), arrival));
+    table.arrivals = [];
+  }
+
+  // Place everyone who went out, from the bottom of the field up
+  const placed = new Set(mtt.standings.map(s => s.player.toString()));
+  const eliminated = [];
+  for (const id of movable) {
+    const game = byId.get(id);
+    const out = tournament.getEliminations(game, placed, 0);
+    const above = mtt.entrants - mtt.standings.length - out.length;
+
+    out.forEach(standing => {
+      const record = { ...standing, place: standing.place + above, gameId: id };
+      mtt.standings.push(record);
+      eliminated.push(record);
+      placed.add(standing.player.toString());
+
+      const index = game.players.findIndex(p => p.user.toString() === standing.player.toString());
+      gameLogic.removeSeat(game, index);
+    });
+  }
+
+  const result = { eliminated, moves: [], broken: [], finalTable: null, finished: false };
+
+  if (mtt.entrants - mtt.standings.length <= 1) {
+    result.standings = await finishTournament(mtt, games);
+    result.finished = true;
+  } else {
+    const counts = {};
+    openTables.forEach(table => {
+      const game = byId.get(table.gameId);
+      counts[table.gameId] = game.players.filter(p => p.isActive).length + table.arrivals.length;
+    });
+
+    const plan = planMoves(counts, movable, mtt.tableSize);
+    for (const { from, to } of plan.moves) {
+      const source = byId.get(from);
+      const player = gameLogic.removeSeat(source, pickMover(source));
+      const arrival = { player: player.user, username: player.username, chips: player.totalChips };
+
+      if (movable.includes(to)) {
+        seatArrival(byId.get(to), arrival);
+      } else {
+        mtt.tables.find(t => t.gameId === to).arrivals.push(arrival);
+      }
+      result.moves.push({ playerId: player.user.toString(), username: player.username, from, to });
+    }
+
+    plan.broken.forEach(id => {
+      mtt.tables.find(t => t.gameId === id).broken = true;
+      byId.get(id).status = 'completed';
+    });
+    result.broken = plan.broken;
+
+    const stillOpen = mtt.tables.filter(t => !t.broken);
+    if (plan.broken.length > 0 && stillOpen.length === 1) {
+      result.finalTable = stillOpen[0].gameId;
+    }
+  }
+
+  for (const game of games) {
+    if (game.isModified()) {
+      await game.save();
+    }
+  }
+  await mtt.save();
+
+  result.summary = getSummary(mtt, games);
+  return result;
+}
+
+/**
+ * Pay out: the last player standing wins, prizes go to the paid places and
+ * every table closes
+ * @param {Object} mtt - Tournament
+ * @param {Array} games - Its open tables
+ * @returns {Promise<Array>} Final standings, best place first
+ */
+async function finishTournament(mtt, games) {
+  games.forEach(game => {
+    game.players
+      .filter(p => p.isActive && p.totalChips > 0)
+      .forEach(player => {
+        mtt.standings.push({
+          player: player.user,
+          username: player.username,
+          place: 1,
+          gameId: game.gameId,
+          handNumber: game.handNumber
+        });
+      });
+    game.status = 'completed';
+  });
+
+  const payouts = mtt.payouts.length > 0 ? mtt.payouts : tournament.getDefaultPayouts(mtt.entrants);
+  const prizes = tournament.getPrizes(mtt.prizePool, payouts, mtt.entrants);
+  for (const standing of mtt.standings) {
+    standing.prize = prizes[standing.place - 1] || 0;
+    await tournament.payPrize(standing.player, standing.prize, prizePoolOf(mtt));
+  }
+
+  mtt.status = 'completed';
+  mtt.finishedAt = new Date();
+  return getStandings(mtt);
+}
+
+/**
+ * Standings so far, best place first
+ * @param {Object} mtt - Tournament
+ * @returns {Array} { playerId, username, place, prize, gameId }
+ */
+function getStandings(mtt) {
+  return mtt.standings
+    .map(s => ({
+      playerId: s.player.toString(),
+      username: s.username,
+      place: s.place,
+      prize: s.prize || 0,
+      gameId: s.gameId
+    }))
+    .sort((a, b) => a.place - b.place);
+}
+
+/**
+ * Move the tournament clock on to the level that should be running now
+ * @param {Object} mtt - Running tournament
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if the level changed
+ */
+function updateLevel(mtt, now = Date.now()) {
+  let changed = false;
+  while (
+    mtt.currentLevel < mtt.levels.length - 1 &&
+    now - new Date(mtt.levelStartedAt).getTime() >= mtt.levelLength * 60000
+  ) {
+    mtt.currentLevel += 1;
+    mtt.levelStartedAt = new Date(new Date(mtt.levelStartedAt).getTime() + mtt.levelLength * 60000);
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * When the current level ends, or null on the last level
+ * @param {Object} mtt - Running tournament
+ * @returns {Date|null} End of the level
+ */
+function getLevelEndsAt(mtt) {
+  if (mtt.status !== 'running' || mtt.currentLevel >= mtt.levels.length - 1) {
+    return null;
+  }
+  return new Date(new Date(mtt.levelStartedAt).getTime() + mtt.levelLength * 60000);
+}
+
+/**
+ * Blinds of a level, or null past the end of the schedule
+ * @param {Object} mtt - Tournament
+ * @param {number} index - Level
+ * @returns {Object|null} { smallBlind, bigBlind, ante }
+ */
+function getBlinds(mtt, index) {
+  const level = mtt.levels[index];
+  return level ? { smallBlind: level.smallBlind, bigBlind: level.bigBlind, ante: level.ante || 0 } : null;
+}
+
+/**
+ * What clients see of a tournament: registration, tables, level and standings
+ * @param {Object} mtt - Tournament
+ * @param {Array} [games] - Its tables, for seat counts
+ * @returns {Object} Summary
+ */
+function getSummary(mtt, games = []) {
+  const byId = new Map(games.map(game => [game.gameId, game]));
+  const entrants = mtt.status === 'registering' ? mtt.registrations.length : mtt.entrants;
+
+  return {
+    id: mtt.tournamentId,
+    name: mtt.name,
+    creator: mtt.creator.username,
+    creatorId: mtt.creator.user.toString(),
+    status: mtt.status,
+    buyIn: mtt.buyIn,
+    startingStack: mtt.startingStack,
+    tableSize: mtt.tableSize,
+    levelLength: mtt.levelLength,
+    entrants,
+    prizePool: mtt.status === 'registering' ? mtt.buyIn * entrants : mtt.prizePool,
+    payouts: mtt.payouts.length > 0 ? [...mtt.payouts] : tournament.getDefaultPayouts(entrants),
+    level: mtt.currentLevel + 1,
+    blinds: getBlinds(mtt, mtt.currentLevel),
+    nextBlinds: getBlinds(mtt, mtt.currentLevel + 1),
+    levelEndsAt: getLevelEndsAt(mtt),
+    registrations: mtt.registrations.map(r => ({ playerId: r.player.toString(), username: r.username })),
+    tables: mtt.tables
+      .filter(t => !t.broken)
+      .map(t => {
+        const game = byId.get(t.gameId);
+        return {
+          gameId: t.gameId,
+          number: t.number,
+          players: game
+            ? game.players
+              .filter(p => p.isActive && p.totalChips > 0)
+              .map(p => ({ playerId: p.user.toString(), username: p.username, chips: p.totalChips }))
+            : [],
+          arriving: t.arrivals.map(a => a.username)
+        };
+      }),
+    standings: getStandings(mtt),
+    startedAt: mtt.startedAt || null,
+    finishedAt: mtt.finishedAt || null
+  };
+}
+
+module.exports = {
+  validateMultiTableSettings,
+  seatPlayers,
+  planMoves,
+  pickMover,
+  createTournament,
+  register,
+  unregister,
+  cancelTournament,
+  startTournament,
+  settleTable,
+  finishTournament,
+  getStandings,
+  updateLevel,
+  getLevelEndsAt,
+  getBlinds,
+  getSummary,
+  MAX_PAID_PLACES
+};
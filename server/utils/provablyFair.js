@@ -0,0 +1,172 @@
+// server/utils/provablyFair.js
+const crypto = require('crypto');
+const { createOrderedDeck, shuffleDeck } = require('./cardDeck');
+const { getVariant } = require('./variants');
+
+// Client seeds are typed by players, keep them short and printable
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Generate a random seed as hex
+ * @param {number} [bytes=32] - Seed length in bytes
+ * @returns {string} Hex seed
+ */
+function generateSeed(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Commitment published before a hand: SHA-256 of the server seed
+ * @param {string} serverSeed - Server seed
+ * @returns {string} Hex digest
+ */
+function hashSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Check that a client seed is acceptable
+ * @param {string} seed - Seed chosen by a player
+ * @returns {boolean} True if valid
+ */
+function isValidClientSeed(seed) {
+  return typeof seed === 'string' && CLIENT_SEED_PATTERN.test(seed);
+}
+
+/**
+ * Deterministic replacement for crypto.randomInt. Bytes come from
+ * HMAC-SHA256(serverSeed, "<clientSeeds>:<handNumber>:<counter>") and
+ * out-of-range values are rejected so every result is equally likely.
+ * @param {string} serverSeed - Server seed
+ * @param {Array<string>} clientSeeds - Client seeds in deal order
+ * @param {number} handNumber - Hand number (the nonce)
+ * @returns {Function} randomInt(max) returning an integer in [0, max)
+ */
+function createSeededRandomInt(serverSeed, clientSeeds, handNumber) {
+  const message = `${clientSeeds.join(':')}:${handNumber}`;
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+
+  const nextUint32 = () => {
+    if (offset + 4 > buffer.length) {
+      buffer = crypto
+        .createHmac('sha256', serverSeed)
+        .update(`${message}:${counter}`)
+        .digest();
+      counter += 1;
+      offset = 0;
+    }
+    const value = buffer.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  return (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value = nextUint32();
+    while (value >= limit) {
+      value = nextUint32();
+    }
+    return value % max;
+  };
+}
+
+/**
+ * Re-create the deck for a hand from its seeds
+ * @param {string} serverSeed - Revealed server seed
+ * @param {Array<string>} clientSeeds - Client seeds in deal order
+ * @param {number} handNumber - Hand number
+ * @param {string} [deck='standard'] - 'short' for short deck tables
+ * @returns {Array} Shuffled deck (cards are drawn from the end)
+ */
+function deriveDeck(serverSeed, clientSeeds, handNumber, deck = 'standard') {
+  return shuffleDeck(
+    createOrderedDeck(deck),
+    createSeededRandomInt(serverSeed, clientSeeds, handNumber)
+  );
+}
+
+/**
+ * Work out who got which cards from a derived deck, following the dealing
+ * order of the engine: a round of hole cards in seat order for each card in
+ * a hand, then a burn before each of the flop, turn and river
+ * @param {Array} deck - Deck from deriveDeck
+ * @param {number} playerCount - Number of players dealt in
+ * @param {number} [cardsEach=2] - Hole cards per player (4 in Omaha)
+ * @returns {Object} { holeCards: [[card, card], ...], board: [5 cards] }
+ */
+function dealFromDeck(deck, playerCount, cardsEach = 2) {
+  const drawOrder = [...deck].reverse();
+  const holeCards = [];
+
+  for (let i = 0; i < playerCount; i++) {
+    holeCards.push(
+      Array.from({ length: cardsEach }, (_, round) => drawOrder[round * playerCount + i])
+    );
+  }
+
+  const start = playerCount * cardsEach;
+  const board = [
+    drawOrder[start + 1],
+    drawOrder[start + 2],
+    drawOrder[start + 3],
+    drawOrder[start + 5],
+    drawOrder[start + 7]
+  ];
+
+  return { holeCards, board };
+}
+
+/**
+ * Publish the commitment for the next hand's server seed
+ * @param {Object} game - Game document
+ */
+function commitNextSeed(game) {
+  game.nextServerSeed = generateSeed();
+  game.nextServerSeedHash = hashSeed(game.nextServerSeed);
+}
+
+/**
+ * Verify a revealed hand: the seed matches its commitment and the board that
+ * was dealt is the one the seeds produce
+ * @param {Object} record - Revealed fairness record
+ * @returns {Object} Verification details including the re-derived deal
+ */
+function verifyHand(record) {
+  const variant = getVariant(record.variant);
+  const clientSeeds = record.clientSeeds.map(s => s.seed);
+  const deck = deriveDeck(record.serverSeed, clientSeeds, record.handNumber, variant.deck);
+  const { holeCards, board } = dealFromDeck(deck, clientSeeds.length, variant.holeCards);
+
+  const dealtBoard = record.communityCards || [];
+  const sameCard = (a, b) => a && b && a.rank === b.rank && a.suit === b.suit;
+
+  return {
+    handNumber: record.handNumber,
+    serverSeed: record.serverSeed,
+    serverSeedHash: record.serverSeedHash,
+    hashMatches: hashSeed(record.serverSeed) === record.serverSeedHash,
+    clientSeeds: record.clientSeeds.map(s => ({ player: s.player, seed: s.seed })),
+    shortDeck: variant.deck === 'short',
+    deck: [...deck].reverse(),
+    holeCards: record.clientSeeds.map((s, i) => ({
+      player: s.player,
+      cards: holeCards[i]
+    })),
+    board,
+    dealtBoard,
+    boardMatches: dealtBoard.every((card, i) => sameCard(card, board[i]))
+  };
+}
+
+module.exports = {
+  generateSeed,
+  hashSeed,
+  isValidClientSeed,
+  createSeededRandomInt,
+  deriveDeck,
+  dealFromDeck,
+  commitNextSeed,
+  verifyHand
+};
@@ -0,0 +1,225 @@
+// server/utils/tableAccess.js
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+
+const VISIBILITIES = ['public', 'private'];
+const PASSWORD_LENGTH = { min: 4, max: 64 };
+
+// How long an invite link works for
+const INVITE_LIFETIME_HOURS = 48;
+
+// Invites are signed with their own key so an invite can never pass for a
+// login token, or the other way round
+const inviteSecret = () => `${process.env.JWT_SECRET || config.get('jwtSecret')}:invites`;
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Validate who may join a new table
+ * @param {Object} [input] - { visibility, password }
+ * @returns {Object} { visibility, password, errors } - password is null when not set
+ */
+function validateTableAccess(input) {
+  const visibility = input && input.visibility ? String(input.visibility) : 'public';
+  const password = input && input.password ? String(input.password) : null;
+  const errors = [];
+
+  if (!VISIBILITIES.includes(visibility)) {
+    errors.push(`Visibility must be one of ${VISIBILITIES.join(', ')}`);
+  } else if (password && visibility !== 'private') {
+    errors.push('Only private tables have a password');
+  }
+  if (password && (password.length < PASSWORD_LENGTH.min || password.length > PASSWORD_LENGTH.max)) {
+    errors.push(`Table passwords are ${PASSWORD_LENGTH.min} to ${PASSWORD_LENGTH.max} characters`);
+  }
+
+  return { visibility, password, errors };
+}
+
+/**
+ * Hash a table password for storage
+ * @param {string|null} password - Plain password
+ * @returns {Promise<string|null>} bcrypt hash, null without a password
+ */
+async function hashPassword(password) {
+  if (!password) return null;
+
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
+
+const isPrivate = (game) => game.visibility === 'private';
+
+const isHost = (game, userId) => !!game.creator && sameId(game.creator.user, userId);
+
+/**
+ * Whether a player already belongs at the table: the host, or anyone who
+ * has taken a seat, so they can come back without the password
+ * @param {Object} game - Game document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+function hasSeat(game, userId) {
+  return isHost(game, userId) || (game.players || []).some(p => sameId(p.user, userId));
+}
+
+// Signed once per invite: the same claims always give the same token, so
+// the host can copy a link again later without it being stored
+function signInvite(game, invite) {
+  return jwt.sign({
+    gameId: game.gameId,
+    invite: invite.inviteId,
+    iat: Math.floor(new Date(invite.createdAt).getTime() / 1000),
+    exp: Math.floor(new Date(invite.expiresAt).getTime() / 1000)
+  }, inviteSecret());
+}
+
+const isPending = (invite, now) =>
+  !invite.revoked && !(invite.usedBy && invite.usedBy.user) && new Date(invite.expiresAt).getTime() > now;
+
+/**
+ * Find the unused invite a token was signed for
+ * @param {Object} game - Game document
+ * @param {string} token - Invite token from the link
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|null} The invite, or null if the token is bad, expired, used or revoked
+ */
+function findInvite(game, token, now = Date.now()) {
+  let claims;
+  try {
+    claims = jwt.verify(String(token), inviteSecret(), { clockTimestamp: Math.floor(now / 1000) });
+  } catch (err) {
+    return null;
+  }
+
+  if (claims.gameId !== game.gameId) return null;
+  return (game.invites || []).find(i => i.inviteId === claims.invite && isPending(i, now)) || null;
+}
+
+/**
+ * Check that a player may take a seat. Public tables are open to anyone;
+ * private ones need the password or an invite, unless the player is
+ * already at the table.
+ * @param {Object} game - Game document with visibility, passwordHash and invites
+ * @param {string} userId - Joining player
+ * @param {Object} credentials - { password, invite }
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object>} { invite } when an invite was used, {} otherwise, or { error }
+ */
+async function checkAccess(game, userId, { password, invite } = {}, now = Date.now()) {
+  if (!isPrivate(game) || hasSeat(game, userId)) {
+    return {};
+  }
+
+  if (invite) {
+    const entry = findInvite(game, invite, now);
+    return entry ? { invite: entry } : { error: 'This invite link has expired or been revoked' };
+  }
+
+  if (!game.passwordHash) {
+    return { error: 'This table is private, ask the host for an invite' };
+  }
+  if (!password) {
+    return { error: 'This table is private, enter its password' };
+  }
+  if (!(await bcrypt.compare(String(password), game.passwordHash))) {
+    return { error: 'Wrong table password' };
+  }
+  return {};
+}
+
+/**
+ * Mark an invite as used by the player who sat down with it
+ * @param {Object} invite - From checkAccess
+ * @param {Object} player - { user, username }
+ * @param {number} [now] - Current time in milliseconds
+ */
+function useInvite(invite, { user, username }, now = Date.now()) {
+  invite.usedBy = { user, username };
+  invite.usedAt = new Date(now);
+}
+
+/**
+ * Issue a new single-use invite link to a private table
+ * @param {Object} game - Game document
+ * @param {string} userId - Must be the host
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} { invite, token } or { error }
+ */
+function createInvite(game, userId, now = Date.now()) {
+  if (!isHost(game, userId)) {
+    return { error: 'Only the host can invite players' };
+  }
+  if (!isPrivate(game)) {
+    return { error: 'Anyone can join a public table' };
+  }
+  if (game.status === 'completed') {
+    return { error: 'Game has ended' };
+  }
+
+  if (!game.invites) game.invites = [];
+  game.invites.push({
+    inviteId: crypto.randomBytes(8).toString('hex'),
+    createdAt: new Date(now),
+    expiresAt: new Date(now + INVITE_LIFETIME_HOURS * 60 * 60 * 1000)
+  });
+
+  // Mongoose wraps pushed entries, so read back what was stored
+  const invite = game.invites[game.invites.length - 1];
+  return { invite, token: signInvite(game, invite) };
+}
+
+/**
+ * Revoke an invite nobody has used yet
+ * @param {Object} game - Game document
+ * @param {string} userId - Must be the host
+ * @param {string} inviteId - Invite to revoke
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} { invite } or { error }
+ */
+function revokeInvite(game, userId, inviteId, now = Date.now()) {
+  if (!isHost(game, userId)) {
+    return { error: 'Only the host can revoke invites' };
+  }
+
+  const invite = (game.invites || []).find(i => i.inviteId === inviteId && isPending(i, now));
+  if (!invite) {
+    return { error: 'No pending invite with that ID' };
+  }
+
+  invite.revoked = true;
+  return { invite };
+}
+
+/**
+ * Invites that can still be used, with their links, for the host
+ * @param {Object} game - Game document
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array<Object>} { inviteId, createdAt, expiresAt, token }
+ */
+function getPendingInvites(game, now = Date.now()) {
+  return (game.invites || [])
+    .filter(i => isPending(i, now))
+    .map(i => ({
+      inviteId: i.inviteId,
+      createdAt: i.createdAt,
+      expiresAt: i.expiresAt,
+      token: signInvite(game, i)
+    }));
+}
+
+module.exports = {
+  validateTableAccess,
+  hashPassword,
+  isPrivate,
+  isHost,
+  hasSeat,
+  checkAccess,
+  useInvite,
+  createInvite,
+  revokeInvite,
+  getPendingInvites,
+  INVITE_LIFETIME_HOURS
+};
@@ -0,0 +1,173 @@
+// server/utils/tableSettings.js
+const { getCurrentLevel } = require('./tournament');
+const { VARIANTS, BETTING_LIMITS, DEFAULT_VARIANT, getVariant } = require('./variants');
+
+// Defaults used when a table is created without explicit settings
+const DEFAULT_TABLE_SETTINGS = {
+  smallBlind: 1,
+  bigBlind: 2,
+  ante: 0,
+  minBuyIn: 40,
+  maxBuyIn: 1000,
+  maxSeats: 8,
+  turnTimeLimit: 30,
+  spectatorDelay: 0,
+  maxSitOutOrbits: 3,
+  runItTwice: false,
+  variant: DEFAULT_VARIANT,
+  forcedBets: 'blinds',
+  bettingLimit: null, // The variant's own betting structure
+  straddle: 'off',
+  bombPotAnte: 0, // 0 when the table plays no bomb pots
+  bombPotEvery: 0 // Hands between bomb pots, 0 when only the host calls them
+};
+
+// Settings that are switched on or off rather than counted
+const TOGGLES = ['runItTwice'];
+
+// Settings picked from a list, with the values allowed. Without blinds
+// everyone antes, and in buttonBlind the button also posts a big blind.
+// Straddles are voluntary, from the seat after the big blind or the button.
+const CHOICES = {
+  variant: Object.keys(VARIANTS),
+  forcedBets: ['blinds', 'antes', 'buttonBlind'],
+  bettingLimit: Object.keys(BETTING_LIMITS),
+  straddle: ['off', 'utg', 'button']
+};
+
+// Allowed ranges for settings that have hard limits
+const LIMITS = {
+  maxSeats: { min: 2, max: 10 },
+  turnTimeLimit: { min: 5, max: 300 },
+  spectatorDelay: { min: 0, max: 300 },
+  maxSitOutOrbits: { min: 1, max: 20 },
+  bombPotEvery: { min: 0, max: 100 }
+};
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate table settings supplied at game creation
+ * @param {Object} input - Requested settings (missing fields use defaults)
+ * @returns {Object} { settings, errors } - errors is empty when valid
+ */
+function validateTableSettings(input = {}) {
+  const settings = { ...DEFAULT_TABLE_SETTINGS };
+  const errors = [];
+
+  // Coerce everything we know about to numbers, switches or choices, ignore unknown fields
+  for (const key of Object.keys(DEFAULT_TABLE_SETTINGS)) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+
+    if (TOGGLES.includes(key)) {
+      settings[key] = input[key] === true || input[key] === 'true';
+    } else if (CHOICES[key]) {
+      settings[key] = String(input[key]);
+    } else {
+      settings[key] = Number(input[key]);
+    }
+  }
+  if (!settings.bettingLimit) {
+    settings.bettingLimit = getVariant(settings.variant).bettingLimit;
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (CHOICES[key]) {
+      if (!CHOICES[key].includes(settings[key])) {
+        errors.push(`${key} must be one of ${CHOICES[key].join(', ')}`);
+      }
+    } else if (!TOGGLES.includes(key) && !isWholeNumber(settings[key])) {
+      errors.push(`${key} must be a whole number of chips or seconds`);
+    }
+  }
+  if (errors.length > 0) {
+    return { settings, errors };
+  }
+
+  if (settings.smallBlind < 1) {
+    errors.push('Small blind must be at least 1 chip');
+  }
+  if (settings.bigBlind < settings.smallBlind) {
+    errors.push('Big blind cannot be smaller than the small blind');
+  }
+  if (settings.ante > settings.bigBlind) {
+    errors.push('Ante cannot be larger than the big blind');
+  }
+  if (settings.forcedBets !== 'blinds' && settings.ante < 1) {
+    errors.push('Tables without blinds need an ante');
+  }
+  if (settings.straddle !== 'off' && settings.forcedBets !== 'blinds') {
+    errors.push('Straddles need a table with blinds');
+  }
+  if (settings.bombPotEvery > 0 && settings.bombPotAnte < 1) {
+    errors.push('Bomb pots need an ante');
+  }
+  if (settings.minBuyIn < settings.bigBlind) {
+    errors.push('Minimum buy-in must cover at least one big blind');
+  }
+  if (settings.maxBuyIn < settings.minBuyIn) {
+    errors.push('Maximum buy-in cannot be below the minimum buy-in');
+  }
+
+  for (const [key, { min, max }] of Object.entries(LIMITS)) {
+    if (settings[key] < min || settings[key] > max) {
+      errors.push(`${key} must be between ${min} and ${max}`);
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Work out how many chips a player brings to the table
+ * @param {Object} settings - Table settings
+ * @param {number} balance - Player's account balance
+ * @param {number} [requested] - Requested buy-in, defaults to the most allowed
+ * @returns {Object} { amount, error }
+ */
+function resolveBuyIn(settings, balance, requested) {
+  const { minBuyIn, maxBuyIn } = { ...DEFAULT_TABLE_SETTINGS, ...settings };
+
+  if (requested === undefined || requested === null || requested === '') {
+    const amount = Math.min(balance, maxBuyIn);
+    if (amount < minBuyIn) {
+      return { error: `Minimum buy-in is ${minBuyIn} chips` };
+    }
+    return { amount };
+  }
+
+  const amount = Number(requested);
+  if (!Number.isInteger(amount) || amount < minBuyIn || amount > maxBuyIn) {
+    return { error: `Buy-in must be between ${minBuyIn} and ${maxBuyIn} chips` };
+  }
+  if (amount > balance) {
+    return { error: 'Insufficient balance for this buy-in' };
+  }
+
+  return { amount };
+}
+
+/**
+ * Settings for a game, falling back to defaults for tables created before
+ * settings existed
+ * @param {Object} game - Game document
+ * @returns {Object} Table settings
+ */
+function getTableSettings(game) {
+  const stored = game && game.settings
+    ? (typeof game.settings.toObject === 'function' ? game.settings.toObject() : game.settings)
+    : {};
+
+  const settings = { ...DEFAULT_TABLE_SETTINGS, ...stored };
+
+  // Tournament blinds follow the level schedule
+  const level = getCurrentLevel(game);
+  return level ? { ...settings, ...level } : settings;
+}
+
+module.exports = {
+  validateTableSettings,
+  resolveBuyIn,
+  getTableSettings,
+  DEFAULT_TABLE_SETTINGS
+};
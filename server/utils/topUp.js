@@ -0,0 +1,204 @@
+// server/utils/topUp.js
+const { getTableSettings } = require('./tableSettings');
+const ledger = require('./ledger');
+
+const findSeat = (game, playerId) =>
+  game.players.find(p => p.isActive && p.user.toString() === playerId.toString());
+
+const isCashTable = (game) => (game.gameType || 'cash') === 'cash' && !game.tournamentId;
+
+// Chips in play can't change until the hand is over
+const isInHand = (game, player) =>
+  game.status === 'active' && !!player.hand && player.hand.length > 0;
+
+/**
+ * Work out how many chips a player can add to their stack. Players with no
+ * chips left rebuy within the buy-in range, others top up to the maximum.
+ * @param {Object} game - Cash game
+ * @param {Object} player - Seated player
+ * @param {number} [requested] - Chips to add, defaults to topping up to the maximum
+ * @returns {Object} { amount, type } or { error }
+ */
+function resolveTopUp(game, player, requested) {
+  if (!isCashTable(game)) {
+    return { error: 'Chips can only be added at cash tables' };
+  }
+
+  const { minBuyIn, maxBuyIn } = getTableSettings(game);
+  const room = maxBuyIn - player.totalChips;
+  if (room <= 0) {
+    return { error: `Your stack is already at the ${maxBuyIn} chip maximum` };
+  }
+
+  const type = player.totalChips > 0 ? 'topUp' : 'rebuy';
+  const amount = requested === undefined || requested === null || requested === ''
+    ? room
+    : Number(requested);
+
+  if (type === 'rebuy' && (!Number.isInteger(amount) || amount < minBuyIn || amount > maxBuyIn)) {
+    return { error: `A rebuy is between ${minBuyIn} and ${maxBuyIn} chips` };
+  }
+  if (!Number.isInteger(amount) || amount < 1 || amount > room) {
+    return { error: `You can add between 1 and ${room} chips` };
+  }
+
+  return { amount, type };
+}
+
+/**
+ * Escrow chips from the player's balance onto their stack, recording the
+ * movement on the game too. Nothing changes if they can't afford it.
+ * @param {Object} game - Cash game between hands for this player
+ * @param {Object} player - Seated player
+ * @param {number} amount - Chips to add
+ * @param {string} type - "rebuy", "topUp" or "autoTopUp"
+ * @returns {Promise<boolean>} True if the chips were added
+ */
+async function addChips(game, player, amount, type) {
+  if (!(await ledger.buyIn(game, player.user, amount))) {
+    return false;
+  }
+
+  player.totalChips += amount;
+  if (!game.chipMovements) {
+    game.chipMovements = [];
+  }
+  game.chipMovements.push({
+    player: player.user,
+    username: player.username,
+    type,
+    amount,
+    stack: player.totalChips,
+    handNumber: game.handNumber,
+    createdAt: new Date()
+  });
+  game.actionHistory.push({
+    player: player.username,
+    action: type,
+    amount,
+    handNumber: game.handNumber,
+    timestamp: Date.now()
+  });
+  return true;
+}
+
+/**
+ * Rebuy or top up. Players in the middle of a hand get their chips once it
+ * is over; everyone else gets them straight away.
+ * @param {Object} game - Cash game
+ * @param {string} playerId - Player adding chips
+ * @param {number} [requested] - Chips to add, defaults to topping up to the maximum
+ * @returns {Promise<Object>} { amount, type, pending } or { error }
+ */
+async function requestTopUp(game, playerId, requested) {
+  const player = findSeat(game, playerId);
+  if (!player) {
+    return { error: 'You are not seated in this game' };
+  }
+
+  const result = resolveTopUp(game, player, requested);
+  if (result.error) {
+    return result;
+  }
+
+  if (isInHand(game, player)) {
+    player.pendingTopUp = result.amount;
+    return { ...result, pending: true };
+  }
+
+  if (!(await addChips(game, player, result.amount, result.type))) {
+    return { error: 'Insufficient balance for this top-up' };
+  }
+  return { ...result, pending: false };
+}
+
+/**
+ * Give the chips back if the game couldn't be saved after adding them
+ * @param {Object} game - Cash game
+ * @param {string} playerId - Player
+ * @param {number} amount - Chips that were added
+ */
+async function undoTopUp(game, playerId, amount) {
+  await ledger.cashOut(game, playerId, amount);
+}
+
+/**
+ * Keep a player's stack topped up to a target before every hand
+ * @param {Object} game - Cash game
+ * @param {string} playerId - Player
+ * @param {number} target - Stack to top up to, 0 to turn it off
+ * @returns {Object} { autoTopUp } or { error }
+ */
+function setAutoTopUp(game, playerId, target) {
+  const player = findSeat(game, playerId);
+  if (!player) {
+    return { error: 'You are not seated in this game' };
+  }
+  if (!isCashTable(game)) {
+    return { error: 'Chips can only be added at cash tables' };
+  }
+
+  const autoTopUp = Number(target) || 0;
+  const { minBuyIn, maxBuyIn } = getTableSettings(game);
+  if (autoTopUp !== 0 && (!Number.isInteger(autoTopUp) || autoTopUp < minBuyIn || autoTopUp > maxBuyIn)) {
+    return { error: `Auto top-up must be between ${minBuyIn} and ${maxBuyIn} chips` };
+  }
+
+  player.autoTopUp = autoTopUp;
+  return { autoTopUp };
+}
+
+/**
+ * Between hands, add the chips players asked for during the hand, then top
+ * up anyone below their auto top-up target. Stacks never go over the
+ * table's maximum buy-in.
+ * @param {Object} game - Cash game between hands
+ * @returns {Promise<Object>} { added: [{ username, type, amount }], failed: [username] }
+ */
+async function applyTopUps(game) {
+  const added = [];
+  const failed = [];
+  if (!isCashTable(game)) {
+    return { added, failed };
+  }
+
+  const { minBuyIn, maxBuyIn } = getTableSettings(game);
+  for (const player of game.players) {
+    if (!player.isActive) continue;
+
+    const pending = Math.min(player.pendingTopUp || 0, maxBuyIn - player.totalChips);
+    const target = Math.min(player.autoTopUp || 0, maxBuyIn);
+    player.pendingTopUp = 0;
+
+    let amount;
+    let type;
+    if (pending > 0) {
+      amount = Math.max(pending, target - player.totalChips);
+      type = player.totalChips > 0 ? 'topUp' : 'rebuy';
+    } else if (target > player.totalChips) {
+      amount = target - player.totalChips;
+      type = 'autoTopUp';
+    } else {
+      continue;
+    }
+
+    // A busted player needs a full buy-in
+    if (player.totalChips <= 0 && amount < minBuyIn) continue;
+
+    if (await addChips(game, player, amount, type)) {
+      added.push({ username: player.username, type, amount });
+    } else {
+      failed.push(player.username);
+    }
+  }
+
+  return { added, failed };
+}
+
+module.exports = {
+  resolveTopUp,
+  requestTopUp,
+  undoTopUp,
+  setAutoTopUp,
+  applyTopUps
+};
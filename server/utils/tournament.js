@@ -0,0 +1,421 @@
+// server/utils/tournament.js
+const ledger = require('./ledger');
+
+// Blind schedule used when a tournament is created without one
+const DEFAULT_BLIND_LEVELS = [
+  { smallBlind: 10, bigBlind: 20, ante: 0 },
+  { smallBlind: 15, bigBlind: 30, ante: 0 },
+  { smallBlind: 25, bigBlind: 50, ante: 0 },
+  { smallBlind: 50, bigBlind: 100, ante: 0 },
+  { smallBlind: 75, bigBlind: 150, ante: 0 },
+  { smallBlind: 100, bigBlind: 200, ante: 25 },
+  { smallBlind: 150, bigBlind: 300, ante: 25 },
+  { smallBlind: 200, bigBlind: 400, ante: 50 },
+  { smallBlind: 300, bigBlind: 600, ante: 75 },
+  { smallBlind: 500, bigBlind: 1000, ante: 100 }
+];
+
+const DEFAULT_TOURNAMENT_SETTINGS = {
+  buyIn: 100,
+  startingStack: 1500,
+  levelBy: 'time', // 'time' (minutes per level) or 'hands' (hands per level)
+  levelLength: 10,
+  levels: DEFAULT_BLIND_LEVELS,
+  payouts: null // Percentage of the prize pool per place, picked from the field size when not set
+};
+
+// Allowed ranges for the numeric tournament settings
+const LIMITS = {
+  buyIn: { min: 1, max: 100000 },
+  startingStack: { min: 100, max: 1000000 },
+  levelLength: { min: 1, max: 120 }
+};
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Default payouts for a field: winner takes all up to three players,
+ * the top two are paid up to six, the top three beyond that
+ * @param {number} entrants - Players who bought in
+ * @returns {Array<number>} Percentages by place
+ */
+function getDefaultPayouts(entrants) {
+  if (entrants <= 3) return [100];
+  if (entrants <= 6) return [65, 35];
+  return [50, 30, 20];
+}
+
+/**
+ * Validate tournament settings supplied at game creation
+ * @param {Object} input - Requested settings (missing fields use defaults)
+ * @param {number} maxSeats - Seats at the table, the most places that can be paid
+ * @returns {Object} { settings, errors } - errors is empty when valid
+ */
+function validateTournamentSettings(input = {}, maxSeats = 10) {
+  const settings = { ...DEFAULT_TOURNAMENT_SETTINGS };
+  const errors = [];
+
+  for (const key of Object.keys(LIMITS)) {
+    if (input[key] !== undefined && input[key] !== null && input[key] !== '') {
+      settings[key] = Number(input[key]);
+    }
+    const { min, max } = LIMITS[key];
+    if (!isWholeNumber(settings[key]) || settings[key] < min || settings[key] > max) {
+      errors.push(`${key} must be a whole number between ${min} and ${max}`);
+    }
+  }
+
+  if (input.levelBy !== undefined) {
+    settings.levelBy = input.levelBy;
+  }
+  if (!['time', 'hands'].includes(settings.levelBy)) {
+    errors.push('Blind levels go up by time or by hands');
+  }
+
+  if (input.levels !== undefined) {
+    settings.levels = Array.isArray(input.levels)
+      ? input.levels.map(level => ({
+        smallBlind: Number(level.smallBlind),
+        bigBlind: Number(level.bigBlind),
+        ante: Number(level.ante || 0)
+      }))
+      : [];
+  }
+  if (settings.levels.length === 0 || settings.levels.length > 30) {
+    errors.push('The blind schedule needs between 1 and 30 levels');
+  }
+  settings.levels.forEach((level, i) => {
+    const valid = [level.smallBlind, level.bigBlind, level.ante].every(isWholeNumber) &&
+      level.smallBlind >= 1 &&
+      level.bigBlind >= level.smallBlind &&
+      level.ante <= level.bigBlind;
+    if (!valid) {
+      errors.push(`Level ${i + 1} needs a small blind of at least 1, a big blind no smaller and an ante no larger`);
+    }
+  });
+
+  if (input.payouts !== undefined && input.payouts !== null && input.payouts !== '') {
+    settings.payouts = Array.isArray(input.payouts) ? input.payouts.map(Number) : [];
+    const total = settings.payouts.reduce((sum, pct) => sum + pct, 0);
+
+    if (settings.payouts.length === 0 || settings.payouts.length > maxSeats) {
+      errors.push(`Pay between 1 and ${maxSeats} places`);
+    } else if (!settings.payouts.every(pct => isWholeNumber(pct) && pct > 0) || total !== 100) {
+      errors.push('Payouts must be whole percentages adding up to 100');
+    } else if (settings.payouts.some((pct, i) => i > 0 && pct > settings.payouts[i - 1])) {
+      errors.push('A place cannot pay more than the place above it');
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Blinds and ante of the tournament's current level
+ * @param {Object} game - Tournament game
+ * @returns {Object|null} { smallBlind, bigBlind, ante }, or null for cash games
+ */
+function getCurrentLevel(game) {
+  if (!game || game.gameType !== 'tournament' || !game.tournament) {
+    return null;
+  }
+
+  const { levels = [], currentLevel = 0 } = game.tournament;
+  const level = levels[Math.min(currentLevel, levels.length - 1)];
+  if (!level) return null;
+
+  return { smallBlind: level.smallBlind, bigBlind: level.bigBlind, ante: level.ante || 0 };
+}
+
+/**
+ * Move the blind schedule on at the start of a hand. Levels last a number of
+ * minutes or hands; the last level stays in play until the tournament ends.
+ * @param {Object} game - Tournament game, handNumber already advanced
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if a new level started with this hand
+ */
+function updateLevel(game, now = Date.now()) {
+  const tournament = game.tournament;
+
+  // The clock starts with the first hand
+  if (!tournament.startedAt) {
+    tournament.startedAt = new Date(now);
+    tournament.levelStartedAt = new Date(now);
+    tournament.levelStartHand = game.handNumber;
+    tournament.currentLevel = 0;
+    tournament.entrants = game.players.length;
+    tournament.prizePool = tournament.buyIn * tournament.entrants;
+    return false;
+  }
+
+  const lastLevel = tournament.levels.length - 1;
+  let changed = false;
+
+  while (tournament.currentLevel < lastLevel) {
+    const levelOver = tournament.levelBy === 'hands'
+      ? game.handNumber - tournament.levelStartHand >= tournament.levelLength
+      : now - new Date(tournament.levelStartedAt).getTime() >= tournament.levelLength * 60000;
+    if (!levelOver) break;
+
+    tournament.currentLevel += 1;
+    tournament.levelStartedAt = tournament.levelBy === 'hands'
+      ? new Date(now)
+      : new Date(new Date(tournament.levelStartedAt).getTime() + tournament.levelLength * 60000);
+    tournament.levelStartHand = game.handNumber;
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Split the prize pool between the paid places. Fields smaller than the
+ * number of paid places share out the unused percentages pro rata, and
+ * chips lost to rounding go to the winner.
+ * @param {number} prizePool - Total buy-ins
+ * @param {Array<number>} payouts - Percentages by place
+ * @param {number} entrants - Players who bought in
+ * @returns {Array<number>} Prize for each paid place
+ */
+function getPrizes(prizePool, payouts, entrants) {
+  const paid = payouts.slice(0, Math.max(1, entrants));
+  const total = paid.reduce((sum, pct) => sum + pct, 0);
+
+  const prizes = paid.map(pct => Math.floor(prizePool * pct / total));
+  prizes[0] += prizePool - prizes.reduce((sum, prize) => sum + prize, 0);
+
+  return prizes;
+}
+
+/**
+ * Record players knocked out since the last hand, or who left the table
+ * @param {Object} game - Tournament game between hands
+ * @returns {Array} Standings added for this hand
+ */
+function recordEliminations(game) {
+  const tournament = game.tournament;
+  const placed = new Set(tournament.standings.map(s => s.player.toString()));
+  const remaining = game.players.filter(p => p.isActive && p.totalChips > 0).length;
+
+  const added = getEliminations(game, placed, remaining);
+  added.forEach(standing => {
+    tournament.standings.push(standing);
+    game.players.find(p => p.user.toString() === standing.player.toString()).isActive = false;
+  });
+
+  return added;
+}
+
+/**
+ * Places for the players at a table who went out in its last hand. Players
+ * busting in the same hand finish in order of the stacks they started it with.
+ * @param {Object} game - Table the hand was played at
+ * @param {Set<string>} placed - Players who already have a place
+ * @param {number} remaining - Players still in the tournament
+ * @returns {Array} New standings, best place first
+ */
+function getEliminations(game, placed, remaining) {
+  const record = (game.handRecords || []).find(r => r.handNumber === game.handNumber);
+  const startingStack = (player) => {
+    const seat = record && record.seats.find(s => s.player.toString() === player.user.toString());
+    return seat ? seat.stack : 0;
+  };
+
+  return game.players
+    .filter(p => !placed.has(p.user.toString()) && (!p.isActive || p.totalChips <= 0))
+    .sort((a, b) => startingStack(b) - startingStack(a))
+    .map((player, i) => ({
+      player: player.user,
+      username: player.username,
+      place: remaining + 1 + i,
+      prize: 0,
+      handNumber: game.handNumber,
+      eliminatedAt: new Date()
+    }));
+}
+
+/**
+ * Finish the tournament: place whoever is left by chip count, then credit
+ * the prizes to the winners' balances
+ * @param {Object} game - Tournament game
+ * @returns {Promise<Array>} Final standings, best place first
+ */
+async function finishTournament(game) {
+  const tournament = game.tournament;
+  const placed = new Set(tournament.standings.map(s => s.player.toString()));
+
+  game.players
+    .filter(p => p.isActive && !placed.has(p.user.toString()))
+    .sort((a, b) => b.totalChips - a.totalChips)
+    .forEach((player, i) => {
+      tournament.standings.push({
+        player: player.user,
+        username: player.username,
+        place: i + 1,
+        prize: 0,
+        handNumber: game.handNumber
+      });
+    });
+
+  const entrants = tournament.entrants || tournament.standings.length;
+  const payouts = tournament.payouts && tournament.payouts.length > 0
+    ? tournament.payouts
+    : getDefaultPayouts(entrants);
+  const prizes = getPrizes(tournament.prizePool, payouts, entrants);
+
+  for (const standing of tournament.standings) {
+    standing.prize = prizes[standing.place - 1] || 0;
+    await payPrize(standing.player, standing.prize, prizePoolOf(game));
+  }
+
+  tournament.finishedAt = new Date();
+  game.status = 'completed';
+
+  return getStandings(game);
+}
+
+/**
+ * Standings so far, best place first
+ * @param {Object} game - Tournament game
+ * @returns {Array} { playerId, username, place, prize, handNumber }
+ */
+function getStandings(game) {
+  return (game.tournament.standings || [])
+    .map(s => ({
+      playerId: s.player.toString(),
+      username: s.username,
+      place: s.place,
+      prize: s.prize || 0,
+      handNumber: s.handNumber
+    }))
+    .sort((a, b) => a.place - b.place);
+}
+
+/**
+ * What clients see of a tournament: blinds now and next, when the level
+ * ends, the prize pool and the standings so far
+ * @param {Object} game - Game document
+ * @returns {Object|null} Summary, or null for cash games
+ */
+function getSummary(game) {
+  if (!game || game.gameType !== 'tournament' || !game.tournament) {
+    return null;
+  }
+
+  const t = game.tournament;
+  const levels = t.levels || [];
+  const next = levels[t.currentLevel + 1];
+  const entrants = t.entrants || game.players.length;
+
+  let levelEndsAt = null;
+  let handsLeftInLevel = null;
+  if (next && t.startedAt) {
+    if (t.levelBy === 'hands') {
+      handsLeftInLevel = Math.max(0, t.levelStartHand + t.levelLength - game.handNumber);
+    } else {
+      levelEndsAt = new Date(new Date(t.levelStartedAt).getTime() + t.levelLength * 60000);
+    }
+  }
+
+  return {
+    tournamentId: game.tournamentId || null,
+    buyIn: t.buyIn,
+    startingStack: t.startingStack,
+    prizePool: t.startedAt ? t.prizePool : t.buyIn * entrants,
+    entrants,
+    payouts: t.payouts && t.payouts.length > 0 ? [...t.payouts] : getDefaultPayouts(entrants),
+    levelBy: t.levelBy,
+    levelLength: t.levelLength,
+    level: t.currentLevel + 1,
+    blinds: getCurrentLevel(game),
+    nextBlinds: next ? { smallBlind: next.smallBlind, bigBlind: next.bigBlind, ante: next.ante || 0 } : null,
+    levelEndsAt,
+    handsLeftInLevel,
+    startedAt: t.startedAt || null,
+    finishedAt: t.finishedAt || null,
+    standings: getStandings(game)
+  };
+}
+
+/**
+ * The ledger account a sit-and-go keeps its buy-ins in
+ * @param {Object} game - Tournament game
+ * @returns {Object} { account, gameId }
+ */
+function prizePoolOf(game) {
+  return { account: ledger.accounts.sitAndGo(game.gameId), gameId: game.gameId };
+}
+
+// Ledger entry fields for chips going in or out of a prize pool
+const poolEntry = (type, pool, side) => ({
+  type,
+  [side]: pool.account,
+  gameId: pool.gameId,
+  tournamentId: pool.tournamentId
+});
+
+/**
+ * Take a tournament buy-in from the player's balance, only if they can afford it
+ * @param {string} userId - Player buying in
+ * @param {number} buyIn - Buy-in
+ * @param {Object} pool - Prize pool it goes into: { account, gameId or tournamentId }
+ * @returns {Promise<boolean>} True if the buy-in was taken
+ */
+function chargeBuyIn(userId, buyIn, pool) {
+  return ledger.debitWallet(userId, buyIn, poolEntry('tournamentBuyIn', pool, 'to'));
+}
+
+/**
+ * Buy a player into a tournament that hasn't started yet
+ * @param {Object} game - Tournament game
+ * @param {string} userId - Player taking a seat
+ * @returns {Promise<Object>} { amount } chips to sit down with, or { error }
+ */
+async function enterTournament(game, userId) {
+  const { buyIn, startingStack } = game.tournament;
+
+  if (!(await chargeBuyIn(userId, buyIn, prizePoolOf(game)))) {
+    return { error: `The tournament buy-in is ${buyIn} chips` };
+  }
+  return { amount: startingStack };
+}
+
+/**
+ * Give a buy-in back, for players leaving before the tournament starts
+ * @param {string} userId - Player
+ * @param {number} buyIn - Buy-in
+ * @param {Object} pool - Prize pool it was paid into
+ */
+async function refundBuyIn(userId, buyIn, pool) {
+  await ledger.creditWallet(userId, buyIn, poolEntry('tournamentRefund', pool, 'from'));
+}
+
+/**
+ * Pay a prize out of the prize pool
+ * @param {string} userId - Player
+ * @param {number} prize - Prize, nothing happens for 0
+ * @param {Object} pool - Prize pool
+ */
+async function payPrize(userId, prize, pool) {
+  await ledger.creditWallet(userId, prize, poolEntry('tournamentPrize', pool, 'from'));
+}
+
+module.exports = {
+  validateTournamentSettings,
+  getDefaultPayouts,
+  getCurrentLevel,
+  updateLevel,
+  getPrizes,
+  recordEliminations,
+  getEliminations,
+  finishTournament,
+  getStandings,
+  getSummary,
+  prizePoolOf,
+  chargeBuyIn,
+  enterTournament,
+  refundBuyIn,
+  payPrize,
+  DEFAULT_TOURNAMENT_SETTINGS,
+  DEFAULT_BLIND_LEVELS
+};
@@ -0,0 +1,80 @@
+// server/utils/variants.js
+
+// Poker games a table can be set up to play. Omaha hands must be made of
+// exactly two hole cards and three from the board; in hi-lo games the best
+// eight-or-better low takes half of every pot. Short deck deals from 36
+// cards, sixes and up, and ranks hands by its own order. Each game has the
+// betting structure it is usually played with, which a table can change.
+const VARIANTS = {
+  holdem: {
+    key: 'holdem',
+    title: "Hold'em",
+    historyTitle: "Hold'em", // As written in PokerStars hand histories
+    holeCards: 2,
+    bettingLimit: 'noLimit',
+    deck: 'standard'
+  },
+  shortdeck: {
+    key: 'shortdeck',
+    title: "Short Deck Hold'em",
+    historyTitle: "6+ Hold'em",
+    holeCards: 2,
+    bettingLimit: 'noLimit',
+    deck: 'short'
+  },
+  plo: {
+    key: 'plo',
+    title: 'Omaha',
+    historyTitle: 'Omaha',
+    holeCards: 4,
+    holeCardsUsed: 2,
+    bettingLimit: 'potLimit',
+    deck: 'standard'
+  },
+  plo8: {
+    key: 'plo8',
+    title: 'Omaha Hi-Lo',
+    historyTitle: 'Omaha Hi/Lo',
+    holeCards: 4,
+    holeCardsUsed: 2,
+    bettingLimit: 'potLimit',
+    deck: 'standard',
+    hiLo: true
+  }
+};
+
+const DEFAULT_VARIANT = 'holdem';
+
+// Betting structures. Pot limit caps a raise at the pot after calling; fixed
+// limit bets and raises by the small bet (the big blind) until the turn and
+// the big bet (twice that) after, at most one bet and three raises a street.
+const BETTING_LIMITS = {
+  noLimit: { name: 'No-Limit', historyName: 'No Limit' },
+  potLimit: { name: 'Pot-Limit', historyName: 'Pot Limit' },
+  fixedLimit: { name: 'Fixed-Limit', historyName: 'Limit' }
+};
+
+/**
+ * Rules for a variant, falling back to Hold'em for unknown names
+ * @param {string} [key] - Variant key from the table settings
+ * @param {string} [bettingLimit] - Table's betting structure, defaults to the variant's own
+ * @returns {Object} { key, name, historyName, holeCards, holeCardsUsed, bettingLimit, deck, hiLo }
+ */
+function getVariant(key, bettingLimit) {
+  const variant = VARIANTS[key] || VARIANTS[DEFAULT_VARIANT];
+  const limit = BETTING_LIMITS[bettingLimit] ? bettingLimit : variant.bettingLimit;
+
+  return {
+    ...variant,
+    bettingLimit: limit,
+    name: `${BETTING_LIMITS[limit].name} ${variant.title}`,
+    historyName: `${variant.historyTitle} ${BETTING_LIMITS[limit].historyName}`
+  };
+}
+
+module.exports = {
+  getVariant,
+  VARIANTS,
+  BETTING_LIMITS,
+  DEFAULT_VARIANT
+};
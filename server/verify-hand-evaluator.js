@@ -0,0 +1,124 @@
+// server/verify-hand-evaluator.js
+// Checks the lookup-table evaluator against the original one on every 7-card
+// hand: node verify-hand-evaluator.js
+// The full run deals 133,784,560 hands and takes a while; pass a number of
+// first cards (1-46) to only check the hands starting with those.
+
+const { createOrderedDeck } = require('./utils/cardDeck');
+const { evaluateSingleHand } = require('./utils/handEvaluator');
+const { encodeCard, fiveCardStrength, handStrength } = require('./utils/handStrength');
+
+const deck = createOrderedDeck();
+const encoded = deck.map(encodeCard);
+const firstCards = Math.min(Number(process.argv[2]) || 46, 46);
+
+// Binomial coefficients for indexing 5-card hands
+const choose = [];
+for (let n = 0; n <= 52; n++) {
+  choose[n] = [1];
+  for (let k = 1; k <= 5; k++) {
+    choose[n][k] = n === 0 ? 0 : choose[n - 1][k - 1] + choose[n - 1][k];
+  }
+}
+const indexOf = (a, b, c, d, e) =>
+  choose[a][1] + choose[b][2] + choose[c][3] + choose[d][4] + choose[e][5];
+
+// The original evaluator orders hands by rank, then kickers
+const referenceKey = (result) => {
+  let key = result.rank;
+  for (let i = 0; i < 5; i++) {
+    key = key * 16 + (result.kickers[i] || 0);
+  }
+  return key;
+};
+
+console.log('Evaluating every 5-card hand with both evaluators...');
+const keys = new Float64Array(choose[52][5]);
+const strengthOfKey = new Map();
+let mismatches = 0;
+
+for (let a = 0; a < 52; a++) {
+  for (let b = a + 1; b < 52; b++) {
+    for (let c = b + 1; c < 52; c++) {
+      for (let d = c + 1; d < 52; d++) {
+        for (let e = d + 1; e < 52; e++) {
+          const hand = [deck[a], deck[b], deck[c], deck[d], deck[e]];
+          const key = referenceKey(evaluateSingleHand(hand));
+          const strength = handStrength(hand);
+          keys[indexOf(a, b, c, d, e)] = key;
+
+          const known = strengthOfKey.get(key);
+          if (known === undefined) {
+            strengthOfKey.set(key, strength);
+          } else if (known !== strength) {
+            mismatches++;
+          }
+        }
+      }
+    }
+  }
+}
+
+// Equal hands must share a strength and better hands must score higher
+const sortedKeys = [...strengthOfKey.keys()].sort((x, y) => x - y);
+const ordered = sortedKeys.every((key, i) =>
+  i === 0 || strengthOfKey.get(key) > strengthOfKey.get(sortedKeys[i - 1]));
+
+console.log(`Distinct hands: ${strengthOfKey.size} (expected 7462)`);
+console.log(`Same hand, different strength: ${mismatches}`);
+console.log(`Strengths in the same order as the original evaluator: ${ordered ? 'YES' : 'NO'}`);
+
+// The reference for seven cards is the best of its 21 five-card hands
+const referenceStrength = new Uint16Array(keys.length);
+keys.forEach((key, i) => {
+  referenceStrength[i] = strengthOfKey.get(key);
+});
+
+const SUBSETS = [];
+for (let skip1 = 0; skip1 < 7; skip1++) {
+  for (let skip2 = skip1 + 1; skip2 < 7; skip2++) {
+    SUBSETS.push([0, 1, 2, 3, 4, 5, 6].filter(i => i !== skip1 && i !== skip2));
+  }
+}
+
+console.log('\nComparing every 7-card hand...');
+const started = Date.now();
+const cards = new Array(7);
+const positions = new Array(7);
+let hands = 0;
+let wrong = 0;
+
+const check = () => {
+  let reference = 0;
+  let fast = 0;
+  for (const s of SUBSETS) {
+    const r = referenceStrength[indexOf(positions[s[0]], positions[s[1]], positions[s[2]], positions[s[3]], positions[s[4]])];
+    if (r > reference) reference = r;
+    const f = fiveCardStrength(cards[s[0]], cards[s[1]], cards[s[2]], cards[s[3]], cards[s[4]]);
+    if (f > fast) fast = f;
+  }
+  hands++;
+  if (reference !== fast) {
+    wrong++;
+  }
+};
+
+const deal = (start, depth) => {
+  if (depth === 7) {
+    check();
+    return;
+  }
+  const last = depth === 0 ? firstCards - 1 : 52 - (7 - depth);
+  for (let i = start; i <= last; i++) {
+    positions[depth] = i;
+    cards[depth] = encoded[i];
+    deal(i + 1, depth + 1);
+  }
+};
+deal(0, 0);
+
+console.log(`7-card hands checked: ${hands}`);
+console.log(`Hands that differ: ${wrong}`);
+console.log(`Took ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+process.exitCode = mismatches === 0 && ordered && wrong === 0 ? 0 : 1;